@@ -0,0 +1,65 @@
+import { dedupeSuggestions, deriveLevel } from "./grading.js";
+import { serverText } from "./locales.js";
+
+/* ---- Adaptive sessions ----
+ * A simple staircase over an item pool (tests with an `adaptive` block).
+ * Item difficulty is on the score scale: the score a writer at that level
+ * would get. Each graded answer becomes evidence about the learner, the
+ * running estimate is the mean evidence, and the next item is the unused one
+ * closest to the estimate, stepped up after a strong answer and down after a
+ * weak one. The final level uses the same deriveLevel bands as /assess.
+ */
+
+export const ADAPTIVE_TEST_ID = process.env.ADAPTIVE_TEST_ID || "adaptive";
+
+// A perfect answer to an easy item only shows so much
+const CEILING_MARGIN = 2;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// One pool item as a single-part test, so it goes through the normal pipeline
+export function itemTest(test, item) {
+  return { ...test, items: [{ ...item, weight: 1 }] };
+}
+
+export function evidence(score, difficulty) {
+  return Math.min(score, difficulty + CEILING_MARGIN);
+}
+
+// `steps`: [{ itemId, difficulty, score, ... }] in the order asked
+export function estimate(steps) {
+  if (!steps.length) return null;
+  return round1(steps.reduce((sum, s) => sum + evidence(s.score, s.difficulty), 0) / steps.length);
+}
+
+// Next item, or null when the session is complete
+export function pickNext(test, steps) {
+  if (steps.length >= test.adaptive.length) return null;
+  const used = new Set(steps.map((s) => s.itemId));
+  const pool = test.items.filter((it) => !used.has(it.id));
+  if (!pool.length) return null;
+
+  let target = test.adaptive.start;
+  if (steps.length) {
+    const last = steps[steps.length - 1];
+    target = estimate(steps) + (last.score >= 7 ? 1 : last.score <= 4 ? -1 : 0);
+  }
+  // Closest difficulty wins; ties keep file order
+  return pool.reduce((best, it) =>
+    Math.abs(it.difficulty - target) < Math.abs(best.difficulty - target) ? it : best
+  );
+}
+
+// Final result in the same shape as /assess: one part per item asked; `language`: the feedback language
+export function sessionResult(test, steps, language = "en") {
+  const score = estimate(steps);
+  const weight = Math.round(1000 / steps.length) / 1000;
+  return {
+    score,
+    level: deriveLevel(score),
+    reasons: serverText(language, "adaptive.reasons", { n: steps.length, path: steps.map((s) => s.difficulty).join(" → ") }),
+    suggestions: dedupeSuggestions(steps.flatMap((s) => s.suggestions), 6),
+    parts: steps.map((s, i) => ({ ...s.result, part: i + 1, weight })),
+    checks: steps.flatMap((s, i) => s.checks.map((c) => ({ ...c, part: i + 1 }))),
+  };
+}
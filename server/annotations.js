@@ -0,0 +1,57 @@
+import { z } from "zod";
+
+/* ---- Inline annotations ----
+ * The model quotes the erroneous text rather than counting characters (which
+ * it does badly); the server finds each quote in the submitted answer and
+ * only returns spans it could verify.
+ */
+
+export const ANNOTATION_CATEGORIES = ["tense", "collocation", "article", "punctuation", "idiom"];
+
+export const AnnotationSchema = z.object({
+  // Blank quotes would make empty spans
+  quote: z.string().trim().min(1).max(200),
+  category: z.enum(ANNOTATION_CATEGORIES),
+  correction: z.string(),
+  explanation: z.string().trim().min(1),
+  // Optional offsets; used only to pick between repeated occurrences
+  start: z.number().int().min(0).optional(),
+});
+
+// Start offset of `quote` in `text` (exact first, then ignoring case), or -1.
+// With several occurrences the one closest to `hint` wins.
+export function locateSpan(text, quote, hint = 0) {
+  for (const [haystack, needle] of [[text, quote], [text.toLowerCase(), quote.toLowerCase()]]) {
+    let best = -1;
+    for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) {
+      if (best === -1 || Math.abs(i - hint) < Math.abs(best - hint)) best = i;
+    }
+    if (best !== -1) return best;
+  }
+  return -1;
+}
+
+/* `list`: raw model annotations for one answer. Returns the verified ones as
+ * { start, end, text, category, correction, explanation } sorted by position
+ * (overlaps dropped), plus how many were discarded. */
+export function verifyAnnotations(text, list) {
+  const raw = Array.isArray(list) ? list : [];
+  const found = [];
+  for (const a of raw) {
+    const parsed = AnnotationSchema.safeParse(a);
+    if (!parsed.success || typeof text !== "string") continue;
+    const { quote, category, correction, explanation, start: hint } = parsed.data;
+    const start = locateSpan(text, quote, hint);
+    if (start === -1) continue;
+    const end = start + quote.length;
+    found.push({ start, end, text: text.slice(start, end), category, correction, explanation: explanation.trim() });
+  }
+
+  found.sort((a, b) => a.start - b.start);
+  const annotations = [];
+  for (const a of found) {
+    const prev = annotations[annotations.length - 1];
+    if (!prev || a.start >= prev.end) annotations.push(a);
+  }
+  return { annotations, dropped: raw.length - annotations.length };
+}
@@ -0,0 +1,95 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+
+/* ---- API keys ----
+ * For machine clients (LMS integrations) of the batch API. A key looks like
+ * enc_<8-char prefix>_<secret>; only its SHA-256 is stored, the prefix is kept
+ * in clear so admins can tell keys apart. Each key has a daily quota of
+ * submissions (answer sets) and running usage counters.
+ */
+
+export const DEFAULT_DAILY_QUOTA = Number(process.env.BATCH_DAILY_QUOTA) || 500;
+
+export const ApiKeySchema = z.object({
+  name: z.string().trim().min(1).max(80),
+  dailyQuota: z.number().int().min(1).max(100_000).optional(),
+});
+
+export const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// New key record (to save) plus the clear key, which is shown once
+export function createApiKey({ name, dailyQuota = DEFAULT_DAILY_QUOTA, owner }) {
+  const prefix = crypto.randomBytes(6).toString("base64url").slice(0, 8);
+  const key = `enc_${prefix}_${crypto.randomBytes(24).toString("base64url")}`;
+  return {
+    key,
+    record: {
+      name,
+      owner,
+      prefix,
+      hash: hashKey(key),
+      // Signs webhook deliveries so clients can check they came from us
+      webhookSecret: crypto.randomBytes(24).toString("base64url"),
+      dailyQuota,
+      usage: { day: today(), submitted: 0, total: 0, graded: 0, failed: 0 },
+      revoked: false,
+    },
+  };
+}
+
+// What admins and the client itself may see (never the hash)
+export function publicApiKey(k) {
+  return {
+    id: k.id,
+    name: k.name,
+    prefix: k.prefix,
+    dailyQuota: k.dailyQuota,
+    usage: currentUsage(k),
+    revoked: k.revoked,
+    createdAt: k.createdAt,
+  };
+}
+
+// Usage with the daily counter reset when the day has rolled over
+export function currentUsage(k) {
+  return k.usage.day === today() ? k.usage : { ...k.usage, day: today(), submitted: 0 };
+}
+
+export function remainingQuota(k) {
+  return Math.max(0, k.dailyQuota - currentUsage(k).submitted);
+}
+
+// Usage after taking `n` submissions out of today's quota, or null if fewer are left
+export function reserveQuota(k, n) {
+  if (n > remainingQuota(k)) return null;
+  const usage = currentUsage(k);
+  return { ...usage, submitted: usage.submitted + n, total: usage.total + n };
+}
+
+// Usage after giving back `n` submissions reserved on `day` (yesterday's are gone anyway)
+export function refundQuota(k, n, day) {
+  const usage = currentUsage(k);
+  if (usage.day !== day) return usage;
+  return { ...usage, submitted: Math.max(0, usage.submitted - n), total: Math.max(0, usage.total - n) };
+}
+
+/* ---- Middleware ----
+ * Resolves x-api-key (or "Authorization: Bearer enc_…") to req.client.
+ */
+export function requireApiKey(apikeys) {
+  return async (req, res, next) => {
+    const bearer = String(req.headers.authorization || "").match(/^Bearer\s+(enc_\S+)$/i)?.[1];
+    const key = req.get("x-api-key") || bearer;
+    if (!key) return res.status(401).json({ error: "API key required (x-api-key header)" });
+    try {
+      const k = await apikeys.findOne({ hash: hashKey(key) });
+      if (!k || k.revoked) return res.status(401).json({ error: "Invalid or revoked API key" });
+      req.client = k;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import fs from "node:fs";
+
+/* ---- Fake ASR (offline, deterministic) ----
+ * Ignores the audio and returns a recorded transcript:
+ *   { "text": "...", "segments": [{ "start": 0, "end": 2.1, "text": "..." }], "durationSec": 30 }
+ * A list of transcripts is replayed in order (the last repeats).
+ */
+export function createFakeAsr({ name = "fake", file }) {
+  const recorded = file ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  const list = Array.isArray(recorded) ? recorded : [recorded].filter(Boolean);
+  let i = 0;
+
+  return {
+    name,
+    async transcribe({ audio }) {
+      if (!list.length) {
+        // No recording configured: a stand-in so the upload path can still be exercised
+        return { text: `(fake transcript of ${audio.length} bytes of audio)`, segments: [], durationSec: null };
+      }
+      return list[Math.min(i++, list.length - 1)];
+    },
+  };
+}
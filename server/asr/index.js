@@ -0,0 +1,36 @@
+import { createWhisperCppAsr } from "./whisper-cpp.js";
+import { createFakeAsr } from "./fake.js";
+
+/* ---- Speech-to-text registry ----
+ * Every backend implements:
+ *   transcribe({ audio: Buffer, mimeType, signal }) ->
+ *     Promise<{ text, segments: [{ start, end, text }], words?, durationSec }>
+ * Segment times are in seconds; they feed the fluency markers (fluency.js).
+ * `words` ([{ text, start, end, probability }]) is optional: engines that
+ * report word confidences get pronunciation notes.
+ * ASR picks the backend (default whisper-cpp).
+ */
+
+export const DEFAULT_ASR = process.env.ASR || "whisper-cpp";
+
+const backends = new Map();
+
+export function registerAsr(backend) {
+  backends.set(backend.name, backend);
+  return backend;
+}
+
+export function transcribe(opts, name = DEFAULT_ASR) {
+  const backend = backends.get(name);
+  if (!backend) throw new Error(`Unknown speech-to-text backend "${name}"`);
+  return backend.transcribe(opts);
+}
+
+/* ---- Built-in backends (configured from env) ---- */
+registerAsr(createWhisperCppAsr({
+  baseURL: process.env.WHISPER_URL || "http://127.0.0.1:8080",
+  timeoutMs: Number(process.env.WHISPER_TIMEOUT_MS) || 120_000,
+  language: process.env.ASR_LANGUAGE || "en",
+}));
+
+registerAsr(createFakeAsr({ file: process.env.FAKE_TRANSCRIPT }));
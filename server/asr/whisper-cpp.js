@@ -0,0 +1,45 @@
+/* ---- whisper.cpp adapter ----
+ * Talks to whisper.cpp's bundled HTTP server (`whisper-server -m <model>
+ * --convert`; --convert lets it accept browser webm/ogg via ffmpeg). Runs
+ * fully offline on the local machine.
+ */
+
+// Whisper drops hesitations unless the prompt already contains some; keeping them
+// is the point here, since filler words feed the fluency markers
+const VERBATIM_PROMPT = "Umm, let me think, uh... like, hmm. Okay, so, I mean, you know, here's what I think.";
+
+export function createWhisperCppAsr({ name = "whisper-cpp", baseURL = "http://127.0.0.1:8080", timeoutMs = 120_000, language = "en" }) {
+  const url = `${baseURL.replace(/\/+$/, "")}/inference`;
+
+  return {
+    name,
+    async transcribe({ audio, mimeType, signal }) {
+      const form = new FormData();
+      form.append("file", new Blob([audio], { type: mimeType || "application/octet-stream" }), "answer");
+      form.append("response_format", "verbose_json");
+      form.append("temperature", "0");
+      form.append("language", language);
+      form.append("prompt", VERBATIM_PROMPT);
+
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const res = await fetch(url, { method: "POST", body: form, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+      if (!res.ok) {
+        const err = new Error(`ASR ${res.status} ${(await res.text()).slice(0, 200) || res.statusText}`);
+        err.status = res.status;
+        throw err;
+      }
+      const j = await res.json();
+      // Newer servers return OpenAI-style `segments` in seconds; older ones
+      // `transcription` with millisecond offsets
+      const segments = Array.isArray(j.segments)
+        ? j.segments.map((s) => ({ start: Number(s.start), end: Number(s.end), text: String(s.text || "").trim() }))
+        : (j.transcription || []).map((s) => ({ start: s.offsets.from / 1000, end: s.offsets.to / 1000, text: String(s.text || "").trim() }));
+      const text = (j.text ?? segments.map((s) => s.text).join(" ")).trim();
+      // Word confidences come with word timestamps on newer servers only
+      const words = Array.isArray(j.segments) && j.segments.some((s) => Array.isArray(s.words))
+        ? j.segments.flatMap((s) => s.words || []).map((w) => ({ text: String(w.word || "").trim(), start: Number(w.start), end: Number(w.end), probability: Number(w.probability) }))
+        : undefined;
+      return { text, segments, ...(words ? { words } : {}), durationSec: Number(j.duration) || segments.at(-1)?.end || null };
+    },
+  };
+}
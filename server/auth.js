@@ -0,0 +1,119 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+import { log } from "./logger.js";
+
+/* ---- Accounts & sessions ----
+ * Passwords are hashed with scrypt (per-user salt). Sessions are stateless
+ * signed tokens: base64url(JSON payload) + "." + HMAC-SHA256 signature.
+ * Logging out is a client-side drop of the token; tokens expire after
+ * SESSION_TTL_HOURS.
+ */
+
+export const ROLES = ["learner", "coach", "admin"];
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 3_600_000;
+// Emails that become admins on signup (comma-separated); everyone else starts as a learner
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+let AUTH_SECRET = process.env.AUTH_SECRET || "";
+if (!AUTH_SECRET) {
+  // Sessions won't survive a restart; fine locally, not in production
+  AUTH_SECRET = crypto.randomBytes(32).toString("hex");
+  log.warn("AUTH_SECRET is not set; using a random per-process secret");
+}
+
+export const SignupSchema = z.object({
+  email: z.string().trim().toLowerCase().email().max(254),
+  password: z.string().min(8).max(200),
+  name: z.string().trim().max(80).optional(),
+});
+
+export const LoginSchema = z.object({
+  email: z.string().trim().toLowerCase().email(),
+  password: z.string().min(1).max(200),
+});
+
+/* ---- Passwords ---- */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+export function initialRole(email) {
+  return ADMIN_EMAILS.includes(email) ? "admin" : "learner";
+}
+
+/* ---- Tokens ---- */
+function sign(data) {
+  return crypto.createHmac("sha256", AUTH_SECRET).update(data).digest("base64url");
+}
+
+export function issueToken(user) {
+  const payload = { sub: user.id, role: user.role, exp: Date.now() + SESSION_TTL_MS };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+export function verifyToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// Public view of a stored user (never leaks the password hash)
+export function publicUser(u) {
+  return { id: u.id, email: u.email, name: u.name || "", role: u.role, createdAt: u.createdAt };
+}
+
+/* ---- Middleware ---- */
+// Resolves the bearer token to req.user (or leaves it null). The role is read
+// from the store, not the token, so role changes apply immediately.
+export function authenticate(users) {
+  return async (req, _res, next) => {
+    req.user = null;
+    const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+    const payload = m && verifyToken(m[1]);
+    if (payload) {
+      try {
+        const u = await users.get(payload.sub);
+        if (u) req.user = publicUser(u);
+      } catch (e) {
+        return next(e);
+      }
+    }
+    next();
+  };
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Sign in required" });
+  next();
+}
+
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Sign in required" });
+    if (!roles.includes(req.user.role)) return res.status(403).json({ error: "Forbidden" });
+    next();
+  };
+}
+
+export const isAdmin = (req) => req.user?.role === "admin";
+export const isStaff = (req) => req.user?.role === "coach" || req.user?.role === "admin";
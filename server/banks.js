@@ -0,0 +1,154 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { z } from "zod";
+import { CheckSpecSchema } from "./checks.js";
+import { log } from "./logger.js";
+import { PRACTICE_SKILLS } from "./practice.js";
+
+/* ---- Test definitions (question banks) ----
+ * Each *.json file in TESTS_DIR describes one test. Files are read once at
+ * startup; invalid files are skipped with a warning so one bad edit can't
+ * take the API down.
+ */
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const TESTS_DIR = process.env.TESTS_DIR || path.join(HERE, "test-banks");
+export const DEFAULT_TEST_ID = process.env.DEFAULT_TEST_ID || "core";
+
+const ItemSchema = z.object({
+  id: z.string().min(1),
+  title: z.string().min(1),
+  prompt: z.string().min(1),
+  template: z.string().optional(),   // sentence the learner must complete, shown verbatim
+  helper: z.string().optional(),     // extra instruction under the label
+  placeholder: z.string().optional(),
+  rows: z.number().int().min(1).max(12).default(3),
+  weight: z.number().positive(),
+  rubric: z.string().optional(),     // grader-only notes
+  expected: z.string().optional(),   // grader-only answer hints
+  checks: z.array(CheckSpecSchema).default([]), // rule-based pre-checks (see checks.js)
+  difficulty: z.number().min(1).max(10).optional(), // adaptive pool: score a writer at this level would get
+  mode: z.enum(["text", "speech"]).default("text"),  // speech: recorded in the browser, transcribed server-side
+  maxSeconds: z.number().int().min(5).max(300).default(90), // recording limit for speech items
+  skills: z.array(z.enum(PRACTICE_SKILLS)).optional(), // what a low score here says to practice (see practice.js)
+});
+
+const TestSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9-]*$/i),
+  title: z.string().min(1),
+  description: z.string().optional(),
+  // Adaptive tests are an item pool taken one item at a time through /sessions (see adaptive.js)
+  adaptive: z.object({
+    length: z.number().int().min(2).max(12),   // items asked per session
+    start: z.number().min(1).max(10).default(5), // difficulty of the first item
+  }).optional(),
+  items: z.array(ItemSchema).min(1).max(40),
+}).superRefine((t, ctx) => {
+  if (!t.adaptive && t.items.length > 12) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["items"], message: "Fixed tests have at most 12 items" });
+  }
+  if (t.adaptive && t.items.some((it) => it.difficulty === undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["items"], message: "Every item in an adaptive pool needs a difficulty" });
+  }
+  if (t.adaptive && t.items.some((it) => it.mode === "speech")) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["items"], message: "Adaptive pools are written-only" });
+  }
+  if (t.adaptive && t.adaptive.length > t.items.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["adaptive", "length"], message: "Longer than the item pool" });
+  }
+});
+
+function normalizeWeights(test) {
+  // Authors can write weights as percentages or fractions; we always serve fractions
+  const total = test.items.reduce((sum, it) => sum + it.weight, 0);
+  return {
+    ...test,
+    items: test.items.map((it) => ({ ...it, weight: Math.round((it.weight / total) * 1000) / 1000 })),
+  };
+}
+
+function loadTests(dir) {
+  const tests = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  } catch (e) {
+    log.warn("no test definitions loaded", { dir, error: e.message });
+  }
+  for (const f of files) {
+    try {
+      const parsed = TestSchema.safeParse(JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+      if (!parsed.success) {
+        log.warn("skipping test definition", { file: f, issues: parsed.error.issues.map((i) => `${i.path.join(".")} ${i.message}`) });
+        continue;
+      }
+      if (tests.has(parsed.data.id)) {
+        log.warn("skipping test definition", { file: f, error: `duplicate id "${parsed.data.id}"` });
+        continue;
+      }
+      tests.set(parsed.data.id, normalizeWeights(parsed.data));
+    } catch (e) {
+      log.warn("skipping test definition", { file: f, error: e.message });
+    }
+  }
+  return tests;
+}
+
+const TESTS = loadTests(TESTS_DIR);
+
+/* ---- Lookups ---- */
+export function listTests() {
+  return [...TESTS.values()].map((t) => ({
+    id: t.id,
+    title: t.title,
+    description: t.description || "",
+    items: t.adaptive ? t.adaptive.length : t.items.length,
+    adaptive: Boolean(t.adaptive),
+  }));
+}
+
+export function getTest(id = DEFAULT_TEST_ID) {
+  return TESTS.get(id) || null;
+}
+
+// Learner-facing view: grader-only fields (rubric, expected, checks, difficulty) stay on the server
+export function publicItem({ rubric: _r, expected: _e, checks: _c, difficulty: _d, skills: _s, ...item }) {
+  return item;
+}
+
+// An adaptive pool is not published; its items are served one at a time by /sessions
+export function publicTest(test) {
+  return {
+    id: test.id,
+    title: test.title,
+    description: test.description || "",
+    ...(test.adaptive ? { adaptive: { length: test.adaptive.length } } : {}),
+    items: test.adaptive ? [] : test.items.map(publicItem),
+  };
+}
+
+export function answersSchema(test) {
+  return z.object({
+    testId: z.string().optional(),
+    answers: z.array(z.string().min(1)).length(test.items.length),
+  });
+}
+
+/* ---- Prompt building ---- */
+export function describeTasks(test) {
+  return test.items
+    .map((it, i) => {
+      const n = i + 1;
+      let line = `${n}) Part ${n} — "${it.prompt}${it.template ? ` ${it.template}` : ""}"`;
+      if (it.mode === "speech") line += " [SPOKEN, transcribed automatically: judge grammar, vocabulary and fluency; ignore punctuation, capitalization and spelling]";
+      if (it.expected) line += ` (Expect: ${it.expected})`;
+      if (it.rubric) line += `\n   Rubric: ${it.rubric}`;
+      return line;
+    })
+    .join("\n");
+}
+
+export function describeWeights(test) {
+  return test.items.map((it, i) => `Part${i + 1} ${Math.round(it.weight * 100)}%`).join(", ");
+}
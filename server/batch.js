@@ -0,0 +1,316 @@
+import crypto from "node:crypto";
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import { z } from "zod";
+import { toCsv } from "./csv.js";
+import { TelemetrySchema, integrityReport } from "./integrity.js";
+import { LocaleSchema } from "./locales.js";
+import { errorFields, log } from "./logger.js";
+import { integrityReports } from "./metrics.js";
+
+/* ---- Batch grading ----
+ * POST /batch stores a job plus one record per submission and hands the job
+ * to an in-process worker. The worker grades submissions BATCH_CONCURRENCY
+ * at a time through the normal pipeline (grade() → robustAsk with fallbacks);
+ * a submission that only got the offline estimate because every model failed
+ * is retried up to BATCH_ATTEMPTS times. Unfinished jobs resume on restart.
+ */
+
+export const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 1000;
+export const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 2);
+export const BATCH_ATTEMPTS = Math.max(1, Number(process.env.BATCH_ATTEMPTS) || 3);
+const RETRY_DELAY_MS = Number(process.env.BATCH_RETRY_DELAY_MS ?? 5000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000;
+const WEBHOOK_ATTEMPTS = 3;
+// Local development only: lets webhooks reach loopback and private addresses
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function batchSchema(test) {
+  return z.object({
+    testId: z.string().optional(),
+    items: z.array(z.object({
+      // Caller's own id for the submission, echoed back in the results
+      ref: z.string().max(200).optional(),
+      answers: z.array(z.string().min(1)).length(test.items.length),
+      // Per-part answer telemetry, if the LMS collects it (see integrity.js)
+      telemetry: TelemetrySchema.optional(),
+    })).min(1).max(BATCH_MAX_ITEMS),
+    // English variety and feedback language for every submission (see locales.js)
+    ...LocaleSchema.shape,
+    webhook: z.string().url().refine((u) => /^https?:\/\//i.test(u), "webhook must be http(s)").optional(),
+  });
+}
+
+// Runs async functions one at a time (read-modify-write on counters)
+export function serialized() {
+  let chain = Promise.resolve();
+  return (fn) => {
+    const run = chain.then(fn);
+    chain = run.catch(() => {});
+    return run;
+  };
+}
+
+/* ---- Views and exports ---- */
+export function jobView(job, links = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    testId: job.testId,
+    ...(job.variety ? { variety: job.variety, language: job.language } : {}),
+    total: job.total,
+    done: job.done,
+    failed: job.failed,
+    degraded: job.degraded,
+    ...(job.cancelled ? { cancelled: job.cancelled } : {}),
+    pending: job.total - job.done - job.failed - (job.cancelled || 0),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    ...(job.webhook ? { webhook: { url: job.webhook, ...(job.webhookDelivery || { status: "pending" }) } } : {}),
+    ...links,
+  };
+}
+
+const byIndex = (items) => [...items].sort((a, b) => a.index - b.index);
+
+// One JSON object per submission, in submission order
+export function itemsJsonl(items) {
+  return byIndex(items)
+    .map((it) => JSON.stringify({
+      index: it.index,
+      ref: it.ref ?? null,
+      status: it.status,
+      attempts: it.attempts || 0,
+      ...(it.result ? { result: it.result, meta: it.meta, integrity: it.integrity } : {}),
+      ...(it.error ? { error: it.error } : {}),
+    }))
+    .join("\n") + "\n";
+}
+
+export function itemsCsv(items) {
+  const list = byIndex(items);
+  const width = Math.max(0, ...list.map((it) => it.result?.parts?.length || 0));
+  const header = ["index", "ref", "status", "score", "level", "model", "quality", "flagged", "error"];
+  for (let i = 1; i <= width; i++) header.push(`part${i}`);
+  const rows = list.map((it) => [
+    it.index, it.ref, it.status, it.result?.score, it.result?.level, it.meta?.model,
+    it.meta ? (it.meta.degraded ? "degraded" : it.meta.quality) : "", it.integrity ? String(it.integrity.flagged) : "", it.error,
+    ...Array.from({ length: width }, (_, i) => it.result?.parts?.[i]?.score),
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+/* ---- Webhook targets ----
+ * The server makes the webhook request, so a webhook must not reach the
+ * server's own network: hosts resolving to loopback, private, link-local
+ * (cloud metadata), CGNAT, multicast or reserved addresses are refused when
+ * the job is submitted, and again as the delivery connects, so a DNS change
+ * in between can't slip through. Redirects are not followed.
+ */
+const NON_PUBLIC = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 3],
+]) NON_PUBLIC.addSubnet(address, prefix, "ipv4");
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched by the IPv4 rules
+for (const [address, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) NON_PUBLIC.addSubnet(address, prefix, "ipv6");
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const blocked = (host, address) =>
+  Object.assign(new Error(`host ${host} is not a public address (${address})`), { code: "EWEBHOOKBLOCKED" });
+
+// Why `url` can't be a webhook target, or null
+export async function webhookProblem(url) {
+  if (WEBHOOK_ALLOW_PRIVATE) return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return `host ${host} does not resolve`;
+  }
+  const bad = addresses.find((a) => !isPublicAddress(a.address));
+  return bad ? blocked(host, bad.address).message : null;
+}
+
+// dns.lookup for http.request that refuses non-public answers
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = WEBHOOK_ALLOW_PRIVATE ? null : addresses.find((a) => !isPublicAddress(a.address));
+    if (bad) return callback(blocked(hostname, bad.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POSTs `body`; resolves to the response status. IP literals skip DNS, so they are checked here
+function post(url, body, headers) {
+  const u = new URL(url);
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (!WEBHOOK_ALLOW_PRIVATE && net.isIP(host) && !isPublicAddress(host)) return Promise.reject(blocked(host, host));
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/* ---- Webhook ----
+ * POSTs { event: "batch.completed", job } with
+ *   X-Batch-Signature: sha256=<HMAC-SHA256(webhookSecret, raw body)>
+ * and retries twice with backoff (a refused target is not retried).
+ * Resolves to the delivery record.
+ */
+export async function deliverWebhook(url, payload, secret) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac("sha256", secret).update(body).digest("hex");
+  let lastError = "";
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    try {
+      const status = await post(url, body, {
+        "Content-Type": "application/json",
+        "X-Batch-Event": payload.event,
+        "X-Batch-Signature": `sha256=${signature}`,
+      });
+      if (status >= 200 && status < 300) return { status: "delivered", attempts: attempt, deliveredAt: new Date().toISOString() };
+      lastError = `HTTP ${status}`;
+    } catch (e) {
+      if (e?.code === "EWEBHOOKBLOCKED") return { status: "failed", attempts: attempt, error: e.message };
+      lastError = e?.message || "request failed";
+    }
+    if (attempt < WEBHOOK_ATTEMPTS) await sleep(RETRY_DELAY_MS * 4 ** (attempt - 1));
+  }
+  return { status: "failed", attempts: WEBHOOK_ATTEMPTS, error: lastError };
+}
+
+/* ---- Worker ----
+ * `grade`: the pipeline's grade(); `onJobDone(job)`: called once per finished job.
+ * `serial`: shared with the routes that reserve quota, since both update the
+ * API key's usage counters.
+ */
+export function createBatchWorker({ store, getTest, grade, serial = serialized(), onJobDone = async () => {} }) {
+  const queue = []; // { jobId, itemId }
+  let running = 0;
+
+  async function gradeItem(test, job, item) {
+    let graded, error;
+    for (let attempt = 1; attempt <= BATCH_ATTEMPTS; attempt++) {
+      try {
+        graded = await grade({
+          test,
+          answers: item.answers,
+          variety: job.variety,
+          language: job.language,
+          log: log.child({ batch: item.job, item: item.id }),
+        });
+        error = null;
+        if (!graded.meta.degraded) return { graded, attempts: attempt };
+      } catch (e) {
+        error = e?.message || "Grading failed";
+      }
+      if (attempt < BATCH_ATTEMPTS) await sleep(RETRY_DELAY_MS * attempt);
+    }
+    // Out of attempts: keep the offline estimate if there is one
+    return graded ? { graded, attempts: BATCH_ATTEMPTS } : { error, attempts: BATCH_ATTEMPTS };
+  }
+
+  async function finishItem(jobId, item, { graded, integrity, error, attempts }) {
+    const patch = graded
+      ? { status: "done", result: graded.result, meta: graded.meta, integrity, attempts }
+      : { status: "failed", error, attempts };
+    await store.batchitems.update(item.id, patch);
+
+    // Counters are read-modify-write, so one update at a time
+    const job = await serial(async () => {
+      const j = await store.batches.get(jobId);
+      const counts = graded
+        ? { done: j.done + 1, degraded: j.degraded + (graded.meta.degraded ? 1 : 0) }
+        : { failed: j.failed + 1 };
+      const next = { ...j, ...counts };
+      const finished = next.done + next.failed >= next.total && j.status === "running";
+      const updated = await store.batches.update(jobId, {
+        ...counts,
+        ...(finished ? { status: "completed", finishedAt: new Date().toISOString() } : {}),
+      });
+      const k = await store.apikeys.get(j.client);
+      if (k) {
+        await store.apikeys.update(k.id, {
+          usage: { ...k.usage, graded: k.usage.graded + (graded ? 1 : 0), failed: k.usage.failed + (graded ? 0 : 1) },
+        });
+      }
+      return finished ? updated : null;
+    });
+    if (job) await onJobDone(job).catch((e) => log.error("batch completion hook failed", { job: jobId, ...errorFields(e) }));
+  }
+
+  async function run({ jobId, itemId }) {
+    // Claimed under the lock, so cancelling can't refund a submission that is being graded
+    const claimed = await serial(async () => {
+      const job = await store.batches.get(jobId);
+      const item = await store.batchitems.get(itemId);
+      if (!job || !item || job.status === "cancelled" || item.status !== "queued") return null;
+      if (job.status === "queued") await store.batches.update(jobId, { status: "running", startedAt: new Date().toISOString() });
+      await store.batchitems.update(itemId, { status: "running" });
+      return { job, item };
+    });
+    if (!claimed) return;
+    const { job, item } = claimed;
+    const test = getTest(job.testId);
+    const outcome = test ? await gradeItem(test, job, item) : { error: "Test no longer exists", attempts: 0 };
+    if (outcome.graded) {
+      outcome.integrity = integrityReport(test, item.answers, item.telemetry || null);
+      integrityReports.inc({ outcome: outcome.integrity.flagged ? "flagged" : "clear", source: "batch" });
+    }
+    await finishItem(jobId, item, outcome);
+  }
+
+  function pump() {
+    while (running < BATCH_CONCURRENCY && queue.length) {
+      const task = queue.shift();
+      running++;
+      run(task)
+        .catch((e) => log.error("batch item crashed", { job: task.jobId, item: task.itemId, ...errorFields(e) }))
+        .finally(() => { running--; pump(); });
+    }
+  }
+
+  return {
+    // Queue every not-yet-graded submission of a job
+    async enqueue(jobId) {
+      const { items } = await store.batchitems.list({ match: { job: jobId }, limit: BATCH_MAX_ITEMS });
+      for (const it of byIndex(items)) {
+        if (it.status === "running") await store.batchitems.update(it.id, { status: "queued" });
+        if (it.status === "queued" || it.status === "running") queue.push({ jobId, itemId: it.id });
+      }
+      pump();
+    },
+    // Pick up jobs a previous process left unfinished
+    async resume() {
+      for (const status of ["queued", "running"]) {
+        const { items } = await store.batches.list({ match: { status }, limit: 10_000 });
+        for (const job of items.reverse()) await this.enqueue(job.id);
+      }
+    },
+    stats: () => ({ queued: queue.length, running, concurrency: BATCH_CONCURRENCY }),
+  };
+}
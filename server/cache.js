@@ -0,0 +1,186 @@
+import crypto from "node:crypto";
+import net from "node:net";
+import { SYSTEM_PROMPT, buildGradingInstr } from "./grading.js";
+import { errorFields, log } from "./logger.js";
+
+/* ---- Response cache ----
+ * Grading the same answers with the same prompt and models again costs quota
+ * and can give a different score, so graded results are cached. The key covers:
+ *   - the answers, normalized (Unicode NFC, line ends, runs of spaces)
+ *   - the prompt version: a hash of the system prompt and the grading
+ *     instructions built from the test (so editing a test bank or template
+ *     invalidates its entries), plus CACHE_VERSION for manual busting
+ *   - the model chain (preferred + fallbacks, or the ensemble)
+ * Backends: CACHE=memory (LRU, default), redis (REDIS_URL) or off.
+ * A cache failure is logged and treated as a miss; it never fails grading.
+ */
+
+export const CACHE_TTL_SEC = Number(process.env.CACHE_TTL_SEC) || 7 * 24 * 3600;
+const CACHE_VERSION = process.env.CACHE_VERSION || "1";
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+// Case and punctuation are kept: they are part of what gets graded
+export function normalizeAnswer(text) {
+  return String(text ?? "")
+    .normalize("NFC")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// `locale`: { variety, language } — both change the prompt, so both change the version
+export function promptVersion(test, template, locale) {
+  return sha256(`${CACHE_VERSION}\n${SYSTEM_PROMPT}\n${buildGradingInstr(test, template, locale)}`).slice(0, 16);
+}
+
+// `models`: everything that decides which model answers, in order
+export function responseCacheKey({ test, template, locale, answers, models }) {
+  return sha256(JSON.stringify({
+    prompt: promptVersion(test, template, locale),
+    models,
+    answers: answers.map(normalizeAnswer),
+  }));
+}
+
+/* ---- Backends: get(key) → string | null, set(key, string, ttlSec) ---- */
+export function createMemoryBackend({ maxEntries = CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // insertion order = least recently used first
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      if (e.expires <= Date.now()) return null;
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttlSec) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlSec * 1000 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+/* Minimal Redis client (RESP2 over one TCP connection): GET and SET … PX,
+ * plus AUTH/SELECT from redis://[:password@]host:port[/db]. Works against
+ * Redis, Valkey, or scripts/redis-standin.js for local development. */
+export function createRedisBackend(url = process.env.REDIS_URL || "redis://127.0.0.1:6379", { timeoutMs = 500 } = {}) {
+  const u = new URL(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = []; // { resolve, reject, timer }
+
+  const encode = (args) =>
+    `*${args.length}\r\n` + args.map((a) => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join("");
+
+  // One complete reply from the front of `buffer`, or undefined if incomplete
+  function parseReply() {
+    const end = buffer.indexOf("\r\n");
+    if (end === -1) return undefined;
+    const type = String.fromCharCode(buffer[0]);
+    const line = buffer.subarray(1, end).toString();
+    if (type === "+" || type === ":") { buffer = buffer.subarray(end + 2); return { value: line }; }
+    if (type === "-") { buffer = buffer.subarray(end + 2); return { error: line }; }
+    if (type === "$") {
+      const len = Number(line);
+      if (len === -1) { buffer = buffer.subarray(end + 2); return { value: null }; }
+      if (buffer.length < end + 2 + len + 2) return undefined;
+      const value = buffer.subarray(end + 2, end + 2 + len).toString();
+      buffer = buffer.subarray(end + 2 + len + 2);
+      return { value };
+    }
+    throw new Error(`Unsupported Redis reply type "${type}"`);
+  }
+
+  function failAll(err) {
+    while (pending.length) {
+      const p = pending.shift();
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    socket?.destroy();
+    socket = null;
+    buffer = Buffer.alloc(0);
+  }
+
+  function connect() {
+    const s = net.createConnection({ host: u.hostname, port: Number(u.port) || 6379 });
+    socket = s;
+    s.on("data", (chunk) => {
+      if (s !== socket) return;
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        for (let reply = parseReply(); reply; reply = parseReply()) {
+          const p = pending.shift();
+          if (!p) continue;
+          clearTimeout(p.timer);
+          if (reply.error) p.reject(new Error(`Redis: ${reply.error}`));
+          else p.resolve(reply.value);
+        }
+      } catch (e) {
+        // A reply we can't parse leaves the stream out of step: start over on a new connection
+        failAll(e);
+      }
+    });
+    // Events from a socket that was already given up on are ignored
+    s.on("error", (e) => s === socket && failAll(e));
+    s.on("close", () => s === socket && failAll(new Error("Redis connection closed")));
+    // Handshake goes first in the pipeline; failures surface on the first command
+    if (u.password) send(["AUTH", decodeURIComponent(u.password)]).catch(() => {});
+    const db = u.pathname.slice(1);
+    if (db) send(["SELECT", db]).catch(() => {});
+  }
+
+  function send(args) {
+    if (!socket) connect();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => failAll(new Error("Redis timed out")), timeoutMs);
+      pending.push({ resolve, reject, timer });
+      socket.write(encode(args));
+    });
+  }
+
+  return {
+    get: (key) => send(["GET", key]),
+    set: (key, value, ttlSec) => send(["SET", key, value, "PX", Math.round(ttlSec * 1000)]).then(() => undefined),
+  };
+}
+
+/* ---- Cache ----
+ * Values are JSON; entries remember when they were stored for `_meta.cache.age`.
+ */
+export function createResponseCache(kind = process.env.CACHE || "memory", { ttlSec = CACHE_TTL_SEC } = {}) {
+  if (kind === "off") return null;
+  const backend =
+    kind === "memory" ? createMemoryBackend()
+      : kind === "redis" ? createRedisBackend()
+        : null;
+  if (!backend) throw new Error(`Unknown CACHE "${kind}" (expected "memory", "redis" or "off")`);
+  const prefix = "enc:grade:";
+
+  return {
+    kind,
+    async get(key) {
+      try {
+        const raw = await backend.get(prefix + key);
+        return raw ? JSON.parse(raw) : null;
+      } catch (e) {
+        log.warn("cache read failed", { cache: kind, ...errorFields(e) });
+        return null;
+      }
+    },
+    async set(key, value) {
+      try {
+        await backend.set(prefix + key, JSON.stringify({ ...value, storedAt: Date.now() }), ttlSec);
+      } catch (e) {
+        log.warn("cache write failed", { cache: kind, ...errorFields(e) });
+      }
+    },
+  };
+}
@@ -0,0 +1,179 @@
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+
+/* ---- Certificates ----
+ * A certificate is a signed, self-contained token:
+ *   base64url(JSON claims) + "." + HMAC-SHA256 signature
+ * The claims carry everything the certificate shows, so /verify can confirm a
+ * printed or shared copy without trusting it. Claims only depend on the stored
+ * result, so issuing twice gives the same token.
+ */
+
+// Without CERT_SECRET the key is derived from AUTH_SECRET, never AUTH_SECRET
+// itself, so a certificate signature can't double as a session token's
+let CERT_SECRET = process.env.CERT_SECRET ||
+  (process.env.AUTH_SECRET ? crypto.createHmac("sha256", process.env.AUTH_SECRET).update("cert").digest("hex") : "");
+if (!CERT_SECRET) {
+  // Certificates issued now will fail verification after a restart
+  CERT_SECRET = crypto.randomBytes(32).toString("hex");
+  log.warn("CERT_SECRET is not set; certificates will not verify after a restart");
+}
+
+const VERSION = 1;
+
+function sign(data) {
+  return crypto.createHmac("sha256", CERT_SECRET).update(data).digest("base64url");
+}
+
+// `record`: a stored result; `holder`: the name printed on the certificate
+export function certificateClaims(record, holder, testTitle) {
+  return {
+    v: VERSION,
+    rid: record.id,
+    name: holder,
+    score: record.result.score,
+    level: record.result.level,
+    test: testTitle || record.testId,
+    model: record.model || null,
+    date: record.createdAt,
+  };
+}
+
+export function issueCertificate(claims) {
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+// Claims of a genuine, unmodified token, or null
+export function readCertificate(token) {
+  const [body, sig, extra] = String(token || "").split(".");
+  if (!body || !sig || extra !== undefined) return null;
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return claims?.v === VERSION ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// Why a stored result can't be certified, or null if it can
+export function certifiable(record) {
+  if (record.degraded) return "Offline estimates can't be certified";
+  if (record.quality === "defaulted") return "Results from incomplete grading can't be certified";
+  if (!Number.isFinite(record.result?.score)) return "This result has no score";
+  return null;
+}
+
+const longDate = (iso) =>
+  new Date(iso).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+
+/* ---- Share page ---- */
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// `status`: "valid" | "revoked"; links are absolute so the page works when shared
+export function certificatePage(claims, { status, pdfUrl, verifyUrl }) {
+  const c = Object.fromEntries(Object.entries(claims).map(([k, v]) => [k, escapeHtml(v)]));
+  const title = `${c.name}: ${c.level} English (${c.score}/10)`;
+  const badge = status === "valid"
+    ? `<p class="ok">✓ Verified: issued by English Native Check and unchanged since.</p>`
+    : `<p class="bad">✗ This certificate has been withdrawn and is no longer valid.</p>`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="English Native Check certificate, ${escapeHtml(longDate(claims.date))}">
+<style>
+  body { margin: 0; font-family: system-ui, sans-serif; background: #f9fafb; color: #111827; }
+  main { max-width: 640px; margin: 48px auto; padding: 40px; background: #fff; border: 2px solid #111827; border-radius: 16px; text-align: center; }
+  h1 { font-size: 14px; letter-spacing: .2em; text-transform: uppercase; color: #4b5563; margin: 0; }
+  .name { font-size: 32px; font-weight: 600; margin: 24px 0 8px; }
+  .level { font-size: 24px; margin: 0; }
+  .score { font-size: 48px; font-weight: 700; margin: 16px 0; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 16px; text-align: left; font-size: 14px; margin: 24px auto 0; max-width: 420px; }
+  dt { color: #6b7280; }
+  dd { margin: 0; word-break: break-word; }
+  .ok { color: #166534; background: #f0fdf4; padding: 8px; border-radius: 8px; font-size: 14px; }
+  .bad { color: #991b1b; background: #fef2f2; padding: 8px; border-radius: 8px; font-size: 14px; }
+  nav { margin-top: 24px; font-size: 14px; }
+  nav a { color: #111827; margin: 0 8px; }
+</style>
+</head>
+<body>
+<main>
+  <h1>English Native Check · Certificate</h1>
+  <p class="name">${c.name}</p>
+  <p class="level">${c.level}</p>
+  <p class="score">${c.score}/10</p>
+  ${badge}
+  <dl>
+    <dt>Test</dt><dd>${c.test}</dd>
+    <dt>Date</dt><dd>${escapeHtml(longDate(claims.date))}</dd>
+    <dt>Graded by</dt><dd>${c.model || "—"}</dd>
+    <dt>Certificate ID</dt><dd>${c.rid}</dd>
+  </dl>
+  <nav><a href="${escapeHtml(pdfUrl)}">Download PDF</a> · <a href="${escapeHtml(verifyUrl)}">Verification data</a></nav>
+</main>
+</body>
+</html>`;
+}
+
+/* ---- PDF ----
+ * A one-page landscape A4 PDF written by hand (standard Helvetica fonts, so
+ * nothing is embedded). Text is WinAnsi; characters outside Latin-1 print as "?".
+ */
+const pdfText = (s) =>
+  String(s ?? "").replace(/[^\x20-\xff]/g, "?").replace(/[\\()]/g, (ch) => `\\${ch}`);
+
+// Rough Helvetica advance widths (per 1pt of font size) for centering
+const approxWidth = (s, size, bold) => String(s).length * size * (bold ? 0.58 : 0.52);
+
+export function certificatePdf(claims, verifyUrl) {
+  const W = 842, H = 595;
+  const lines = [];
+  const centered = (text, y, size, bold = false) => {
+    const x = Math.max(40, (W - approxWidth(text, size, bold)) / 2);
+    lines.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(1)} ${y} Td (${pdfText(text)}) Tj ET`);
+  };
+
+  lines.push("0.07 0.09 0.15 RG 3 w 24 24 794 547 re S", "1 w 34 34 774 527 re S");
+  centered("ENGLISH NATIVE CHECK", 500, 14, true);
+  centered("Certificate of English level", 472, 20);
+  centered(claims.name, 400, 32, true);
+  centered(claims.level, 350, 24);
+  centered(`${claims.score}/10`, 290, 44, true);
+  centered(`${claims.test} · ${longDate(claims.date)}`, 230, 13);
+  centered(`Graded by ${claims.model || "unknown model"}`, 210, 11);
+  centered(`Certificate ID ${claims.rid}`, 130, 9);
+  centered("Verify this certificate at:", 112, 9);
+  // Tokens are long; wrap the link rather than cut it
+  for (let i = 0, y = 98; i < verifyUrl.length; i += 170, y -= 10) centered(verifyUrl.slice(i, i + 170), y, 7);
+
+  const stream = lines.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`,
+  ];
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(out, "latin1"));
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
@@ -0,0 +1,216 @@
+import { z } from "zod";
+import { VARIETIES, foreignSpellings, serverText } from "./locales.js";
+
+/* ---- Rule-based pre-checks ----
+ * Deterministic, offline checks that run before the LLM. Items opt into
+ * item-specific rules through `checks` in their test definition; the
+ * mechanics rules (capitalization, end punctuation, spelling, repeats) run
+ * on every answer.
+ */
+
+export const CheckSpecSchema = z.discriminatedUnion("rule", [
+  z.object({
+    rule: z.literal("wordCount"),
+    min: z.number().int().min(0).optional(),
+    max: z.number().int().positive().optional(),
+  }),
+  z.object({
+    rule: z.literal("fragments"),
+    fragments: z.array(z.string().min(1)).min(1),
+  }),
+  z.object({
+    rule: z.literal("thirdConditional"),
+  }),
+]);
+
+// Common learner misspellings → correction (kept short on purpose; this is a heuristic, not a spell-checker)
+const MISSPELLINGS = {
+  accomodate: "accommodate", acheive: "achieve", alot: "a lot", begining: "beginning",
+  beleive: "believe", becuase: "because", definately: "definitely", dissapoint: "disappoint",
+  enviroment: "environment", existance: "existence", goverment: "government",
+  independant: "independent", neccessary: "necessary", noticable: "noticeable",
+  occassion: "occasion", occured: "occurred", persue: "pursue", recieve: "receive",
+  reccomend: "recommend", seperate: "separate", thier: "their", tommorow: "tomorrow",
+  truely: "truly", untill: "until", wich: "which", wierd: "weird", writting: "writing",
+};
+
+// Base or simple-past forms that are wrong after "had"/"would have"
+const NOT_PARTICIPLES = new Set([
+  "know", "knew", "go", "went", "came", "see", "saw", "do", "did", "take", "took",
+  "give", "gave", "write", "wrote", "eat", "ate", "begin", "began", "speak", "spoke",
+  "tell", "be", "was", "were", "have", "get", "make", "call", "help", "stay", "leave", "bring",
+]);
+
+/* ---- Text helpers ---- */
+function words(text) {
+  return String(text).toLowerCase().match(/[a-z']+/g) || [];
+}
+
+function fold(text) {
+  return String(text).toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, " ").trim();
+}
+
+/* ---- Item rules ---- */
+function checkWordCount(answer, { min, max }) {
+  const n = words(answer).length;
+  const tooShort = min != null && n < min;
+  const tooLong = max != null && n > max;
+  const range = min != null && max != null ? `${min}–${max}` : min != null ? `at least ${min}` : `at most ${max}`;
+  return {
+    passed: !tooShort && !tooLong,
+    detail: `${n} words (expected ${range}).`,
+  };
+}
+
+function checkFragments(answer, { fragments }) {
+  const text = fold(answer);
+  const missing = fragments.filter((f) => !text.includes(fold(f)));
+  return {
+    passed: missing.length === 0,
+    detail: missing.length
+      ? `Missing fragment${missing.length > 1 ? "s" : ""}: ${missing.map((f) => `'${f}'`).join(", ")}.`
+      : "All fragments used verbatim.",
+  };
+}
+
+// Contractions spelled out, so "If I'd known" and "I'd have gone" read like the full forms
+function expandConditional(text) {
+  return text
+    .replace(/\bwon't\b/g, "will not")
+    .replace(/\b([a-z]+)n't\b/g, "$1 not")
+    .replace(/\b([a-z]+)'d have\b/g, "$1 would have")
+    .replace(/\b([a-z]+)'d\b/g, "$1 had");
+}
+
+export function checkThirdConditional(answer) {
+  const text = expandConditional(fold(answer));
+  if (/\bwould of\b/.test(text)) {
+    return { passed: false, detail: "Use 'would have', not 'would of'." };
+  }
+  // "would have" inside the if-clause, before any "had" ("If I would have known …")
+  if (/\bif\b(?:(?!\bhad\b)[^,.;!?])*\bwould (?:not )?have\b/.test(text)) {
+    return { passed: false, detail: "The if-clause needs the past perfect ('If I had …'), not 'would have'." };
+  }
+  // Subject of up to five words: "If I had", "If my older brother had"
+  const ifClause = text.match(/\bif(?: [a-z']+){1,5}? had (?:not |never )?([a-z']+)/);
+  if (!ifClause) {
+    return { passed: false, detail: "Expected an if-clause with 'had' + past participle (e.g. 'If I had known')." };
+  }
+  const main = text.match(/\b(?:would|could|might)(?: not| never)? have ([a-z']+)/);
+  if (!main) {
+    return { passed: false, detail: "Expected a main clause with 'would have' + past participle." };
+  }
+  const wrong = [ifClause[1], main[1]].filter((w) => NOT_PARTICIPLES.has(w));
+  if (wrong.length) {
+    return { passed: false, detail: `Use past participles after 'had' / 'would have' (not ${wrong.map((w) => `'${w}'`).join(", ")}).` };
+  }
+  return { passed: true, detail: `Third conditional form found: 'had ${ifClause[1]} … have ${main[1]}'.` };
+}
+
+const ITEM_RULES = {
+  wordCount: checkWordCount,
+  fragments: checkFragments,
+  thirdConditional: checkThirdConditional,
+};
+
+/* ---- Mechanics (every answer) ---- */
+function mechanicsChecks(answer, variety) {
+  const text = String(answer).trim();
+  const out = [];
+
+  const lowerStart = /^[a-z]/.test(text);
+  const lowerI = /(^|[\s(])i(?=[\s,.!?;:']|$)/.test(text);
+  out.push({
+    rule: "capitalization",
+    passed: !lowerStart && !lowerI,
+    detail: lowerStart ? "Start the answer with a capital letter." : lowerI ? "Capitalize the pronoun 'I'." : "OK.",
+  });
+
+  const ended = /[.!?]["')\]]?$/.test(text);
+  out.push({
+    rule: "endPunctuation",
+    passed: ended,
+    detail: ended ? "OK." : "End the sentence with a full stop, question mark or exclamation mark.",
+  });
+
+  const typos = [...new Set(words(text).filter((w) => MISSPELLINGS[w]))];
+  out.push({
+    rule: "spelling",
+    passed: typos.length === 0,
+    detail: typos.length ? `Check spelling: ${typos.map((w) => `'${w}' → '${MISSPELLINGS[w]}'`).join(", ")}.` : "OK.",
+  });
+
+  // Both spellings are correct English; only the chosen variety's is expected
+  const foreign = foreignSpellings(words(text), variety);
+  out.push({
+    rule: "variety",
+    passed: foreign.length === 0,
+    detail: foreign.length
+      ? `${VARIETIES[variety].label} spelling: ${foreign.map(([w, e]) => `'${w}' → '${e}'`).join(", ")}.`
+      : "OK.",
+  });
+
+  // "had had" / "that that" are grammatical, so they don't count as repeats
+  const repeated = [...text.matchAll(/\b([a-z]+)\s+\1\b/gi)].find((m) => !/^(had|that)$/i.test(m[1]));
+  const spacing = /\s[,.;:!?]/.test(text);
+  out.push({
+    rule: "punctuation",
+    passed: !repeated && !spacing,
+    detail: repeated
+      ? `Repeated word: '${repeated[0]}'.`
+      : spacing ? "Remove the space before punctuation." : "OK.",
+  });
+
+  return out;
+}
+
+/* ---- Public API ---- */
+// `variety`: the English variety answers are held to (see locales.js)
+export function runChecks(test, answers, { variety } = {}) {
+  const checks = [];
+  test.items.forEach((item, i) => {
+    const answer = answers[i] ?? "";
+    for (const spec of item.checks || []) {
+      const fn = ITEM_RULES[spec.rule];
+      if (!fn) continue;
+      checks.push({ part: i + 1, rule: spec.rule, ...fn(answer, spec) });
+    }
+    // Punctuation and spelling in a transcript are the recognizer's, not the speaker's
+    if (item.mode === "speech") return;
+    for (const c of mechanicsChecks(answer, variety)) checks.push({ part: i + 1, ...c });
+  });
+  return checks;
+}
+
+// Grounding block appended to the grading prompt
+export function describeChecks(checks) {
+  if (!checks.length) return "";
+  const lines = checks.map((c) => `- Part ${c.part} ${c.rule}: ${c.passed ? "PASSED" : "FAILED"} — ${c.detail}`);
+  return "Automated pre-checks (deterministic; treat as facts):\n" + lines.join("\n");
+}
+
+// Degraded score when no model answered: 2–8 per part from the pass ratio,
+// capped at 4 when an item-specific rule failed. Never claims near-native
+// without a model having read the text. `language`: the feedback language.
+export function offlineParts(test, checks, language = "en") {
+  return test.items.map((item, i) => {
+    const mine = checks.filter((c) => c.part === i + 1);
+    const passed = mine.filter((c) => c.passed).length;
+    const ratio = mine.length ? passed / mine.length : 0;
+    const failed = mine.filter((c) => !c.passed);
+    const itemRuleFailed = failed.some((c) => ITEM_RULES[c.rule]);
+    const score = Math.round(2 + 6 * ratio);
+    return {
+      part: i + 1,
+      id: item.id,
+      title: item.title,
+      weight: item.weight,
+      score: itemRuleFailed ? Math.min(score, 4) : score,
+      reasons: failed.length
+        ? serverText(language, "offline.partFlagged", { details: failed.map((c) => c.detail).join(" ") })
+        : serverText(language, "offline.partPassed"),
+      suggestions: failed.map((c) => c.detail).slice(0, 3),
+      annotations: [],
+    };
+  });
+}
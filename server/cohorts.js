@@ -0,0 +1,198 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+import { toCsv } from "./csv.js";
+import { deriveLevel } from "./grading.js";
+
+/* ---- Cohorts ----
+ * A coach's group of learners. Learners join with an invite code; the coach
+ * gets an aggregate dashboard over the attempts members made after joining.
+ * Everything here is pure: the routes load members and results from the store.
+ */
+
+export const CohortSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+});
+
+export const JoinSchema = z.object({
+  code: z.string().trim().toUpperCase().regex(/^[A-Z0-9]{8}$/),
+});
+
+// No 0/O, 1/I/L: codes get read out loud and typed from slides
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+export function inviteCode() {
+  let code = "";
+  for (let i = 0; i < 8; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const mean = (xs) => (xs.length ? round1(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+
+/* ---- Suggestion themes ----
+ * Known themes are matched by keyword (first match wins); anything else is
+ * grouped greedily with suggestions sharing most of their content words, and
+ * the group is named after its most frequent wording.
+ */
+const THEMES = [
+  ["Verb tenses", /\b(tenses?|past simple|present perfect|past perfect|verb forms?|irregular verbs?)\b/i],
+  ["Conditionals", /\bconditionals?\b/i],
+  ["Articles", /\barticles?\b/i],
+  ["Prepositions", /\bprepositions?\b/i],
+  ["Sentence structure", /\b(run-?on|fragments?|clauses?|sentence (length|structure|boundar\w*)|word order)\b/i],
+  ["Punctuation", /\b(punctuation|commas?|full stops?|apostrophes?|semicolons?)\b/i],
+  ["Spelling and capitalization", /\b(spell\w*|capitali[sz]\w*)\b/i],
+  ["Linking and cohesion", /\b(connectors?|transitions?|linking|cohesion|conjunctions?|flow)\b/i],
+  ["Idioms", /\bidioms?\b/i],
+  ["Word choice and collocation", /\b(word choice|collocations?|vocabulary|synonyms?|phrasing|register|wording)\b/i],
+  ["Examples and detail", /\b(examples?|details?|elaborat\w*|develop\w*|expand\w*)\b/i],
+  ["Fluency", /\b(fillers?|pauses?|pace|fluen\w*)\b/i],
+];
+
+const STOP_WORDS = new Set(
+  "a an the and or but to of in on for with your you it its is are be more less use try when than that this as at by from into each one".split(" ")
+);
+
+const contentWords = (s) => new Set(s.toLowerCase().match(/[a-z']+/g)?.filter((w) => w.length > 2 && !STOP_WORDS.has(w)) || []);
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/* `entries`: [{ text, learner }] (one per suggestion per attempt). Returns
+ * [{ theme, count, learners, examples }] by count, at most `max`. */
+export function suggestionThemes(entries, max = 8) {
+  const groups = new Map();
+  const loose = [];
+  const add = (key, theme, e) => {
+    const g = groups.get(key) || { theme, count: 0, learners: new Set(), wordings: new Map() };
+    g.count++;
+    g.learners.add(e.learner);
+    g.wordings.set(e.text, (g.wordings.get(e.text) || 0) + 1);
+    groups.set(key, g);
+  };
+
+  for (const e of entries) {
+    const known = THEMES.find(([, re]) => re.test(e.text));
+    if (known) add(known[0], known[0], e);
+    else loose.push(e);
+  }
+  const clusters = [];
+  for (const e of loose) {
+    const words = contentWords(e.text);
+    const home = clusters.find((c) => similarity(c.words, words) >= 0.5);
+    if (home) add(home.key, null, e);
+    else {
+      const key = `~${clusters.length}`;
+      clusters.push({ key, words });
+      add(key, null, e);
+    }
+  }
+
+  return [...groups.values()]
+    .map((g) => {
+      const wordings = [...g.wordings.entries()].sort((a, b) => b[1] - a[1]).map(([w]) => w);
+      return { theme: g.theme || wordings[0], count: g.count, learners: g.learners.size, examples: wordings.slice(0, 3) };
+    })
+    .sort((a, b) => b.count - a.count || b.learners - a.learners)
+    .slice(0, max);
+}
+
+/* ---- Dashboard ----
+ * `members`: [{ user: { id, email, name }, joinedAt }]
+ * `results`: stored results of those members (already limited to after joining)
+ * Score distribution and level counts use each learner's latest attempt, so
+ * one learner retaking a test doesn't skew the picture; part weaknesses and
+ * themes use every attempt.
+ */
+export function cohortDashboard(members, results) {
+  const byLearner = new Map(members.map((m) => [m.user.id, []]));
+  for (const r of results) byLearner.get(r.user)?.push(r);
+  for (const list of byLearner.values()) list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const latest = [...byLearner.values()].map((list) => list[0]).filter(Boolean);
+  const latestScores = latest.map((r) => r.result?.score).filter(Number.isFinite);
+
+  // Bands 0–1 … 9–10 (a 10 goes in the top band)
+  const distribution = Array.from({ length: 10 }, (_, i) => ({ band: `${i}–${i + 1}`, count: 0 }));
+  for (const s of latestScores) distribution[Math.min(9, Math.floor(s))].count++;
+
+  const levels = {};
+  for (const s of latestScores) levels[deriveLevel(s)] = (levels[deriveLevel(s)] || 0) + 1;
+
+  const parts = new Map();
+  for (const r of results) {
+    for (const p of r.result?.parts || []) {
+      if (!Number.isFinite(p.score)) continue;
+      const key = `${r.testId}:${p.id || p.part}`;
+      const entry = parts.get(key) || { testId: r.testId, id: p.id || null, title: p.title || `Part ${p.part}`, scores: [] };
+      entry.scores.push(p.score);
+      parts.set(key, entry);
+    }
+  }
+  const weaknesses = [...parts.values()]
+    .map(({ scores, ...rest }) => ({
+      ...rest,
+      attempts: scores.length,
+      mean: mean(scores),
+      // Share of attempts below Intermediate on this part
+      weakShare: round1(scores.filter((s) => s < 5).length / scores.length),
+    }))
+    .sort((a, b) => a.mean - b.mean);
+
+  const themes = suggestionThemes(
+    results.flatMap((r) => (r.result?.suggestions || []).map((text) => ({ text, learner: r.user })))
+  );
+
+  const learners = members.map((m) => {
+    const list = byLearner.get(m.user.id) || [];
+    const scores = list.map((r) => r.result?.score).filter(Number.isFinite);
+    return {
+      id: m.user.id,
+      email: m.user.email,
+      name: m.user.name || "",
+      joinedAt: m.joinedAt,
+      attempts: list.length,
+      latest: list[0] ? { score: list[0].result?.score, level: list[0].result?.level, testId: list[0].testId, at: list[0].createdAt } : null,
+      best: scores.length ? Math.max(...scores) : null,
+      mean: mean(scores),
+    };
+  });
+
+  return {
+    members: members.length,
+    attempts: results.length,
+    meanScore: mean(latestScores),
+    distribution,
+    levels,
+    weaknesses,
+    themes,
+    learners,
+  };
+}
+
+/* ---- CSV export ---- */
+// One row per attempt; part scores go in part1…partN columns
+export function resultsCsv(members, results) {
+  const users = new Map(members.map((m) => [m.user.id, m.user]));
+  const width = Math.max(0, ...results.map((r) => r.result?.parts?.length || 0));
+  const header = ["learner_id", "email", "name", "result_id", "date", "test", "score", "level", "model", "quality", "integrity_flagged"];
+  for (let i = 1; i <= width; i++) header.push(`part${i}`);
+
+  const rows = [...results]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map((r) => {
+      const u = users.get(r.user) || {};
+      const parts = r.result?.parts || [];
+      return [
+        r.user, u.email, u.name, r.id, r.createdAt, r.testId, r.result?.score, r.result?.level, r.model,
+        r.degraded ? "degraded" : r.quality,
+        r.integrity ? String(r.integrity.flagged) : "",
+        ...Array.from({ length: width }, (_, i) => parts[i]?.score),
+      ];
+    });
+  return toCsv([header, ...rows]);
+}
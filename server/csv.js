@@ -0,0 +1,14 @@
+/* ---- CSV ----
+ * RFC 4180 with CRLF line ends, plus spreadsheet-formula neutralizing: a cell
+ * starting with =, +, - or @ is prefixed with ' so it isn't evaluated.
+ */
+export function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  const safe = /^[=+\-@]/.test(s) ? `'${s}` : s;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// `rows`: arrays of cells, header first
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,107 @@
+import { z } from "zod";
+
+/* ---- Near-duplicate submissions ----
+ * Flags an answer that is (almost) the same text another learner already
+ * submitted for the same part of the same test: shared essays, answers copied
+ * from a chatbot, a model answer passed around a class. Each long enough
+ * answer becomes a set of word 5-grams ("shingles"); two answers match when
+ * the Jaccard similarity of their sets reaches DUPLICATE_THRESHOLD.
+ * The index lives in memory, holds the last DUPLICATE_WINDOW results and is
+ * rebuilt from the store at startup. Flags go to staff for review; nothing
+ * here changes a score.
+ */
+
+export const DUPLICATE_MIN_WORDS = Number(process.env.DUPLICATE_MIN_WORDS) || 25;
+export const DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_THRESHOLD) || 0.8;
+export const DUPLICATE_WINDOW = Number(process.env.DUPLICATE_WINDOW) || 2000;
+const SHINGLE_WORDS = 5;
+
+export const FlagStatusSchema = z.object({
+  status: z.enum(["open", "dismissed", "confirmed"]),
+  note: z.string().trim().max(500).optional(),
+});
+
+// Short answers ("I haven't seen him") legitimately repeat, so they get no shingles
+export function shingles(text) {
+  const words = String(text).toLowerCase().normalize("NFC").match(/[\p{L}\p{N}']+/gu) || [];
+  if (words.length < DUPLICATE_MIN_WORDS) return null;
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) set.add(words.slice(i, i + SHINGLE_WORDS).join(" "));
+  return set;
+}
+
+// Only fixed-test attempts: adaptive sessions put different items behind the same index
+const indexable = (r) => r?.user && r.testId && !r.sessionId && Array.isArray(r.answers);
+
+export function createDuplicateIndex({ window = DUPLICATE_WINDOW, threshold = DUPLICATE_THRESHOLD } = {}) {
+  const entries = new Map(); // resultId → { user, parts: [{ key, shingles }] }, oldest first
+  const postings = new Map(); // `${testId}:${part}` → Map(shingle → Set(resultId))
+
+  function evictOldest() {
+    const [id, entry] = entries.entries().next().value;
+    entries.delete(id);
+    for (const { key, shingles: set } of entry.parts) {
+      const bucket = postings.get(key);
+      for (const s of set) {
+        const ids = bucket.get(s);
+        ids.delete(id);
+        if (!ids.size) bucket.delete(s);
+      }
+    }
+  }
+
+  return {
+    /* Matches of `record` (a stored result) against earlier results of other
+     * learners: [{ part, resultId, user, similarity }], best first. */
+    matches(record) {
+      if (!indexable(record)) return [];
+      const found = [];
+      record.answers.forEach((answer, i) => {
+        const set = shingles(answer);
+        const bucket = postings.get(`${record.testId}:${i}`);
+        if (!set || !bucket) return;
+        const shared = new Map(); // resultId → shingles in common
+        for (const s of set) {
+          for (const id of bucket.get(s) || []) shared.set(id, (shared.get(id) || 0) + 1);
+        }
+        for (const [id, common] of shared) {
+          const other = entries.get(id);
+          if (!other || other.user === record.user) continue;
+          const size = other.parts.find((p) => p.key === `${record.testId}:${i}`).shingles.size;
+          const similarity = common / (set.size + size - common);
+          if (similarity >= threshold) found.push({ part: i + 1, resultId: id, user: other.user, similarity: Math.round(similarity * 100) / 100 });
+        }
+      });
+      return found.sort((a, b) => b.similarity - a.similarity);
+    },
+
+    add(record) {
+      if (!indexable(record) || entries.has(record.id)) return;
+      const parts = [];
+      record.answers.forEach((answer, i) => {
+        const set = shingles(answer);
+        if (!set) return;
+        const key = `${record.testId}:${i}`;
+        const bucket = postings.get(key) || new Map();
+        for (const s of set) {
+          if (!bucket.has(s)) bucket.set(s, new Set());
+          bucket.get(s).add(record.id);
+        }
+        postings.set(key, bucket);
+        parts.push({ key, shingles: set });
+      });
+      if (!parts.length) return;
+      entries.set(record.id, { user: record.user, parts });
+      while (entries.size > window) evictOldest();
+    },
+
+    // Load the most recent results (the store lists newest first)
+    async load(results) {
+      const { items } = await results.list({ limit: window });
+      for (const r of items.reverse()) this.add(r);
+      return entries.size;
+    },
+
+    size: () => entries.size,
+  };
+}
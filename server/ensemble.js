@@ -0,0 +1,98 @@
+import { dedupeSuggestions, deriveLevel, normalizeResult, weightedScore } from "./grading.js";
+
+/* ---- Ensemble grading ----
+ * Several models (optionally several samples each) grade the same answers;
+ * their normalized verdicts are combined here. Calling the models is the
+ * pipeline's job; this module only aggregates.
+ */
+
+const list = (v) => (v || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+export const ENSEMBLE_MODELS = list(process.env.ENSEMBLE_MODELS);
+export const ENSEMBLE_SAMPLES = Math.max(1, Math.min(5, Number(process.env.ENSEMBLE_SAMPLES) || 1));
+// Repeated samples need some randomness to be worth taking
+export const ENSEMBLE_TEMPERATURE = Number(process.env.ENSEMBLE_TEMPERATURE ?? 0.7);
+export const ENSEMBLE_AGGREGATE = process.env.ENSEMBLE_AGGREGATE === "trimmed" ? "trimmed" : "median";
+// Overall scores further apart than this (max − min) mark the result low-confidence
+export const ENSEMBLE_MAX_SPREAD = Number(process.env.ENSEMBLE_MAX_SPREAD) || 2;
+
+/* ---- Statistics ---- */
+export function median(xs) {
+  const s = xs.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Mean after dropping the top and bottom `frac` of values (at least one each side once n ≥ 3)
+export function trimmedMean(xs, frac = 0.2) {
+  const s = xs.slice().sort((a, b) => a - b);
+  const k = s.length >= 3 ? Math.max(1, Math.floor(s.length * frac)) : 0;
+  const kept = s.slice(k, s.length - k);
+  return kept.reduce((a, b) => a + b, 0) / kept.length;
+}
+
+function stdev(xs) {
+  const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+  return Math.sqrt(xs.reduce((a, x) => a + (x - m) ** 2, 0) / xs.length);
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/* ---- Aggregation ----
+ * `verdicts`: [{ model, sample, out }] where `out` is the parsed model JSON.
+ * Returns the combined result (same shape as normalizeResult) plus the
+ * ensemble summary for `_meta`. `answers` place the annotations.
+ */
+export function aggregateVerdicts(verdicts, test, { answers, method = ENSEMBLE_AGGREGATE, maxSpread = ENSEMBLE_MAX_SPREAD } = {}) {
+  const agg = method === "trimmed" ? trimmedMean : median;
+  const normalized = verdicts.map((v) => ({ ...v, result: normalizeResult(v.out, test, answers) }));
+
+  const overallScores = normalized.map((v) => v.result.score);
+  const parts = test.items.map((_item, i) => {
+    const mine = normalized.map((v) => v.result.parts[i]);
+    return {
+      ...mine[0],
+      score: round1(agg(mine.map((p) => p.score))),
+      suggestions: dedupeSuggestions(mine.flatMap((p) => p.suggestions), 3),
+    };
+  });
+  const score = weightedScore(parts);
+
+  // Prose and annotations come from the verdict closest to the aggregate, so they match the number
+  const representative = normalized.reduce((best, v) =>
+    Math.abs(v.result.score - score) < Math.abs(best.result.score - score) ? v : best
+  );
+  parts.forEach((p, i) => {
+    p.reasons = representative.result.parts[i].reasons;
+    p.annotations = representative.result.parts[i].annotations;
+  });
+
+  const spread = round1(Math.max(...overallScores) - Math.min(...overallScores));
+  const sd = stdev(overallScores);
+  const lowConfidence = normalized.length < 2 || spread > maxSpread;
+
+  return {
+    result: {
+      score,
+      level: deriveLevel(score),
+      reasons: representative.result.reasons,
+      suggestions: dedupeSuggestions(normalized.flatMap((v) => v.result.suggestions), 6),
+      parts,
+      lowConfidence,
+    },
+    ensemble: {
+      aggregate: method,
+      // 1 = identical overall scores; 0 = a standard deviation of 2.5 points or more
+      agreement: Math.round(Math.max(0, 1 - sd / 2.5) * 100) / 100,
+      spread,
+      lowConfidence,
+      verdicts: normalized.map((v) => ({
+        model: v.model,
+        sample: v.sample,
+        score: v.result.score,
+        level: v.result.level,
+        parts: v.result.parts.map((p) => p.score),
+      })),
+    },
+  };
+}
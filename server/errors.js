@@ -0,0 +1,66 @@
+/* ---- Error classification ----
+ * Provider SDKs, fetch and our own validation fail in many shapes; routes,
+ * metrics and model health only need to know which kind of failure it was:
+ *   timeout       the model took too long (or the connection timed out) → 504
+ *   rate_limited  the provider is throttling us (HTTP 429)               → 429 + Retry-After
+ *   bad_output    the model answered, but never with usable JSON         → 502
+ *   upstream      any other provider failure (5xx, auth, network)        → 503
+ *   aborted       the client went away; nothing to send
+ *   internal      a bug or storage failure on our side                   → 500
+ */
+
+export const ERROR_STATUS = {
+  timeout: 504,
+  rate_limited: 429,
+  bad_output: 502,
+  upstream: 503,
+  internal: 500,
+};
+
+// Seconds a client should wait after a rate_limited response
+export const RETRY_AFTER_SEC = Number(process.env.RETRY_AFTER_SEC) || 30;
+
+// An Error already known to be of `kind` (thrown by the pipeline itself)
+export function kindError(kind, message) {
+  const err = new Error(message);
+  err.kind = kind;
+  return err;
+}
+
+export function classifyError(e, { signal } = {}) {
+  if (e?.kind) return e.kind;
+  if (signal?.aborted) return "aborted";
+  const status = Number(e?.status) || 0;
+  const name = String(e?.name || "");
+  const code = String(e?.code || e?.cause?.code || "");
+  const msg = String(e?.message || "");
+  if (status === 429 || /rate.?limit|too many requests/i.test(msg)) return "rate_limited";
+  if (status === 408 || status === 504 || name === "TimeoutError" || /timeout/i.test(name) ||
+      ["ETIMEDOUT", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT"].includes(code) || /timed? ?out/i.test(msg)) {
+    return "timeout";
+  }
+  if (status || /^(APIConnectionError|APIError|FetchError)$/.test(name) ||
+      ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN"].includes(code) || /fetch failed/i.test(msg)) {
+    return "upstream";
+  }
+  return "internal";
+}
+
+// Status, headers and body for a failed request; `requestId` lets users quote it to support
+export function errorResponse(e, { requestId, signal } = {}) {
+  const kind = classifyError(e, { signal });
+  const status = ERROR_STATUS[kind] || 500;
+  const message = kind === "internal"
+    ? "Something went wrong on our side"
+    : (e?.message ? String(e.message) : "Upstream provider error");
+  return {
+    kind,
+    status,
+    headers: kind === "rate_limited" ? { "Retry-After": String(RETRY_AFTER_SEC) } : {},
+    body: { error: message, kind, requestId },
+  };
+}
+
+// Route handler wrapper: Express 4 ignores rejected promises, so an async
+// handler's failure is passed to next() and reaches the app's error handler
+export const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
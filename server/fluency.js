@@ -0,0 +1,99 @@
+/* ---- Fluency markers for spoken answers ----
+ * Measured from the transcript and its segment timings, not judged by the
+ * model: speaking rate, filler words and long pauses. Timings are per ASR
+ * segment, so pauses inside a segment go unseen; treat them as a floor.
+ *
+ * Pronunciation notes are the words the recognizer was least sure of. Low
+ * confidence usually means a sound was unclear, but noise and rare names do
+ * it too, so they are hints for the learner, not a pronunciation score.
+ */
+
+export const LONG_PAUSE_SEC = Number(process.env.LONG_PAUSE_SEC) || 1.5;
+// Words recognized with less confidence than this are noted, at most MAX_NOTES per answer
+export const UNCLEAR_WORD_CONFIDENCE = Number(process.env.UNCLEAR_WORD_CONFIDENCE) || 0.6;
+const MAX_NOTES = 6;
+
+// "like" only counts between commas ("it was, like, huge"); elsewhere it is a real word
+const FILLERS = [
+  ["um", /\bu+m+\b/g],
+  ["uh", /\bu+h+\b/g],
+  ["er", /\ber+m?\b/g],
+  ["hmm", /\bhm+\b/g],
+  ["you know", /\byou know\b/g],
+  ["I mean", /\bi mean\b/g],
+  ["like", /,\s*like\s*,/g],
+];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const FILLER_WORDS = new Set(["um", "uh", "er", "erm", "hmm", "like", "mean", "know"]);
+
+/* `words`: [{ text, start, probability }] from the ASR, or undefined when the
+ * engine gives no word confidences (then null, as nothing was measured).
+ * Returns [{ word, at, confidence }] in speaking order, each word once. */
+export function pronunciationNotes(words) {
+  if (!Array.isArray(words)) return null;
+  const lowest = new Map();
+  for (const w of words) {
+    const word = String(w.text || "").toLowerCase().replace(/[^a-z']/g, "");
+    if (word.length < 3 || FILLER_WORDS.has(word) || !(w.probability < UNCLEAR_WORD_CONFIDENCE)) continue;
+    if (!lowest.has(word) || w.probability < lowest.get(word).confidence) {
+      lowest.set(word, { word, at: Number.isFinite(w.start) ? round1(w.start) : null, confidence: Math.round(w.probability * 100) / 100 });
+    }
+  }
+  return [...lowest.values()]
+    .sort((a, b) => a.confidence - b.confidence)
+    .slice(0, MAX_NOTES)
+    .sort((a, b) => (a.at ?? 0) - (b.at ?? 0));
+}
+
+// `transcript`: { text, segments: [{ start, end, text }], words?, durationSec } from asr/
+export function measureFluency({ text, segments = [], words: timedWords, durationSec = null }) {
+  const lower = String(text).toLowerCase();
+  const fillerWords = {};
+  let fillers = 0, fillerTokens = 0;
+  for (const [label, re] of FILLERS) {
+    const n = (lower.match(re) || []).length;
+    if (!n) continue;
+    fillerWords[label] = n;
+    fillers += n;
+    fillerTokens += n * label.split(" ").length;
+  }
+  const words = (lower.match(/[a-z']+/g) || []).length;
+
+  const timed = segments
+    .filter((s) => Number.isFinite(s.start) && Number.isFinite(s.end) && s.end >= s.start)
+    .sort((a, b) => a.start - b.start);
+  // Leading and trailing silence is not speaking time
+  const speakingSec = timed.length ? timed[timed.length - 1].end - timed[0].start : durationSec;
+  const pauses = timed.slice(1).map((s, i) => s.start - timed[i].end).filter((gap) => gap >= LONG_PAUSE_SEC);
+
+  return {
+    durationSec: durationSec ?? (speakingSec ? round1(speakingSec) : null),
+    words,
+    // Fillers are not content, so they don't inflate the rate
+    wordsPerMinute: speakingSec > 0 ? Math.round(((words - fillerTokens) / speakingSec) * 60) : null,
+    fillers,
+    fillerWords,
+    longPauses: pauses.length,
+    longestPauseSec: pauses.length ? round1(Math.max(...pauses)) : 0,
+    pronunciation: pronunciationNotes(timedWords),
+  };
+}
+
+// Grounding block appended to the grading prompt, like describeChecks
+export function describeFluency(speech) {
+  if (!speech?.length) return "";
+  const lines = speech.map((s) => {
+    const fillers = Object.entries(s.fillerWords).map(([w, n]) => `${w} ×${n}`).join(", ");
+    return `- Part ${s.part}: ${s.wordsPerMinute ?? "unknown"} words/min, ${s.fillers} filler words${fillers ? ` (${fillers})` : ""}, ` +
+      `${s.longPauses} pause${s.longPauses === 1 ? "" : "s"} over ${LONG_PAUSE_SEC} s${s.longPauses ? ` (longest ${s.longestPauseSec} s)` : ""}` +
+      `${s.durationSec ? `, ${s.durationSec} s of audio` : ""}.` +
+      (s.pronunciation?.length
+        ? ` Possibly unclear words (recognizer confidence): ${s.pronunciation.map((n) => `"${n.word}" ${Math.round(n.confidence * 100)}%`).join(", ")}.`
+        : "");
+  });
+  return "Fluency markers for spoken parts (measured from the audio; treat as facts):\n" + lines.join("\n") +
+    (speech.some((s) => s.pronunciation?.length)
+      ? "\nUnclear words may be mispronounced; mention pronunciation only where the transcript supports it."
+      : "");
+}
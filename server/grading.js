@@ -0,0 +1,250 @@
+import { z } from "zod";
+import { describeTasks, describeWeights } from "./banks.js";
+import { offlineParts } from "./checks.js";
+import { DEFAULT_VARIETY, FEEDBACK_LANGUAGES, VARIETIES, serverText } from "./locales.js";
+import { ANNOTATION_CATEGORIES, AnnotationSchema, verifyAnnotations } from "./annotations.js";
+
+/* ---- Grading: prompt building and model-output normalization ----
+ * Pure functions shared by the /assess pipeline and the ensemble grader.
+ */
+
+/* ---- PROMPTS (tight JSON discipline) ---- */
+export const SYSTEM_PROMPT = [
+  "You are a calibrated linguistics examiner.",
+  "Return EXACTLY ONE JSON object. No markdown fences. No commentary before or after.",
+  "Tailor feedback to the user’s actual answers; avoid boilerplate.",
+].join(" ");
+
+// Placeholders: {{n}} part count, {{tasks}} task list, {{weights}} part weights,
+// {{categories}} annotation categories, {{variety}} target English variety,
+// {{language}} feedback language.
+// Calibration runs can swap in another template to compare prompts.
+export const GRADING_TEMPLATE = `
+You are evaluating a {{n}}-part English proficiency task. Return ONLY one JSON object (no fences):
+
+{
+ "parts": [                       // exactly {{n}} entries, one per part, in order
+   {
+     "part": number,              // 1–{{n}}
+     "score": number,             // integer 0–10 for THIS part only
+     "reasons": string,           // 1–2 sentences, specific to this answer
+     "suggestions": string[],     // 1–3 concise, targeted actions for this part
+     "annotations": [             // 0–5 specific errors in THIS answer
+       {
+         "quote": string,         // the erroneous words, copied EXACTLY from the answer
+         "category": string,      // one of: {{categories}}
+         "correction": string,    // replacement for the quoted text ("" to delete it)
+         "explanation": string    // one short sentence
+       }
+     ]
+   }
+ ],
+ "reasons": string,               // 2–4 sentences overall. Be SPECIFIC to the user's errors/strengths.
+ "suggestions": string[]          // 3–6 concise, targeted actions tied to the user's responses
+}
+
+Tasks that the user answered (the answers follow AFTER this spec):
+{{tasks}}
+
+Target variety: {{variety}} Accept its spelling, vocabulary, idiom and grammar; do not mark them as errors. Inconsistent mixing of varieties within one answer is at most a minor style point.
+Write all reasons, suggestions and annotation explanations in {{language}}; "quote" and "correction" always stay in English.
+
+Score each part on its own; the overall score is computed from the part scores ({{weights}}).
+If automated pre-checks are listed after the responses, treat them as facts: reflect FAILED checks in that part's score and reasons.
+
+Scoring rubric (anchor):
+0–2: heavy grammar/usage errors; unclear meaning
+3–4: frequent errors; limited cohesion or idiomatic control
+5–6: mostly correct; some issues with cohesion/idioms/style
+7–8: strong control; minor style or idiom slips
+9: near-native; rare slips
+10: native-like
+
+Important output rules:
+- Output ONLY the JSON object, no extra text.
+- reasons: MUST reference concrete issues present (e.g., tense error in one part, vague idiom explanation, unnatural collocation). Avoid generic phrases like "practice more".
+- suggestions: MUST be specific and actionable (e.g., "Practice third conditional: 'If I had known, I would have ...'"). Avoid duplicates and vague advice.
+- Keep wording tight and non-repetitive.
+`;
+
+export function buildGradingInstr(test, template = GRADING_TEMPLATE, { variety = DEFAULT_VARIETY, language = "en" } = {}) {
+  const values = {
+    n: String(test.items.length),
+    tasks: describeTasks(test),
+    weights: describeWeights(test),
+    categories: ANNOTATION_CATEGORIES.join(", "),
+    variety: VARIETIES[variety].prompt,
+    language: FEEDBACK_LANGUAGES[language],
+  };
+  return template.replace(/\{\{(n|tasks|weights|categories|variety|language)\}\}/g, (_m, key) => values[key]);
+}
+
+/* ---- Model output schema ----
+ * What GRADING_TEMPLATE asks for. Replies that fail it are sent back to the
+ * model with the specific problems (see pipeline.js) instead of being
+ * quietly coerced into a score.
+ */
+export function outputSchema(test) {
+  const n = test.items.length;
+  const text = z.string().trim().min(1);
+  return z.object({
+    parts: z.array(z.object({
+      part: z.number().int().min(1).max(n),
+      score: z.number().min(0).max(10),
+      reasons: text,
+      suggestions: z.array(text),
+      annotations: z.array(AnnotationSchema).max(8).optional(),
+    })).length(n).superRefine((parts, ctx) => {
+      const seen = new Set(parts.map((p) => p.part));
+      if (seen.size !== parts.length) ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Each part number 1–${n} must appear exactly once` });
+    }),
+    reasons: text,
+    suggestions: z.array(text).min(1),
+  });
+}
+
+// [] when `out` matches the schema, otherwise readable problems like "parts[2].score: Required"
+export function validateOutput(out, test) {
+  const r = outputSchema(test).safeParse(out);
+  if (r.success) return [];
+  return r.error.issues.map((i) => {
+    const where = i.path.map((k) => (typeof k === "number" ? `[${k}]` : `.${k}`)).join("").replace(/^\./, "");
+    return `${where || "(root)"}: ${i.message}`;
+  });
+}
+
+export function buildRepairInstr(raw, issues) {
+  return [
+    "Your previous reply did not match the required JSON format. Problems:",
+    ...issues.map((i) => `- ${i}`),
+    "",
+    "Previous reply:",
+    String(raw).slice(0, 4000),
+    "",
+    "Return the complete corrected JSON object only. Fix exactly these problems and keep every score and comment that was already valid.",
+  ].join("\n");
+}
+
+/* ---- Helpers ---- */
+export function extractJson(raw) {
+  if (!raw || typeof raw !== "string") throw new Error("Empty response");
+  let s = raw.trim();
+  const fence = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence?.[1]) s = fence[1].trim();
+  const first = s.indexOf("{");
+  const last = s.lastIndexOf("}");
+  if (first !== -1 && last !== -1 && last > first) s = s.slice(first, last + 1);
+  return JSON.parse(s);
+}
+
+export function deriveLevel(score) {
+  const s = Math.round(Number(score) || 0);
+  if (s >= 10) return "Native-like";
+  if (s >= 9)  return "Near-native";
+  if (s >= 7)  return "Advanced";
+  if (s >= 5)  return "Intermediate";
+  return "Beginner";
+}
+
+function clampScore(n) {
+  return Math.max(0, Math.min(10, Math.round(Number(n ?? 0))));
+}
+
+export function dedupeSuggestions(list, max = 6) {
+  const cleaned = (Array.isArray(list) ? list : [])
+    .map((s) => (typeof s === "string" ? s.trim() : ""))
+    .filter((s) => s.length > 0);
+
+  // De-dup and filter generic lines
+  const deDuped = [];
+  const seen = new Set();
+  for (const s of cleaned) {
+    const key = s.toLowerCase().replace(/\W+/g, " ").trim();
+    if (key.length < 6) continue;
+    if (/(practice more|improve vocabulary|work on grammar|be concise)/i.test(s)) continue;
+    if (!seen.has(key)) { seen.add(key); deDuped.push(s); }
+    if (deDuped.length >= max) break;
+  }
+  return deDuped;
+}
+
+const isScore = (n) => n !== null && n !== "" && Number.isFinite(Number(n));
+
+// `defaulted` collects the fields the model did not supply; `report.unverified`
+// counts annotations whose quote was not found in the answer
+function normalizeParts(rawParts, overallScore, items, answers, defaulted, report) {
+  const list = Array.isArray(rawParts) ? rawParts : [];
+  // Prefer an explicit part number; otherwise fall back to position
+  const found = items.map((_item, i) => list.find((x) => Number(x?.part) === i + 1) || list[i] || {});
+  const given = found.map((p) => p.score).filter(isScore).map(Number);
+  // A part without a score borrows the model's overall score, else the other parts' mean;
+  // never 0, which would read as a real (terrible) grade
+  const standIn = isScore(overallScore) ? Number(overallScore) : given.length ? given.reduce((a, b) => a + b, 0) / given.length : null;
+  if (standIn === null) throw new Error("Model output contains no scores");
+
+  return items.map((item, i) => {
+    const p = found[i];
+    if (!isScore(p.score)) defaulted.push(`parts[${i}].score`);
+    const reasons = (p.reasons && String(p.reasons).trim()) || "";
+    if (!reasons) defaulted.push(`parts[${i}].reasons`);
+    const { annotations, dropped } = verifyAnnotations(answers?.[i], p.annotations);
+    report.unverified += dropped;
+    return {
+      part: i + 1,
+      id: item.id,
+      title: item.title,
+      weight: item.weight,
+      score: clampScore(isScore(p.score) ? p.score : standIn),
+      reasons,
+      suggestions: dedupeSuggestions(p.suggestions, 3),
+      annotations,
+    };
+  });
+}
+
+export function weightedScore(parts) {
+  // Computed here rather than trusting the model's arithmetic
+  const total = parts.reduce((sum, p) => sum + p.score * p.weight, 0);
+  return Math.round(total * 10) / 10;
+}
+
+// Lenient: fills gaps rather than failing, and lists them in `defaulted`
+// (the pipeline reports that in _meta). Missing text stays empty; nothing is invented.
+// `answers` are needed to place annotations; without them parts carry none.
+export function normalizeResult(out, test, answers) {
+  const obj = Array.isArray(out) ? out[0] : out;
+  const defaulted = [];
+  const report = { unverified: 0 };
+  const parts = normalizeParts(obj?.parts, obj?.score, test.items, answers, defaulted, report);
+  const scoreNum = weightedScore(parts);
+  const reasons = (obj?.reasons && String(obj.reasons).trim()) || "";
+  if (!reasons) defaulted.push("reasons");
+  if (!Array.isArray(obj?.suggestions) || !obj.suggestions.length) defaulted.push("suggestions");
+
+  return {
+    score: scoreNum,
+    level: deriveLevel(scoreNum),
+    reasons,
+    suggestions: dedupeSuggestions(obj?.suggestions, 6),
+    parts,
+    defaulted,
+    unverifiedAnnotations: report.unverified,
+  };
+}
+
+// Used when every model attempt failed: score from the rule checks alone
+export function offlineResult(test, checks, language = "en") {
+  const parts = offlineParts(test, checks, language);
+  const scoreNum = weightedScore(parts);
+  const failed = checks.filter((c) => !c.passed);
+  return {
+    score: scoreNum,
+    level: deriveLevel(scoreNum),
+    reasons: `${serverText(language, "offline.reasons")} ` +
+      (failed.length
+        ? serverText(language, "offline.failed", { failed: failed.length, total: checks.length })
+        : serverText(language, "offline.passed")),
+    suggestions: dedupeSuggestions(failed.map((c) => serverText(language, "offline.suggestion", { part: c.part, detail: c.detail })), 6),
+    parts,
+  };
+}
@@ -0,0 +1,52 @@
+import { gauge } from "./metrics.js";
+
+/* ---- Model health ----
+ * Rolling success rate per model over its last HEALTH_WINDOW calls, counting
+ * only calls from the last HEALTH_TTL_SEC seconds. A model with at least
+ * HEALTH_MIN_CALLS recent calls and a rate below HEALTH_THRESHOLD is
+ * "failing": robustAsk tries it after the healthy models instead of first, so
+ * an outage costs one timeout per request instead of one per model. Nothing is
+ * ever dropped from the chain, and as the failures age out the model moves
+ * back to its configured place.
+ */
+
+const HEALTH_WINDOW = Number(process.env.HEALTH_WINDOW) || 20;
+const HEALTH_TTL_SEC = Number(process.env.HEALTH_TTL_SEC) || 300;
+const HEALTH_MIN_CALLS = Number(process.env.HEALTH_MIN_CALLS) || 3;
+const HEALTH_THRESHOLD = Number(process.env.HEALTH_THRESHOLD) || 0.5;
+
+const history = new Map(); // model → [{ at, ok }], oldest first
+
+function recent(model) {
+  const cutoff = Date.now() - HEALTH_TTL_SEC * 1000;
+  const list = (history.get(model) || []).filter((c) => c.at >= cutoff);
+  history.set(model, list);
+  return list;
+}
+
+export function recordCall(model, ok) {
+  const list = recent(model);
+  list.push({ at: Date.now(), ok });
+  if (list.length > HEALTH_WINDOW) list.splice(0, list.length - HEALTH_WINDOW);
+}
+
+// { score: 0..1 (1 with no recent calls), calls, failing }
+export function modelHealth(model) {
+  const list = recent(model);
+  const score = list.length ? list.filter((c) => c.ok).length / list.length : 1;
+  return { score: Math.round(score * 100) / 100, calls: list.length, failing: list.length >= HEALTH_MIN_CALLS && score < HEALTH_THRESHOLD };
+}
+
+// Healthy models first, each group in configured order
+export function healthOrder(models) {
+  const failing = new Set(models.filter((m) => modelHealth(m).failing));
+  return [...models.filter((m) => !failing.has(m)), ...models.filter((m) => failing.has(m))];
+}
+
+export function healthSnapshot() {
+  return Object.fromEntries([...history.keys()].map((m) => [m, modelHealth(m)]));
+}
+
+gauge("model_health_score", "Rolling share of successful calls per model (1 with no recent calls)", () =>
+  Object.entries(healthSnapshot()).map(([model, h]) => ({ labels: { model }, value: h.score }))
+);
@@ -1,21 +1,124 @@
-import dotenv from "dotenv";
-dotenv.config();
+// Load .env before any local module reads process.env at import time
+import "dotenv/config";
+import crypto from "node:crypto";
 import express from "express";
 import cors from "cors";
 import rateLimit from "express-rate-limit";
-import OpenAI from "openai";
-import { z } from "zod";
+import multer from "multer";
+import {
+  DEFAULT_TEST_ID,
+  answersSchema,
+  getTest,
+  listTests,
+  publicItem,
+  publicTest,
+} from "./banks.js";
+import { ADAPTIVE_TEST_ID, estimate, itemTest, pickNext, sessionResult } from "./adaptive.js";
+import { CohortSchema, JoinSchema, cohortDashboard, inviteCode, resultsCsv } from "./cohorts.js";
+import { ApiKeySchema, createApiKey, publicApiKey, refundQuota, remainingQuota, requireApiKey, reserveQuota } from "./apikeys.js";
+import {
+  BATCH_MAX_ITEMS,
+  batchSchema,
+  createBatchWorker,
+  deliverWebhook,
+  itemsCsv,
+  itemsJsonl,
+  jobView,
+  serialized,
+  webhookProblem,
+} from "./batch.js";
+import {
+  certifiable,
+  certificateClaims,
+  certificatePage,
+  certificatePdf,
+  issueCertificate,
+  readCertificate,
+} from "./certificates.js";
+import { createResponseCache } from "./cache.js";
+import { FlagStatusSchema, createDuplicateIndex } from "./duplicates.js";
+import { ENSEMBLE_MODELS, ENSEMBLE_SAMPLES } from "./ensemble.js";
+import { asyncHandler, errorResponse, kindError } from "./errors.js";
+import { healthSnapshot } from "./health.js";
+import { errorFields, log } from "./logger.js";
+import { httpDuration, httpRequests, integrityReports, renderMetrics } from "./metrics.js";
+import { ASSESS_MODE, DEFAULT_MODEL, FALLBACK_MODELS, grade } from "./pipeline.js";
+import { createStore } from "./store.js";
+import { DEFAULT_ASR, transcribe } from "./asr/index.js";
+import { measureFluency } from "./fluency.js";
+import { PartTelemetrySchema, integrityReport, parseTelemetry } from "./integrity.js";
+import { DEFAULT_VARIETY, FEEDBACK_LANGUAGES, LOCALE_ERROR, VARIETIES, resolveLocale } from "./locales.js";
+import {
+  DrillAnswerSchema,
+  DrillRequestSchema,
+  PRACTICE_SKILLS,
+  buildDrill,
+  getExercise,
+  gradeExercise,
+  masteryView,
+  nextMastery,
+  publicExercise,
+  weaknesses,
+} from "./practice.js";
+import { DEFAULT_PROVIDER } from "./providers/index.js";
+import {
+  LoginSchema,
+  ROLES,
+  SignupSchema,
+  authenticate,
+  hashPassword,
+  initialRole,
+  isAdmin,
+  isStaff,
+  issueToken,
+  publicUser,
+  requireAuth,
+  requireRole,
+  verifyPassword,
+} from "./auth.js";
 
 const app = express();
 app.set("trust proxy", true);
 
 /* ---- ENV ---- */
 const BASE_URL = process.env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1";
-const DEFAULT_MODEL = process.env.OPENROUTER_MODEL || "meta-llama/llama-3.1-8b-instruct:free";
-const PUBLIC_APP_URL = process.env.PUBLIC_APP_URL || "https://english-native-check.vercel.app";
-const DEBUG_SECRET = process.env.DEBUG_SECRET || "";
-// Comma-separated list of fallbacks (in order)
-const FALLBACK_MODELS = (process.env.FALLBACK_MODELS || "qwen/qwen3-8b-instruct:free").split(",").map(s => s.trim()).filter(Boolean);
+
+/* ---- Request ids, access log and HTTP metrics ----
+ * Every request gets an id (a sane incoming X-Request-Id is kept, so ids can
+ * span a proxy), echoed in the response header and bound to req.log.
+ * Routes are logged and counted by pattern ("/results/:id"), never by raw
+ * path: paths can carry certificate tokens.
+ */
+// Load balancer probes and scrapes would drown the log
+const QUIET_ROUTES = new Set(["GET /", "GET /metrics"]);
+
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = log.child({ reqId: req.id });
+  res.setHeader("x-request-id", req.id);
+  const startedAt = process.hrtime.bigint();
+  res.on("close", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const status = res.writableFinished ? res.statusCode : 499; // 499: client closed the connection
+    httpRequests.inc({ method: req.method, route, status });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    const fields = {
+      method: req.method,
+      route,
+      status,
+      ms: Math.round(seconds * 1000),
+      ...(req.user ? { user: req.user.id } : {}),
+      ...(req.client ? { apiKey: req.client.prefix } : {}),
+      ...(res.locals.model ? { model: res.locals.model } : {}),
+    };
+    if (status >= 500) req.log.error("request", fields);
+    else if (QUIET_ROUTES.has(`${req.method} ${route}`)) req.log.debug("request", fields);
+    else req.log.info("request", fields);
+  });
+  next();
+});
 
 /* ---- CORS ---- */
 const corsOrigins = (process.env.CORS_ALLOW_ORIGIN || "")
@@ -26,228 +129,1095 @@ const corsOrigins = (process.env.CORS_ALLOW_ORIGIN || "")
 app.use(
   cors({
     origin: corsOrigins.length ? corsOrigins : "*",
-    exposedHeaders: ["x-model"],
+    exposedHeaders: ["x-model", "x-request-id"],
   })
 );
+// Batch submissions can be large; body-parser skips bodies that are already parsed
+app.use("/batch", express.json({ limit: process.env.BATCH_BODY_LIMIT || "20mb" }));
 app.use(express.json({ limit: "1mb" }));
 app.use((req, res, next) => {
   // reveal which model we’ll try first (actual used model is in body _meta)
   res.setHeader("x-model", DEFAULT_MODEL);
-  res.setHeader("Access-Control-Expose-Headers", "x-model");
+  res.setHeader("Access-Control-Expose-Headers", "x-model, x-request-id");
   next();
 });
 app.use("/assess", rateLimit({ windowMs: 60_000, max: 20 }));
+app.use("/auth", rateLimit({ windowMs: 60_000, max: 10 }));
+app.use("/sessions", rateLimit({ windowMs: 60_000, max: 30 }));
+app.use("/practice", rateLimit({ windowMs: 60_000, max: 120 }));
+// Also keeps invite codes from being guessed
+app.use("/cohorts", rateLimit({ windowMs: 60_000, max: 30 }));
+app.use(["/verify", "/c"], rateLimit({ windowMs: 60_000, max: 60 }));
+// Batch clients are throttled by their daily quota; this only stops runaway polling
+app.use("/batch", rateLimit({ windowMs: 60_000, max: 120 }));
 
-/* ---- OpenRouter Client ---- */
-const client = new OpenAI({
-  apiKey: process.env.OPENROUTER_API_KEY,
-  baseURL: BASE_URL,
-  defaultHeaders: {
-    "HTTP-Referer": PUBLIC_APP_URL,
-    "X-Title": "English Native Check",
-  },
-});
+/* ---- Storage ---- */
+const store = createStore();
+app.use(authenticate(store.users));
 
-/* ---- PROMPTS (tight JSON discipline) ---- */
-const SYSTEM_PROMPT = [
-  "You are a calibrated linguistics examiner.",
-  "Return EXACTLY ONE JSON object. No markdown fences. No commentary before or after.",
-  "Tailor feedback to the user’s actual answers; avoid boilerplate.",
-].join(" ");
-
-const STRICT_JSON_INSTR = `
-You are evaluating a four-part English proficiency task. Return ONLY one JSON object (no fences):
-
-{
- "score": number,                 // integer 0–10 overall, using the weights below
- "level": "Beginner"|"Intermediate"|"Advanced"|"Near-native"|"Native-like",
- "reasons": string,               // 2–4 sentences. Be SPECIFIC to the user's errors/strengths.
- "suggestions": string[]          // 3–6 concise, targeted actions tied to the user's responses
-}
-
-Tasks that the user answered (the answers follow AFTER this spec):
-1) Part 1 — "Write a short paragraph."
-2) Part 2 — "Explain the idiom 'blessing in disguise'."
-3) Part 3 — "Use these fragments in a sentence: 'in the evening; suggested going; looking forward to meeting'."
-4) Part 4 — "Fill in two blanks and reproduce the complete sentence: If I ___ known, I would have ___." (Expect: "had known" and a correct perfect conditional.)
-
-Weights: Part1 40%, Part2 20%, Part3 20%, Part4 20%.
-
-Scoring rubric (anchor):
-0–2: heavy grammar/usage errors; unclear meaning
-3–4: frequent errors; limited cohesion or idiomatic control
-5–6: mostly correct; some issues with cohesion/idioms/style
-7–8: strong control; minor style or idiom slips
-9: near-native; rare slips
-10: native-like
-
-Important output rules:
-- Output ONLY the JSON object, no extra text.
-- reasons: MUST reference concrete issues present (e.g., tense error in Part 4, vague idiom explanation in Part 2, unnatural collocation in Part 3). Avoid generic phrases like "practice more".
-- suggestions: MUST be specific and actionable (e.g., "Practice third conditional: 'If I had known, I would have ...'"). Avoid duplicates and vague advice.
-- Keep wording tight and non-repetitive.
-`;
-
-/* ---- Validation ---- */
-const AnswersSchema = z.object({
-  answers: z.array(z.string().min(1)).length(4),
-});
+/* ---- Response cache and duplicate index (see cache.js, duplicates.js) ---- */
+const responseCache = createResponseCache();
+const duplicates = createDuplicateIndex();
 
-/* ---- Helpers ---- */
-function extractJson(raw) {
-  if (!raw || typeof raw !== "string") throw new Error("Empty response");
-  let s = raw.trim();
-  const fence = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  if (fence?.[1]) s = fence[1].trim();
-  const first = s.indexOf("{");
-  const last = s.lastIndexOf("}");
-  if (first !== -1 && last !== -1 && last > first) s = s.slice(first, last + 1);
-  return JSON.parse(s);
-}
-
-function deriveLevel(score) {
-  const s = Math.round(Number(score) || 0);
-  if (s >= 10) return "Native-like";
-  if (s >= 9)  return "Near-native";
-  if (s >= 7)  return "Advanced";
-  if (s >= 5)  return "Intermediate";
-  return "Beginner";
-}
-
-function normalizeResult(out) {
-  const obj = Array.isArray(out) ? out[0] : out;
-  const scoreNum = Math.max(0, Math.min(10, Math.round(Number(obj?.score ?? 0))));
-  const suggestions = Array.isArray(obj?.suggestions) ? obj.suggestions : [];
-  const cleaned = suggestions
-    .map((s) => (typeof s === "string" ? s.trim() : ""))
-    .filter((s) => s.length > 0);
-
-  // De-dup and filter generic lines
-  const deDuped = [];
-  const seen = new Set();
-  for (const s of cleaned) {
-    const key = s.toLowerCase().replace(/\W+/g, " ").trim();
-    if (key.length < 6) continue;
-    if (/(practice more|improve vocabulary|work on grammar|be concise)/i.test(s)) continue;
-    if (!seen.has(key)) { seen.add(key); deDuped.push(s); }
-    if (deDuped.length >= 6) break;
+// Persist without letting a storage failure cost the learner their result
+async function saveResult(record) {
+  let saved;
+  try {
+    saved = await store.results.save(record);
+  } catch (e) {
+    log.error("failed to store result", errorFields(e));
+    return null;
   }
-
-  return {
-    score: scoreNum,
-    level: deriveLevel(scoreNum),
-    reasons: (obj?.reasons && String(obj.reasons).trim()) || "Results normalized.",
-    suggestions: deDuped.length ? deDuped : [
-      "Vary sentence openings and use cohesive devices (e.g., moreover, however).",
-      "Explain idioms with meaning + one precise example.",
-      "Combine provided fragments with natural connectors; avoid run-ons.",
-      "Use third conditional correctly: 'If I had known, I would have ...'."
-    ],
-  };
+  await flagDuplicates(saved);
+  return saved;
 }
 
-async function callOnce({ model, system, user, useJsonFormat = true, maxTokens = 700 }) {
-  // First try (optionally with response_format)
+// Opens a review flag when parts of this result copy another learner's answers
+async function flagDuplicates(r) {
   try {
-    const r = await client.chat.completions.create({
-      model,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: user }
-      ],
-      temperature: 0,
-      max_tokens: maxTokens,
-      ...(useJsonFormat ? { response_format: { type: "json_object" } } : {})
-    });
-    return r.choices?.[0]?.message?.content ?? "";
+    const matches = duplicates.matches(r);
+    duplicates.add(r);
+    if (matches.length) {
+      await store.flags.save({ resultId: r.id, user: r.user, testId: r.testId, matches: matches.slice(0, 10), status: "open" });
+    }
   } catch (e) {
-    // Bubble up error so the caller can decide retry/fallback behavior
-    throw e;
+    log.error("duplicate check failed", { resultId: r.id, ...errorFields(e) });
   }
 }
 
-async function robustAsk({ preferredModel, userText }) {
-  const modelsToTry = [preferredModel, ...FALLBACK_MODELS];
-  const system = SYSTEM_PROMPT;
-  const user = STRICT_JSON_INSTR + "\n\nUser responses:\n" + userText;
+/* ---- Assessment route handler ----
+ * Shared by POST /assess (one JSON response), POST /assess/stream (SSE) and
+ * POST /assess/audio (which passes the transcribed `speech` parts).
+ * Resolves to { status, body, headers? }; progress goes through `emit` when given.
+ * When every model fails the answer is still graded by the offline checker
+ * (_meta.degraded, with errorKind and errorStatus saying what failed);
+ * ?estimate=0 throws the classified error instead, so the route answers 504,
+ * 429, 502 or 503 like errors.js says.
+ */
+async function runAssessment(req, { emit, signal, speech, submissionId } = {}) {
+  const debug = req.query.debug === "1" && isAdmin(req);
+  // Optional MODEL override (admins only)
+  const modelOverride = req.query.model && isAdmin(req) ? String(req.query.model) : null;
 
-  let lastError;
-  for (const m of modelsToTry) {
-    // 1) Try with json_object
-    try {
-      const raw = await callOnce({ model: m, system, user, useJsonFormat: true, maxTokens: 700 });
-      return { raw, usedModel: m };
-    } catch (e1) {
-      lastError = e1;
-      // 2) Retry same model WITHOUT response_format and with smaller max_tokens
-      try {
-        const raw = await callOnce({ model: m, system, user, useJsonFormat: false, maxTokens: 550 });
-        return { raw, usedModel: m };
-      } catch (e2) {
-        lastError = e2;
-        // continue to next model
-      }
-    }
+  const test = getTest(req.body?.testId || DEFAULT_TEST_ID);
+  if (!test) return { status: 400, body: { error: "Unknown test" } };
+  if (test.adaptive) return { status: 400, body: { error: "Adaptive tests are taken one item at a time through /sessions" } };
+  if (!speech && test.items.some((it) => it.mode === "speech")) {
+    return { status: 400, body: { error: "This test has spoken parts; submit it to /assess/audio" } };
   }
-  throw lastError || new Error("All model attempts failed");
+  const parsed = answersSchema(test).safeParse(req.body);
+  if (!parsed.success) return { status: 400, body: { error: "Bad input" } };
+  const locale = resolveLocale(req.body);
+  if (!locale) return { status: 400, body: { error: LOCALE_ERROR } };
+
+  // ?mock=1 runs the full pipeline against the canned "mock" provider and stores nothing
+  const mock = req.query.mock === "1";
+  const ensemble = !mock && ENSEMBLE_MODELS.length > 0 &&
+    (req.query.ensemble === "1" || (ASSESS_MODE === "ensemble" && req.query.ensemble !== "0"));
+
+  const startedAt = Date.now();
+  const graded = await grade({
+    test,
+    answers: parsed.data.answers,
+    preferredModel: mock ? "mock:canned" : modelOverride || DEFAULT_MODEL,
+    fallbacks: mock ? [] : FALLBACK_MODELS,
+    ensemble,
+    ...locale,
+    speech,
+    debug,
+    cache: mock ? null : responseCache,
+    emit,
+    signal,
+    log: req.log,
+  });
+  if (graded.debug) return { status: 502, body: { ...graded.debug, requestId: req.id } };
+
+  const { result, meta } = graded;
+  if (meta.degraded && req.query.estimate === "0") throw kindError(meta.errorKind, meta.error);
+  const integrity = checkIntegrity(req, test, parsed.data.answers, parseTelemetry(req.body?.telemetry), "assess");
+  const saved = mock ? null : await saveResult({
+    user: req.user.id,
+    testId: test.id,
+    answers: parsed.data.answers,
+    result,
+    model: meta.model,
+    latencyMs: Date.now() - startedAt,
+    ...locale,
+    ...(meta.degraded ? { degraded: true } : { quality: meta.quality }),
+    ...(meta.defaulted ? { defaulted: meta.defaulted } : {}),
+    ...(meta.ensemble ? { ensemble: meta.ensemble } : {}),
+    ...(meta.cache?.hit ? { cached: true } : {}),
+    ...(submissionId ? { submissionId } : {}),
+    integrity,
+  });
+  const body = { ...result, integrity, _meta: { ...meta, testId: test.id, resultId: saved?.id } };
+  if (!meta.degraded) return { status: 200, body };
+  const failure = errorResponse(kindError(meta.errorKind, meta.error));
+  body._meta.errorStatus = failure.status;
+  return { status: 200, body, headers: failure.headers };
+}
+
+/* ---- Idempotent submissions ----
+ * Clients send an Idempotency-Key header, generated once per submission and
+ * reused on every retry. A key already stored with one of the learner's
+ * results is answered with that result (_meta.replayed) instead of grading
+ * and storing the answers again; a retry that arrives while the first request
+ * is still grading waits for its outcome.
+ */
+const IDEMPOTENCY_KEY = /^[\w-]{8,100}$/;
+const submissionsInFlight = new Map(); // `${user}:${key}` → { outcome: promise of runAssessment's, signal }
+
+// null for requests without a key (or mock runs, which store nothing)
+function submissionKey(req) {
+  const key = req.get("idempotency-key");
+  return key === undefined || req.query.mock === "1" ? null : key;
+}
+
+// The stored response for a key already used, a 400 for a malformed key, else null
+async function replaySubmission(req) {
+  const key = submissionKey(req);
+  if (key === null) return null;
+  if (!IDEMPOTENCY_KEY.test(key)) return { status: 400, body: { error: "Idempotency-Key must be 8–100 letters, digits, - or _" } };
+  const r = await store.results.findOne({ user: req.user.id, submissionId: key });
+  if (!r) return null;
+  if (req.body?.testId && req.body.testId !== r.testId) {
+    return { status: 409, body: { error: "This Idempotency-Key was already used for a different test" } };
+  }
+  const meta = {
+    model: r.model,
+    ...(r.degraded ? { degraded: true } : { quality: r.quality }),
+    ...(r.defaulted ? { defaulted: r.defaulted } : {}),
+    ...(r.ensemble ? { ensemble: r.ensemble } : {}),
+    variety: r.variety,
+    language: r.language,
+    testId: r.testId,
+    resultId: r.id,
+    replayed: true,
+  };
+  return { status: 200, body: { ...r.result, integrity: r.integrity, _meta: meta } };
+}
+
+// runAssessment, at most once per idempotency key
+function assessOnce(req, opts = {}) {
+  const key = submissionKey(req);
+  if (key === null) return runAssessment(req, opts);
+  const id = `${req.user.id}:${key}`;
+  const running = submissionsInFlight.get(id);
+  if (running) {
+    // The first request's client hung up mid-grading (a stream): this one takes over
+    return running.outcome.catch((e) => {
+      if (running.signal?.aborted) return assessOnce(req, opts);
+      throw e;
+    });
+  }
+  const outcome = (async () => (await replaySubmission(req)) || runAssessment(req, { ...opts, submissionId: key }))()
+    .finally(() => submissionsInFlight.delete(id));
+  submissionsInFlight.set(id, { outcome, signal: opts.signal });
+  return outcome;
+}
+
+// Integrity report for a submission (see integrity.js); flags are logged and counted, never enforced
+function checkIntegrity(req, test, answers, telemetry, source) {
+  const report = integrityReport(test, answers, telemetry);
+  integrityReports.inc({ outcome: report.flagged ? "flagged" : "clear", source });
+  if (report.flagged) {
+    const signals = [...new Set(report.parts.flatMap((p) => p.signals.map((s) => s.signal)))];
+    req.log.info("integrity signals on submission", { testId: test.id, user: req.user?.id, signals });
+  }
+  return report;
+}
+
+// Classified error response for a request that threw (see errors.js)
+function sendError(req, res, e) {
+  const { kind, status, headers, body } = errorResponse(e, { requestId: req.id });
+  req.log[kind === "internal" ? "error" : "warn"]("request failed", { ...errorFields(e), kind });
+  res.set(headers).status(status).json({ ...body, _meta: { model: DEFAULT_MODEL } });
 }
 
 /* ---- Routes ---- */
 app.get("/", (_req, res) => res.send("OK"));
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) return res.status(401).json({ error: "Unauthorized" });
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
 app.get("/meta", (req, res) => {
-  // Optional model override for quick A/B (only with DEBUG_SECRET)
-  const overrideAllowed = req.query.secret === DEBUG_SECRET && typeof req.query.model === "string";
+  // Optional model override for quick A/B (admins only)
+  const overrideAllowed = isAdmin(req) && typeof req.query.model === "string";
   const model = overrideAllowed ? req.query.model : DEFAULT_MODEL;
-  res.json({ model, baseURL: BASE_URL, fallback: FALLBACK_MODELS });
+  res.json({
+    model,
+    provider: DEFAULT_PROVIDER,
+    baseURL: BASE_URL,
+    fallback: FALLBACK_MODELS,
+    mode: ASSESS_MODE,
+    ensemble: { models: ENSEMBLE_MODELS, samples: ENSEMBLE_SAMPLES },
+    cache: responseCache?.kind || "off",
+    health: healthSnapshot(),
+    varieties: Object.entries(VARIETIES).map(([id, v]) => ({ id, label: v.label })),
+    defaultVariety: DEFAULT_VARIETY,
+    languages: FEEDBACK_LANGUAGES,
+  });
 });
 
-app.post("/assess", async (req, res) => {
-  const debug = req.query.debug === "1" && req.query.secret === DEBUG_SECRET;
-  // Optional MODEL override (debug only)
-  const modelOverride = req.query.model && req.query.secret === DEBUG_SECRET ? String(req.query.model) : null;
+app.get("/tests", (_req, res) => {
+  res.json({ default: DEFAULT_TEST_ID, tests: listTests() });
+});
+
+app.get("/tests/:id", (req, res) => {
+  const test = getTest(req.params.id);
+  if (!test) return res.status(404).json({ error: "Unknown test" });
+  res.json(publicTest(test));
+});
 
+/* ---- Auth ---- */
+app.post("/auth/signup", asyncHandler(async (req, res) => {
+  const parsed = SignupSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Enter a valid email and a password of at least 8 characters" });
+  const { email, password, name } = parsed.data;
   try {
-    const parsed = AnswersSchema.safeParse(req.body);
-    if (!parsed.success) return res.status(400).json({ error: "Bad input" });
-
-    if (req.query.mock === "1") {
-      return res.json({
-        score: 8,
-        level: "Advanced",
-        reasons: "Strong grammar; idiom accurate; fragments natural; minor stylistic issues.",
-        suggestions: ["Vary transitions.", "Tighten phrasing.", "Use richer connectors."],
-        _meta: { model: modelOverride || DEFAULT_MODEL }
-      });
+    if (await store.users.findOne({ email })) return res.status(409).json({ error: "Email already registered" });
+    const u = await store.users.save({ email, name, role: initialRole(email), passwordHash: hashPassword(password) });
+    res.status(201).json({ token: issueToken(u), user: publicUser(u) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Signup failed" });
+  }
+}));
+
+app.post("/auth/login", asyncHandler(async (req, res) => {
+  const parsed = LoginSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Bad input" });
+  try {
+    const u = await store.users.findOne({ email: parsed.data.email });
+    // Same message for unknown email and wrong password
+    if (!u || !verifyPassword(parsed.data.password, u.passwordHash)) {
+      return res.status(401).json({ error: "Invalid email or password" });
     }
+    res.json({ token: issueToken(u), user: publicUser(u) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || "Login failed" });
+  }
+}));
+
+app.get("/auth/me", requireAuth, (req, res) => res.json({ user: req.user }));
+
+app.patch("/users/:id/role", requireRole("admin"), asyncHandler(async (req, res) => {
+  const role = req.body?.role;
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+  const u = await store.users.update(req.params.id, { role });
+  if (!u) return res.status(404).json({ error: "Not found" });
+  res.json({ user: publicUser(u) });
+}));
+
+/* ---- Results ----
+ * Learners see their own results and admins anyone's. A coach sees the
+ * learners in cohorts they coach, from the time each joined (like the cohort
+ * dashboard), and the results a duplicate flag points at while reviewing it.
+ */
+// "" when the caller may read all of `learner`'s records, an ISO time to read those since, null for none
+async function readableSince(req, learner) {
+  if (learner === req.user.id || isAdmin(req)) return "";
+  if (req.user.role !== "coach") return null;
+  const { items: coached } = await store.cohorts.list({ match: { coach: req.user.id }, limit: 1000 });
+  let since = null;
+  for (const c of coached) {
+    const link = await store.members.findOne({ cohort: c.id, user: learner });
+    if (link && (since === null || link.createdAt < since)) since = link.createdAt;
+  }
+  return since;
+}
+
+async function canRead(req, record) {
+  const since = await readableSince(req, record.user);
+  return since !== null && record.createdAt >= since;
+}
+
+app.get("/results", requireAuth, asyncHandler(async (req, res) => {
+  const user = typeof req.query.user === "string" && req.query.user ? req.query.user : req.user.id;
+  const since = await readableSince(req, user);
+  if (since === null) return res.status(403).json({ error: "Forbidden" });
+  const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  if (!since) {
+    const { items, total } = await store.results.list({ match: { user }, limit, offset });
+    return res.json({ items, total, limit, offset });
+  }
+  const { items: all } = await store.results.list({ match: { user }, limit: COHORT_RESULTS_PER_LEARNER });
+  const visible = all.filter((r) => r.createdAt >= since);
+  res.json({ items: visible.slice(offset, offset + limit), total: visible.length, limit, offset });
+}));
+
+// ?flag=<id>: staff reviewing that duplicate flag may open the results it names
+// that are within their reach (every one for admins)
+app.get("/results/:id", requireAuth, asyncHandler(async (req, res) => {
+  const r = await store.results.get(req.params.id);
+  if (!r) return res.status(404).json({ error: "Not found" });
+  const flag = isStaff(req) && typeof req.query.flag === "string" ? await store.flags.get(req.query.flag) : null;
+  const flagged = !!flag && (flag.resultId === r.id || flag.matches.some((m) => m.resultId === r.id));
+  const reach = flagged ? await flagReach(req, flag) : null;
+  if (!reach?.get(r.id) && !(await canRead(req, r))) return res.status(404).json({ error: "Not found" });
+  res.json(r);
+}));
+
+/* ---- Duplicate flags (staff review) ----
+ * One flag per result whose answers match another learner's; staff dismiss
+ * it (coincidence, shared template) or confirm it. Admins review every flag;
+ * a coach reviews the flags that involve a result they can read (a learner
+ * in one of their cohorts); learners beyond that stay anonymous, and their
+ * answers closed.
+ */
+const FLAGS_SCANNED = Number(process.env.FLAGS_SCANNED) || 1000;
+
+// Result id → whether the caller can read it, for the results a flag names; null if it names none they can
+async function flagReach(req, f) {
+  const ids = [f.resultId, ...f.matches.map((m) => m.resultId)];
+  const reach = new Map();
+  for (const id of ids) {
+    if (reach.has(id)) continue;
+    const r = isAdmin(req) ? null : await store.results.get(id);
+    reach.set(id, isAdmin(req) || (!!r && (await canRead(req, r))));
+  }
+  return [...reach.values()].some(Boolean) ? reach : null;
+}
+
+async function flagView(f, reach) {
+  const learner = async (id, resultId) => {
+    if (!reach.get(resultId)) return { id: null, email: null, name: "", hidden: true };
+    const u = await store.users.get(id);
+    return u ? publicUser(u) : { id, email: null, name: "" };
+  };
+  return {
+    ...f,
+    user: reach.get(f.resultId) ? f.user : null,
+    learner: await learner(f.user, f.resultId),
+    matches: await Promise.all(f.matches.map(async (m) => ({
+      ...m,
+      user: reach.get(m.resultId) ? m.user : null,
+      learner: await learner(m.user, m.resultId),
+    }))),
+  };
+}
+
+app.get("/flags", requireRole("coach", "admin"), asyncHandler(async (req, res) => {
+  const status = ["open", "dismissed", "confirmed"].includes(req.query.status) ? req.query.status : undefined;
+  const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const match = status ? { status } : {};
+  if (isAdmin(req)) {
+    const { items, total } = await store.flags.list({ match, limit, offset });
+    const views = await Promise.all(items.map(async (f) => flagView(f, await flagReach(req, f))));
+    return res.json({ items: views, total, limit, offset });
+  }
+  const { items: all } = await store.flags.list({ match, limit: FLAGS_SCANNED });
+  const visible = [];
+  for (const f of all) {
+    const reach = await flagReach(req, f);
+    if (reach) visible.push({ f, reach });
+  }
+  const page = visible.slice(offset, offset + limit);
+  res.json({ items: await Promise.all(page.map(({ f, reach }) => flagView(f, reach))), total: visible.length, limit, offset });
+}));
+
+app.patch("/flags/:id", requireRole("coach", "admin"), asyncHandler(async (req, res) => {
+  const parsed = FlagStatusSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Bad input" });
+  const f = await store.flags.get(req.params.id);
+  const reach = f && (await flagReach(req, f));
+  if (!reach) return res.status(404).json({ error: "Not found" });
+  const updated = await store.flags.update(f.id, {
+    ...parsed.data,
+    reviewedBy: req.user.id,
+    reviewedAt: new Date().toISOString(),
+  });
+  res.json(await flagView(updated, reach));
+}));
+
+/* ---- Certificates ----
+ * The owner of a stored result gets a signed token; anyone with it can open
+ * the share page (/c/:token), download the PDF or check it at /verify/:token.
+ * The owner can withdraw it; the result stays (duplicate flags may refer to
+ * it), but every copy of the token then shows as revoked for good.
+ */
+// Absolute links for shared pages (PUBLIC_API_URL when behind a rewriting proxy)
+const publicBase = (req) => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+
+function certificateLinks(req, token) {
+  const base = publicBase(req);
+  return { url: `${base}/c/${token}`, pdfUrl: `${base}/c/${token}/certificate.pdf`, verifyUrl: `${base}/verify/${token}` };
+}
+
+app.post("/results/:id/certificate", requireAuth, asyncHandler(async (req, res) => {
+  const r = await store.results.get(req.params.id);
+  if (!r || r.user !== req.user.id) return res.status(404).json({ error: "Not found" });
+  // Tokens are deterministic, so issuing again would revive withdrawn copies
+  if (r.certificateRevokedAt) return res.status(409).json({ error: "The certificate for this result was withdrawn" });
+  const reason = certifiable(r);
+  if (reason) return res.status(409).json({ error: reason });
+  const holder = req.user.name || req.user.email.split("@")[0];
+  const claims = certificateClaims(r, holder, getTest(r.testId)?.title);
+  const token = issueCertificate(claims);
+  res.json({ token, certificate: claims, ...certificateLinks(req, token) });
+}));
 
-    const [a1, a2, a3, a4] = parsed.data.answers;
-    const userText =
-      `Part 1:\n${a1}\n\n` +
-      `Part 2:\n${a2}\n\n` +
-      `Part 3:\n${a3}\n\n` +
-      `Part 4:\n${a4}`;
+app.delete("/results/:id/certificate", requireAuth, asyncHandler(async (req, res) => {
+  const r = await store.results.get(req.params.id);
+  if (!r || r.user !== req.user.id) return res.status(404).json({ error: "Not found" });
+  const updated = r.certificateRevokedAt ? r : await store.results.update(r.id, { certificateRevokedAt: new Date().toISOString() });
+  res.json({ revoked: true, revokedAt: updated.certificateRevokedAt });
+}));
 
-    const { raw, usedModel } = await robustAsk({ preferredModel: modelOverride || DEFAULT_MODEL, userText });
-    let out;
+// Genuine token → the claims and whether the result still stands behind it
+async function checkCertificate(token) {
+  const claims = readCertificate(token);
+  if (!claims) return null;
+  const r = await store.results.get(claims.rid);
+  return { claims, status: r && !r.certificateRevokedAt ? "valid" : "revoked" };
+}
+
+app.get("/verify/:token", asyncHandler(async (req, res) => {
+  const checked = await checkCertificate(req.params.token);
+  if (!checked) return res.status(404).json({ valid: false, error: "Not a genuine certificate (unknown, altered or truncated)" });
+  res.json({ valid: checked.status === "valid", status: checked.status, certificate: checked.claims });
+}));
+
+app.get("/c/:token", asyncHandler(async (req, res) => {
+  const checked = await checkCertificate(req.params.token);
+  if (!checked) return res.status(404).type("html").send("<!doctype html><title>Not found</title><p>This certificate link is not valid.</p>");
+  const { pdfUrl, verifyUrl } = certificateLinks(req, req.params.token);
+  res.type("html").send(certificatePage(checked.claims, { status: checked.status, pdfUrl, verifyUrl }));
+}));
+
+app.get("/c/:token/certificate.pdf", asyncHandler(async (req, res) => {
+  const checked = await checkCertificate(req.params.token);
+  if (!checked || checked.status !== "valid") return res.status(404).json({ error: "Not found" });
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="certificate-${checked.claims.rid.slice(0, 8)}.pdf"`);
+  res.send(certificatePdf(checked.claims, certificateLinks(req, req.params.token).url));
+}));
+
+app.post("/assess", requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const { status, body, headers = {} } = await assessOnce(req);
+    res.locals.model = body._meta?.model;
+    res.set(headers).status(status).json(body);
+  } catch (e) {
+    sendError(req, res, e);
+  }
+}));
+
+// Same as /assess, streamed as Server-Sent Events:
+// checks → attempt / fallback / partial / repair / degraded → result (or error)
+app.post("/assess/stream", requireAuth, asyncHandler(async (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Comment frames keep proxies from closing a quiet stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15_000);
+  const ac = new AbortController();
+  res.on("close", () => { if (!res.writableFinished) ac.abort(); });
+
+  try {
+    const { status, body } = await assessOnce(req, { emit: send, signal: ac.signal });
+    res.locals.model = body._meta?.model;
+    if (status === 200) send("result", body);
+    else send("error", { status, ...body });
+  } catch (e) {
+    if (!ac.signal.aborted) {
+      const { kind, status, body } = errorResponse(e, { requestId: req.id });
+      req.log[kind === "internal" ? "error" : "warn"]("request failed", { ...errorFields(e), kind });
+      send("error", { status, ...body });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}));
+
+/* ---- Spoken answers ----
+ * multipart/form-data: testId, answers (JSON array; "" for spoken parts) and
+ * one recording per spoken part in a file field named part<N>. Audio is
+ * transcribed (asr/), measured (fluency.js) and dropped; only the transcript
+ * is graded and stored, through the same pipeline as /assess.
+ */
+const AUDIO_MAX_MB = Number(process.env.AUDIO_MAX_MB) || 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.round(AUDIO_MAX_MB * 1024 * 1024), files: 4, fields: 8, fieldSize: 256 * 1024 },
+});
+
+function audioUpload(req, res, next) {
+  upload.any()(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: `Recording is larger than ${AUDIO_MAX_MB} MB` });
+    res.status(400).json({ error: err.message || "Bad upload" });
+  });
+}
+
+app.post("/assess/audio", requireAuth, audioUpload, asyncHandler(async (req, res) => {
+  const test = getTest(req.body?.testId || DEFAULT_TEST_ID);
+  if (!test) return res.status(400).json({ error: "Unknown test" });
+  let answers;
+  try {
+    answers = JSON.parse(req.body.answers || "[]");
+  } catch {
+    return res.status(400).json({ error: "Bad input" });
+  }
+  if (!Array.isArray(answers)) return res.status(400).json({ error: "Bad input" });
+  // A retry of a stored submission needs no second transcription
+  const replay = await replaySubmission(req);
+  if (replay) {
+    res.locals.model = replay.body._meta?.model;
+    return res.status(replay.status).json(replay.body);
+  }
+
+  const speech = [];
+  for (const [i, item] of test.items.entries()) {
+    if (item.mode !== "speech") continue;
+    const file = (req.files || []).find((f) => f.fieldname === `part${i + 1}`);
+    if (!file) return res.status(400).json({ error: `Part ${i + 1} needs a recording` });
+    let transcript;
     try {
-      out = extractJson(raw);
-    } catch {
-      // one minimal retry prompt for fence/noise
-      const retryInstr = "Return JSON ONLY (no markdown): {\"score\":0-10,\"level\":\"...\",\"reasons\":\"...\",\"suggestions\":[\"...\"]}";
-      const { raw: raw2, usedModel: used2 } = await robustAsk({ preferredModel: modelOverride || DEFAULT_MODEL, userText: retryInstr + "\n\n" + userText });
-      if (debug) return res.status(500).json({ raw1: raw, raw2, usedModel: used2 });
-      out = extractJson(raw2);
+      transcript = await transcribe({ audio: file.buffer, mimeType: file.mimetype });
+    } catch (e) {
+      req.log.warn("speech-to-text failed", { asr: DEFAULT_ASR, ...errorFields(e) });
+      return res.status(502).json({ error: `Speech-to-text failed (${DEFAULT_ASR}): ${e?.message || "unknown error"}`, requestId: req.id });
     }
+    if (!transcript.text) return res.status(422).json({ error: `No speech was recognized in Part ${i + 1}` });
+    answers[i] = transcript.text;
+    speech.push({ part: i + 1, transcript: transcript.text, ...measureFluency(transcript) });
+  }
 
-    const norm = normalizeResult(out);
-    res.json({ ...norm, _meta: { model: usedModel } });
+  // Multipart fields are strings; unreadable telemetry is simply left out
+  let telemetry = null;
+  try {
+    telemetry = JSON.parse(req.body.telemetry || "null");
+  } catch {
+    telemetry = null;
+  }
+  req.body = { testId: test.id, answers, variety: req.body.variety, language: req.body.language, telemetry };
+  try {
+    const { status, body, headers = {} } = await assessOnce(req, { speech });
+    res.locals.model = body._meta?.model;
+    res.set(headers).status(status).json(body);
+  } catch (e) {
+    sendError(req, res, e);
+  }
+}));
+
+/* ---- Adaptive sessions ----
+ * POST /sessions starts one; POST /sessions/:id/answer grades the current
+ * item and returns the next, or the final result (also saved to history).
+ * Item selection and scoring live in adaptive.js.
+ */
+const gradingSessions = new Set(); // ids with an answer being graded, to refuse double submits
+
+function sessionView(test, s) {
+  const current = s.current ? test.items.find((it) => it.id === s.current) : null;
+  return {
+    id: s.id,
+    testId: s.testId,
+    ...(s.variety ? { variety: s.variety, language: s.language } : {}),
+    status: s.status,
+    step: s.steps.length + (current ? 1 : 0),
+    length: test.adaptive.length,
+    estimate: s.estimate,
+    item: current ? publicItem(current) : null,
+    answered: s.steps.map((st) => ({ itemId: st.itemId, title: st.result.title, score: st.score })),
+    ...(s.status === "done"
+      ? { result: s.result, answers: s.steps.map((st) => st.answer), resultId: s.resultId, integrity: s.integrity }
+      : {}),
+  };
+}
+
+app.post("/sessions", requireAuth, asyncHandler(async (req, res) => {
+  const test = getTest(req.body?.testId || ADAPTIVE_TEST_ID);
+  if (!test?.adaptive) return res.status(400).json({ error: "Not an adaptive test" });
+  const locale = resolveLocale(req.body);
+  if (!locale) return res.status(400).json({ error: LOCALE_ERROR });
+  const first = pickNext(test, []);
+  const s = await store.sessions.save({
+    user: req.user.id,
+    testId: test.id,
+    ...locale,
+    status: "active",
+    steps: [],
+    current: first.id,
+    estimate: null,
+  });
+  res.status(201).json(sessionView(test, s));
+}));
+
+app.get("/sessions/:id", requireAuth, asyncHandler(async (req, res) => {
+  const s = await store.sessions.get(req.params.id);
+  if (!s || !(await canRead(req, s))) return res.status(404).json({ error: "Not found" });
+  const test = getTest(s.testId);
+  if (!test?.adaptive) return res.status(410).json({ error: "This test is no longer available" });
+  res.json(sessionView(test, s));
+}));
+
+app.post("/sessions/:id/answer", requireAuth, asyncHandler(async (req, res) => {
+  const s = await store.sessions.get(req.params.id);
+  if (!s || s.user !== req.user.id) return res.status(404).json({ error: "Not found" });
+  if (s.status !== "active") return res.status(409).json({ error: "This session is already finished" });
+  const answer = typeof req.body?.answer === "string" ? req.body.answer.trim() : "";
+  if (!answer) return res.status(400).json({ error: "Bad input" });
+  // The client names the item it answered, so a stale tab can't answer the wrong one
+  if (req.body.itemId && req.body.itemId !== s.current) return res.status(409).json({ error: "That item was already answered" });
+  const telemetry = PartTelemetrySchema.safeParse(req.body.telemetry);
+  if (gradingSessions.has(s.id)) return res.status(409).json({ error: "The previous answer is still being graded" });
+  const test = getTest(s.testId);
+  const item = test?.items.find((it) => it.id === s.current);
+  if (!item) return res.status(410).json({ error: "This test is no longer available" });
+
+  gradingSessions.add(s.id);
+  try {
+    const { result, meta } = await grade({
+      test: itemTest(test, item),
+      answers: [answer],
+      variety: s.variety,
+      language: s.language,
+      cache: responseCache,
+      log: req.log,
+    });
+    const part = result.parts[0];
+    const steps = [...s.steps, {
+      itemId: item.id,
+      difficulty: item.difficulty,
+      answer,
+      score: part.score,
+      result: part,
+      suggestions: result.suggestions,
+      checks: result.checks,
+      model: meta.model,
+      ...(meta.degraded ? { degraded: true } : { quality: meta.quality }),
+      ...(telemetry.success ? { telemetry: telemetry.data } : {}),
+    }];
+    const next = pickNext(test, steps);
+    const patch = { steps, estimate: estimate(steps), current: next?.id || null };
+    if (!next) {
+      const final = sessionResult(test, steps, s.language);
+      // The items this learner was given, in order, with what the browser saw while answering
+      const integrity = checkIntegrity(
+        req,
+        { id: test.id, items: steps.map((st) => test.items.find((it) => it.id === st.itemId) || {}) },
+        steps.map((st) => st.answer),
+        steps.some((st) => st.telemetry) ? steps.map((st) => st.telemetry || null) : null,
+        "session"
+      );
+      const saved = await saveResult({
+        user: req.user.id,
+        testId: test.id,
+        answers: steps.map((st) => st.answer),
+        result: final,
+        model: [...new Set(steps.map((st) => st.model).filter(Boolean))].join(", ") || null,
+        sessionId: s.id,
+        ...(s.variety ? { variety: s.variety, language: s.language } : {}),
+        ...(steps.some((st) => st.degraded) ? { degraded: true } : {}),
+        integrity,
+      });
+      Object.assign(patch, { status: "done", result: final, resultId: saved?.id, integrity });
+    }
+    const updated = await store.sessions.update(s.id, patch);
+    res.json({
+      ...sessionView(test, updated),
+      last: { ...part, answer, checks: result.checks, _meta: meta },
+    });
   } catch (e) {
-    // Map provider 400-ish to 503 for frontend clarity
-    const msg = (e && e.message) ? String(e.message) : "Upstream provider error";
-    return res.status(500).json({ error: msg, _meta: { model: DEFAULT_MODEL } });
+    sendError(req, res, e);
+  } finally {
+    gradingSessions.delete(s.id);
+  }
+}));
+
+/* ---- Practice drills ----
+ * POST /practice builds a drill from the learner's weak skills (from a result
+ * of theirs, their mastery, or skills they pick); answers are graded locally
+ * and instantly, and the first attempt at each exercise updates the mastery
+ * record for its skill. Exercises, grading and mastery live in practice.js.
+ */
+async function masteryFor(user) {
+  const { items } = await store.mastery.list({ match: { user }, limit: PRACTICE_SKILLS.length });
+  return PRACTICE_SKILLS.map((skill) => masteryView(skill, items.find((m) => m.skill === skill)));
+}
+
+// Exercise id → when the learner last answered it, over their recent drills
+const DRILL_HISTORY = 200;
+async function answeredExercises(user) {
+  const { items } = await store.drills.list({ match: { user }, limit: DRILL_HISTORY });
+  const at = new Map();
+  // newest drill first, so the first time an id turns up is the latest
+  for (const d of items) for (const a of d.answers) if (!at.has(a.exerciseId)) at.set(a.exerciseId, a.at || d.createdAt);
+  return at;
+}
+
+// The test items behind each part of a result (adaptive results follow the session's steps)
+async function resultItems(r) {
+  const test = getTest(r.testId);
+  if (!test) return [];
+  if (!r.sessionId) return test.items;
+  const s = await store.sessions.get(r.sessionId);
+  return (s?.steps || []).map((st) => test.items.find((it) => it.id === st.itemId));
+}
+
+function drillView(d) {
+  const answers = new Map(d.answers.map((a) => [a.exerciseId, a]));
+  const answered = d.answers.length;
+  return {
+    id: d.id,
+    resultId: d.resultId,
+    focus: d.focus,
+    exhausted: d.exhausted || [],
+    exercises: d.exercises.map((ex) => ({ ...ex, answered: answers.get(ex.id) || null })),
+    progress: { answered, correct: d.answers.filter((a) => a.correct).length, total: d.exercises.length },
+    done: answered === d.exercises.length,
+    createdAt: d.createdAt,
+  };
+}
+
+app.post("/practice", requireAuth, asyncHandler(async (req, res) => {
+  const parsed = DrillRequestSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad input" });
+  const { resultId, skills, count } = parsed.data;
+  let weak = {};
+  if (resultId) {
+    const r = await store.results.get(resultId);
+    if (!r || r.user !== req.user.id) return res.status(404).json({ error: "Result not found" });
+    weak = weaknesses(r.result, await resultItems(r));
+  }
+  const { focus, exhausted, exercises } = buildDrill({
+    weak, mastery: await masteryFor(req.user.id), only: skills, count, answered: await answeredExercises(req.user.id),
+  });
+  const d = await store.drills.save({
+    user: req.user.id,
+    resultId: resultId || null,
+    focus,
+    exhausted,
+    exercises: exercises.map((ex) => publicExercise(ex, { shuffle: true })),
+    answers: [],
+  });
+  req.log.info("drill created", {
+    drillId: d.id, skills: focus.map((f) => f.skill), fromResult: !!resultId, repeated: focus.reduce((a, f) => a + f.repeated, 0),
+    exhausted: exhausted.map((f) => f.skill),
+  });
+  res.status(201).json(drillView(d));
+}));
+
+app.get("/practice/mastery", requireAuth, asyncHandler(async (req, res) => {
+  res.json({ skills: await masteryFor(req.user.id) });
+}));
+
+app.get("/practice/:id", requireAuth, asyncHandler(async (req, res) => {
+  const d = await store.drills.get(req.params.id);
+  if (!d || d.user !== req.user.id) return res.status(404).json({ error: "Not found" });
+  res.json(drillView(d));
+}));
+
+app.post("/practice/:id/answer", requireAuth, asyncHandler(async (req, res) => {
+  const parsed = DrillAnswerSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Bad input" });
+  const d = await store.drills.get(req.params.id);
+  if (!d || d.user !== req.user.id) return res.status(404).json({ error: "Not found" });
+  const ex = d.exercises.some((e) => e.id === parsed.data.exerciseId) && getExercise(parsed.data.exerciseId);
+  if (!ex) return res.status(404).json({ error: "That exercise is not part of this drill" });
+
+  const graded = gradeExercise(ex, parsed.data.answer);
+  // Retries get feedback, but only the first attempt counts
+  const first = !d.answers.some((a) => a.exerciseId === ex.id);
+  let record = await store.mastery.findOne({ user: req.user.id, skill: ex.skill });
+  if (first) {
+    const next = nextMastery(record, graded.correct);
+    record = record
+      ? await store.mastery.update(record.id, next)
+      : await store.mastery.save({ user: req.user.id, skill: ex.skill, ...next });
+    await store.drills.update(d.id, {
+      answers: [...d.answers, { exerciseId: ex.id, answer: parsed.data.answer, correct: graded.correct, at: new Date().toISOString() }],
+    });
+  }
+  res.json({ ...graded, counted: first, mastery: masteryView(ex.skill, record) });
+}));
+
+/* ---- Cohorts ----
+ * Coaches create groups and share the invite code; learners join with it.
+ * The dashboard and CSV export cover attempts made after joining.
+ */
+const COHORT_RESULTS_PER_LEARNER = Number(process.env.COHORT_RESULTS_PER_LEARNER) || 200;
+
+const cohortView = (c, extra = {}) => ({ id: c.id, name: c.name, code: c.code, coach: c.coach, createdAt: c.createdAt, ...extra });
+
+// The cohort if the caller coaches it (or is an admin); 404 otherwise
+async function ownCohort(req, res) {
+  const c = await store.cohorts.get(req.params.id);
+  if (!c || (c.coach !== req.user.id && !isAdmin(req))) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  return c;
+}
+
+// Members with their user records, and their results since joining
+async function cohortData(c, testId) {
+  const { items: links } = await store.members.list({ match: { cohort: c.id }, limit: 10_000 });
+  const members = [];
+  const results = [];
+  for (const link of links) {
+    const u = await store.users.get(link.user);
+    if (!u) continue;
+    members.push({ user: publicUser(u), joinedAt: link.createdAt });
+    const { items } = await store.results.list({ match: { user: u.id }, limit: COHORT_RESULTS_PER_LEARNER });
+    results.push(...items.filter((r) => r.createdAt >= link.createdAt && (!testId || r.testId === testId)));
+  }
+  members.reverse(); // oldest member first
+  return { members, results };
+}
+
+app.post("/cohorts", requireRole("coach", "admin"), asyncHandler(async (req, res) => {
+  const parsed = CohortSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Give the cohort a name (up to 80 characters)" });
+  let code = inviteCode();
+  while (await store.cohorts.findOne({ code })) code = inviteCode();
+  const c = await store.cohorts.save({ name: parsed.data.name, coach: req.user.id, code });
+  res.status(201).json(cohortView(c, { members: 0 }));
+}));
+
+// Coaches see the cohorts they run (admins see all); learners see the ones they joined
+app.get("/cohorts", requireAuth, asyncHandler(async (req, res) => {
+  const { items: joined } = await store.members.list({ match: { user: req.user.id }, limit: 1000 });
+  const member = [];
+  for (const link of joined) {
+    const c = await store.cohorts.get(link.cohort);
+    if (!c) continue;
+    const coach = await store.users.get(c.coach);
+    member.push({ id: c.id, name: c.name, coach: coach ? coach.name || coach.email : null, joinedAt: link.createdAt });
+  }
+  let coaching = [];
+  if (isStaff(req)) {
+    const { items } = await store.cohorts.list({ match: isAdmin(req) ? {} : { coach: req.user.id }, limit: 1000 });
+    coaching = await Promise.all(items.map(async (c) =>
+      cohortView(c, { members: (await store.members.list({ match: { cohort: c.id }, limit: 0 })).total })
+    ));
+  }
+  res.json({ coaching, member });
+}));
+
+app.post("/cohorts/join", requireAuth, asyncHandler(async (req, res) => {
+  const parsed = JoinSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invite codes are 8 letters and digits" });
+  const c = await store.cohorts.findOne({ code: parsed.data.code });
+  if (!c) return res.status(404).json({ error: "No cohort has that invite code" });
+  if (await store.members.findOne({ cohort: c.id, user: req.user.id })) {
+    return res.status(409).json({ error: "You are already in this cohort" });
+  }
+  const link = await store.members.save({ cohort: c.id, user: req.user.id });
+  res.status(201).json({ id: c.id, name: c.name, joinedAt: link.createdAt });
+}));
+
+// A coach removes a learner, or a learner leaves (userId "me")
+app.delete("/cohorts/:id/members/:userId", requireAuth, asyncHandler(async (req, res) => {
+  const user = req.params.userId === "me" ? req.user.id : req.params.userId;
+  const c = await store.cohorts.get(req.params.id);
+  const allowed = c && (user === req.user.id || c.coach === req.user.id || isAdmin(req));
+  const link = allowed && await store.members.findOne({ cohort: c.id, user });
+  if (!link) return res.status(404).json({ error: "Not found" });
+  await store.members.remove(link.id);
+  res.status(204).end();
+}));
+
+// Optional ?testId= narrows the dashboard to one test
+app.get("/cohorts/:id/dashboard", requireRole("coach", "admin"), asyncHandler(async (req, res) => {
+  const c = await ownCohort(req, res);
+  if (!c) return;
+  const testId = typeof req.query.testId === "string" && req.query.testId ? req.query.testId : null;
+  const { members, results } = await cohortData(c, testId);
+  res.json({ cohort: cohortView(c), testId, ...cohortDashboard(members, results) });
+}));
+
+app.get("/cohorts/:id/export.csv", requireRole("coach", "admin"), asyncHandler(async (req, res) => {
+  const c = await ownCohort(req, res);
+  if (!c) return;
+  const testId = typeof req.query.testId === "string" && req.query.testId ? req.query.testId : null;
+  const { members, results } = await cohortData(c, testId);
+  const slug = c.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "cohort";
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${slug}-results.csv"`);
+  res.setHeader("Access-Control-Expose-Headers", "x-model, Content-Disposition");
+  res.send(resultsCsv(members, results));
+}));
+
+/* ---- API keys (admins) ----
+ * The clear key and webhook secret are returned once, at creation.
+ */
+app.post("/apikeys", requireRole("admin"), asyncHandler(async (req, res) => {
+  const parsed = ApiKeySchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Give the key a name; dailyQuota must be a positive integer" });
+  const { key, record } = createApiKey({ ...parsed.data, owner: req.user.id });
+  const k = await store.apikeys.save(record);
+  res.status(201).json({ ...publicApiKey(k), key, webhookSecret: k.webhookSecret });
+}));
+
+app.get("/apikeys", requireRole("admin"), asyncHandler(async (_req, res) => {
+  const { items } = await store.apikeys.list({ limit: 1000 });
+  res.json({ items: items.map(publicApiKey) });
+}));
+
+app.delete("/apikeys/:id", requireRole("admin"), asyncHandler(async (req, res) => {
+  const k = await store.apikeys.update(req.params.id, { revoked: true });
+  if (!k) return res.status(404).json({ error: "Not found" });
+  res.json(publicApiKey(k));
+}));
+
+/* ---- Batch grading (API key) ---- */
+// Quota reservations and the worker's usage counters share this lock
+const accounting = serialized();
+
+function batchLinks(job) {
+  const base = `${job.base}/batch/${job.id}`;
+  return { results: { jsonl: `${base}/results.jsonl`, csv: `${base}/results.csv` } };
+}
+
+const batchWorker = createBatchWorker({
+  store,
+  getTest,
+  grade: (opts) => grade({ ...opts, cache: responseCache }),
+  serial: accounting,
+  async onJobDone(job) {
+    if (!job.webhook) return;
+    const k = await store.apikeys.get(job.client);
+    const delivery = await deliverWebhook(job.webhook, { event: "batch.completed", job: jobView(job, batchLinks(job)) }, k.webhookSecret);
+    await store.batches.update(job.id, { webhookDelivery: delivery });
+  },
+});
+
+app.get("/batch/usage", requireApiKey(store.apikeys), (req, res) => {
+  res.json({ ...publicApiKey(req.client), remaining: remainingQuota(req.client), maxItems: BATCH_MAX_ITEMS });
+});
+
+app.post("/batch", requireApiKey(store.apikeys), asyncHandler(async (req, res) => {
+  const test = getTest(req.body?.testId || DEFAULT_TEST_ID);
+  if (!test) return res.status(400).json({ error: "Unknown test" });
+  if (test.adaptive || test.items.some((it) => it.mode === "speech")) {
+    return res.status(400).json({ error: "Batch grading supports written, fixed tests only" });
+  }
+  const parsed = batchSchema(test).safeParse(req.body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.slice(0, 10).map((i) => `${i.path.join(".") || "body"}: ${i.message}`);
+    return res.status(400).json({ error: "Bad input", issues });
+  }
+  const { items, webhook } = parsed.data;
+  const locale = resolveLocale(parsed.data);
+  const refused = webhook ? await webhookProblem(webhook) : null;
+  if (refused) return res.status(400).json({ error: "Bad input", issues: [`webhook: ${refused}`] });
+
+  // Reserve quota for every submission up front
+  const reserved = await accounting(async () => {
+    const k = await store.apikeys.get(req.client.id);
+    const usage = reserveQuota(k, items.length);
+    if (!usage) return { remaining: remainingQuota(k), dailyQuota: k.dailyQuota };
+    await store.apikeys.update(k.id, { usage });
+    return null;
+  });
+  if (reserved) {
+    return res.status(429).json({ error: `Daily quota exceeded: ${reserved.remaining} of ${reserved.dailyQuota} submissions left today`, ...reserved });
+  }
+
+  const job = await store.batches.save({
+    client: req.client.id,
+    testId: test.id,
+    ...locale,
+    total: items.length,
+    done: 0,
+    failed: 0,
+    degraded: 0,
+    status: "queued",
+    webhook: webhook || null,
+    base: publicBase(req),
+  });
+  for (const [index, it] of items.entries()) {
+    await store.batchitems.save({
+      job: job.id,
+      index,
+      ref: it.ref ?? null,
+      answers: it.answers,
+      ...(it.telemetry ? { telemetry: it.telemetry } : {}),
+      status: "queued",
+    });
   }
+  await batchWorker.enqueue(job.id);
+  res.status(202).json(jobView(job, batchLinks(job)));
+}));
+
+// The caller's own job, or a 404 already sent
+async function ownJob(req, res) {
+  const job = await store.batches.get(req.params.id);
+  if (!job || job.client !== req.client.id) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  return job;
+}
+
+app.get("/batch/:id", requireApiKey(store.apikeys), asyncHandler(async (req, res) => {
+  const job = await ownJob(req, res);
+  if (job) res.json(jobView(job, batchLinks(job)));
+}));
+
+// Available while the job runs; pending submissions are listed as queued
+app.get("/batch/:id/results.:format(jsonl|csv)", requireApiKey(store.apikeys), asyncHandler(async (req, res) => {
+  const job = await ownJob(req, res);
+  if (!job) return;
+  const { items } = await store.batchitems.list({ match: { job: job.id }, limit: job.total });
+  if (req.params.format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.send(itemsCsv(items));
+  } else {
+    res.setHeader("Content-Type", "application/x-ndjson");
+    res.send(itemsJsonl(items));
+  }
+}));
+
+// Stops grading the submissions not started yet and gives their quota back
+// (to today's allowance, if the job was submitted today)
+app.delete("/batch/:id", requireApiKey(store.apikeys), asyncHandler(async (req, res) => {
+  const job = await ownJob(req, res);
+  if (!job) return;
+  if (job.status === "completed") return res.status(409).json({ error: "This job has already completed" });
+  const updated = await accounting(async () => {
+    const { items } = await store.batchitems.list({ match: { job: job.id, status: "queued" }, limit: job.total });
+    for (const it of items) await store.batchitems.update(it.id, { status: "cancelled" });
+    const k = await store.apikeys.get(job.client);
+    if (k && items.length) await store.apikeys.update(k.id, { usage: refundQuota(k, items.length, job.createdAt.slice(0, 10)) });
+    const j = await store.batches.get(job.id);
+    return store.batches.update(job.id, {
+      status: "cancelled",
+      cancelled: (j.cancelled || 0) + items.length,
+      finishedAt: j.finishedAt || new Date().toISOString(),
+    });
+  });
+  res.json(jobView(updated, batchLinks(updated)));
+}));
+
+// Errors passed to next() (or thrown by middleware): classified and logged, never a stack trace
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // Client errors from body parsing (malformed JSON, too large) keep their status
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, requestId: req.id });
+  }
+  sendError(req, res, err);
 });
 
 /* ---- Start ---- */
+duplicates.load(store.results).catch((e) => log.error("could not build the duplicate index", errorFields(e)));
+batchWorker.resume().catch((e) => log.error("could not resume batch jobs", errorFields(e)));
+
 const port = process.env.PORT || 8787;
-app.listen(port, () => console.log(`API running on ${port} (default model: ${DEFAULT_MODEL})`));
+app.listen(port, () => log.info("API running", { port: Number(port), model: DEFAULT_MODEL, store: store.kind, cache: responseCache?.kind || "off" }));
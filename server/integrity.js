@@ -0,0 +1,153 @@
+import { z } from "zod";
+
+/* ---- Integrity signals ----
+ * Hints that an answer was not written by the learner in the test: pasted
+ * text, typing faster than anyone types, leaving the page mid-answer, and
+ * prose that reads like a language model's. The browser reports per-answer
+ * telemetry; the AI-text likelihood is a local stylometric estimate (uniform
+ * sentence lengths, stock LLM phrasing, formal word choice), never proof.
+ * A report only ever flags a result for a human to look at: scores are
+ * unchanged and nothing is blocked.
+ */
+
+export const INTEGRITY_AI_THRESHOLD = Number(process.env.INTEGRITY_AI_THRESHOLD) || 0.65;
+export const INTEGRITY_MAX_CPM = Number(process.env.INTEGRITY_MAX_CPM) || 500; // sustained typing, characters/minute
+const MIN_CHARS = 40; // shorter answers are too small to judge
+const MIN_AI_WORDS = 40;
+
+const count = z.number().int().min(0).max(1e7);
+
+// One entry per part (null for parts the client has nothing on, e.g. spoken ones)
+export const PartTelemetrySchema = z.object({
+  ms: count,              // time the answer field had focus
+  keystrokes: count,      // key presses in the field
+  pastes: count,          // paste events
+  pastedChars: count,     // characters inserted by pasting
+  blurs: count,           // times the page lost focus while the field was active
+});
+
+export const TelemetrySchema = z.array(PartTelemetrySchema.nullable()).max(50);
+
+// Telemetry from a request body; malformed entries are dropped rather than refused
+export function parseTelemetry(raw) {
+  if (!Array.isArray(raw) || raw.length > 50) return null;
+  const parts = raw.map((t) => {
+    const parsed = PartTelemetrySchema.safeParse(t);
+    return parsed.success ? parsed.data : null;
+  });
+  return parts.some(Boolean) ? parts : null;
+}
+
+/* ---- AI-text likelihood (stylometric) ---- */
+// Phrases language models reach for far more often than learners do
+const LLM_PHRASES = [
+  "delve", "tapestry", "testament to", "it is important to note", "it's important to note", "it is worth noting",
+  "in today's fast-paced", "plays a crucial role", "plays a pivotal role", "a myriad of", "navigate the complexities",
+  "foster", "multifaceted", "underscores", "in conclusion", "overall,", "additionally,", "furthermore,", "moreover,",
+  "ultimately,", "in summary", "seamless", "invaluable", "embark on", "a rich", "vibrant", "resonate",
+];
+const TRANSITIONS = /^(moreover|furthermore|additionally|however|overall|ultimately|in conclusion|in summary|consequently|thus)\b/i;
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const round2 = (x) => Math.round(x * 100) / 100;
+
+function sentences(text) {
+  return String(text).split(/(?<=[.!?])\s+/).map((s) => s.trim()).filter((s) => /\w/.test(s));
+}
+
+/* 0–1 estimate (null when the text is too short), plus the features behind it:
+ *   burstiness   variation of sentence length; people vary it far more
+ *   phrases      stock LLM phrases per 100 words
+ *   transitions  share of sentences opening with a connective
+ *   wordLength   mean word length (formal, abstract vocabulary)
+ *   contractions none at all in a long answer is a weak hint */
+export function aiLikelihood(text) {
+  const words = String(text).toLowerCase().replace(/[’‘]/g, "'").match(/[a-z']+/g) || [];
+  if (words.length < MIN_AI_WORDS) return null;
+  const lower = ` ${String(text).toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, " ")} `;
+
+  const lengths = sentences(text).map((s) => (s.match(/[\p{L}']+/gu) || []).length);
+  const mean = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  const sd = Math.sqrt(lengths.reduce((a, b) => a + (b - mean) ** 2, 0) / lengths.length);
+  const burstiness = lengths.length > 2 ? sd / mean : null;
+
+  const phraseHits = LLM_PHRASES.reduce((n, p) => n + (lower.split(p).length - 1), 0);
+  const phrases = (phraseHits * 100) / words.length;
+  const transitions = sentences(text).filter((s) => TRANSITIONS.test(s)).length / Math.max(1, lengths.length);
+  const wordLength = words.reduce((a, w) => a + w.length, 0) / words.length;
+  const contractions = words.filter((w) => /[a-z]'(t|re|ve|ll|d|m)$/.test(w)).length; // not possessive 's
+
+  const parts = [
+    [0.3, burstiness === null ? 0.5 : clamp01((0.6 - burstiness) / 0.35)],
+    [0.35, clamp01(phrases / 2)],
+    [0.1, clamp01(transitions / 0.3)],
+    [0.15, clamp01((wordLength - 4.4) / 1.0)],
+    [0.1, contractions === 0 && words.length >= 80 ? 1 : 0],
+  ];
+  return {
+    score: round2(parts.reduce((a, [w, s]) => a + w * s, 0)),
+    features: {
+      burstiness: burstiness === null ? null : round2(burstiness),
+      phrases: round2(phrases),
+      transitions: round2(transitions),
+      wordLength: round2(wordLength),
+      contractions,
+    },
+  };
+}
+
+/* ---- Report ----
+ * Signals are "strong" (enough on their own to flag) or "weak" (two of them
+ * flag). Spoken parts are skipped: their text comes from the recognizer.
+ */
+function partSignals(answer, t, ai) {
+  const text = String(answer || "");
+  const chars = text.trim().length;
+  const out = [];
+  if (t && chars >= MIN_CHARS) {
+    const pasted = Math.min(t.pastedChars, chars);
+    if (pasted >= chars * 0.5) {
+      out.push({ signal: "paste", severity: "strong", detail: `${Math.round((pasted / chars) * 100)}% of the answer was pasted.` });
+    } else if (t.pastes > 0 && pasted >= 20) {
+      out.push({ signal: "paste", severity: "weak", detail: `${pasted} characters were pasted.` });
+    }
+    const typed = chars - pasted;
+    const cpm = t.ms > 0 ? typed / (t.ms / 60_000) : Infinity;
+    if (typed >= 80 && cpm > INTEGRITY_MAX_CPM) {
+      out.push({
+        signal: "speed",
+        severity: "strong",
+        detail: t.ms > 0
+          ? `${typed} characters in ${Math.round(t.ms / 1000)}s (${Math.round(cpm)} per minute).`
+          : `${typed} characters appeared without time spent in the field.`,
+      });
+    }
+    if (!t.pastes && typed >= 80 && t.keystrokes < typed * 0.3) {
+      out.push({ signal: "keystrokes", severity: "weak", detail: `${t.keystrokes} key presses for ${typed} characters.` });
+    }
+    if (t.blurs >= 2) {
+      out.push({ signal: "focus", severity: "weak", detail: `Left the page ${t.blurs} times while answering.` });
+    }
+  }
+  if (ai && ai.score >= INTEGRITY_AI_THRESHOLD) {
+    out.push({ signal: "aiText", severity: "strong", detail: `Reads like machine-generated text (likelihood ${ai.score}).` });
+  }
+  return out;
+}
+
+// `telemetry`: parseTelemetry() output or null. Returns { flagged, telemetry, parts }
+export function integrityReport(test, answers, telemetry) {
+  const parts = test.items.map((item, i) => {
+    if (item.mode === "speech") return { part: i + 1, aiLikelihood: null, signals: [] };
+    const ai = aiLikelihood(answers[i]);
+    return {
+      part: i + 1,
+      aiLikelihood: ai?.score ?? null,
+      ...(ai ? { features: ai.features } : {}),
+      signals: partSignals(answers[i], telemetry?.[i] || null, ai),
+    };
+  });
+  const all = parts.flatMap((p) => p.signals);
+  const flagged = all.some((s) => s.severity === "strong") || all.filter((s) => s.severity === "weak").length >= 2;
+  return { flagged, telemetry: !!telemetry, parts };
+}
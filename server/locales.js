@@ -0,0 +1,149 @@
+import { z } from "zod";
+
+/* ---- English varieties and feedback languages ----
+ * A variety is the standard an answer is graded against: its spelling,
+ * vocabulary and idiom count as correct (and the other standard's spelling
+ * is pointed out by the rule checks). The feedback language is what the
+ * model writes its reasons, suggestions and explanations in; the tasks, the
+ * quoted text and the corrections stay English.
+ */
+
+export const VARIETIES = {
+  us: {
+    label: "American English (US)",
+    spelling: "us",
+    prompt: "American English: US spelling (color, organize, center, traveled, program), US vocabulary (apartment, vacation, fall, truck) and idiom; collective nouns take singular verbs (the team is).",
+  },
+  uk: {
+    label: "British English (UK)",
+    spelling: "commonwealth",
+    prompt: "British English: UK spelling (colour, organise or organize, centre, travelled, programme), UK vocabulary (flat, holiday, autumn, lorry) and idiom (at the weekend, have got); collective nouns may take plural verbs (the team are).",
+  },
+  in: {
+    label: "Indian English",
+    spelling: "commonwealth",
+    prompt: "Indian English: British-based spelling (colour, centre, travelled), and standard Indian English vocabulary and idiom (lakh, crore, prepone, do the needful, out of station, cousin-brother) are correct in this variety.",
+  },
+  au: {
+    label: "Australian English",
+    spelling: "commonwealth",
+    prompt: "Australian English: British-based spelling (colour, organise, centre, travelled; 'program' is also standard), Australian vocabulary (arvo, ute, servo, uni) and idiom (no worries, reckon) are correct in this variety.",
+  },
+};
+
+export const DEFAULT_VARIETY = VARIETIES[process.env.DEFAULT_VARIETY] ? process.env.DEFAULT_VARIETY : "us";
+
+// Languages the model may write feedback in (ISO 639-1 → name used in the prompt)
+export const FEEDBACK_LANGUAGES = {
+  en: "English",
+  es: "Spanish",
+  hi: "Hindi",
+  pt: "Portuguese",
+  fr: "French",
+  de: "German",
+  ar: "Arabic",
+  bn: "Bengali",
+  ur: "Urdu",
+  zh: "Chinese (Simplified)",
+  ja: "Japanese",
+  ko: "Korean",
+  ru: "Russian",
+  tr: "Turkish",
+  vi: "Vietnamese",
+  id: "Indonesian",
+};
+
+export const LocaleSchema = z.object({
+  variety: z.enum(Object.keys(VARIETIES)).optional(),
+  language: z.enum(Object.keys(FEEDBACK_LANGUAGES)).optional(),
+});
+
+// Request body (or job/session) → { variety, language } with defaults applied; null when invalid
+export function resolveLocale(body) {
+  const parsed = LocaleSchema.safeParse({
+    variety: body?.variety || undefined,
+    language: body?.language || undefined,
+  });
+  if (!parsed.success) return null;
+  return { variety: parsed.data.variety || DEFAULT_VARIETY, language: parsed.data.language || "en" };
+}
+
+export const LOCALE_ERROR = `variety must be one of ${Object.keys(VARIETIES).join(", ")}; language one of ${Object.keys(FEEDBACK_LANGUAGES).join(", ")}`;
+
+/* ---- Feedback the server writes itself ----
+ * The offline estimate and the adaptive summary have no model to write in the
+ * feedback language, so their framing comes from here: the languages the web
+ * app is translated into, English for the rest. Rule-check details are
+ * quoted as they are (like corrections, they stay English).
+ */
+const SERVER_TEXT = {
+  en: {
+    "offline.reasons": "The grading model was unavailable, so this score comes from automated checks only (capped at 8).",
+    "offline.failed": "{failed} of {total} checks failed.",
+    "offline.passed": "All automated checks passed.",
+    "offline.suggestion": "Part {part}: {detail}",
+    "offline.partFlagged": "Automated checks flagged: {details}",
+    "offline.partPassed": "Automated checks passed; not reviewed by a model.",
+    "adaptive.reasons": "Adaptive check over {n} items (difficulty {path}). The score weighs each answer by how demanding its item was.",
+  },
+  es: {
+    "offline.reasons": "El modelo de evaluación no estaba disponible, así que esta puntuación viene solo de comprobaciones automáticas (máximo 8).",
+    "offline.failed": "Fallaron {failed} de {total} comprobaciones.",
+    "offline.passed": "Se superaron todas las comprobaciones automáticas.",
+    "offline.suggestion": "Parte {part}: {detail}",
+    "offline.partFlagged": "Las comprobaciones automáticas señalaron: {details}",
+    "offline.partPassed": "Comprobaciones automáticas superadas; ningún modelo lo revisó.",
+    "adaptive.reasons": "Prueba adaptativa de {n} preguntas (dificultad {path}). La puntuación pondera cada respuesta según lo exigente que era su pregunta.",
+  },
+  hi: {
+    "offline.reasons": "ग्रेडिंग मॉडल उपलब्ध नहीं था, इसलिए यह स्कोर केवल स्वचालित जाँचों से आया है (अधिकतम 8)।",
+    "offline.failed": "{total} में से {failed} जाँचें विफल रहीं।",
+    "offline.passed": "सभी स्वचालित जाँचें सफल रहीं।",
+    "offline.suggestion": "भाग {part}: {detail}",
+    "offline.partFlagged": "स्वचालित जाँचों ने ये बातें बताईं: {details}",
+    "offline.partPassed": "स्वचालित जाँचें सफल रहीं; किसी मॉडल ने समीक्षा नहीं की।",
+    "adaptive.reasons": "{n} प्रश्नों पर अनुकूली जाँच (कठिनाई {path})। स्कोर हर उत्तर को उसके प्रश्न की कठिनाई के अनुसार महत्व देता है।",
+  },
+};
+
+// `key` in the feedback language, with {name} placeholders filled from `vars`
+export function serverText(language, key, vars = {}) {
+  const text = SERVER_TEXT[language]?.[key] ?? SERVER_TEXT.en[key];
+  return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+/* ---- Spelling variants (US ↔ British-based) ----
+ * Pairs that are both correct, each in its own standard. The "variety" rule
+ * check names the forms of the other standard; it never calls them errors.
+ */
+const SPELLING_PAIRS = [
+  ["color", "colour"], ["favorite", "favourite"], ["flavor", "flavour"], ["honor", "honour"],
+  ["humor", "humour"], ["labor", "labour"], ["neighbor", "neighbour"], ["behavior", "behaviour"],
+  ["harbor", "harbour"], ["rumor", "rumour"], ["center", "centre"], ["theater", "theatre"],
+  ["fiber", "fibre"], ["liter", "litre"], ["defense", "defence"], ["offense", "offence"],
+  ["analyze", "analyse"], ["paralyze", "paralyse"], ["traveled", "travelled"], ["traveling", "travelling"],
+  ["traveler", "traveller"], ["canceled", "cancelled"], ["canceling", "cancelling"], ["modeling", "modelling"],
+  ["jewelry", "jewellery"], ["aluminum", "aluminium"], ["pajamas", "pyjamas"], ["cozy", "cosy"],
+  ["skeptical", "sceptical"], ["apologize", "apologise"], ["realize", "realise"], ["organize", "organise"],
+  ["recognize", "recognise"], ["criticize", "criticise"], ["memorize", "memorise"],
+];
+
+// The same words with common endings (colors, realised, organization …)
+const SUFFIXES = ["", "s", "d", "ed", "ing", "ation", "ations", "ful", "able", "er", "ers"];
+const inflect = (stem, suffix) => (stem.endsWith("e") && /^[aeiou]/.test(suffix) ? stem.slice(0, -1) + suffix : stem + suffix);
+
+const FOREIGN = { us: new Map(), commonwealth: new Map() }; // spelling standard → other standard's form → own form
+for (const [us, gb] of SPELLING_PAIRS) {
+  for (const suffix of SUFFIXES) {
+    FOREIGN.us.set(inflect(gb, suffix), inflect(us, suffix));
+    // "-ize" is also standard in British (Oxford) and Australian usage, so it is never pointed out
+    if (!us.endsWith("ize")) FOREIGN.commonwealth.set(inflect(us, suffix), inflect(gb, suffix));
+  }
+}
+
+// Words in `words` spelled the other standard's way: [[found, expected]]
+export function foreignSpellings(words, variety) {
+  const table = FOREIGN[VARIETIES[variety]?.spelling];
+  if (!table) return [];
+  return [...new Set(words)].filter((w) => table.has(w)).map((w) => [w, table.get(w)]);
+}
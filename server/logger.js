@@ -0,0 +1,44 @@
+/* ---- Structured logging ----
+ * One JSON object per line: { time, level, msg, ...fields }. Requests get a
+ * child logger carrying their request id (req.log), so every line about one
+ * request can be found with a single grep. warn and error go to stderr.
+ * Env: LOG_LEVEL (debug | info | warn | error, default info),
+ * LOG_FORMAT=text for "time level msg key=value" lines when reading by eye.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const TEXT = process.env.LOG_FORMAT === "text";
+
+function format(entry) {
+  if (!TEXT) return JSON.stringify(entry);
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields).map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...rest].join(" ");
+}
+
+export function createLogger(bindings = {}) {
+  const write = (level, msg, fields) => {
+    if (LEVELS[level] < MIN_LEVEL) return;
+    const line = format({ time: new Date().toISOString(), level, msg, ...bindings, ...fields });
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+  };
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+export const log = createLogger();
+
+// Fields describing a caught error (message, classification, provider status)
+export function errorFields(e) {
+  return {
+    error: e?.message || String(e),
+    ...(e?.kind ? { kind: e.kind } : {}),
+    ...(e?.status ? { upstreamStatus: e.status } : {}),
+  };
+}
@@ -0,0 +1,82 @@
+/* ---- Metrics ----
+ * A small in-process registry rendered in the Prometheus text format at
+ * GET /metrics. Counters and histograms take a labels object; every distinct
+ * label set is its own series, so labels must stay low-cardinality (route
+ * patterns and model names, never ids or raw paths).
+ */
+
+const registry = new Map(); // name → metric
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+export function counter(name, help) {
+  const series = new Map(); // key → { labels, value }
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labels);
+      const s = series.get(key) || { labels, value: 0 };
+      s.value += by;
+      series.set(key, s);
+    },
+    render: () => [...series.values()].map((s) => `${name}${labelText(s.labels)} ${s.value}`),
+  };
+  registry.set(name, { type: "counter", help, metric });
+  return metric;
+}
+
+// `read()` returns [{ labels, value }] at scrape time
+export function gauge(name, help, read) {
+  const metric = { render: () => read().map((s) => `${name}${labelText(s.labels)} ${s.value}`) };
+  registry.set(name, { type: "gauge", help, metric });
+  return metric;
+}
+
+export const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+export function histogram(name, help, buckets = LATENCY_BUCKETS) {
+  const series = new Map(); // key → { labels, counts, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      const s = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+      series.set(key, s);
+    },
+    render: () => [...series.values()].flatMap((s) => [
+      ...buckets.map((b, i) => `${name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`),
+      `${name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`,
+      `${name}_sum${labelText(s.labels)} ${Math.round(s.sum * 1000) / 1000}`,
+      `${name}_count${labelText(s.labels)} ${s.count}`,
+    ]),
+  };
+  registry.set(name, { type: "histogram", help, metric });
+  return metric;
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const [name, { type, help, metric }] of registry) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...metric.render());
+  }
+  return out.join("\n") + "\n";
+}
+
+/* ---- The application's metrics ---- */
+export const httpRequests = counter("http_requests_total", "HTTP requests by route pattern and status");
+export const httpDuration = histogram("http_request_duration_seconds", "HTTP request latency by route pattern");
+export const modelCalls = counter("model_calls_total", "Model calls by model and outcome (ok or an error kind)");
+export const modelLatency = histogram("model_call_duration_seconds", "Latency of successful model calls by model");
+export const modelRetries = counter("model_retries_total", "Repeat calls to the same model: plain (without JSON mode) or repair");
+export const modelFallbacks = counter("model_fallbacks_total", "Switches to the next model in the chain");
+export const jsonParseFailures = counter("model_json_parse_failures_total", "Model replies that were not parseable JSON");
+export const integrityReports = counter("integrity_reports_total", "Integrity reports on submissions by outcome (flagged or clear) and source");
+export const gradings = counter("gradings_total", "Completed gradings by quality (clean, repaired, defaulted, degraded) and cache use");
@@ -0,0 +1,298 @@
+import { chat } from "./providers/index.js";
+import { describeChecks, runChecks } from "./checks.js";
+import { responseCacheKey } from "./cache.js";
+import { classifyError, kindError } from "./errors.js";
+import { describeFluency } from "./fluency.js";
+import { healthOrder, recordCall } from "./health.js";
+import { DEFAULT_VARIETY } from "./locales.js";
+import { log as rootLog, errorFields } from "./logger.js";
+import { gradings, jsonParseFailures, modelCalls, modelFallbacks, modelLatency, modelRetries } from "./metrics.js";
+import {
+  SYSTEM_PROMPT,
+  buildGradingInstr,
+  buildRepairInstr,
+  extractJson,
+  normalizeResult,
+  offlineResult,
+  validateOutput,
+} from "./grading.js";
+import {
+  ENSEMBLE_MODELS,
+  ENSEMBLE_SAMPLES,
+  ENSEMBLE_TEMPERATURE,
+  aggregateVerdicts,
+} from "./ensemble.js";
+
+/* ---- Grading pipeline ----
+ * checks → prompt → model(s) → validate (targeted repairs) → normalize, or an offline
+ * estimate when no model answers. Used by /assess, /assess/stream and the
+ * calibration CLI, so they all grade exactly the same way.
+ */
+
+export const DEFAULT_MODEL = process.env.OPENROUTER_MODEL || "meta-llama/llama-3.1-8b-instruct:free";
+// Comma-separated list of fallbacks (in order); "provider:model" entries may use another provider
+export const FALLBACK_MODELS = (process.env.FALLBACK_MODELS || "qwen/qwen3-8b-instruct:free").split(",").map(s => s.trim()).filter(Boolean);
+// "single" (first model that answers wins) or "ensemble" (ENSEMBLE_MODELS all grade; see ensemble.js)
+export const ASSESS_MODE = process.env.ASSESS_MODE === "ensemble" ? "ensemble" : "single";
+
+// How many times a reply that fails the output schema goes back to its model
+export const REPAIR_ATTEMPTS = Math.max(0, Math.min(5, Number(process.env.REPAIR_ATTEMPTS ?? 2)));
+
+// `model` is a "provider:model" spec (see providers/index.js)
+async function callOnce({ model, system, user, useJsonFormat = true, maxTokens = 700, temperature = 0, onDelta, signal }) {
+  // Errors bubble up (classified) so the caller can decide retry/fallback behavior
+  const startedAt = Date.now();
+  try {
+    const raw = await chat(model, { system, user, json: useJsonFormat, maxTokens, temperature, onDelta, signal });
+    modelCalls.inc({ model, outcome: "ok" });
+    modelLatency.observe({ model }, (Date.now() - startedAt) / 1000);
+    recordCall(model, true);
+    return raw;
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    // Whatever a provider throws is the provider's failure, not ours
+    if (e && typeof e === "object" && !e.kind) {
+      const kind = classifyError(e);
+      e.kind = kind === "internal" ? "upstream" : kind;
+    }
+    modelCalls.inc({ model, outcome: e?.kind || "upstream" });
+    recordCall(model, false);
+    throw e;
+  }
+}
+
+// Best-effort: the latest (possibly unfinished) "reasons" string in partial JSON
+function partialReasons(text) {
+  const all = [...text.matchAll(/"reasons"\s*:\s*"((?:[^"\\]|\\.)*)/g)];
+  const last = all[all.length - 1]?.[1];
+  if (!last) return "";
+  try { return JSON.parse(`"${last.replace(/\\$/, "")}"`); } catch { return last; }
+}
+
+/* `emit(event, data)` reports progress (used by the SSE route); a no-op otherwise.
+ * With `reorder`, models currently failing (health.js) go to the end of the chain. */
+async function robustAsk({ preferredModel, fallbacks = FALLBACK_MODELS, instr, userText, temperature = 0, reorder = false, emit, signal, log = rootLog }) {
+  const configured = [preferredModel, ...fallbacks];
+  const modelsToTry = reorder ? healthOrder(configured) : configured;
+  const system = SYSTEM_PROMPT;
+  const user = instr + "\n\nUser responses:\n" + userText;
+  const onDelta = emit && ((model) => {
+    let last = "";
+    return (text) => {
+      const reasons = partialReasons(text);
+      if (reasons && reasons !== last) { last = reasons; emit("partial", { model, reasons }); }
+    };
+  });
+  emit ||= () => {};
+  if (modelsToTry.some((m, i) => m !== configured[i])) {
+    log.info("model chain reordered by health", { models: modelsToTry });
+    emit("reorder", { models: modelsToTry });
+  }
+
+  let lastError;
+  for (const [i, m] of modelsToTry.entries()) {
+    if (i > 0) {
+      modelFallbacks.inc({ from: modelsToTry[i - 1], to: m });
+      emit("fallback", { from: modelsToTry[i - 1], to: m, error: lastError?.message || "failed", kind: lastError?.kind });
+    }
+    // 1) Try with json_object
+    try {
+      emit("attempt", { model: m, mode: "json" });
+      const raw = await callOnce({ model: m, system, user, useJsonFormat: true, maxTokens: 700, temperature, onDelta: onDelta?.(m), signal });
+      return { raw, usedModel: m };
+    } catch (e1) {
+      if (signal?.aborted) throw e1;
+      lastError = e1;
+      log.warn("model call failed", { model: m, mode: "json", ...errorFields(e1) });
+      // 2) Retry same model WITHOUT response_format and with smaller max_tokens
+      modelRetries.inc({ model: m, reason: "plain" });
+      try {
+        emit("attempt", { model: m, mode: "plain", error: e1?.message });
+        const raw = await callOnce({ model: m, system, user, useJsonFormat: false, maxTokens: 550, temperature, onDelta: onDelta?.(m), signal });
+        return { raw, usedModel: m };
+      } catch (e2) {
+        if (signal?.aborted) throw e2;
+        lastError = e2;
+        log.warn("model call failed", { model: m, mode: "plain", ...errorFields(e2) });
+        // continue to next model
+      }
+    }
+  }
+  throw lastError || new Error("All model attempts failed");
+}
+
+/* Parses and validates one reply. Invalid replies go back to the same model
+ * with the schema problems listed, up to REPAIR_ATTEMPTS times. Resolves to
+ * { out, quality: "clean" | "repaired" | "defaulted", repairs, issues, attempts };
+ * "defaulted" means the last parseable reply never passed and will be
+ * normalized leniently. Throws when no reply was JSON at all. */
+async function settleOutput({ test, raw, usedModel, instr, userText, emit, signal, log = rootLog }) {
+  const attempts = [];
+  let best = null;
+  for (let repairs = 0; ; repairs++) {
+    let issues;
+    try {
+      const out = extractJson(raw);
+      issues = validateOutput(out, test);
+      best = { out, issues };
+      if (!issues.length) return { out, quality: repairs ? "repaired" : "clean", repairs, issues, attempts: [...attempts, { raw, issues }] };
+    } catch (e) {
+      jsonParseFailures.inc({ model: usedModel });
+      issues = [`Reply is not valid JSON (${e.message})`];
+    }
+    attempts.push({ raw, issues });
+    if (repairs >= REPAIR_ATTEMPTS) break;
+
+    log.info("asking model to repair its reply", { model: usedModel, attempt: repairs + 1, issues: issues.slice(0, 5) });
+    emit?.("repair", { model: usedModel, attempt: repairs + 1, of: REPAIR_ATTEMPTS, issues });
+    modelRetries.inc({ model: usedModel, reason: "repair" });
+    try {
+      ({ raw } = await robustAsk({
+        preferredModel: usedModel,
+        fallbacks: [],
+        instr,
+        userText: userText + "\n\n" + buildRepairInstr(raw, issues),
+        emit,
+        signal,
+        log,
+      }));
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      break; // the model stopped answering; keep what we have
+    }
+  }
+  if (!best) throw kindError("bad_output", attempts[attempts.length - 1].issues[0]);
+  return { out: best.out, quality: "defaulted", repairs: attempts.length - 1, issues: best.issues, attempts };
+}
+
+// Grade with every ENSEMBLE_MODELS entry × ENSEMBLE_SAMPLES in parallel and aggregate.
+// A run that fails (after its own json/plain retry and repairs) is reported, not fatal;
+// so is one whose output never passes validation, rather than averaging in guesses.
+async function gradeEnsemble({ test, answers, models, instr, userText, emit, signal, log }) {
+  const runs = models.flatMap((model) =>
+    Array.from({ length: ENSEMBLE_SAMPLES }, (_, i) => ({ model, sample: i + 1 }))
+  );
+  const temperature = ENSEMBLE_SAMPLES > 1 ? ENSEMBLE_TEMPERATURE : 0;
+  // Interleaved partial text from parallel runs would be noise; keep the progress events
+  const progress = emit && ((event, data) => { if (event !== "partial") emit(event, data); });
+
+  const settled = await Promise.allSettled(runs.map(async (run) => {
+    const { raw } = await robustAsk({ preferredModel: run.model, fallbacks: [], instr, userText, temperature, emit: progress, signal, log });
+    const { out, quality, issues } = await settleOutput({ test, raw, usedModel: run.model, instr, userText, emit: progress, signal, log });
+    if (quality === "defaulted") throw kindError("bad_output", `Invalid output (${issues.slice(0, 3).join("; ")})`);
+    emit?.("verdict", { ...run, score: normalizeResult(out, test).score });
+    return { ...run, out, quality };
+  }));
+
+  const verdicts = [];
+  const failed = [];
+  settled.forEach((r, i) => {
+    if (r.status === "fulfilled") verdicts.push(r.value);
+    else failed.push({ ...runs[i], error: r.reason?.message || "failed", kind: r.reason?.kind || "upstream" });
+  });
+  if (!verdicts.length) {
+    // One kind for the whole ensemble when every run failed the same way
+    const kinds = new Set(failed.map((f) => f.kind));
+    throw kindError(kinds.size === 1 ? [...kinds][0] : "upstream", `All ensemble models failed (${failed.map((f) => `${f.model}: ${f.error}`).join("; ")})`);
+  }
+  const { result, ensemble } = aggregateVerdicts(verdicts, test, { answers });
+  const quality = verdicts.some((v) => v.quality === "repaired") ? "repaired" : "clean";
+  return { result, quality, ensemble: { ...ensemble, failed } };
+}
+
+/* Resolves to { result, meta } — `result` is the learner-facing body (with
+ * `checks`), `meta` goes into `_meta` — or to { debug } when `debug` is set
+ * and the model's first reply failed validation. Progress goes through `emit`.
+ * With a `cache` (cache.js), identical written answers reuse an earlier clean
+ * or repaired grading; `meta.cache` says whether this one was a hit.
+ * `reorder`: let model health (health.js) reorder the chain; `log`: request logger. */
+export async function grade({
+  test,
+  answers,
+  preferredModel = DEFAULT_MODEL,
+  fallbacks = FALLBACK_MODELS,
+  ensemble = false,
+  ensembleModels = ENSEMBLE_MODELS,
+  template,
+  variety = DEFAULT_VARIETY,
+  language = "en",
+  speech,
+  debug = false,
+  cache = null,
+  reorder = true,
+  emit,
+  signal,
+  log = rootLog,
+}) {
+  const locale = { variety, language };
+  const checks = runChecks(test, answers, locale);
+  emit?.("checks", { checks });
+
+  // Transcripts never repeat exactly, and debug runs want a fresh reply
+  const cacheKey = cache && !speech?.length && !debug
+    ? responseCacheKey({ test, template, locale, answers, models: ensemble ? ["ensemble", ...ensembleModels] : [preferredModel, ...fallbacks] })
+    : null;
+  if (cacheKey) {
+    const hit = await cache.get(cacheKey);
+    if (hit) {
+      const age = Math.max(0, Math.round((Date.now() - hit.storedAt) / 1000));
+      emit?.("cache", { model: hit.meta.model, age });
+      gradings.inc({ quality: hit.meta.quality, cache: "hit" });
+      return {
+        result: { ...hit.result, checks },
+        meta: { ...hit.meta, cache: { hit: true, storedAt: new Date(hit.storedAt).toISOString(), age } },
+      };
+    }
+  }
+  // Counts the grading; only results a model actually produced are worth caching
+  const finish = async (graded) => {
+    graded = { ...graded, meta: { ...graded.meta, ...locale } };
+    gradings.inc({ quality: graded.meta.degraded ? "degraded" : graded.meta.quality, cache: cacheKey ? "miss" : "off" });
+    if (!cacheKey) return graded;
+    if (graded.meta.quality === "clean" || graded.meta.quality === "repaired") {
+      const { checks: _checks, ...result } = graded.result;
+      await cache.set(cacheKey, { result, meta: graded.meta });
+    }
+    return { ...graded, meta: { ...graded.meta, cache: { hit: false } } };
+  };
+
+  const instr = buildGradingInstr(test, template, locale);
+  const userText = answers
+    .map((a, i) => `Part ${i + 1}:\n${a}`)
+    .join("\n\n") +
+    "\n\n" + describeChecks(checks) +
+    (speech?.length ? "\n\n" + describeFluency(speech) : "");
+  // Spoken parts carry their transcript and fluency markers in the result
+  const extra = speech?.length ? { checks, speech } : { checks };
+
+  let settled, normalized, usedModel;
+  try {
+    if (ensemble) {
+      const { result, quality, ensemble: summary } = await gradeEnsemble({ test, answers, models: ensembleModels, instr, userText, emit, signal, log });
+      return finish({
+        result: { ...result, ...extra },
+        meta: { model: "ensemble", quality, lowConfidence: summary.lowConfidence, ensemble: summary },
+      });
+    }
+    const first = await robustAsk({ preferredModel, fallbacks, instr, userText, reorder, emit, signal, log });
+    usedModel = first.usedModel;
+    settled = await settleOutput({ test, raw: first.raw, usedModel, instr, userText, emit, signal, log });
+    if (debug && settled.quality !== "clean") return { debug: { kind: "bad_output", usedModel, attempts: settled.attempts } };
+    normalized = normalizeResult(settled.out, test, answers);
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    // Every model failed (or never returned JSON): degrade to the offline checker
+    const msg = (e && e.message) ? String(e.message) : "Upstream provider error";
+    const errorKind = classifyError(e);
+    log.warn("grading degraded to the offline estimate", { ...errorFields(e), kind: errorKind });
+    emit?.("degraded", { error: msg, kind: errorKind });
+    return finish({ result: { ...offlineResult(test, checks, language), ...extra }, meta: { model: null, degraded: true, error: msg, errorKind } });
+  }
+
+  const { defaulted, unverifiedAnnotations, ...result } = normalized;
+  const meta = { model: usedModel, quality: settled.quality };
+  if (unverifiedAnnotations) meta.unverifiedAnnotations = unverifiedAnnotations;
+  if (settled.repairs) meta.repairs = settled.repairs;
+  if (settled.quality === "defaulted") Object.assign(meta, { issues: settled.issues, defaulted });
+  return finish({ result: { ...result, ...extra }, meta });
+}
@@ -0,0 +1,332 @@
+import { z } from "zod";
+import { checkThirdConditional } from "./checks.js";
+
+/* ---- Practice drills ----
+ * Short exercises aimed at what an assessment found weak. Weak skills come
+ * from the result (annotation categories, failed rule checks, low-scoring
+ * parts whose items name a skill) and from the learner's mastery; a drill
+ * samples the exercise bank below, weighted toward them. Every exercise has
+ * an answer key and is graded here, instantly, without a model call.
+ * Mastery per skill is the share of correct first attempts over the last
+ * MASTERY_WINDOW exercises; later drills lean on the skills still below
+ * MASTERY_LEVEL. Drills serve exercises the learner has not answered yet;
+ * once a skill's bank is used up they repeat the ones answered longest ago,
+ * and the drill's focus says so. A used-up skill whose share went to other
+ * skills leaves the focus and is listed as exhausted instead.
+ */
+
+export const PRACTICE_SKILLS = ["thirdConditional", "idioms", "collocations", "articles", "tense"];
+export const SKILL_LABELS = {
+  thirdConditional: "Third conditional",
+  idioms: "Idioms in context",
+  collocations: "Collocations",
+  articles: "Articles",
+  tense: "Tenses",
+};
+
+const MASTERY_WINDOW = Number(process.env.MASTERY_WINDOW) || 10;
+const MASTERY_LEVEL = Number(process.env.MASTERY_LEVEL) || 0.8;
+const MASTERY_MIN_ATTEMPTS = 5;
+const DRILL_SKILLS = 3; // skills per drill at most
+
+export const DrillRequestSchema = z.object({
+  resultId: z.string().min(1).optional(),
+  skills: z.array(z.enum(PRACTICE_SKILLS)).min(1).optional(),
+  count: z.number().int().min(1).max(20).default(8),
+});
+
+export const DrillAnswerSchema = z.object({
+  exerciseId: z.string().min(1),
+  answer: z.string().max(500),
+});
+
+// Annotation category (annotations.js) → skill
+const CATEGORY_SKILLS = { tense: "tense", collocation: "collocations", article: "articles", idiom: "idioms" };
+// Rule check (checks.js) → skill
+const RULE_SKILLS = { thirdConditional: "thirdConditional" };
+
+/* ---- Exercise bank ----
+ *   transform  rewrite `source` as one sentence; `ifClause` + `main` (either may list variants)
+ *   choice     pick the option that fits the gap; `answer` is the option's text
+ *   gap        fill the gap; any of `answers` counts ("—" means no word at all)
+ */
+const T = (source, ifClause, main) => ({ kind: "transform", prompt: "Rewrite as one third-conditional sentence.", source, ifClause, main });
+const C = (prompt, options, explanation) => ({ kind: "choice", prompt, options, answer: options[0], explanation });
+const G = (prompt, answers, hint, explanation) => ({ kind: "gap", prompt, answers, hint, explanation });
+
+const BANK = {
+  thirdConditional: [
+    T("I didn't study, so I failed the exam.", "I had studied", "I would not have failed the exam"),
+    T("She missed the bus because she woke up late.", "she had not woken up late", "she would not have missed the bus"),
+    T("We didn't know about the party, so we didn't go.", "we had known about the party", "we would have gone"),
+    T("It rained, so the match was cancelled.", "it had not rained", ["the match would not have been cancelled", "the match would not have been canceled", "the match would not have been called off"]),
+    T("He didn't save any money, so he couldn't buy the car.", "he had saved some money", ["he could have bought the car", "he would have been able to buy the car"]),
+    T("They took a taxi, so they arrived on time.", "they had not taken a taxi", "they would not have arrived on time"),
+    T("I forgot my umbrella and got wet.", "I had not forgotten my umbrella", ["I would not have got wet", "I would not have gotten wet"]),
+    T("You didn't call me, so I didn't help you.", "you had called me", "I would have helped you"),
+  ],
+  idioms: [
+    C("Losing that job was a ___: a month later I found a much better one.",
+      ["blessing in disguise", "piece of cake", "storm in a teacup", "drop in the ocean"],
+      "A blessing in disguise seems bad at first but turns out to be good."),
+    C("Don't ___ with the safety checks; do every step properly.",
+      ["cut corners", "break the ice", "hit the sack", "spill the beans"],
+      "To cut corners is to do something badly or cheaply to save time or money."),
+    C("The exam was a ___; I finished it in twenty minutes.",
+      ["piece of cake", "long shot", "blessing in disguise", "last straw"],
+      "A piece of cake is something very easy."),
+    C("He told a funny story to ___ at the start of the meeting.",
+      ["break the ice", "pull his leg", "cut corners", "face the music"],
+      "To break the ice is to make people feel relaxed with each other."),
+    C("We've been working for ten hours. Let's ___.",
+      ["call it a day", "hit the nail on the head", "face the music", "bite the bullet"],
+      "To call it a day is to stop working for now."),
+    C("Who ___ about the surprise party? Now she knows everything!",
+      ["spilled the beans", "broke the ice", "got cold feet", "hit the sack"],
+      "To spill the beans is to reveal a secret."),
+    C("She was going to sing on stage, but she ___ at the last minute.",
+      ["got cold feet", "saw eye to eye", "turned over a new leaf", "let off steam"],
+      "To get cold feet is to become too nervous to do something planned."),
+    C("You ___: that's exactly the problem.",
+      ["hit the nail on the head", "beat around the bush", "missed the boat", "cut corners"],
+      "To hit the nail on the head is to describe something exactly right."),
+  ],
+  collocations: [
+    G("She ___ a mistake in the report.", ["made"], "make / do", "We make mistakes, plans and decisions."),
+    G("I need to ___ my homework before dinner.", ["do"], "make / do", "We do homework, housework and exercises."),
+    G("It's late; we should ___ a decision soon.", ["make", "take"], "make / take", "Make a decision (take a decision is also used in British English)."),
+    G("He ___ a photo of the sunset.", ["took"], "took / made", "We take photos."),
+    G("There was ___ rain last night, so the roads are flooded.", ["heavy"], "heavy / strong", "Rain is heavy, not strong."),
+    G("I always drink ___ coffee in the morning.", ["strong"], "strong / powerful", "Coffee and tea are strong, not powerful."),
+    G("Please ___ attention to the instructions.", ["pay"], "pay / give", "We pay attention."),
+    G("She ___ a speech at the conference.", ["gave", "made", "delivered"], "gave / said", "We give, make or deliver a speech."),
+  ],
+  articles: [
+    G("She is ___ honest person.", ["an"], "a / an / the / —", "'Honest' starts with a vowel sound, so: an."),
+    G("It took me ___ hour to get there.", ["an"], "a / an / the / —", "'Hour' starts with a vowel sound, so: an."),
+    G("___ sun rises in the east.", ["the"], "a / an / the / —", "There is only one sun: the."),
+    G("I love ___ music, especially jazz.", ["—"], "a / an / the / —", "Music in general takes no article."),
+    G("She plays ___ piano beautifully.", ["the"], "a / an / the / —", "Playing an instrument takes 'the'."),
+    G("He wants to be ___ engineer.", ["an"], "a / an / the / —", "Jobs take a/an; 'engineer' starts with a vowel sound."),
+    G("We had ___ dinner at eight o'clock.", ["—"], "a / an / the / —", "Meals in general take no article."),
+    G("Can you pass me ___ salt, please?", ["the"], "a / an / the / —", "Both speakers know which salt: the."),
+  ],
+  tense: [
+    G("I ___ here since 2015.", ["have lived", "have been living"], "live", "'Since' + a point in time takes the present perfect."),
+    G("When I arrived, the film ___.", ["had already started"], "already / start", "An earlier past action takes the past perfect."),
+    G("She ___ in the garden when it started to rain.", ["was working"], "work", "An action in progress, interrupted: past continuous."),
+    G("By next June, I ___ my degree.", ["will have finished"], "finish", "Done before a future time: future perfect."),
+    G("He ___ that film yet.", ["has not seen"], "not / see", "'Yet' with an unfinished period: present perfect."),
+    G("Listen! Someone ___ at the door.", ["is knocking"], "knock", "Happening right now: present continuous."),
+    G("I ___ to Paris last year.", ["went"], "go", "A finished time ('last year') takes the past simple."),
+    G("They ___ for two hours before the bus came.", ["had been waiting", "had waited"], "wait", "Duration up to a past moment: past perfect (continuous)."),
+  ],
+};
+
+const EXERCISES = new Map(); // id → { id, skill, ...exercise }
+for (const [skill, list] of Object.entries(BANK)) {
+  list.forEach((ex, i) => EXERCISES.set(`${skill}-${i + 1}`, { id: `${skill}-${i + 1}`, skill, ...ex }));
+}
+
+export const getExercise = (id) => EXERCISES.get(id) || null;
+
+// What the learner sees: no answer key
+export function publicExercise(ex, { shuffle = false } = {}) {
+  const { answer: _a, answers: _as, ifClause: _i, main: _m, explanation: _e, ...view } = ex;
+  if (ex.options && shuffle) view.options = [...ex.options].sort(() => Math.random() - 0.5);
+  return view;
+}
+
+/* ---- Grading ---- */
+const ZERO_ARTICLE = new Set(["", "—", "-", "–", "none", "no article", "0", "x", "ø"]);
+
+// Lowercase, straight quotes, no end punctuation, contractions spelled out
+export function normalizeAnswer(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/\bwon't\b/g, "will not")
+    .replace(/\bcan't\b/g, "cannot")
+    .replace(/n't\b/g, " not")
+    .replace(/'ve\b/g, " have")
+    .replace(/'ll\b/g, " will")
+    .replace(/'d have\b/g, " would have")
+    .replace(/'d\b/g, " had")
+    .replace(/[.!?;:]+$/g, "")
+    .replace(/\s*,\s*/g, ", ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const list = (v) => (Array.isArray(v) ? v : [v]);
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Both clause orders for every variant of each clause
+function transformKeys(ex) {
+  return list(ex.ifClause).flatMap((c) => list(ex.main).flatMap((m) => [`If ${c}, ${m}.`, `${capitalize(m)} if ${c}.`]));
+}
+
+const STOPWORDS = new Set(["if", "had", "would", "have", "not", "the", "a", "an", "i", "you", "he", "she", "we", "they", "it", "been", "some", "any"]);
+const negations = (text) => (text.match(/\b(not|never|no)\b/g) || []).length;
+
+function gradeTransform(ex, answer) {
+  const given = normalizeAnswer(answer);
+  const keys = transformKeys(ex);
+  if (keys.some((k) => normalizeAnswer(k) === given)) return { correct: true };
+  // Other wording is fine when the structure is right and the meaning is the same
+  const key = normalizeAnswer(keys[0]);
+  const structure = checkThirdConditional(given);
+  if (!structure.passed) return { correct: false, detail: structure.detail };
+  const content = [...new Set(key.match(/[a-z]+/g).filter((w) => !STOPWORDS.has(w)))];
+  const words = new Set(given.match(/[a-z]+/g) || []);
+  const covered = content.filter((w) => words.has(w)).length / content.length;
+  if (covered >= 0.7 && negations(given) === negations(key)) return { correct: true, detail: "Accepted with different wording." };
+  return {
+    correct: false,
+    detail: negations(given) !== negations(key)
+      ? "The form is right, but check the meaning: which things did (not) happen?"
+      : "The form is right, but keep to the situation in the original sentences.",
+  };
+}
+
+// { correct, expected, explanation?, detail? }
+export function gradeExercise(ex, answer) {
+  let outcome;
+  if (ex.kind === "transform") {
+    outcome = gradeTransform(ex, answer);
+  } else if (ex.kind === "choice") {
+    outcome = { correct: normalizeAnswer(answer) === normalizeAnswer(ex.answer) };
+  } else {
+    // "I have lived" for "I ___ here": the word before the gap repeated
+    const before = normalizeAnswer(ex.prompt.split("___")[0]).split(" ").pop();
+    let given = normalizeAnswer(answer);
+    if (before && given.startsWith(`${before} `)) given = given.slice(before.length + 1);
+    outcome = {
+      correct: ex.answers.some((a) => (a === "—" ? ZERO_ARTICLE.has(given) : normalizeAnswer(a) === given)),
+    };
+  }
+  const expected = ex.kind === "transform" ? transformKeys(ex)[0] : ex.kind === "choice" ? ex.answer : ex.answers.join(" / ");
+  return { ...outcome, expected, ...(ex.explanation ? { explanation: ex.explanation } : {}) };
+}
+
+/* ---- Weak skills ----
+ * `items[i]`: the test item behind part i+1 (for its `skills`), or undefined.
+ * Returns { skill: { weight, reasons[] } }.
+ */
+export function weaknesses(result, items = []) {
+  const out = {};
+  const add = (skill, weight, reason) => {
+    out[skill] ||= { weight: 0, reasons: [] };
+    out[skill].weight += weight;
+    if (!out[skill].reasons.includes(reason)) out[skill].reasons.push(reason);
+  };
+  for (const part of result?.parts || []) {
+    const counts = {};
+    for (const a of part.annotations || []) {
+      const skill = CATEGORY_SKILLS[a.category];
+      if (skill) counts[skill] = (counts[skill] || 0) + 1;
+    }
+    for (const [skill, n] of Object.entries(counts)) {
+      add(skill, n, `Part ${part.part}: ${n} ${n === 1 ? "error" : "errors"} marked`);
+    }
+    const item = items[part.part - 1];
+    if (Number.isFinite(part.score) && part.score < 8) {
+      for (const skill of item?.skills || []) add(skill, (8 - part.score) / 2, `Part ${part.part} scored ${part.score}/10`);
+    }
+  }
+  for (const c of result?.checks || []) {
+    const skill = RULE_SKILLS[c.rule];
+    if (skill && !c.passed) add(skill, 2, `Part ${c.part}: ${c.detail}`);
+  }
+  return out;
+}
+
+/* ---- Mastery ----
+ * Record per learner and skill: { user, skill, recent: [true|false …] (newest
+ * last, at most MASTERY_WINDOW), attempts, correct }.
+ */
+export function masteryView(skill, record) {
+  const recent = record?.recent || [];
+  const level = recent.length ? Math.round((recent.filter(Boolean).length / recent.length) * 100) / 100 : null;
+  return {
+    skill,
+    label: SKILL_LABELS[skill],
+    level,
+    attempts: record?.attempts || 0,
+    correct: record?.correct || 0,
+    mastered: level !== null && recent.length >= MASTERY_MIN_ATTEMPTS && level >= MASTERY_LEVEL,
+  };
+}
+
+export function nextMastery(record, correct) {
+  return {
+    recent: [...(record?.recent || []), correct].slice(-MASTERY_WINDOW),
+    attempts: (record?.attempts || 0) + 1,
+    correct: (record?.correct || 0) + (correct ? 1 : 0),
+  };
+}
+
+/* ---- Drill building ----
+ * `weak`: weaknesses() output (may be empty); `mastery`: masteryView() per skill;
+ * `only`: skills the learner asked for; `answered`: exercise id → when the
+ * learner last answered it. Picks up to DRILL_SKILLS skills: the weak ones
+ * first, then the least mastered, and splits `count` exercises between them by
+ * weight. A skill short of new exercises hands its share to the others before
+ * any exercise is repeated. Returns { focus: [{ skill, label, weight, reasons,
+ * mastery, unseen, repeated }], exercises }; `unseen` is how many new exercises
+ * the skill has left after this drill, `repeated` how many this drill repeats.
+ */
+export function buildDrill({ weak = {}, mastery = [], only, count = 8, answered = new Map() }) {
+  const bySkill = new Map(mastery.map((m) => [m.skill, m]));
+  const candidates = (only || PRACTICE_SKILLS).map((skill) => {
+    const m = bySkill.get(skill) || masteryView(skill, null);
+    // Unpractised skills sit in the middle; mastered ones only come back when nothing else is weak
+    const gap = m.level === null ? 0.5 : m.mastered ? 0 : 1 - m.level;
+    return { skill, weight: (weak[skill]?.weight || 0) + gap, reasons: weak[skill]?.reasons || [], mastery: m };
+  });
+  candidates.sort((a, b) => b.weight - a.weight || PRACTICE_SKILLS.indexOf(a.skill) - PRACTICE_SKILLS.indexOf(b.skill));
+  const focus = candidates.slice(0, Math.min(DRILL_SKILLS, count));
+
+  // Exercises per skill ∝ weight, at least one each
+  const total = focus.reduce((a, f) => a + Math.max(f.weight, 0.1), 0);
+  const shares = focus.map((f) => Math.max(1, Math.round((Math.max(f.weight, 0.1) / total) * count)));
+  while (shares.reduce((a, b) => a + b, 0) > count) shares[shares.indexOf(Math.max(...shares))]--;
+  while (shares.reduce((a, b) => a + b, 0) < count) shares[0]++;
+
+  const pools = focus.map((f) => {
+    const all = [...EXERCISES.values()].filter((ex) => ex.skill === f.skill);
+    return {
+      fresh: all.filter((ex) => !answered.has(ex.id)).sort(() => Math.random() - 0.5),
+      // answered longest ago first
+      old: all.filter((ex) => answered.has(ex.id)).sort((a, b) => String(answered.get(a.id)).localeCompare(String(answered.get(b.id)))),
+    };
+  });
+  const fresh = shares.map((n, i) => Math.min(n, pools[i].fresh.length));
+  let spare = count - fresh.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < focus.length && spare > 0; i++) {
+    const more = Math.min(spare, pools[i].fresh.length - fresh[i]);
+    fresh[i] += more;
+    spare -= more;
+  }
+  const repeated = shares.map((n, i) => {
+    const r = Math.min(Math.max(0, n - fresh[i]), pools[i].old.length, spare);
+    spare -= r;
+    return r;
+  });
+
+  const exercises = focus.flatMap((f, i) => [...pools[i].fresh.slice(0, fresh[i]), ...pools[i].old.slice(0, repeated[i])]);
+  const served = (i) => fresh[i] + repeated[i] > 0;
+  return {
+    focus: focus.flatMap((f, i) => (served(i) ? [{
+      skill: f.skill,
+      label: SKILL_LABELS[f.skill],
+      weight: Math.round(f.weight * 100) / 100,
+      reasons: f.reasons,
+      mastery: f.mastery,
+      unseen: pools[i].fresh.length - fresh[i],
+      repeated: repeated[i],
+    }] : [])),
+    exhausted: focus.flatMap((f, i) => (served(i) ? [] : [{ skill: f.skill, label: SKILL_LABELS[f.skill] }])),
+    exercises,
+  };
+}
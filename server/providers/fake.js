@@ -0,0 +1,74 @@
+import fs from "node:fs";
+
+/* ---- Fake provider (offline, deterministic) ----
+ * Replays recorded responses instead of calling a model. A recording maps a
+ * model name (or "*" for any model) to a sequence of entries:
+ *   { "content": "..." }            -> returned as the completion text
+ *   { "error": "...", "status": n } -> thrown like a provider error
+ * Each call consumes the next entry for that model; the last entry repeats.
+ * `content` may also be a JSON object, which is serialized as-is.
+ * Entries with a "match" string only answer prompts containing that text, so
+ * one recording can cover many different answers (calibration gold sets).
+ * Built-in recordings may also give `content` as a function of the prompt.
+ */
+
+// Answers reach the model as "Part 1:", "Part 2:", ... sections (pipeline.js)
+export function countParts(prompt) {
+  let n = 0;
+  while (prompt.includes(`Part ${n + 1}:\n`)) n++;
+  return Math.max(n, 1);
+}
+
+// Built-in recording behind ?mock=1: a clean, plausible result with one part per answered item
+export const MOCK_RECORDING = {
+  "*": [{
+    content: (prompt) => ({
+      parts: Array.from({ length: countParts(prompt) }, (_, i) => ({ part: i + 1, score: 8, reasons: "Mock part result.", suggestions: [] })),
+      score: 8,
+      reasons: "Strong grammar; idiom accurate; fragments natural; minor stylistic issues.",
+      suggestions: ["Vary transitions between sentences.", "Tighten phrasing in longer sentences.", "Use richer connectors (however, whereas, meanwhile)."],
+    }),
+  }],
+};
+
+export function loadRecording(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function createFakeProvider({ name = "fake", recording = MOCK_RECORDING } = {}) {
+  const cursors = new Map();
+
+  return {
+    name,
+    // Start every sequence from the top again (between calibration cases, for example)
+    reset() {
+      cursors.clear();
+    },
+    async chat({ model, user = "", onDelta, signal }) {
+      const key = recording[model] ? model : "*";
+      const all = Array.isArray(recording[key]) ? recording[key] : [];
+      const match = all.find((e) => e.match && user.includes(e.match))?.match;
+      const seq = all.filter((e) => (match ? e.match === match : !e.match));
+      if (!seq.length) throw new Error(`No recorded response for model "${model}"`);
+      const cursor = match ? `${key}\u0000${match}` : key;
+      const i = cursors.get(cursor) || 0;
+      cursors.set(cursor, i + 1);
+      const entry = seq[Math.min(i, seq.length - 1)];
+
+      if (signal?.aborted) throw signal.reason;
+      if (entry.error) {
+        const err = new Error(entry.error);
+        err.status = entry.status;
+        throw err;
+      }
+      const content = typeof entry.content === "function" ? entry.content(user) : entry.content;
+      const text = typeof content === "string" ? content : JSON.stringify(content);
+      if (onDelta) {
+        // Replay in small chunks so streaming consumers see partial output
+        for (let n = 32; n < text.length; n += 32) onDelta(text.slice(0, n));
+        onDelta(text);
+      }
+      return text;
+    },
+  };
+}
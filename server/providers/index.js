@@ -0,0 +1,65 @@
+import { createOpenAIProvider } from "./openai.js";
+import { createLocalProvider } from "./local.js";
+import { MOCK_RECORDING, createFakeProvider, loadRecording } from "./fake.js";
+
+/* ---- Provider registry ----
+ * Every provider implements:
+ *   chat({ model, system, user, json, maxTokens, temperature, onDelta, signal }) -> Promise<string>
+ * Models are addressed as "provider:model" (e.g. "local:llama3.1:8b"); a name
+ * without a known provider prefix uses DEFAULT_PROVIDER. That lets the
+ * FALLBACK_MODELS chain span providers.
+ */
+
+export const DEFAULT_PROVIDER = process.env.PROVIDER || "openrouter";
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function getProvider(name) {
+  const p = providers.get(name);
+  if (!p) throw new Error(`Unknown provider "${name}"`);
+  return p;
+}
+
+// "local:llama3.1:8b" -> { provider: "local", model: "llama3.1:8b" }
+export function parseModelSpec(spec) {
+  const i = spec.indexOf(":");
+  if (i > 0 && providers.has(spec.slice(0, i))) {
+    return { provider: spec.slice(0, i), model: spec.slice(i + 1) };
+  }
+  return { provider: DEFAULT_PROVIDER, model: spec };
+}
+
+export function chat(spec, opts) {
+  const { provider, model } = parseModelSpec(spec);
+  return getProvider(provider).chat({ ...opts, model });
+}
+
+/* ---- Built-in providers (configured from env) ---- */
+registerProvider(createOpenAIProvider({
+  name: "openrouter",
+  apiKey: process.env.OPENROUTER_API_KEY,
+  baseURL: process.env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1",
+  headers: {
+    "HTTP-Referer": process.env.PUBLIC_APP_URL || "https://english-native-check.vercel.app",
+    "X-Title": "English Native Check",
+  },
+}));
+
+registerProvider(createLocalProvider({
+  name: "local",
+  baseURL: process.env.LOCAL_BASE_URL || "http://127.0.0.1:11434",
+  timeoutMs: Number(process.env.LOCAL_TIMEOUT_MS) || 120_000,
+}));
+
+registerProvider(createFakeProvider({
+  name: "fake",
+  recording: process.env.FAKE_RECORDING ? loadRecording(process.env.FAKE_RECORDING) : MOCK_RECORDING,
+}));
+
+// Always the canned recording, whatever FAKE_RECORDING says; backs ?mock=1
+registerProvider(createFakeProvider({ name: "mock", recording: MOCK_RECORDING }));
@@ -0,0 +1,60 @@
+/* ---- Local adapter (Ollama / llama.cpp server) ----
+ * Both expose an OpenAI-style POST /v1/chat/completions without auth, so this
+ * talks to it with plain fetch: no API key, no SDK retries, and a generous
+ * timeout for CPU inference.
+ */
+export function createLocalProvider({ name = "local", baseURL = "http://127.0.0.1:11434", timeoutMs = 120_000 }) {
+  const url = `${baseURL.replace(/\/+$/, "").replace(/\/v1$/, "")}/v1/chat/completions`;
+
+  return {
+    name,
+    async chat({ model, system, user, json = true, maxTokens = 700, temperature = 0, onDelta, signal }) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user }
+          ],
+          temperature,
+          max_tokens: maxTokens,
+          stream: !!onDelta,
+          ...(json ? { response_format: { type: "json_object" } } : {})
+        }),
+      });
+      if (!res.ok) {
+        const err = new Error(`${res.status} ${(await res.text()).slice(0, 200) || res.statusText}`);
+        err.status = res.status;
+        throw err;
+      }
+      if (!onDelta) {
+        const j = await res.json();
+        return j.choices?.[0]?.message?.content ?? "";
+      }
+
+      // Streaming: OpenAI-style SSE ("data: {...}" lines, ending with [DONE])
+      const decoder = new TextDecoder();
+      let buf = "", text = "";
+      for await (const chunk of res.body) {
+        buf += decoder.decode(chunk, { stream: true });
+        let nl;
+        while ((nl = buf.indexOf("\n")) !== -1) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line.startsWith("data:")) continue;
+          const data = line.slice(5).trim();
+          if (data === "[DONE]") return text;
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (!delta) continue;
+          text += delta;
+          onDelta(text);
+        }
+      }
+      return text;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import OpenAI from "openai";
+
+/* ---- OpenAI-compatible adapter (OpenRouter by default) ----
+ * The SDK client is created on first use so the server can start (and run
+ * on local/fake providers) without an OpenRouter key.
+ */
+export function createOpenAIProvider({ name = "openrouter", apiKey, baseURL, headers = {} }) {
+  let client;
+  const getClient = () => (client ||= new OpenAI({ apiKey, baseURL, defaultHeaders: headers }));
+
+  return {
+    name,
+    async chat({ model, system, user, json = true, maxTokens = 700, temperature = 0, onDelta, signal }) {
+      const body = {
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: "json_object" } } : {})
+      };
+      if (!onDelta) {
+        const r = await getClient().chat.completions.create(body, { signal });
+        return r.choices?.[0]?.message?.content ?? "";
+      }
+      // Streaming: same result, but report the text as it arrives
+      const stream = await getClient().chat.completions.create({ ...body, stream: true }, { signal });
+      let text = "";
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (!delta) continue;
+        text += delta;
+        onDelta(text);
+      }
+      return text;
+    },
+  };
+}
@@ -0,0 +1,228 @@
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { answersSchema, getTest } from "../banks.js";
+import { deriveLevel, weightedScore } from "../grading.js";
+import { DEFAULT_MODEL, FALLBACK_MODELS, grade } from "../pipeline.js";
+import { registerProvider } from "../providers/index.js";
+import { createFakeProvider, loadRecording } from "../providers/fake.js";
+
+/* ---- Calibration harness ----
+ * Grades a gold dataset (answers with human scores) through the same
+ * pipeline as /assess and reports how far the model is from the humans:
+ * MAE and bias on the overall score, a level confusion matrix and per-part
+ * drift. Pass two --config files to compare prompts/models side by side.
+ *
+ *   npm run calibrate -- --gold fixtures/gold/sample.json \
+ *     --config fixtures/calibration/baseline.json --config fixtures/calibration/candidate.json
+ *
+ * A config is JSON: { name, model, fallbacks?, ensemble?, ensembleModels?,
+ * templateFile?, recording? }. Paths are relative to the config file. With a
+ * `recording`, the "fake" provider replays it, so runs need no network.
+ */
+
+const LEVELS = ["Beginner", "Intermediate", "Advanced", "Near-native", "Native-like"];
+
+const USAGE = `Usage: npm run calibrate -- --gold <file> [--config <file>]... [--json] [--max-mae <n>]
+
+  --gold      gold dataset: { testId, cases: [{ id, answers, human: { score?, parts } }] }
+  --config    run configuration (repeatable, at most 2); default: the server's env models
+  --json      print the full report as JSON
+  --max-mae   exit with status 1 if any configuration's MAE is above this`;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+const signed = (n) => (n > 0 ? "+" : "") + n.toFixed(2);
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function loadConfig(file) {
+  if (!file) return { name: "env", model: DEFAULT_MODEL, fallbacks: FALLBACK_MODELS };
+  const cfg = readJson(file);
+  const dir = path.dirname(file);
+  return {
+    name: cfg.name || path.basename(file, ".json"),
+    model: cfg.model || DEFAULT_MODEL,
+    fallbacks: cfg.fallbacks ?? FALLBACK_MODELS,
+    ensemble: Boolean(cfg.ensemble),
+    ensembleModels: cfg.ensembleModels,
+    template: cfg.templateFile ? fs.readFileSync(path.resolve(dir, cfg.templateFile), "utf8") : undefined,
+    recording: cfg.recording ? loadRecording(path.resolve(dir, cfg.recording)) : null,
+  };
+}
+
+function loadGold(file) {
+  const gold = readJson(file);
+  const test = getTest(gold.testId);
+  if (!test) throw new Error(`Gold set refers to unknown test "${gold.testId}"`);
+  const cases = (gold.cases || []).map((c, i) => {
+    const id = c.id || `case-${i + 1}`;
+    const { answers } = answersSchema(test).parse({ answers: c.answers });
+    const parts = c.human?.parts;
+    if (!Array.isArray(parts) || parts.length !== test.items.length) {
+      throw new Error(`Case ${id}: human.parts must have ${test.items.length} scores`);
+    }
+    // Same weighting as the pipeline unless the raters gave an overall score
+    const score = c.human.score ?? weightedScore(test.items.map((item, k) => ({ score: parts[k], weight: item.weight })));
+    return { id, answers, human: { score, parts } };
+  });
+  if (!cases.length) throw new Error("Gold set has no cases");
+  return { test, cases };
+}
+
+/* ---- Running ---- */
+async function runConfig(cfg, { test, cases }) {
+  // Each config brings its own recording; the registry replaces the previous "fake"
+  const fake = cfg.recording ? registerProvider(createFakeProvider({ name: "fake", recording: cfg.recording })) : null;
+  const rows = [];
+  for (const c of cases) {
+    fake?.reset();
+    try {
+      const { result, meta } = await grade({
+        test,
+        answers: c.answers,
+        preferredModel: cfg.model,
+        fallbacks: cfg.fallbacks,
+        ensemble: cfg.ensemble,
+        ensembleModels: cfg.ensembleModels,
+        template: cfg.template,
+        // Each configuration grades with exactly the chain it names
+        reorder: false,
+      });
+      rows.push({
+        id: c.id,
+        human: c.human,
+        model: { score: result.score, parts: result.parts.map((p) => p.score) },
+        usedModel: meta.model,
+        degraded: Boolean(meta.degraded),
+        quality: meta.quality,
+        error: meta.error,
+      });
+    } catch (e) {
+      rows.push({ id: c.id, human: c.human, model: null, error: e?.message || String(e) });
+    }
+  }
+  return { name: cfg.name, model: cfg.model, rows, metrics: summarize(rows, test) };
+}
+
+/* ---- Metrics ----
+ * Degraded (offline-estimate) and failed cases are counted but left out of
+ * the numbers: they measure the rule checks, not the model.
+ */
+function summarize(rows, test) {
+  const graded = rows.filter((r) => r.model && !r.degraded);
+  const confusion = Object.fromEntries(LEVELS.map((h) => [h, Object.fromEntries(LEVELS.map((m) => [m, 0]))]));
+  let levelHits = 0;
+  for (const r of graded) {
+    const h = deriveLevel(r.human.score);
+    const m = deriveLevel(r.model.score);
+    confusion[h][m]++;
+    if (h === m) levelHits++;
+  }
+  const errors = graded.map((r) => r.model.score - r.human.score);
+  return {
+    cases: rows.length,
+    graded: graded.length,
+    degraded: rows.filter((r) => r.degraded).length,
+    repaired: rows.filter((r) => r.quality === "repaired").length,
+    defaulted: rows.filter((r) => r.quality === "defaulted").length,
+    failed: rows.filter((r) => !r.model).length,
+    mae: round2(mean(errors.map(Math.abs))),
+    bias: round2(mean(errors)),
+    levelAccuracy: graded.length ? round2(levelHits / graded.length) : 0,
+    confusion,
+    parts: test.items.map((item, i) => {
+      const diffs = graded.map((r) => r.model.parts[i] - r.human.parts[i]);
+      return { part: i + 1, id: item.id, mae: round2(mean(diffs.map(Math.abs))), drift: round2(mean(diffs)) };
+    }),
+  };
+}
+
+/* ---- Text report ---- */
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  return rows.map((r) => r.map((cell, i) => (i ? String(cell).padStart(widths[i]) : String(cell).padEnd(widths[i]))).join("  ")).join("\n");
+}
+
+function printRun(run) {
+  const m = run.metrics;
+  console.log(`\n== ${run.name} (${run.model}) ==`);
+  console.log(`cases ${m.cases} · graded ${m.graded} (repaired ${m.repaired}, defaulted ${m.defaulted}) · degraded ${m.degraded} · failed ${m.failed}`);
+  console.log(`MAE ${m.mae.toFixed(2)} · bias ${signed(m.bias)} · level agreement ${Math.round(m.levelAccuracy * 100)}%`);
+
+  console.log("\nLevel confusion (rows: human, columns: model)");
+  console.log(table([["", ...LEVELS], ...LEVELS.map((h) => [h, ...LEVELS.map((l) => m.confusion[h][l] || ".")])]));
+
+  console.log("\nPer-part drift (model − human)");
+  console.log(table([["part", "MAE", "drift"], ...m.parts.map((p) => [`${p.part} ${p.id}`, p.mae.toFixed(2), signed(p.drift)])]));
+
+  for (const r of run.rows.filter((x) => x.degraded || !x.model)) {
+    console.log(`! ${r.id}: ${r.degraded ? "degraded" : "failed"} (${r.error})`);
+  }
+}
+
+function printComparison(a, b) {
+  console.log(`\n== ${a.name} vs ${b.name} ==`);
+  const metric = (label, pick, fmt = (n) => n.toFixed(2)) =>
+    [label, fmt(pick(a.metrics)), fmt(pick(b.metrics)), signed(pick(b.metrics) - pick(a.metrics))];
+  console.log(table([
+    ["", a.name, b.name, "Δ"],
+    metric("MAE", (m) => m.mae),
+    metric("bias", (m) => m.bias, signed),
+    metric("level agreement", (m) => m.levelAccuracy),
+    ...a.metrics.parts.map((p, i) => metric(`part ${p.part} drift`, (m) => m.parts[i].drift, signed)),
+  ]));
+
+  console.log("\nPer case (overall score)");
+  const score = (r) => (r.model && !r.degraded ? r.model.score.toFixed(1) : "—");
+  console.log(table([
+    ["case", "human", a.name, b.name],
+    ...a.rows.map((r, i) => [r.id, r.human.score.toFixed(1), score(r), score(b.rows[i])]),
+  ]));
+}
+
+/* ---- Main ---- */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      gold: { type: "string" },
+      config: { type: "string", multiple: true },
+      json: { type: "boolean" },
+      "max-mae": { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help || !values.gold) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 2);
+  }
+  const configFiles = values.config?.length ? values.config : [null];
+  if (configFiles.length > 2) throw new Error("Compare at most two configurations at a time");
+
+  const gold = loadGold(values.gold);
+  const runs = [];
+  for (const file of configFiles) runs.push(await runConfig(loadConfig(file), gold));
+
+  if (values.json) {
+    console.log(JSON.stringify({ testId: gold.test.id, runs }, null, 2));
+  } else {
+    console.log(`Gold set: ${values.gold} (${gold.cases.length} cases, test "${gold.test.id}")`);
+    runs.forEach(printRun);
+    if (runs.length === 2) printComparison(runs[0], runs[1]);
+  }
+
+  const maxMae = values["max-mae"] === undefined ? null : Number(values["max-mae"]);
+  const over = maxMae === null ? [] : runs.filter((r) => r.metrics.mae > maxMae);
+  if (over.length) {
+    console.error(`MAE above ${maxMae}: ${over.map((r) => `${r.name} (${r.metrics.mae})`).join(", ")}`);
+    process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+import net from "node:net";
+import { parseArgs } from "node:util";
+
+/* ---- Redis stand-in ----
+ * A tiny in-memory server speaking enough of the Redis protocol (RESP2) for
+ * CACHE=redis in development, when no real Redis is around:
+ *   PING, GET, SET key value [EX s | PX ms], DEL, AUTH, SELECT, FLUSHDB
+ *
+ *   npm run redis-standin -- --port 6379
+ *   CACHE=redis REDIS_URL=redis://127.0.0.1:6379 npm start
+ *
+ * Not for production: no persistence, no eviction beyond expiry.
+ */
+
+const { values } = parseArgs({ options: { port: { type: "string", default: "6379" }, host: { type: "string", default: "127.0.0.1" } } });
+
+const data = new Map(); // key → { value, expires }
+
+const simple = (s) => `+${s}\r\n`;
+const error = (s) => `-ERR ${s}\r\n`;
+const integer = (n) => `:${n}\r\n`;
+const bulk = (s) => (s === null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`);
+
+function lookup(key) {
+  const e = data.get(key);
+  if (e && e.expires && e.expires <= Date.now()) {
+    data.delete(key);
+    return null;
+  }
+  return e || null;
+}
+
+function execute([name = "", ...args]) {
+  switch (name.toUpperCase()) {
+    case "PING": return args.length ? bulk(args[0]) : simple("PONG");
+    case "AUTH":
+    case "SELECT": return simple("OK");
+    case "GET": return bulk(lookup(args[0])?.value ?? null);
+    case "SET": {
+      const [key, value, unit, amount] = args;
+      if (value === undefined) return error("wrong number of arguments for 'set' command");
+      const ms = /^px$/i.test(unit || "") ? Number(amount) : /^ex$/i.test(unit || "") ? Number(amount) * 1000 : 0;
+      if (unit && !(ms > 0)) return error("invalid expire time in 'set' command");
+      data.set(key, { value, expires: ms ? Date.now() + ms : 0 });
+      return simple("OK");
+    }
+    case "DEL": return integer(args.filter((k) => lookup(k) && data.delete(k)).length);
+    case "FLUSHDB": data.clear(); return simple("OK");
+    default: return error(`unknown command '${name}'`);
+  }
+}
+
+// Parses complete RESP arrays off the front of `buf`; returns [commands, rest]
+function parse(buf) {
+  const commands = [];
+  let pos = 0;
+  outer: while (pos < buf.length) {
+    if (buf[pos] !== 0x2a /* * */) throw new Error("expected a RESP array");
+    let end = buf.indexOf("\r\n", pos);
+    if (end === -1) break;
+    const count = Number(buf.subarray(pos + 1, end).toString());
+    let at = end + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      end = buf.indexOf("\r\n", at);
+      if (end === -1) break outer;
+      const len = Number(buf.subarray(at + 1, end).toString());
+      if (buf.length < end + 2 + len + 2) break outer;
+      args.push(buf.subarray(end + 2, end + 2 + len).toString());
+      at = end + 2 + len + 2;
+    }
+    commands.push(args);
+    pos = at;
+  }
+  return [commands, buf.subarray(pos)];
+}
+
+const server = net.createServer((socket) => {
+  let buf = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    try {
+      const [commands, rest] = parse(Buffer.concat([buf, chunk]));
+      buf = rest;
+      for (const c of commands) socket.write(execute(c));
+    } catch (e) {
+      socket.end(error(e.message));
+    }
+  });
+  socket.on("error", () => {});
+});
+
+server.listen(Number(values.port), values.host, () => {
+  console.log(`Redis stand-in listening on ${values.host}:${values.port}`);
+});
@@ -0,0 +1,117 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+/* ---- Storage ----
+ * A store is a set of named collections. Every collection implements the
+ * same async interface so a database-backed store can replace these without
+ * touching the routes:
+ *   save(record)       -> record (with id + createdAt)
+ *   get(id)            -> record | null
+ *   update(id, patch)  -> record | null
+ *   remove(id)         -> true if it existed
+ *   findOne(match)     -> first record whose fields equal `match`, or null
+ *   list({ match, limit, offset }) -> { items, total }   (newest first)
+ */
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const COLLECTIONS = ["results", "users", "sessions", "cohorts", "members", "apikeys", "batches", "batchitems", "flags", "drills", "mastery"];
+
+function stamp(record) {
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...record };
+}
+
+function matches(record, match = {}) {
+  return Object.entries(match).every(([k, v]) => record[k] === v);
+}
+
+// Shared in-memory index; `persist` is called after every write
+function createCollection(persist = async () => {}, initial = []) {
+  const byId = new Map(initial.map((r) => [r.id, r]));
+
+  return {
+    async save(record) {
+      const r = stamp(record);
+      byId.set(r.id, r);
+      await persist(r);
+      return r;
+    },
+    async get(id) {
+      return byId.get(id) || null;
+    },
+    async update(id, patch) {
+      const prev = byId.get(id);
+      if (!prev) return null;
+      const r = { ...prev, ...patch, id, updatedAt: new Date().toISOString() };
+      byId.set(id, r);
+      await persist(r);
+      return r;
+    },
+    async remove(id) {
+      if (!byId.delete(id)) return false;
+      await persist({ id, deleted: true });
+      return true;
+    },
+    async findOne(match) {
+      for (const r of byId.values()) if (matches(r, match)) return r;
+      return null;
+    },
+    async list({ match, limit = 20, offset = 0 } = {}) {
+      // Map keeps insertion order (oldest → newest); callers want newest first
+      const all = [...byId.values()].filter((r) => matches(r, match));
+      return { items: all.reverse().slice(offset, offset + limit), total: all.length };
+    },
+  };
+}
+
+/* ---- In-memory (dev / tests) ---- */
+export function createMemoryStore() {
+  const store = { kind: "memory" };
+  for (const name of COLLECTIONS) store[name] = createCollection();
+  return store;
+}
+
+/* ---- File-backed (JSON Lines, append-only) ----
+ * One file per collection, loaded into memory at startup. Saves and updates
+ * append the full record and removals append { id, deleted: true }; on load
+ * the last line for an id wins. A crash can lose at most the record being
+ * written.
+ */
+function readJsonl(file) {
+  const byId = new Map();
+  if (!fs.existsSync(file)) return [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      if (r.deleted) byId.delete(r.id);
+      else byId.set(r.id, r);
+    } catch {
+      // skip a torn last line rather than refusing to start
+    }
+  }
+  return [...byId.values()];
+}
+
+export function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const store = { kind: "file" };
+  for (const name of COLLECTIONS) {
+    const file = path.join(dir, `${name}.jsonl`);
+    // Serialize appends so concurrent requests can't interleave lines
+    let queue = Promise.resolve();
+    const persist = (r) => {
+      queue = queue.catch(() => {}).then(() => fs.promises.appendFile(file, JSON.stringify(r) + "\n"));
+      return queue;
+    };
+    store[name] = createCollection(persist, readJsonl(file));
+  }
+  return store;
+}
+
+export function createStore(kind = process.env.STORE || "file") {
+  if (kind === "memory") return createMemoryStore();
+  if (kind === "file") return createFileStore(process.env.DATA_DIR || path.join(HERE, "data"));
+  throw new Error(`Unknown STORE "${kind}" (expected "file" or "memory")`);
+}
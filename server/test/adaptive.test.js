@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { estimate, evidence, pickNext, sessionResult } from "../adaptive.js";
+
+const pool = {
+  adaptive: { start: 5, length: 3 },
+  items: [2, 4, 5, 6, 8].map((difficulty) => ({ id: `d${difficulty}`, difficulty })),
+};
+const step = (itemId, score) => {
+  const difficulty = pool.items.find((it) => it.id === itemId).difficulty;
+  return { itemId, difficulty, score, suggestions: [], checks: [], result: { score, reasons: "Fine.", suggestions: [] } };
+};
+
+describe("adaptive estimate", () => {
+  it("caps the evidence from an easy item", () => {
+    assert.equal(evidence(10, 4), 6);
+    assert.equal(evidence(5, 8), 5);
+    assert.equal(estimate([step("d4", 10), step("d8", 7)]), 6.5);
+    assert.equal(estimate([]), null);
+  });
+});
+
+describe("pickNext", () => {
+  it("starts at the configured difficulty", () => {
+    assert.equal(pickNext(pool, []).id, "d5");
+  });
+
+  it("steps up after a strong answer, down after a weak one, and stays otherwise", () => {
+    assert.equal(pickNext(pool, [step("d5", 7)]).id, "d8");
+    assert.equal(pickNext(pool, [step("d5", 6)]).id, "d6");
+    assert.equal(pickNext(pool, [step("d5", 3)]).id, "d2");
+  });
+
+  it("breaks ties in file order", () => {
+    assert.equal(pickNext(pool, [step("d5", 5)]).id, "d4");
+  });
+
+  it("stops after the session length or when the pool runs out", () => {
+    assert.equal(pickNext(pool, [step("d5", 7), step("d6", 7), step("d8", 7)]), null);
+    const small = { ...pool, items: pool.items.slice(0, 2) };
+    assert.equal(pickNext(small, [step("d2", 7), step("d4", 7)]), null);
+  });
+});
+
+describe("sessionResult", () => {
+  it("reports the estimate with one equally weighted part per item", () => {
+    const r = sessionResult(pool, [step("d5", 7), step("d6", 8), step("d8", 6)]);
+    assert.equal(r.score, 7);
+    assert.deepEqual(r.parts.map((p) => [p.part, p.weight]), [[1, 0.333], [2, 0.333], [3, 0.333]]);
+    assert.match(r.reasons, /over 3 items \(difficulty 5 → 6 → 8\)/);
+  });
+
+  it("writes its reasons in the feedback language", () => {
+    const steps = [step("d5", 7), step("d8", 8)];
+    assert.match(sessionResult(pool, steps, "es").reasons, /^Prueba adaptativa de 2 preguntas \(dificultad 5 → 8\)/);
+    assert.match(sessionResult(pool, steps, "hi").reasons, /^2 प्रश्नों पर अनुकूली जाँच/);
+  });
+});
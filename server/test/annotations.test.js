@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { locateSpan, verifyAnnotations } from "../annotations.js";
+
+const text = "Yesterday I go to the market and I buyed a fresh bread. I go home after.";
+const note = (quote, extra = {}) => ({ quote, category: "tense", correction: "x", explanation: "Because.", ...extra });
+
+describe("locateSpan", () => {
+  it("finds exact quotes first, then ignores case", () => {
+    assert.equal(locateSpan(text, "buyed"), text.indexOf("buyed"));
+    assert.equal(locateSpan(text, "YESTERDAY"), 0);
+    assert.equal(locateSpan(text, "swam"), -1);
+  });
+
+  it("picks the occurrence closest to the hint", () => {
+    assert.equal(locateSpan(text, "I go"), text.indexOf("I go"));
+    assert.equal(locateSpan(text, "I go", 60), text.lastIndexOf("I go"));
+  });
+});
+
+describe("verifyAnnotations", () => {
+  it("returns verified spans in order with their text", () => {
+    const { annotations, dropped } = verifyAnnotations(text, [note("buyed"), note("I go")]);
+    assert.equal(dropped, 0);
+    assert.deepEqual(annotations.map((a) => a.text), ["I go", "buyed"]);
+    for (const a of annotations) assert.equal(text.slice(a.start, a.end), a.text);
+  });
+
+  it("drops quotes not in the answer, invalid entries and overlaps", () => {
+    const { annotations, dropped } = verifyAnnotations(text, [
+      note("we goes"),
+      note("buyed", { category: "spelling" }),
+      note("a fresh bread", { category: "article" }),
+      note("fresh", { category: "article" }),
+      { quote: "go" },
+    ]);
+    assert.deepEqual(annotations.map((a) => a.text), ["a fresh bread"]);
+    assert.equal(dropped, 4);
+  });
+
+  it("rejects blank quotes instead of making empty spans", () => {
+    const { annotations, dropped } = verifyAnnotations(text, [note("   "), note("\n")]);
+    assert.deepEqual(annotations, []);
+    assert.equal(dropped, 2);
+  });
+
+  it("tolerates a missing list or answer", () => {
+    assert.deepEqual(verifyAnnotations(text, undefined), { annotations: [], dropped: 0 });
+    assert.deepEqual(verifyAnnotations(undefined, [note("go")]).annotations, []);
+  });
+});
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { startServer } from "./server.js";
+
+const answers = ["A short paragraph.", "An idiom.", "Some fragments.", "If I had known, I would have come."];
+
+describe("assessment when every model fails", () => {
+  let upstream, limited, dir;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "enc-test-"));
+    const recording = path.join(dir, "rate-limited.json");
+    fs.writeFileSync(recording, JSON.stringify({ "*": [{ error: "429 Too many requests", status: 429 }] }));
+    upstream = await startServer({ FAKE_RECORDING: "fixtures/recordings/all-fail.json" });
+    limited = await startServer({ FAKE_RECORDING: recording });
+  });
+  after(() => {
+    upstream?.stop();
+    limited?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const assess = async (api, query = "") => {
+    const { token } = await api.signup(`u${Math.random().toString(36).slice(2)}@x.io`);
+    return api.call(`/assess${query}`, { method: "POST", token, body: { answers } });
+  };
+
+  it("returns the offline estimate with the classified failure", async () => {
+    const { status, body } = await assess(upstream);
+    assert.equal(status, 200);
+    assert.equal(body._meta.degraded, true);
+    assert.equal(body._meta.errorKind, "upstream");
+    assert.equal(body._meta.errorStatus, 503);
+  });
+
+  it("answers with the failure's status when asked not to estimate", async () => {
+    const { status, body } = await assess(upstream, "?estimate=0");
+    assert.equal(status, 503);
+    assert.equal(body.kind, "upstream");
+    assert.ok(body.requestId);
+  });
+
+  it("says when to retry a rate-limited grading", async () => {
+    const { status, body, headers } = await assess(limited, "?estimate=0");
+    assert.equal(status, 429);
+    assert.equal(body.kind, "rate_limited");
+    assert.ok(Number(headers.get("retry-after")) > 0);
+    const degraded = await assess(limited);
+    assert.equal(degraded.body._meta.errorStatus, 429);
+    assert.ok(Number(degraded.headers.get("retry-after")) > 0);
+  });
+});
+
+describe("idempotent submissions", () => {
+  let api, token;
+  before(async () => {
+    api = await startServer();
+    ({ token } = await api.signup("retry@x.io"));
+  });
+  after(() => api?.stop());
+
+  const submit = (key) =>
+    api.call("/assess", { method: "POST", token, body: { answers }, headers: { "Idempotency-Key": key } });
+  const stored = async () => (await api.call("/results", { token })).body.total;
+
+  it("grades and stores a retried submission once", async () => {
+    const first = await submit("submission-0001");
+    const retry = await submit("submission-0001");
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body._meta.resultId, first.body._meta.resultId);
+    assert.equal(retry.body._meta.replayed, true);
+    assert.equal(retry.body.score, first.body.score);
+    assert.equal(await stored(), 1);
+  });
+
+  it("lets a retry that overlaps the first request wait for it", async () => {
+    const [a, b] = await Promise.all([submit("submission-0002"), submit("submission-0002")]);
+    assert.equal(a.body._meta.resultId, b.body._meta.resultId);
+    assert.equal(await stored(), 2);
+  });
+
+  it("refuses malformed keys", async () => {
+    const { status } = await submit("no spaces!");
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startServer } from "./server.js";
+
+const answers = ["A short paragraph.", "An idiom.", "Some fragments.", "If I had known, I would have come."];
+
+describe("batch API", () => {
+  let api, apiKey;
+  before(async () => {
+    // Every model fails, so the first submission sits in retries while the rest wait
+    api = await startServer({
+      ADMIN_EMAILS: "admin@x.io",
+      FAKE_RECORDING: "fixtures/recordings/all-fail.json",
+      BATCH_CONCURRENCY: "1",
+      BATCH_RETRY_DELAY_MS: "2000",
+    });
+    const admin = await api.signup("admin@x.io");
+    ({ body: { key: apiKey } } = await api.call("/apikeys", { method: "POST", token: admin.token, body: { name: "LMS", dailyQuota: 10 } }));
+  });
+  after(() => api?.stop());
+
+  const usage = async () => (await api.call("/batch/usage", { headers: { "x-api-key": apiKey } })).body;
+
+  it("refuses webhooks that point inside the network", async () => {
+    const { status, body } = await api.call("/batch", {
+      method: "POST",
+      headers: { "x-api-key": apiKey },
+      body: { items: [{ answers }], webhook: "http://169.254.169.254/latest/meta-data" },
+    });
+    assert.equal(status, 400);
+    assert.match(body.issues.join(" "), /not a public address/);
+    assert.equal((await usage()).remaining, 10);
+  });
+
+  it("refunds the submissions a cancelled job never started", async () => {
+    const { status, body: job } = await api.call("/batch", {
+      method: "POST",
+      headers: { "x-api-key": apiKey },
+      body: { items: Array.from({ length: 4 }, (_, i) => ({ ref: `s${i}`, answers })) },
+    });
+    assert.equal(status, 202);
+    assert.equal((await usage()).remaining, 6);
+
+    await new Promise((r) => setTimeout(r, 300));
+    const { body: cancelled } = await api.call(`/batch/${job.id}`, { method: "DELETE", headers: { "x-api-key": apiKey } });
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(cancelled.cancelled, 3);
+    assert.equal((await usage()).remaining, 9);
+
+    // Cancelling again refunds nothing more
+    await api.call(`/batch/${job.id}`, { method: "DELETE", headers: { "x-api-key": apiKey } });
+    assert.equal((await usage()).remaining, 9);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { describe, it } from "node:test";
+import { createApiKey, currentUsage, refundQuota, remainingQuota, reserveQuota } from "../apikeys.js";
+import { deliverWebhook, isPublicAddress, webhookProblem } from "../batch.js";
+
+const key = (dailyQuota, usage = {}) => {
+  const { record } = createApiKey({ name: "lms", dailyQuota, owner: "u1" });
+  return { ...record, usage: { ...record.usage, ...usage } };
+};
+
+describe("batch quota", () => {
+  it("reserves submissions while the quota lasts", () => {
+    const k = key(10, { submitted: 6, total: 40 });
+    assert.equal(remainingQuota(k), 4);
+    assert.deepEqual(reserveQuota(k, 4), { ...k.usage, submitted: 10, total: 44 });
+    assert.equal(reserveQuota(k, 5), null);
+  });
+
+  it("starts a new day with the full quota", () => {
+    const k = key(10, { day: "2000-01-01", submitted: 10, total: 10 });
+    assert.equal(remainingQuota(k), 10);
+    assert.equal(currentUsage(k).submitted, 0);
+    assert.equal(reserveQuota(k, 10).total, 20);
+  });
+});
+
+describe("quota refunds", () => {
+  it("gives back submissions reserved today", () => {
+    const k = key(10, { submitted: 8, total: 30 });
+    assert.deepEqual(refundQuota(k, 3, k.usage.day), { ...k.usage, submitted: 5, total: 27 });
+  });
+
+  it("ignores reservations from an earlier day", () => {
+    const k = key(10, { submitted: 2, total: 30 });
+    assert.deepEqual(refundQuota(k, 3, "2000-01-01"), k.usage);
+  });
+});
+
+describe("webhook targets", () => {
+  it("tells public from internal addresses", () => {
+    for (const a of ["8.8.8.8", "93.184.216.34", "2606:4700:4700::1111"]) assert.equal(isPublicAddress(a), true, a);
+    for (const a of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+      "::1", "::", "fe80::1", "fd00::1", "::ffff:127.0.0.1", "::ffff:a9fe:a9fe", "not an ip"]) {
+      assert.equal(isPublicAddress(a), false, a);
+    }
+  });
+
+  it("refuses URLs that point inside the network", async () => {
+    for (const url of ["http://127.0.0.1:9000/hook", "http://localhost/hook", "http://[::1]/hook", "http://169.254.169.254/latest/meta-data"]) {
+      assert.match(await webhookProblem(url), /not a public address/, url);
+    }
+    assert.equal(await webhookProblem("https://93.184.216.34/hook"), null);
+    assert.match(await webhookProblem("https://no-such-host.invalid/hook"), /does not resolve/);
+  });
+
+  it("does not deliver to a loopback listener, even by name", async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => { hits++; res.end(); });
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    const { port } = server.address();
+    try {
+      for (const host of ["127.0.0.1", "localhost"]) {
+        const delivery = await deliverWebhook(`http://${host}:${port}/hook`, { event: "batch.completed" }, "secret");
+        assert.equal(delivery.status, "failed");
+        assert.equal(delivery.attempts, 1);
+        assert.match(delivery.error, /not a public address/);
+      }
+      assert.equal(hits, 0);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { describe, it } from "node:test";
+import { getTest } from "../banks.js";
+import { createRedisBackend, responseCacheKey } from "../cache.js";
+import { GRADING_TEMPLATE } from "../grading.js";
+
+const test = getTest("core");
+const base = {
+  test,
+  template: GRADING_TEMPLATE,
+  locale: { variety: "us", language: "en" },
+  answers: ["I have lived here  for two years.", "She said that she would come."],
+  models: ["fake:any"],
+};
+const key = (change = {}) => responseCacheKey({ ...base, ...change });
+
+describe("responseCacheKey", () => {
+  it("ignores whitespace and line-end differences in the answers", () => {
+    assert.equal(key({ answers: ["  I have lived here for two years.\r\n", "She said that\tshe would come."] }), key());
+  });
+
+  it("keeps case and punctuation", () => {
+    assert.notEqual(key({ answers: ["i have lived here for two years", "She said that she would come."] }), key());
+  });
+
+  it("changes with the prompt, the locale and the models", () => {
+    const keys = [
+      key(),
+      key({ template: `${GRADING_TEMPLATE}\nBe strict.` }),
+      key({ test: { ...test, items: test.items.slice(1) } }),
+      key({ locale: { variety: "uk", language: "en" } }),
+      key({ locale: { variety: "us", language: "es" } }),
+      key({ models: ["fake:other"] }),
+      key({ models: ["fake:any", "fake:other"] }),
+    ];
+    assert.equal(new Set(keys).size, keys.length);
+  });
+});
+
+// Answers each command with the next scripted reply
+async function redisStandin(replies) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("data", () => socket.write(replies.shift() ?? "$-1\r\n"));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const close = () => {
+    for (const s of sockets) s.destroy();
+    server.close();
+  };
+  return { url: `redis://127.0.0.1:${server.address().port}`, close };
+}
+
+describe("redis backend", () => {
+  it("reads values and misses", async () => {
+    const redis = await redisStandin(["$5\r\nhello\r\n", "$-1\r\n"]);
+    const backend = createRedisBackend(redis.url);
+    try {
+      assert.equal(await backend.get("a"), "hello");
+      assert.equal(await backend.get("b"), null);
+    } finally {
+      redis.close();
+    }
+  });
+
+  it("rejects a reply it can't parse and reconnects for the next command", async () => {
+    const redis = await redisStandin(["*1\r\n$2\r\nno\r\n", "$2\r\nok\r\n"]);
+    const backend = createRedisBackend(redis.url);
+    try {
+      await assert.rejects(backend.get("a"), /Unsupported Redis reply type "\*"/);
+      assert.equal(await backend.get("a"), "ok");
+    } finally {
+      redis.close();
+    }
+  });
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startServer } from "./server.js";
+
+const answers = [
+  "Yesterday I went to the market with my sister. We bought fresh bread, some cheese and a bag of oranges, then we sat in a small café and talked about our plans for the summer holidays.",
+  "It was a blessing in disguise when I lost that job, because I found a better one.",
+  "Despite the rain, we walked to the station and caught the early train.",
+  "If I had known about the traffic, I would have left earlier.",
+];
+
+describe("certificate withdrawal", () => {
+  let api, owner, other, resultId, token;
+  before(async () => {
+    api = await startServer();
+    owner = await api.signup("owner@x.io");
+    other = await api.signup("other@x.io");
+    const { body } = await api.call("/assess", { method: "POST", token: owner.token, body: { answers } });
+    resultId = body._meta.resultId;
+    ({ body: { token } } = await api.call(`/results/${resultId}/certificate`, { method: "POST", token: owner.token }));
+  });
+  after(() => api?.stop());
+
+  it("verifies a fresh certificate", async () => {
+    const { status, body } = await api.call(`/verify/${token}`);
+    assert.equal(status, 200);
+    assert.equal(body.status, "valid");
+  });
+
+  it("only lets the owner withdraw it", async () => {
+    const { status } = await api.call(`/results/${resultId}/certificate`, { method: "DELETE", token: other.token });
+    assert.equal(status, 404);
+    assert.equal((await api.call(`/verify/${token}`)).body.status, "valid");
+  });
+
+  it("shows a withdrawn certificate as revoked and won't issue it again", async () => {
+    const withdrawn = await api.call(`/results/${resultId}/certificate`, { method: "DELETE", token: owner.token });
+    assert.equal(withdrawn.status, 200);
+    const { status, body } = await api.call(`/verify/${token}`);
+    assert.equal(status, 200);
+    assert.deepEqual([body.valid, body.status], [false, "revoked"]);
+    const page = await api.call(`/c/${token}`);
+    assert.match(page.body, /This certificate has been withdrawn and is no longer valid\./);
+    assert.doesNotMatch(page.body, /no longer exists/);
+    assert.equal((await api.call(`/results/${resultId}/certificate`, { method: "POST", token: owner.token })).status, 409);
+    assert.equal((await api.call(`/results/${resultId}`, { token: owner.token })).status, 200);
+  });
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { describe, it } from "node:test";
+import { certifiable, certificateClaims, issueCertificate, readCertificate } from "../certificates.js";
+
+const record = {
+  id: "r1",
+  testId: "core",
+  model: "fake:any",
+  quality: "clean",
+  createdAt: "2026-01-02T03:04:05.000Z",
+  result: { score: 8.2, level: "Near-native" },
+};
+
+describe("certificates", () => {
+  it("round-trips the claims of a genuine token", () => {
+    const claims = certificateClaims(record, "Asha Rao", "Core check");
+    const token = issueCertificate(claims);
+    assert.deepEqual(readCertificate(token), claims);
+    assert.equal(issueCertificate(claims), token);
+  });
+
+  it("rejects modified or malformed tokens", () => {
+    const token = issueCertificate(certificateClaims(record, "Asha Rao"));
+    const [body, sig] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), score: 10 })).toString("base64url");
+    assert.equal(readCertificate(`${forged}.${sig}`), null);
+    assert.equal(readCertificate(`${body}.${sig.slice(1)}`), null);
+    assert.equal(readCertificate(`${token}.extra`), null);
+    assert.equal(readCertificate(""), null);
+  });
+
+  it("signs with a key derived from AUTH_SECRET, not AUTH_SECRET itself", async () => {
+    const saved = { CERT_SECRET: process.env.CERT_SECRET, AUTH_SECRET: process.env.AUTH_SECRET };
+    delete process.env.CERT_SECRET;
+    process.env.AUTH_SECRET = "session-secret";
+    try {
+      // A fresh module instance reads the env again
+      const mod = await import("../certificates.js?derived-key");
+      const [body, sig] = mod.issueCertificate(certificateClaims(record, "Asha Rao")).split(".");
+      const hmac = (key) => crypto.createHmac("sha256", key).update(body).digest("base64url");
+      assert.notEqual(sig, hmac("session-secret"));
+      assert.equal(sig, hmac(crypto.createHmac("sha256", "session-secret").update("cert").digest("hex")));
+    } finally {
+      for (const [k, v] of Object.entries(saved)) if (v === undefined) delete process.env[k]; else process.env[k] = v;
+    }
+  });
+
+  it("only certifies complete model gradings", () => {
+    assert.equal(certifiable(record), null);
+    assert.match(certifiable({ ...record, degraded: true }), /Offline/);
+    assert.match(certifiable({ ...record, quality: "defaulted" }), /incomplete/);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkThirdConditional, offlineParts, runChecks } from "../checks.js";
+
+describe("checkThirdConditional", () => {
+  const passes = [
+    "If I had known, I would have come.",
+    "If my brother had known, he would have helped.",
+    "If my older brother had known, he would have called.",
+    "If I'd known, I would have gone.",
+    "If I’d known, I’d have gone.",
+    "If I hadn't missed the bus, I would have arrived on time.",
+    "If I had not missed the bus, I wouldn't have been late.",
+    "If she had never met him, she would not have moved.",
+    "I would have gone if I had known.",
+    "If I had known I would have come",
+    "If he had saved some money, he could have bought the car.",
+  ];
+  for (const answer of passes) {
+    it(`accepts "${answer}"`, () => {
+      const r = checkThirdConditional(answer);
+      assert.equal(r.passed, true, r.detail);
+    });
+  }
+
+  const fails = [
+    ["If I would have known, I would have come.", /past perfect/],
+    ["If I had known, I would of come.", /would of/],
+    ["If I knew, I would have come.", /if-clause with 'had'/],
+    ["If I had known, I will come.", /main clause/],
+    ["If I had knew, I would have came.", /'knew', 'came'/],
+    ["If I'd have known, I would have come.", /past perfect/],
+  ];
+  for (const [answer, detail] of fails) {
+    it(`rejects "${answer}"`, () => {
+      const r = checkThirdConditional(answer);
+      assert.equal(r.passed, false);
+      assert.match(r.detail, detail);
+    });
+  }
+});
+
+describe("runChecks", () => {
+  const test = {
+    items: [
+      { checks: [{ rule: "wordCount", min: 3, max: 5 }] },
+      { checks: [{ rule: "fragments", fragments: ["in the evening"] }] },
+      { checks: [{ rule: "thirdConditional" }] },
+      { mode: "speech", checks: [] },
+    ],
+  };
+
+  it("runs item rules and mechanics per part", () => {
+    const checks = runChecks(test, ["Too short.", "We met In The Evening.", "If I had known, I would have come.", "um so yeah"]);
+    const rule = (part, name) => checks.find((c) => c.part === part && c.rule === name);
+    assert.equal(rule(1, "wordCount").passed, false);
+    assert.equal(rule(2, "fragments").passed, true);
+    assert.equal(rule(3, "thirdConditional").passed, true);
+    assert.equal(rule(3, "endPunctuation").passed, true);
+  });
+
+  it("skips mechanics for spoken parts", () => {
+    const checks = runChecks(test, ["a b c.", "x.", "y.", "lowercase with no stop"]);
+    assert.equal(checks.filter((c) => c.part === 4).length, 0);
+  });
+
+  it("flags the other variety's spellings", () => {
+    const one = { items: [{ checks: [] }] };
+    const us = runChecks(one, ["The colour of the centre is nice."], { variety: "us" });
+    assert.equal(us.find((c) => c.rule === "variety").passed, false);
+    const uk = runChecks(one, ["The colour of the centre is nice."], { variety: "uk" });
+    assert.equal(uk.find((c) => c.rule === "variety").passed, true);
+  });
+});
+
+describe("offlineParts", () => {
+  const test = { items: [{ id: "a", checks: [] }, { id: "b", checks: [] }] };
+  const checks = runChecks(test, ["i went home", "We went home."]);
+
+  it("writes its reasons in the feedback language", () => {
+    const [flagged, passed] = offlineParts(test, checks, "es");
+    assert.match(flagged.reasons, /^Las comprobaciones automáticas señalaron: /);
+    assert.equal(passed.reasons, "Comprobaciones automáticas superadas; ningún modelo lo revisó.");
+    assert.equal(offlineParts(test, checks, "hi")[1].reasons, "स्वचालित जाँचें सफल रहीं; किसी मॉडल ने समीक्षा नहीं की।");
+  });
+
+  it("falls back to English for languages the app isn't translated into", () => {
+    assert.equal(offlineParts(test, checks, "fr")[1].reasons, "Automated checks passed; not reviewed by a model.");
+  });
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { resultsCsv } from "../cohorts.js";
+
+const members = [
+  { user: { id: "u1", email: "ana@x.io", name: "Ana, B." }, joinedAt: "2026-01-01T00:00:00.000Z" },
+  { user: { id: "u2", email: "bo@x.io", name: "=HYPERLINK(\"http://x\")" }, joinedAt: "2026-01-01T00:00:00.000Z" },
+];
+const attempt = (id, user, createdAt, scores, extra = {}) => ({
+  id, user, createdAt, testId: "core", model: "fake:any", quality: "ok",
+  result: { score: scores[0], level: "Intermediate", parts: scores.map((score, i) => ({ part: i + 1, score })) },
+  ...extra,
+});
+const rows = (csv) => csv.split("\r\n").slice(0, -1);
+
+describe("cohort results CSV", () => {
+  it("has one row per attempt, oldest first, with a column per part", () => {
+    const csv = resultsCsv(members, [
+      attempt("r2", "u1", "2026-02-02T00:00:00.000Z", [6, 7]),
+      attempt("r1", "u1", "2026-02-01T00:00:00.000Z", [5, 6, 4]),
+    ]);
+    const [header, first, second] = rows(csv);
+    assert.equal(header, "learner_id,email,name,result_id,date,test,score,level,model,quality,integrity_flagged,part1,part2,part3");
+    assert.equal(first, "u1,ana@x.io,\"Ana, B.\",r1,2026-02-01T00:00:00.000Z,core,5,Intermediate,fake:any,ok,,5,6,4");
+    assert.ok(second.endsWith(",6,7,"));
+    assert.ok(csv.endsWith("\r\n"));
+  });
+
+  it("keeps spreadsheet formulas in learner names inert", () => {
+    const [, row] = rows(resultsCsv(members, [attempt("r1", "u2", "2026-02-01T00:00:00.000Z", [5])]));
+    assert.ok(row.startsWith("u2,bo@x.io,\"'=HYPERLINK(\"\"http://x\"\")\","));
+  });
+
+  it("marks degraded and integrity-flagged attempts", () => {
+    const [, row] = rows(resultsCsv(members, [
+      attempt("r1", "u1", "2026-02-01T00:00:00.000Z", [5], { degraded: true, integrity: { flagged: true } }),
+    ]));
+    assert.ok(row.includes(",degraded,true,"));
+  });
+});
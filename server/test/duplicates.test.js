@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DUPLICATE_MIN_WORDS, createDuplicateIndex, shingles } from "../duplicates.js";
+
+// 40 distinct words: 36 shingles
+const words = Array.from({ length: 40 }, (_, i) => `word${i}`);
+const essay = words.join(" ");
+const replaced = (at) => words.map((w, i) => (i === at ? "changed" : w)).join(" ");
+let n = 0;
+const result = (user, answers, extra = {}) => ({ id: `r${++n}`, user, testId: "core", answers, ...extra });
+
+describe("shingles", () => {
+  it("skips answers shorter than DUPLICATE_MIN_WORDS", () => {
+    assert.equal(shingles(words.slice(0, DUPLICATE_MIN_WORDS - 1).join(" ")), null);
+    assert.equal(shingles(words.slice(0, DUPLICATE_MIN_WORDS).join(" ")).size, DUPLICATE_MIN_WORDS - 4);
+  });
+
+  it("ignores case and punctuation", () => {
+    const shouted = words.map((w) => `${w.toUpperCase()},`).join("  ");
+    assert.deepEqual(shingles(shouted), shingles(essay));
+  });
+});
+
+describe("duplicate index", () => {
+  it("matches another learner's copy of the same part", () => {
+    const index = createDuplicateIndex();
+    const first = result("a", ["short", essay]);
+    index.add(first);
+    assert.deepEqual(index.matches(result("b", ["short", essay])), [{ part: 2, resultId: first.id, user: "a", similarity: 1 }]);
+  });
+
+  it("ignores the learner's own attempts, other parts, other tests and adaptive sessions", () => {
+    const index = createDuplicateIndex();
+    index.add(result("a", [essay]));
+    assert.deepEqual(index.matches(result("a", [essay])), []);
+    assert.deepEqual(index.matches(result("b", ["short", essay])), []);
+    assert.deepEqual(index.matches(result("b", [essay], { testId: "other" })), []);
+    assert.deepEqual(index.matches(result("b", [essay], { sessionId: "s1" })), []);
+  });
+
+  it("flags at DUPLICATE_THRESHOLD and not below it", () => {
+    const index = createDuplicateIndex();
+    index.add(result("a", [essay]));
+    // A changed last word breaks one shingle (35/37); one in the middle breaks five (31/41)
+    assert.deepEqual(index.matches(result("b", [replaced(39)])).map((m) => m.similarity), [0.95]);
+    assert.deepEqual(index.matches(result("b", [replaced(20)])), []);
+    const lenient = createDuplicateIndex({ threshold: 0.75 });
+    lenient.add(result("a", [essay]));
+    assert.deepEqual(lenient.matches(result("b", [replaced(20)])).map((m) => m.similarity), [0.76]);
+  });
+
+  it("forgets results beyond the window", () => {
+    const index = createDuplicateIndex({ window: 2 });
+    const oldest = result("a", [essay]);
+    for (const r of [oldest, result("b", [essay]), result("c", [essay])]) index.add(r);
+    assert.equal(index.size(), 2);
+    assert.deepEqual(index.matches(result("d", [essay])).map((m) => m.user).sort(), ["b", "c"]);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getTest } from "../banks.js";
+import { aggregateVerdicts, median, trimmedMean } from "../ensemble.js";
+
+const test = getTest("core");
+const answers = [
+  "Yesterday I went to the market and bought fresh bread.",
+  "It was a blessing in disguise when I lost that job.",
+  "Despite the rain, we walked to the station.",
+  "If I had known, I would have come.",
+];
+// Every part gets `score`, so the overall score is `score` too
+const verdict = (model, score, words = model) => ({
+  model,
+  sample: 1,
+  out: {
+    parts: test.items.map((_it, i) => ({ part: i + 1, score, reasons: `${words} on part ${i + 1}.`, suggestions: [`Practise ${words}.`] })),
+    reasons: `${words} overall.`,
+    suggestions: [`Keep going, ${words}.`],
+  },
+});
+
+describe("ensemble statistics", () => {
+  it("takes the median of odd and even counts", () => {
+    assert.equal(median([9, 6, 7]), 7);
+    assert.equal(median([4, 8, 6, 5]), 5.5);
+  });
+
+  it("trims the extremes once there are three values", () => {
+    assert.equal(trimmedMean([5, 10, 6, 7]), 6.5);
+    assert.equal(trimmedMean([4, 8]), 6);
+  });
+});
+
+describe("aggregateVerdicts", () => {
+  it("combines part scores and takes the prose from the closest verdict", () => {
+    const { result, ensemble } = aggregateVerdicts([verdict("a", 6), verdict("b", 7), verdict("c", 8)], test, { answers, maxSpread: 2 });
+    assert.equal(result.score, 7);
+    assert.deepEqual(result.parts.map((p) => p.score), [7, 7, 7, 7]);
+    assert.equal(result.reasons, "b overall.");
+    assert.equal(result.parts[0].reasons, "b on part 1.");
+    assert.deepEqual(result.parts[0].suggestions, ["Practise a.", "Practise b.", "Practise c."]);
+    assert.deepEqual([ensemble.aggregate, ensemble.spread, ensemble.lowConfidence], ["median", 2, false]);
+    assert.deepEqual(ensemble.verdicts.map((v) => [v.model, v.score]), [["a", 6], ["b", 7], ["c", 8]]);
+  });
+
+  it("uses the trimmed mean when asked", () => {
+    const verdicts = [verdict("a", 5), verdict("b", 6), verdict("c", 7), verdict("d", 10)];
+    assert.equal(aggregateVerdicts(verdicts, test, { answers, method: "trimmed" }).result.score, 6.5);
+  });
+
+  it("reports agreement and low confidence when the models disagree", () => {
+    const close = aggregateVerdicts([verdict("a", 7), verdict("b", 7)], test, { answers, maxSpread: 2 }).ensemble;
+    assert.deepEqual([close.agreement, close.lowConfidence], [1, false]);
+    const apart = aggregateVerdicts([verdict("a", 3), verdict("b", 8)], test, { answers, maxSpread: 2 });
+    assert.deepEqual([apart.ensemble.spread, apart.ensemble.agreement, apart.result.lowConfidence], [5, 0, true]);
+  });
+
+  it("is low-confidence with a single verdict", () => {
+    assert.equal(aggregateVerdicts([verdict("a", 7)], test, { answers }).result.lowConfidence, true);
+  });
+});
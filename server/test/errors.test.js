@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import express from "express";
+import { asyncHandler, classifyError, errorResponse, kindError } from "../errors.js";
+
+describe("classifyError", () => {
+  it("sorts provider failures into kinds", () => {
+    assert.equal(classifyError(Object.assign(new Error("Too many requests"), { status: 429 })), "rate_limited");
+    assert.equal(classifyError(Object.assign(new Error("aborted"), { name: "TimeoutError" })), "timeout");
+    assert.equal(classifyError(Object.assign(new Error("Service unavailable"), { status: 503 })), "upstream");
+    assert.equal(classifyError(kindError("bad_output", "no JSON")), "bad_output");
+    assert.equal(classifyError(new TypeError("x is undefined")), "internal");
+  });
+
+  it("maps kinds to statuses and hides internal messages", () => {
+    const limited = errorResponse(kindError("rate_limited", "slow down"), { requestId: "r1" });
+    assert.equal(limited.status, 429);
+    assert.ok(limited.headers["Retry-After"]);
+    const internal = errorResponse(new Error("db password wrong"));
+    assert.equal(internal.status, 500);
+    assert.doesNotMatch(internal.body.error, /password/);
+  });
+});
+
+describe("asyncHandler", () => {
+  it("passes a rejected handler's error to the error handler", async () => {
+    const app = express();
+    app.get("/boom", asyncHandler(async () => { throw kindError("timeout", "model took too long"); }));
+    app.use((err, _req, res, _next) => {
+      const { status, body } = errorResponse(err);
+      res.status(status).json(body);
+    });
+    const server = app.listen(0);
+    try {
+      const r = await fetch(`http://127.0.0.1:${server.address().port}/boom`, { signal: AbortSignal.timeout(5000) });
+      assert.equal(r.status, 504);
+      assert.equal((await r.json()).kind, "timeout");
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { startServer } from "./server.js";
+
+const answers = [
+  "Yesterday I went to the market with my sister. We bought fresh bread, some cheese and a bag of oranges, then we sat in a small café and talked about our plans for the summer holidays.",
+  "It was a blessing in disguise when I lost that job, because I found a better one.",
+  "Despite the rain, we walked to the station and caught the early train.",
+  "If I had known about the traffic, I would have left earlier.",
+];
+
+describe("duplicate flag review", () => {
+  let api, admin, coachA, coachB, flag;
+  before(async () => {
+    api = await startServer({ ADMIN_EMAILS: "admin@x.io" });
+    admin = await api.signup("admin@x.io");
+    const coach = async (email, learners) => {
+      const c = await api.signup(email);
+      await api.call(`/users/${c.user.id}/role`, { method: "PATCH", token: admin.token, body: { role: "coach" } });
+      const { body: cohort } = await api.call("/cohorts", { method: "POST", token: c.token, body: { name: email } });
+      for (const l of learners) await api.call("/cohorts/join", { method: "POST", token: l.token, body: { code: cohort.code } });
+      return c;
+    };
+    const [a1, b1, b2] = [await api.signup("a1@x.io"), await api.signup("b1@x.io"), await api.signup("b2@x.io")];
+    coachA = await coach("coach-a@x.io", [a1]);
+    coachB = await coach("coach-b@x.io", [b1, b2]);
+    for (const l of [b1, b2]) await api.call("/assess", { method: "POST", token: l.token, body: { answers } });
+    ({ body: { items: [flag] } } = await api.call("/flags", { token: admin.token }));
+    // a1 copies too, after the B flag was taken
+    await api.call("/assess", { method: "POST", token: a1.token, body: { answers } });
+  });
+  after(() => api?.stop());
+
+  it("flags the copied answers for admins", async () => {
+    assert.ok(flag);
+    assert.equal(flag.learner.email, "b2@x.io");
+    assert.equal(flag.matches[0].learner.email, "b1@x.io");
+  });
+
+  it("hides flags between learners of another coach's cohort", async () => {
+    const list = await api.call("/flags", { token: coachA.token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.total, 1);
+    assert.notEqual(list.body.items[0].id, flag.id);
+    const patch = await api.call(`/flags/${flag.id}`, { method: "PATCH", token: coachA.token, body: { status: "dismissed" } });
+    assert.equal(patch.status, 404);
+    const opened = await api.call(`/results/${flag.resultId}?flag=${flag.id}`, { token: coachA.token });
+    assert.equal(opened.status, 404);
+  });
+
+  it("lets the learners' coach review the flag", async () => {
+    // a1's flag matches their learners too
+    const list = await api.call("/flags", { token: coachB.token });
+    assert.equal(list.body.total, 2);
+    assert.ok(list.body.items.some((f) => f.id === flag.id));
+    const opened = await api.call(`/results/${flag.matches[0].resultId}?flag=${flag.id}`, { token: coachB.token });
+    assert.equal(opened.status, 200);
+    const patch = await api.call(`/flags/${flag.id}`, { method: "PATCH", token: coachB.token, body: { status: "confirmed" } });
+    assert.equal(patch.status, 200);
+    assert.equal(patch.body.status, "confirmed");
+  });
+
+  it("shows a coach the other cohort's learners in their own flags anonymously", async () => {
+    const { body: { items: [own] } } = await api.call("/flags", { token: coachA.token });
+    assert.equal(own.learner.email, "a1@x.io");
+    assert.ok(own.matches.length > 0);
+    for (const m of own.matches) {
+      assert.deepEqual([m.user, m.learner.email, m.learner.hidden], [null, null, true]);
+      const opened = await api.call(`/results/${m.resultId}?flag=${own.id}`, { token: coachA.token });
+      assert.equal(opened.status, 404);
+    }
+    const mine = await api.call(`/results/${own.resultId}?flag=${own.id}`, { token: coachA.token });
+    assert.equal(mine.status, 200);
+  });
+});
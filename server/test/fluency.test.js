@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import { describeFluency, measureFluency, pronunciationNotes } from "../fluency.js";
+
+const unclear = JSON.parse(fs.readFileSync(new URL("../fixtures/transcripts/unclear.json", import.meta.url), "utf8"));
+const place = JSON.parse(fs.readFileSync(new URL("../fixtures/transcripts/place.json", import.meta.url), "utf8"));
+
+describe("measureFluency", () => {
+  it("counts fillers and long pauses from segment timings", () => {
+    const m = measureFluency(place);
+    assert.deepEqual(m.fillerWords, { um: 1, uh: 1, "you know": 1, like: 1 });
+    assert.equal(m.longPauses, 1);
+    assert.equal(m.longestPauseSec, 2.3);
+    assert.ok(m.wordsPerMinute > 100 && m.wordsPerMinute < 200, String(m.wordsPerMinute));
+  });
+
+  it("leaves pronunciation unmeasured without word confidences", () => {
+    assert.equal(measureFluency(place).pronunciation, null);
+  });
+});
+
+describe("pronunciationNotes", () => {
+  it("notes low-confidence content words in speaking order, skipping fillers", () => {
+    const notes = measureFluency(unclear).pronunciation;
+    assert.deepEqual(notes.map((n) => n.word), ["kyoto", "temples", "autumn"]);
+    assert.ok(notes.every((n) => n.confidence < 0.6 && Number.isFinite(n.at)));
+  });
+
+  it("keeps each word once, at its least confident", () => {
+    const notes = pronunciationNotes([
+      { text: "Thought", start: 1, probability: 0.5 },
+      { text: "thought.", start: 4, probability: 0.3 },
+      { text: "it", start: 5, probability: 0.1 },
+    ]);
+    assert.deepEqual(notes, [{ word: "thought", at: 4, confidence: 0.3 }]);
+  });
+
+  it("is passed to the model with the other markers", () => {
+    const text = describeFluency([{ part: 3, ...measureFluency(unclear) }]);
+    assert.match(text, /Possibly unclear words .*"kyoto" 41%/);
+    assert.doesNotMatch(describeFluency([{ part: 3, ...measureFluency(place) }]), /unclear/);
+  });
+});
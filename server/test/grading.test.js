@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getTest } from "../banks.js";
+import { extractJson, normalizeResult, validateOutput } from "../grading.js";
+import { grade } from "../pipeline.js";
+import { registerProvider } from "../providers/index.js";
+import { createFakeProvider, loadRecording } from "../providers/fake.js";
+
+const test = getTest("core");
+const answers = [
+  "Yesterday I went to the market and bought fresh bread.",
+  "It was a blessing in disguise when I lost that job.",
+  "Despite the rain, we walked to the station.",
+  "If I had known, I would have come.",
+];
+const part = (n, score = 7) => ({ part: n, score, reasons: "Fine.", suggestions: [] });
+const valid = () => ({ parts: [1, 2, 3, 4].map((n) => part(n)), reasons: "Good.", suggestions: ["Keep going."] });
+
+describe("validateOutput", () => {
+  it("accepts a complete reply", () => {
+    assert.deepEqual(validateOutput(valid(), test), []);
+  });
+
+  it("names missing and mistyped fields", () => {
+    const out = valid();
+    delete out.parts[2].score;
+    out.parts[3].score = "8";
+    const issues = validateOutput(out, test);
+    assert.ok(issues.some((i) => i.startsWith("parts[2].score")), issues.join("; "));
+    assert.ok(issues.some((i) => i.startsWith("parts[3].score")), issues.join("; "));
+  });
+
+  it("rejects repeated part numbers and the wrong number of parts", () => {
+    const out = valid();
+    out.parts[1].part = 1;
+    assert.match(validateOutput(out, test).join("; "), /exactly once/);
+    assert.notDeepEqual(validateOutput({ ...valid(), parts: valid().parts.slice(0, 3) }, test), []);
+  });
+});
+
+describe("extractJson", () => {
+  it("strips a markdown fence and surrounding prose", () => {
+    assert.deepEqual(extractJson('Here you go:\n```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(extractJson('Result: {"a": {"b": 2}} done'), { a: { b: 2 } });
+  });
+
+  it("throws on empty or truncated replies", () => {
+    assert.throws(() => extractJson(""));
+    assert.throws(() => extractJson('{"parts": [{"part": 1'));
+  });
+});
+
+describe("normalizeResult", () => {
+  it("weights the score by item and derives the level", () => {
+    const out = { ...valid(), parts: [1, 2, 3, 4].map((n) => part(n, n * 2)), score: 1 };
+    const r = normalizeResult(out, test, answers);
+    const expected = Math.round(test.items.reduce((s, it, i) => s + (i + 1) * 2 * it.weight, 0) * 10) / 10;
+    assert.equal(r.score, expected);
+    assert.equal(typeof r.level, "string");
+    assert.deepEqual(r.defaulted, []);
+  });
+
+  it("lists what it had to fill in", () => {
+    const r = normalizeResult({ parts: [part(1)] }, test, answers);
+    assert.equal(r.parts.length, 4);
+    assert.ok(r.defaulted.includes("reasons"));
+    assert.ok(r.defaulted.includes("suggestions"));
+  });
+});
+
+describe("grading pipeline", () => {
+  const run = (name) => {
+    registerProvider(createFakeProvider({ name: "fake", recording: loadRecording(new URL(`../fixtures/recordings/${name}.json`, import.meta.url)) }));
+    return grade({ test, answers, preferredModel: "fake:any", fallbacks: [], reorder: false });
+  };
+
+  it("passes a clean reply through", async () => {
+    const { meta } = await run("clean");
+    assert.equal(meta.quality, "clean");
+  });
+
+  it("repairs a reply that fails the schema", async () => {
+    const { meta } = await run("invalid-then-repaired");
+    assert.equal(meta.quality, "repaired");
+    assert.equal(meta.repairs, 1);
+  });
+
+  it("repairs truncated JSON", async () => {
+    const { meta } = await run("malformed-then-clean");
+    assert.equal(meta.quality, "repaired");
+  });
+
+  it("marks the result defaulted when repairs run out", async () => {
+    const { meta } = await run("never-valid");
+    assert.equal(meta.quality, "defaulted");
+    assert.ok(meta.issues.length > 0);
+  });
+
+  it("degrades to the offline estimate when every model fails", async () => {
+    const { result, meta } = await run("all-fail");
+    assert.equal(meta.degraded, true);
+    assert.equal(result.parts.length, 4);
+    assert.match(result.reasons, /^The grading model was unavailable/);
+  });
+
+  it("writes the offline estimate in the feedback language", async () => {
+    registerProvider(createFakeProvider({ name: "fake", recording: loadRecording(new URL("../fixtures/recordings/all-fail.json", import.meta.url)) }));
+    const { result } = await grade({ test, answers, preferredModel: "fake:any", fallbacks: [], reorder: false, language: "hi" });
+    assert.match(result.reasons, /^ग्रेडिंग मॉडल उपलब्ध नहीं था/);
+    assert.ok(result.suggestions.length && result.suggestions.every((s) => s.startsWith("भाग ")));
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { aiLikelihood, integrityReport, parseTelemetry } from "../integrity.js";
+
+const llm = "In today's fast-paced world, technology plays a crucial role in education. Moreover, it is important to note that digital tools foster collaboration among students. Furthermore, online platforms provide invaluable resources for independent learning. Additionally, teachers can navigate the complexities of modern classrooms with seamless communication. Ultimately, this multifaceted transformation underscores the vibrant potential of learning.";
+const learner = "Last summer I went to my grandma's village. It was hot. We didn't have wifi so I read books all day, and honestly I loved it, even the old ones with the yellow pages that smell funny. My cousin came too. We fished in the river but caught nothing, not even one small fish!";
+
+const test = { items: [{ id: "written" }, { id: "spoken", mode: "speech" }] };
+// Typed at a steady pace with nothing pasted
+const typed = (text, over = {}) => ({ ms: 120_000, keystrokes: text.length, pastes: 0, pastedChars: 0, blurs: 0, ...over });
+const signals = (report) => report.parts.flatMap((p) => p.signals.map((s) => `${s.signal}:${s.severity}`));
+
+describe("aiLikelihood", () => {
+  it("scores stock model prose above a learner's writing", () => {
+    assert.ok(aiLikelihood(llm).score >= 0.65);
+    assert.ok(aiLikelihood(learner).score < 0.3);
+    assert.equal(aiLikelihood(learner).features.contractions, 1);
+  });
+
+  it("has no estimate for short answers", () => {
+    assert.equal(aiLikelihood("I have lived here for two years."), null);
+  });
+});
+
+describe("integrityReport", () => {
+  it("passes an answer typed in the field", () => {
+    const report = integrityReport(test, [learner, ""], [typed(learner), null]);
+    assert.deepEqual([report.flagged, report.telemetry, signals(report)], [false, true, []]);
+  });
+
+  it("flags on one strong signal", () => {
+    const pasted = integrityReport(test, [learner, ""], [typed(learner, { pastes: 1, pastedChars: learner.length }), null]);
+    assert.deepEqual([pasted.flagged, signals(pasted)], [true, ["paste:strong"]]);
+    const fast = integrityReport(test, [learner, ""], [typed(learner, { ms: 5_000 }), null]);
+    assert.deepEqual([fast.flagged, signals(fast)], [true, ["speed:strong"]]);
+    const machine = integrityReport(test, [llm, ""], null);
+    assert.deepEqual([machine.flagged, machine.telemetry, signals(machine)], [true, false, ["aiText:strong"]]);
+  });
+
+  it("needs two weak signals to flag", () => {
+    const once = integrityReport(test, [learner, ""], [typed(learner, { blurs: 2 }), null]);
+    assert.deepEqual([once.flagged, signals(once)], [false, ["focus:weak"]]);
+    const twice = integrityReport(test, [learner, ""], [typed(learner, { blurs: 2, pastes: 1, pastedChars: 30 }), null]);
+    assert.deepEqual([twice.flagged, signals(twice)], [true, ["paste:weak", "focus:weak"]]);
+  });
+
+  it("skips spoken parts", () => {
+    const report = integrityReport(test, ["", llm], [null, typed(llm, { pastes: 1, pastedChars: llm.length })]);
+    assert.deepEqual(report.parts[1], { part: 2, aiLikelihood: null, signals: [] });
+    assert.equal(report.flagged, false);
+  });
+});
+
+describe("parseTelemetry", () => {
+  it("drops malformed entries and returns null when nothing is left", () => {
+    assert.deepEqual(parseTelemetry([typed("x"), { ms: -1 }]), [typed("x"), null]);
+    assert.equal(parseTelemetry([{ ms: "soon" }]), null);
+    assert.equal(parseTelemetry("nope"), null);
+  });
+});
@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { itemTest } from "../adaptive.js";
+import { getTest } from "../banks.js";
+import { grade } from "../pipeline.js";
+import { countParts } from "../providers/fake.js";
+
+// ?mock=1 grades with the canned "mock" provider, whatever the test's shape
+const mockGrade = (test, answers) => grade({ test, answers, preferredModel: "mock:canned", fallbacks: [], reorder: false });
+
+describe("mock grading", () => {
+  it("counts the answered parts in a prompt", () => {
+    assert.equal(countParts("Part 1:\nHi.\n\nPart 2:\nYes."), 2);
+    assert.equal(countParts("no headers"), 1);
+  });
+
+  for (const [id, label] of [["core", "the written test"], ["speaking", "the speaking test"]]) {
+    it(`returns one part per item on ${label}`, async () => {
+      const test = getTest(id);
+      const answers = test.items.map((_, i) => `If I had known, I would have answered part ${i + 1}.`);
+      const { result, meta } = await mockGrade(test, answers);
+      assert.equal(meta.degraded, undefined, meta.error);
+      assert.equal(result.parts.length, test.items.length);
+    });
+  }
+
+  it("grades a single adaptive step", async () => {
+    const test = getTest("adaptive");
+    const { result, meta } = await mockGrade(itemTest(test, test.items[0]), ["I would have gone if I had known."]);
+    assert.equal(meta.degraded, undefined, meta.error);
+    assert.equal(result.parts.length, 1);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildDrill } from "../practice.js";
+
+const ids = (skill, n) => Array.from({ length: n }, (_, i) => `${skill}-${i + 1}`);
+const answeredAt = (list) => new Map(list.map((id, i) => [id, new Date(Date.UTC(2026, 0, 1 + i)).toISOString()]));
+
+describe("drill exercises", () => {
+  it("skips exercises the learner has answered", () => {
+    const answered = answeredAt(ids("articles", 5));
+    const { exercises, focus, exhausted } = buildDrill({ only: ["articles"], count: 3, answered });
+    assert.deepEqual(exercises.map((ex) => ex.id).sort(), ["articles-6", "articles-7", "articles-8"]);
+    assert.deepEqual([focus[0].unseen, focus[0].repeated], [0, 0]);
+    assert.deepEqual(exhausted, []);
+  });
+
+  it("repeats the exercises answered longest ago once a skill is used up", () => {
+    const answered = answeredAt(ids("articles", 8));
+    const { exercises, focus } = buildDrill({ only: ["articles"], count: 3, answered });
+    assert.deepEqual(exercises.map((ex) => ex.id), ["articles-1", "articles-2", "articles-3"]);
+    assert.deepEqual([focus[0].unseen, focus[0].repeated], [0, 3]);
+  });
+
+  it("gives an exhausted skill's share to skills with new exercises", () => {
+    const answered = answeredAt(ids("articles", 8));
+    const { exercises, focus, exhausted } = buildDrill({ only: ["articles", "tense"], count: 6, answered });
+    assert.ok(exercises.every((ex) => ex.skill === "tense"));
+    assert.equal(exercises.length, 6);
+    assert.deepEqual(focus.map((f) => f.skill), ["tense"]);
+    assert.deepEqual(exhausted.map((f) => f.skill), ["articles"]);
+  });
+});
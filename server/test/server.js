@@ -0,0 +1,66 @@
+import { spawn } from "node:child_process";
+import net from "node:net";
+
+/* ---- API under test ----
+ * Starts index.js in a child process with the memory store and the fake
+ * model, on a free port. Shared by the HTTP tests; it defines no tests itself.
+ */
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer().listen(0, () => {
+    const { port } = srv.address();
+    srv.close(() => resolve(port));
+  }).on("error", reject);
+});
+
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: new URL("..", import.meta.url),
+    env: {
+      ...process.env,
+      STORE: "memory",
+      PORT: String(port),
+      AUTH_SECRET: "test-secret",
+      OPENROUTER_MODEL: "fake:any",
+      FALLBACK_MODELS: "fake:any",
+      FAKE_RECORDING: "fixtures/recordings/clean.json",
+      LOG_LEVEL: "error",
+      ...env,
+    },
+    stdio: "ignore",
+  });
+  const base = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      await fetch(`${base}/`);
+      break;
+    } catch {
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
+  // JSON request helper: resolves to { status, body, headers }
+  async function call(path, { method = "GET", body, token, headers = {} } = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "content-type": "application/json" } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { json = text; }
+    return { status: res.status, body: json, headers: res.headers };
+  }
+
+  async function signup(email) {
+    const { body } = await call("/auth/signup", { method: "POST", body: { email, password: "password1" } });
+    return body;
+  }
+
+  return { base, call, signup, stop: () => child.kill() };
+}
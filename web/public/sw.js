@@ -0,0 +1,71 @@
+/* ---- Service worker ----
+ * Makes the app load without a network: the page and its built assets are
+ * cached at install (asset names are read from index.html, they are hashed
+ * per build), pages are served network-first with the cached shell as the
+ * fallback, and fonts are served from cache while being refreshed. API
+ * calls are never cached here; the app keeps its own offline copies in
+ * IndexedDB (src/offline.js). Bump CACHE to drop old caches on deploy.
+ */
+const CACHE = "enc-shell-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    const html = await (await cache.match("/")).text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+    await cache.addAll(assets);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put("/", response.clone());
+    return response;
+  } catch {
+    return (await cache.match("/")) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => { if (response.ok || response.type === "opaque") cache.put(request, response.clone()); return response; })
+    .catch(() => hit || Response.error());
+  return hit || refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith("/assets/") || SHELL.includes(url.pathname))) {
+    event.respondWith(cacheFirst(request));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,168 @@
+import { useEffect, useRef, useState } from "react";
+import { answerSession, fetchSession, startSession } from "./api.js";
+import ItemPrompt from "./ItemPrompt.jsx";
+import { clearDraft, draftKey, loadDraft, saveDraft } from "./offline.js";
+import { useT } from "./i18n.js";
+import ResultCard from "./ResultCard.jsx";
+import { useAnswerTelemetry } from "./telemetry.js";
+
+// sessionStorage key for resuming after a reload
+const resumeKey = (testId) => `enc-adaptive:${testId}`;
+
+// `variety` / `language`: English variety and feedback language for the whole session
+export default function AdaptiveCheck({ test, variety, language, onPractice, onUnauthorized }) {
+  const [session, setSession] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [last, setLast] = useState(null); // feedback on the previous item
+  const [busy, setBusy] = useState(false);
+  const [errMsg, setErrMsg] = useState("");
+  const telemetry = useAnswerTelemetry(); // for the current item only
+  const t = useT();
+
+  // Pick up an unfinished session for this test (same tab only)
+  useEffect(() => {
+    const id = sessionStorage.getItem(resumeKey(test.id));
+    if (!id) return;
+    let mounted = true;
+    fetchSession(id)
+      .then((s) => { if (mounted && s.status === "active") setSession(s); })
+      .catch(() => sessionStorage.removeItem(resumeKey(test.id)));
+    return () => { mounted = false; };
+  }, [test.id]);
+
+  // The answer to the current item is kept as a draft, so a reload or a failed submit loses nothing
+  const draftFor = session?.status === "active" && session.item ? draftKey("session", session.id, session.item.id) : null;
+  const draftReady = useRef(null);
+  useEffect(() => {
+    if (!draftFor) return;
+    let mounted = true;
+    draftReady.current = null;
+    loadDraft(draftFor).then((d) => {
+      if (!mounted) return;
+      if (d?.answer) setDraft((current) => current || d.answer);
+      draftReady.current = draftFor;
+    });
+    return () => { mounted = false; };
+  }, [draftFor]);
+
+  useEffect(() => {
+    if (!draftFor || draftReady.current !== draftFor) return;
+    const timer = setTimeout(() => (draft.trim() ? saveDraft(draftFor, { answer: draft }) : clearDraft(draftFor)), 400);
+    return () => clearTimeout(timer);
+  }, [draftFor, draft]);
+
+  function fail(err) {
+    if (err?.status === 401) onUnauthorized();
+    else setErrMsg(err?.message || t("error.generic"));
+  }
+
+  async function start() {
+    setErrMsg(""); setLast(null); setDraft(""); setBusy(true);
+    try {
+      const s = await startSession(test.id, { variety, language });
+      sessionStorage.setItem(resumeKey(test.id), s.id);
+      setSession(s);
+    } catch (err) {
+      fail(err);
+    } finally { setBusy(false); }
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    setErrMsg(""); setBusy(true);
+    try {
+      const s = await answerSession(session.id, session.item.id, draft, telemetry.snapshot(1)[0] || undefined);
+      telemetry.reset();
+      clearDraft(draftFor);
+      setSession(s);
+      setLast(s.last);
+      setDraft("");
+      if (s.status === "done") sessionStorage.removeItem(resumeKey(test.id));
+    } catch (err) {
+      fail(err);
+    } finally { setBusy(false); }
+  }
+
+  const error = errMsg && (
+    <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
+      <strong>{t("error.label")}</strong> {errMsg}
+    </div>
+  );
+
+  if (!session) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-700">{t("adaptive.intro", { n: test.adaptive.length })}</p>
+        {error}
+        <button
+          type="button"
+          onClick={start}
+          disabled={busy}
+          className="px-4 py-2 rounded-lg text-white bg-black hover:bg-black/90 disabled:bg-gray-400"
+        >
+          {busy ? t("adaptive.starting") : t("adaptive.start")}
+        </button>
+      </div>
+    );
+  }
+
+  if (session.status === "done") {
+    return (
+      <div className="space-y-4">
+        <h2 className="text-lg font-semibold">{t("result.title")}</h2>
+        <ResultCard data={{ ...session.result, integrity: session.integrity, _meta: { resultId: session.resultId } }} answers={session.answers} onPractice={onPractice} />
+        <button type="button" onClick={() => setSession(null)} className="text-sm underline text-gray-700">
+          {t("adaptive.again")}
+        </button>
+      </div>
+    );
+  }
+
+  const pct = Math.round(((session.step - 1) / session.length) * 100);
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div>
+        <div className="flex justify-between text-xs text-gray-600">
+          <span>{t("adaptive.progress", { step: session.step, n: session.length })}</span>
+          {session.estimate !== null && <span className="tabular-nums">{t("adaptive.estimate", { score: session.estimate })}</span>}
+        </div>
+        <div className="mt-1 h-1.5 rounded-full bg-gray-200">
+          <div className="h-1.5 rounded-full bg-black transition-all" style={{ width: `${pct}%` }} />
+        </div>
+      </div>
+
+      {last && (
+        <div className="p-3 rounded-lg border bg-gray-50 text-xs text-gray-700">
+          <span className="font-medium">{t("adaptive.previous", { title: last.title, score: last.score })}</span> {last.reasons}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <ItemPrompt item={session.item} label={t("adaptive.question", { step: session.step })} htmlFor="adaptive-answer" />
+        <textarea
+          id="adaptive-answer"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          className="w-full border rounded-lg p-3 text-sm focus:outline-none focus:ring-2 focus:ring-black/60"
+          rows={session.item.rows || 3}
+          placeholder={session.item.placeholder || ""}
+          disabled={busy}
+          {...telemetry.handlers(0)}
+        />
+      </div>
+
+      {error}
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={busy || !draft.trim()}
+          className="px-4 py-2 rounded-lg text-white bg-black hover:bg-black/90 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          aria-busy={busy}
+        >
+          {busy ? t("status.grading") : session.step === session.length ? t("adaptive.finish") : t("adaptive.next")}
+        </button>
+      </div>
+    </form>
+  );
+}
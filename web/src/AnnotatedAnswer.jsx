@@ -0,0 +1,76 @@
+import { useState } from "react";
+import { useT } from "./i18n.js";
+
+const CATEGORY_STYLES = {
+  tense: "bg-amber-100 decoration-amber-500",
+  collocation: "bg-purple-100 decoration-purple-500",
+  article: "bg-sky-100 decoration-sky-500",
+  punctuation: "bg-rose-100 decoration-rose-500",
+  idiom: "bg-emerald-100 decoration-emerald-500",
+};
+
+// Splits `text` into plain strings and annotation segments (spans are sorted and non-overlapping)
+function segments(text, annotations, pick) {
+  const out = [];
+  let at = 0;
+  annotations.forEach((a, i) => {
+    if (a.start < at || a.end > text.length) return;
+    if (a.start > at) out.push(text.slice(at, a.start));
+    out.push(pick(a, i));
+    at = a.end;
+  });
+  if (at < text.length) out.push(text.slice(at));
+  return out;
+}
+
+// The learner's answer with each annotated span highlighted; tap (or hover) for the
+// explanation, or switch to the corrected text with every fix applied.
+export default function AnnotatedAnswer({ text, annotations }) {
+  const [active, setActive] = useState(null);
+  const [fixed, setFixed] = useState(false);
+  const list = Array.isArray(annotations) ? annotations : [];
+  const current = active === null ? null : list[active];
+  const t = useT();
+  const category = (c) => t(`annotation.${c}`);
+
+  return (
+    <div className="mt-2 text-sm">
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>{fixed ? t("annotation.corrected") : t("annotation.yours")}{list.length ? ` · ${t("annotation.marked", { n: list.length })}` : ""}</span>
+        {list.length > 0 && (
+          <button type="button" onClick={() => { setFixed(!fixed); setActive(null); }} className="underline text-gray-700">
+            {fixed ? t("annotation.showMine") : t("annotation.apply")}
+          </button>
+        )}
+      </div>
+
+      <p className="mt-1 p-2 rounded bg-gray-50 border whitespace-pre-wrap leading-relaxed">
+        {fixed
+          ? segments(text, list, (a, i) => (
+            <ins key={i} className="no-underline bg-green-100 text-green-900 rounded px-0.5">{a.correction}</ins>
+          ))
+          : segments(text, list, (a, i) => (
+            <button
+              key={i}
+              type="button"
+              onClick={() => setActive(active === i ? null : i)}
+              title={`${category(a.category)}: ${a.correction ? `→ ${a.correction}` : t("annotation.delete")} — ${a.explanation}`}
+              aria-pressed={active === i}
+              className={`inline rounded px-0.5 underline decoration-2 underline-offset-2 ${CATEGORY_STYLES[a.category] || "bg-gray-100"} ${active === i ? "ring-1 ring-black" : ""}`}
+            >
+              {text.slice(a.start, a.end)}
+            </button>
+          ))}
+      </p>
+
+      {current && !fixed && (
+        <div className="mt-1 p-2 rounded border bg-white text-xs text-gray-800">
+          <span className="font-medium">{category(current.category)}</span>:{" "}
+          <span className="line-through text-gray-500">{current.text}</span>{" → "}
+          <span className="font-medium">{current.correction || `(${t("annotation.delete")})`}</span>
+          <div className="mt-0.5 text-gray-600">{current.explanation}</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,39 +1,129 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { API_BASE, assessAudio, clearToken, fetchMe, fetchTest, fetchWithTimeout, getToken, streamAssess, wakeServer } from "./api.js";
+import AdaptiveCheck from "./AdaptiveCheck.jsx";
+import AudioRecorder from "./AudioRecorder.jsx";
+import Cohorts from "./Cohorts.jsx";
+import DuplicateReview from "./DuplicateReview.jsx";
+import History from "./History.jsx";
+import { I18nContext, UI_LANGUAGES, detectLanguage, saveLanguage, saveVariety, savedVariety, translator, useT } from "./i18n.js";
+import ItemPrompt from "./ItemPrompt.jsx";
+import Login from "./Login.jsx";
+import { cacheGet, cacheSet, clearDraft, clearOfflineData, draftKey, isRetryable, loadDraft, newSubmissionId, saveDraft } from "./offline.js";
+import Practice from "./Practice.jsx";
+import { useSubmissionQueue } from "./queue.js";
+import ResultCard from "./ResultCard.jsx";
+import { useAnswerTelemetry } from "./telemetry.js";
 
-const API_BASE = import.meta.env.VITE_API_URL || "https://english-native-check.onrender.com";
-
-/* fetch with timeout */
-async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-  try { return await fetch(url, { ...options, signal: ac.signal, cache: "no-store" }); }
-  finally { clearTimeout(t); }
-}
-
-/* wake server first (handles Render cold starts) */
-async function wakeServer({ healthUrl, maxAttempts = 6, startBackoffMs = 500, timeoutMs = 12000 }) {
-  let backoff = startBackoffMs;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const r = await fetchWithTimeout(healthUrl, { method: "HEAD", mode: "cors" }, timeoutMs);
-      if (r.ok || (r.status >= 200 && r.status < 400)) return;
-      const r2 = await fetchWithTimeout(healthUrl, { method: "GET", mode: "cors" }, timeoutMs);
-      if (r2.ok || (r2.status >= 200 && r2.status < 400)) return;
-    } catch {}
-    await new Promise(res => setTimeout(res, backoff));
-    backoff = Math.min(backoff * 2, 7000);
+// Tests are cached for offline use; the network copy wins whenever there is one
+async function fetchTestCached(id) {
+  try {
+    const t = await fetchTest(id);
+    cacheSet(`test:${t.id}`, t);
+    return t;
+  } catch (err) {
+    const cached = await cacheGet(`test:${id}`);
+    if (cached) return cached.value;
+    throw err;
   }
-  throw new Error("Server did not wake in time");
 }
 
 export default function App() {
-  const [answers, setAnswers] = useState(["", "", "", ""]);
-  const [phase, setPhase] = useState("idle"); // idle | prewarming | waking | submitting | done | error
+  const [me, setMe] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [view, setView] = useState("check"); // check | history | practice | cohorts | review
+  const [practiceFrom, setPracticeFrom] = useState(null); // result id to drill when the practice tab opens
+  const [tests, setTests] = useState([]);
+  const [test, setTest] = useState(null);
+  const [testErr, setTestErr] = useState(null); // { key, vars } for t()
+  const [answers, setAnswers] = useState([]);
+  const [recordings, setRecordings] = useState([]); // Blob per spoken part
+  const [phase, setPhase] = useState("idle"); // idle | prewarming | waking | submitting | queued | done | error
   const [seconds, setSeconds] = useState(0);
   const [result, setResult] = useState(null);
-  const [errMsg, setErrMsg] = useState("");
+  const [submitted, setSubmitted] = useState([]); // answers as graded, for annotations
+  const [errMsg, setErrMsg] = useState(null); // { key, vars, requestId } for t(), or { text } from the server
   const [mocking, setMocking] = useState(false);
+  const [ensembleAvailable, setEnsembleAvailable] = useState(false);
+  const [ensemble, setEnsemble] = useState(false);
   const [serverModel, setServerModel] = useState("");
+  const [progress, setProgress] = useState([]); // live events from /assess/stream
+  const [liveReasons, setLiveReasons] = useState("");
+  const [lang, setLang] = useState(detectLanguage); // interface language
+  const [feedbackLang, setFeedbackLang] = useState(lang); // language the grader writes feedback in
+  const [feedbackLanguages, setFeedbackLanguages] = useState(UI_LANGUAGES); // replaced by the server list from /meta
+  const [varieties, setVarieties] = useState([]);
+  const [variety, setVariety] = useState(savedVariety);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [restoredAt, setRestoredAt] = useState(null); // when the restored draft was saved
+  const [queuedId, setQueuedId] = useState(null); // queue entry holding the last submission, while phase is "queued"
+  const [notice, setNotice] = useState(null); // { key } for t()
+  const t = useMemo(() => translator(lang), [lang]);
+  const telemetry = useAnswerTelemetry();
+  const queue = useSubmissionQueue(me, { onDelivered: queuedDelivered, onUnauthorized: expireSession });
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
+  }, []);
+
+  // Drafts: restore once per user and test, then save as the learner types
+  const draftFor = me && test && !test.adaptive ? draftKey(me.id, test.id) : null;
+  const draftReady = useRef(null); // the key whose draft has been looked up
+  useEffect(() => {
+    if (!draftFor) return;
+    let mounted = true;
+    draftReady.current = null;
+    setRestoredAt(null);
+    loadDraft(draftFor).then((d) => {
+      if (!mounted) return;
+      if (d?.answers?.some((a) => a.trim())) {
+        setAnswers((list) => (list.some((a) => a.trim()) ? list : list.map((_, i) => d.answers[i] || "")));
+        setRestoredAt(d.savedAt);
+      }
+      draftReady.current = draftFor;
+    });
+    return () => { mounted = false; };
+  }, [draftFor]);
+
+  useEffect(() => {
+    if (!draftFor || draftReady.current !== draftFor) return;
+    const timer = setTimeout(() => {
+      if (answers.some((a) => a.trim())) saveDraft(draftFor, { answers });
+      else clearDraft(draftFor);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [draftFor, answers]);
+
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+
+  // Errors are kept untranslated so they follow a language switch
+  const say = (m) => {
+    if (!m) return "";
+    if (m.text) return m.text;
+    const text = t(m.key, { ...m.vars, reason: m.vars?.reason || t("error.network") });
+    return m.requestId ? t("error.request", { message: text, id: m.requestId }) : text;
+  };
+
+  function chooseLanguage(next) {
+    saveLanguage(next);
+    // Feedback follows the interface unless the learner picked another language
+    if (feedbackLang === lang && feedbackLanguages[next]) setFeedbackLang(next);
+    setLang(next);
+  }
+
+  // "Practice these weak spots" on a result opens the practice tab with a drill built from it
+  function practice(resultId) {
+    setPracticeFrom(resultId);
+    setView("practice");
+  }
+
+  function chooseVariety(next) {
+    saveVariety(next);
+    setVariety(next);
+  }
 
   const tickerRef = useRef(null);
   const startTicker = () => { stopTicker(); setSeconds(0); tickerRef.current = setInterval(() => setSeconds(s => s + 1), 1000); };
@@ -49,207 +139,500 @@ export default function App() {
           if (m?.ok) {
             const j = await m.json();
             if (mounted && j?.model) setServerModel(j.model);
+            if (mounted && Array.isArray(j?.varieties)) {
+              setVarieties(j.varieties);
+              setVariety(v => (j.varieties.some(x => x.id === v) ? v : j.defaultVariety || j.varieties[0]?.id || ""));
+            }
+            if (mounted && j?.languages) setFeedbackLanguages(j.languages);
+            if (mounted && j?.ensemble?.models?.length > 1) {
+              setEnsembleAvailable(true);
+              setEnsemble(j.mode === "ensemble");
+            }
           }
         } catch {}
         await wakeServer({ healthUrl: `${API_BASE}/`, maxAttempts: 3, startBackoffMs: 300, timeoutMs: 8000 });
       } catch {} finally {
         if (mounted) setPhase("idle");
       }
+      try {
+        const u = await fetchMe();
+        if (u) cacheSet("me", u);
+        if (mounted) setMe(u);
+      } catch {
+        // Server unreachable: stay signed in as the cached user, so drafts and queued work stay theirs
+        const cached = getToken() ? await cacheGet("me") : null;
+        if (mounted) setMe(cached?.value || null);
+      } finally {
+        if (mounted) setAuthChecked(true);
+      }
+      try {
+        let j;
+        try {
+          const r = await fetchWithTimeout(`${API_BASE}/tests`, { method: "GET", mode: "cors" }, 15000);
+          if (!r.ok) throw new Error(`API ${r.status}`);
+          j = await r.json();
+          cacheSet("tests", j);
+        } catch (err) {
+          j = (await cacheGet("tests"))?.value;
+          if (!j) throw err;
+        }
+        if (!mounted) return;
+        setTests(Array.isArray(j?.tests) ? j.tests : []);
+        const t = await fetchTestCached(j?.default || j?.tests?.[0]?.id);
+        if (mounted) { setTest(t); setAnswers(t.items.map(() => "")); setRecordings(t.items.map(() => null)); }
+      } catch (err) {
+        if (mounted) setTestErr({ key: "error.tests", vars: { reason: err?.message } });
+      }
     })();
     return () => { mounted = false; stopTicker(); };
   }, []);
 
+  function expireSession() {
+    clearToken(); setMe(null);
+    setErrMsg({ key: "error.expired" });
+    setPhase("error");
+  }
+
+  // Leaves nothing of this learner on the device: drafts, unsent submissions, cached results, resume pointers
+  async function signOut() {
+    if (queue.pending.length && !window.confirm(t("app.signOutPending", { n: queue.pending.length }))) return;
+    clearToken();
+    setMe(null); setResult(null); setView("check");
+    setAnswers((list) => list.map(() => "")); setRecordings((list) => list.map(() => null));
+    if (phase === "done" || phase === "error" || phase === "queued") setPhase("idle");
+    setQueuedId(null);
+    sessionStorage.clear();
+    await clearOfflineData();
+  }
+
+  async function selectTest(id) {
+    setTestErr(null); setResult(null);
+    try {
+      const t = await fetchTestCached(id);
+      telemetry.reset();
+      setTest(t);
+      setAnswers(t.items.map(() => ""));
+      setRecordings(t.items.map(() => null));
+      if (phase === "done" || phase === "error") setPhase("idle");
+    } catch (err) {
+      setTestErr({ key: "error.test", vars: { id, reason: err?.message } });
+    }
+  }
+
+  const hasSpeech = !!test?.items.some(it => it.mode === "speech");
   const canSubmit = useMemo(
-    () => answers.every(a => a.trim().length > 0) && phase !== "waking" && phase !== "submitting",
-    [answers, phase]
+    () => !!test && answers.length === test.items.length &&
+      test.items.every((it, i) => (it.mode === "speech" ? !!recordings[i] : answers[i].trim().length > 0)) &&
+      phase !== "waking" && phase !== "submitting",
+    [test, answers, recordings, phase]
   );
 
+  // Shows a graded submission, with spoken parts replaced by their transcripts
+  function showResult(data, sent) {
+    const graded = sent.slice();
+    if (Array.isArray(data?.speech)) for (const s of data.speech) graded[s.part - 1] = s.transcript;
+    setSubmitted(graded);
+    const bodyModel = data?._meta?.model;
+    if (bodyModel) setServerModel(bodyModel);
+    setResult(data);
+    setPhase("done");
+  }
+
+  // A queued submission got through: show it if the learner is still waiting on it
+  function queuedDelivered(entry, data) {
+    if (phase === "queued" && entry.id === queuedId) {
+      setQueuedId(null);
+      showResult(data, entry.answers);
+    } else {
+      setNotice({ key: "queue.delivered" });
+    }
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
-    setErrMsg(""); setResult(null);
+    setErrMsg(null); setResult(null); setNotice(null);
+    const locale = { ...(variety ? { variety } : {}), language: feedbackLang };
+    const typing = telemetry.snapshot(test.items.length);
+    const query = {
+      ...(mocking ? { mock: "1" } : {}),
+      ...(ensembleAvailable ? { ensemble: ensemble ? "1" : "0" } : {}),
+    };
+    const sent = answers.slice();
+    const submissionId = newSubmissionId();
+    // What the queue needs to send the same submission later
+    const queued = hasSpeech
+      ? { kind: "audio", payload: { testId: test.id, answers: sent, recordings, telemetry: typing, ...locale, query, submissionId } }
+      : { kind: "json", payload: { body: { testId: test.id, answers: sent, telemetry: typing, ...locale }, query, submissionId } };
+    const keep = async () => {
+      const id = await queue.add({ testId: test.id, answers: sent, ...queued });
+      if (draftFor) clearDraft(draftFor);
+      setQueuedId(id);
+      setPhase("queued");
+    };
+    if (!navigator.onLine) return keep();
+
     try {
       setPhase("waking"); startTicker();
       await wakeServer({ healthUrl: `${API_BASE}/` });
 
-      setPhase("submitting");
-      const res = await fetchWithTimeout(
-        `${API_BASE}/assess${mocking ? "?mock=1" : ""}`,
-        { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ answers }), mode: "cors" },
-        30000
-      );
-
-      const headerModel = res.headers?.get("x-model");
-      if (headerModel && !serverModel) setServerModel(headerModel);
-
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`API ${res.status}: ${text}`);
-      }
-      const data = await res.json();
-
-      const bodyModel = data?._meta?.model;
-      if (bodyModel) setServerModel(bodyModel);
-      else if (headerModel && !serverModel) setServerModel(headerModel);
-
-      setResult(data);
-      setPhase("done");
+      setPhase("submitting"); startTicker();
+      setProgress([]); setLiveReasons(""); setSubmitted(sent);
+      // Spoken parts go up as audio in one request; the transcripts come back with the result
+      const data = hasSpeech
+        ? await assessAudio(queued.payload)
+        : await streamAssess({
+          ...queued.payload,
+          onEvent: (event, payload) => {
+            if (event === "partial") { setLiveReasons(payload.reasons); return; }
+            if (event === "attempt" || event === "fallback") setLiveReasons("");
+            setProgress(list => [...list, { event, ...payload }]);
+          },
+        });
+      if (draftFor) clearDraft(draftFor);
+      showResult(data, sent);
     } catch (err) {
-      setErrMsg(err?.message || "Submission failed");
-      setPhase("error");
+      if (err?.status === 401) {
+        // Session expired or revoked: keep the answers, ask to sign in again
+        expireSession();
+      } else if (isRetryable(err)) {
+        // No server to grade it right now (cold start, offline, outage): send it later instead
+        await keep();
+      } else if (t.has(`error.${err?.kind}`)) {
+        setErrMsg({ key: `error.${err.kind}`, requestId: err.requestId });
+        setPhase("error");
+      } else {
+        setErrMsg(err?.message ? { text: err.message } : { key: "error.submit" });
+        setPhase("error");
+      }
     } finally { stopTicker(); }
   }
 
   return (
-    <div className="min-h-screen bg-gray-50 text-gray-900">
-      <div className="mx-auto w-full max-w-3xl px-4 py-10">
-        {/* HEADER */}
-        <header className="mb-6">
-          <h1 className="text-3xl font-semibold tracking-tight">English Native Check</h1>
-          <p className="text-sm text-gray-600 mt-1">
-            AI Lab project by <span className="font-medium">Vik Gadgil</span>, powered by{" "}
-            <span className="font-medium">OpenRouter</span> (multi-model aggregator).
-          </p>
-          <p className="text-sm text-gray-700 mt-2">
-            Answer 4 questions to assess how close you are to a{" "}
-            <span className="font-medium">Native English Speaker</span>.
-          </p>
-          <p className="text-xs text-gray-500 mt-2">
-            First run on the free tier may take a few seconds while the server wakes up.
-          </p>
-        </header>
-
-        {/* CARD */}
-        <main className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
-          <form onSubmit={handleSubmit} className="space-y-5">
-            {[
-              "Part 1 — Write a short paragraph.",
-              "Part 2 — Explain the idiom 'blessing in disguise'.",
-              "Part 3 — Use these fragments in a sentence: 'in the evening; suggested going; looking forward to meeting'.",
-              "Part 4 — Fill in two blanks and reproduce the complete sentence.",
-            ].map((label, i) => (
-              <div key={i} className="space-y-2">
-                <label className="block text-sm font-medium">{label}</label>
-
-                {/* Extra helper text ONLY for Part 4 with the exact two-blanks sentence */}
-                {i === 3 && (
-                  <p className="text-xs text-gray-600">
-                    Use exactly this sentence template:{" "}
-                    <code className="bg-gray-100 px-1 py-0.5 rounded">If I ___ known, I would have ___.</code>
-                    {" "}Fill the two blanks and then write the complete corrected sentence.
-                  </p>
-                )}
+    <I18nContext.Provider value={t}>
+      <div className="min-h-screen bg-gray-50 text-gray-900">
+        <div className="mx-auto w-full max-w-3xl px-4 py-10">
+          {/* HEADER */}
+          <header className="mb-6">
+            <div className="flex items-start justify-between gap-3">
+              <h1 className="text-3xl font-semibold tracking-tight">English Native Check</h1>
+              <label className="inline-flex items-center gap-1 text-xs text-gray-600">
+                {t("app.uiLanguage")}
+                <select value={lang} onChange={(e) => chooseLanguage(e.target.value)} className="border rounded p-1 bg-white">
+                  {Object.entries(UI_LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                </select>
+              </label>
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              {t("app.byline", {
+                author: <span className="font-medium">Vik Gadgil</span>,
+                provider: <span className="font-medium">OpenRouter</span>,
+              })}
+            </p>
+            <p className="text-sm text-gray-700 mt-2">
+              {t("app.intro", {
+                count: test ? test.adaptive?.length || test.items.length : t("app.introFew"),
+                target: <span className="font-medium">{t("app.target")}</span>,
+              })}
+            </p>
+            <p className="text-xs text-gray-500 mt-2">{t("app.wakeNote")}</p>
+            {me && (
+              <p className="text-xs text-gray-600 mt-2">
+                {t("app.signedIn", { name: <span className="font-medium">{me.name || me.email}</span> })}
+                {me.role !== "learner" && <> ({me.role})</>}
+                {" · "}
+                <button type="button" onClick={signOut} className="underline">{t("app.signOut")}</button>
+              </p>
+            )}
+          </header>
 
-                <textarea
-                  value={answers[i]}
-                  onChange={(e) => { const copy = answers.slice(); copy[i] = e.target.value; setAnswers(copy); }}
-                  className="w-full border rounded-lg p-3 text-sm focus:outline-none focus:ring-2 focus:ring-black/60"
-                  rows={i === 0 ? 4 : 3}
-                  placeholder={
-                    i === 0 ? "Write 3–4 sentences on any topic."
-                    : i === 1 ? "Explain the meaning and give a brief example."
-                    : i === 2 ? "Combine: in the evening; suggested going; looking forward to meeting."
-                    : "Fill the two blanks and reproduce the full sentence (3rd conditional)."
-                  }
-                />
-              </div>
-            ))}
+          {!me && (
+            <main className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
+              {authChecked ? <Login onSignedIn={setMe} /> : <p className="text-sm text-gray-600">{t("app.connecting")}</p>}
+              {phase === "error" && errMsg && (
+                <div className="mt-4 p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">{say(errMsg)}</div>
+              )}
+            </main>
+          )}
 
-            <div className="flex items-center justify-between gap-3">
-              <label className="inline-flex items-center gap-2 text-sm">
-                <input type="checkbox" checked={mocking} onChange={() => setMocking(v => !v)} />
-                Use mock response (server-side)
-              </label>
+          {/* TABS */}
+          <nav hidden={!me} className="mb-4 flex gap-2 text-sm">
+            {[
+              "check",
+              "history",
+              "practice",
+              "cohorts",
+              ...(me?.role === "coach" || me?.role === "admin" ? ["review"] : []),
+            ].map((key) => (
               <button
-                type="submit"
-                disabled={!canSubmit}
-                className="inline-flex items-center justify-center px-4 py-2 rounded-lg text-white bg-black hover:bg-black/90 disabled:bg-gray-400 disabled:cursor-not-allowed"
-                aria-busy={phase === "waking" || phase === "submitting"}
+                key={key}
+                type="button"
+                onClick={() => { setPracticeFrom(null); setView(key); }}
+                className={`px-3 py-1.5 rounded-lg ${view === key ? "bg-black text-white" : "bg-white border text-gray-700"}`}
+                aria-pressed={view === key}
               >
-                {phase === "submitting" ? "Submitting…" : "Check"}
+                {t(`tab.${key}`)}
               </button>
-            </div>
-          </form>
-
-          {(phase === "waking" || phase === "submitting") && (
-            <div className="mt-6 flex items-center gap-3">
-              <span
-                aria-label="Loading"
-                role="status"
-                className="inline-block w-5 h-5 border-2 border-gray-300 border-t-black rounded-full animate-spin"
-                style={{ borderRightColor: "transparent", borderBottomColor: "transparent" }}
-              />
-              <p className="text-sm">
-                {phase === "waking" ? <>Waking up server… <span className="tabular-nums">{seconds}s</span></> : "Submitting…"}
-              </p>
+            ))}
+          </nav>
+
+          {me && (!online || queue.entries.length > 0 || notice) && (
+            <div className="mb-4 space-y-2 text-sm" aria-live="polite">
+              {!online && <div className="p-3 rounded-lg bg-amber-50 text-amber-900">{t("status.offline")}</div>}
+              {queue.pending.length > 0 && (
+                <div className="p-3 rounded-lg bg-amber-50 text-amber-900 flex items-center justify-between gap-3">
+                  <span>{t("queue.pending", { n: queue.pending.length })}</span>
+                  <button type="button" onClick={queue.retry} className="underline shrink-0">{t("queue.retry")}</button>
+                </div>
+              )}
+              {queue.failed.map((f) => (
+                <div key={f.id} className="p-3 rounded-lg bg-red-50 text-red-700 flex items-center justify-between gap-3 break-words">
+                  <span>{t("queue.failed", { error: f.error })}</span>
+                  <button type="button" onClick={() => queue.dismiss(f.id)} className="underline shrink-0">{t("queue.dismiss")}</button>
+                </div>
+              ))}
+              {notice && (
+                <div className="p-3 rounded-lg bg-green-50 text-green-800 flex items-center justify-between gap-3">
+                  <span>{t(notice.key)}</span>
+                  <button type="button" onClick={() => setNotice(null)} className="underline shrink-0">{t("queue.dismiss")}</button>
+                </div>
+              )}
             </div>
           )}
 
-          {phase === "error" && (
-            <div className="mt-6 p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
-              <strong>Error:</strong> {errMsg}
-            </div>
+          {me && view === "history" && (
+            <main className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
+              <History me={me} onPractice={practice} />
+            </main>
           )}
 
-          {phase === "done" && result && (
-            <div className="mt-6">
-              <h2 className="text-lg font-semibold mb-2">Result</h2>
-              <ResultCard data={result} />
-            </div>
+          {me && view === "practice" && (
+            <main className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
+              <Practice key={me.id} me={me} fromResult={practiceFrom} onUnauthorized={expireSession} />
+            </main>
           )}
 
-          {/* FOOTER INFO */}
-          <footer className="mt-8 text-xs text-gray-500 space-y-1">
-            <div>API: <code className="bg-gray-100 px-1 py-0.5 rounded">{API_BASE}</code></div>
-            <div>Model: <code className="bg-gray-100 px-1 py-0.5 rounded">{serverModel || "unknown"}</code></div>
-            <div className="mt-6 text-center text-xs text-gray-500 border-t pt-4">
-              Made with <span className="font-medium">React + Vite</span> (frontend) and{" "}
-              <span className="font-medium">Node.js + Express</span> (backend).<br />
-              Deployed on <span className="font-medium">Vercel</span> & <span className="font-medium">Render</span>.
-            </div>
-          </footer>
-        </main>
-      </div>
-    </div>
-  );
-}
+          {me && view === "cohorts" && (
+            <main className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
+              <Cohorts key={me.id} me={me} tests={tests} onUnauthorized={expireSession} />
+            </main>
+          )}
 
-function ResultCard({ data }) {
-  const { score, level, reasons, suggestions, _meta } = data || {};
-  const modelFromBody = _meta?.model;
-  return (
-    <div className="rounded-xl border p-4 bg-gray-50">
-      <div className="flex items-center justify-between">
-        <div>
-          <div className="text-sm text-gray-600">Score</div>
-          <div className="text-2xl font-semibold">{Number.isFinite(score) ? score : "—"}/10</div>
-        </div>
-        <div className="text-right">
-          <div className="text-sm text-gray-600">Level</div>
-          <div className="text-lg font-medium">{level || "—"}</div>
-        </div>
-      </div>
+          {me && view === "review" && (me.role === "coach" || me.role === "admin") && (
+            <main className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
+              <DuplicateReview key={me.id} onUnauthorized={expireSession} />
+            </main>
+          )}
 
-      {modelFromBody && (
-        <div className="mt-2 text-xs text-gray-600">
-          Model: <code className="bg-gray-100 px-1 py-0.5 rounded">{modelFromBody}</code>
-        </div>
-      )}
+          {/* CARD */}
+          <main hidden={!me || view !== "check"} className="bg-white rounded-2xl shadow-[0_8px_30px_rgba(0,0,0,0.06)] p-6">
+            {tests.length > 1 && (
+              <div className="space-y-1 mb-5">
+                <label className="block text-sm font-medium" htmlFor="test-select">{t("form.test")}</label>
+                <select
+                  id="test-select"
+                  value={test?.id || ""}
+                  onChange={(e) => selectTest(e.target.value)}
+                  className="w-full border rounded-lg p-2 text-sm bg-white"
+                >
+                  {tests.map((t) => <option key={t.id} value={t.id}>{t.title}</option>)}
+                </select>
+                {test?.description && <p className="text-xs text-gray-600">{test.description}</p>}
+              </div>
+            )}
 
-      <div className="mt-4">
-        <div className="text-sm font-medium">Why</div>
-        <p className="text-sm text-gray-800 whitespace-pre-wrap">{reasons || "—"}</p>
-      </div>
+            {testErr && (
+              <div className="mb-5 p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">{say(testErr)}</div>
+            )}
+
+            {!test && !testErr && <p className="text-sm text-gray-600">{t("form.loading")}</p>}
 
-      <div className="mt-4">
-        <div className="text-sm font-medium mb-1">Suggestions</div>
-        {Array.isArray(suggestions) && suggestions.length ? (
-          <ul className="list-disc pl-5 text-sm text-gray-800 space-y-1">
-            {suggestions.map((s, i) => <li key={i}>{s}</li>)}
-          </ul>
-        ) : (
-          <p className="text-sm text-gray-800">—</p>
-        )}
+            {/* Variety and feedback language apply to fixed and adaptive tests alike */}
+            {test && (
+              <div className="grid gap-3 sm:grid-cols-2 mb-5">
+                {varieties.length > 0 && (
+                  <div className="space-y-1">
+                    <label className="block text-sm font-medium" htmlFor="variety-select">{t("form.variety")}</label>
+                    <select
+                      id="variety-select"
+                      value={variety}
+                      onChange={(e) => chooseVariety(e.target.value)}
+                      className="w-full border rounded-lg p-2 text-sm bg-white"
+                    >
+                      {varieties.map((v) => <option key={v.id} value={v.id}>{t(`variety.${v.id}`)}</option>)}
+                    </select>
+                    <p className="text-xs text-gray-600">{t("form.varietyHelp")}</p>
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <label className="block text-sm font-medium" htmlFor="feedback-select">{t("form.feedbackLanguage")}</label>
+                  <select
+                    id="feedback-select"
+                    value={feedbackLang}
+                    onChange={(e) => setFeedbackLang(e.target.value)}
+                    className="w-full border rounded-lg p-2 text-sm bg-white"
+                  >
+                    {Object.entries(feedbackLanguages).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                  </select>
+                  <p className="text-xs text-gray-600">{t("form.feedbackHelp")}</p>
+                </div>
+              </div>
+            )}
+
+            {/* Adaptive tests run as a step-by-step wizard; fixed tests as one form */}
+            {me && test?.adaptive && (
+              <AdaptiveCheck
+                key={`${me.id}:${test.id}`}
+                test={test}
+                variety={variety}
+                language={feedbackLang}
+                onPractice={practice}
+                onUnauthorized={expireSession}
+              />
+            )}
+
+            <form hidden={!test || test.adaptive} onSubmit={handleSubmit} className="space-y-5">
+              {restoredAt && (
+                <p className="text-xs text-gray-600">{t("status.draftRestored", { time: new Date(restoredAt).toLocaleString(lang) })}</p>
+              )}
+
+              {test?.items.map((item, i) => (
+                <div key={item.id} className="space-y-2">
+                  <ItemPrompt item={item} label={t("form.part", { n: i + 1 })} htmlFor={`answer-${item.id}`} />
+                  {item.mode === "speech" ? (
+                    <AudioRecorder
+                      key={`${test.id}:${item.id}`}
+                      id={`answer-${item.id}`}
+                      maxSeconds={item.maxSeconds}
+                      disabled={phase === "waking" || phase === "submitting"}
+                      onChange={(blob) => setRecordings(list => { const copy = list.slice(); copy[i] = blob; return copy; })}
+                    />
+                  ) : (
+                    <textarea
+                      id={`answer-${item.id}`}
+                      value={answers[i] ?? ""}
+                      onChange={(e) => { const copy = answers.slice(); copy[i] = e.target.value; setAnswers(copy); }}
+                      className="w-full border rounded-lg p-3 text-sm focus:outline-none focus:ring-2 focus:ring-black/60"
+                      rows={item.rows || 3}
+                      placeholder={item.placeholder || ""}
+                      {...telemetry.handlers(i)}
+                    />
+                  )}
+                </div>
+              ))}
+
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex flex-col gap-1">
+                  <label className="inline-flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={mocking} onChange={() => setMocking(v => !v)} />
+                    {t("form.mock")}
+                  </label>
+                  {ensembleAvailable && (
+                    <label className="inline-flex items-center gap-2 text-sm">
+                      <input type="checkbox" checked={ensemble} onChange={() => setEnsemble(v => !v)} />
+                      {t("form.ensemble")}
+                    </label>
+                  )}
+                </div>
+                <button
+                  type="submit"
+                  disabled={!canSubmit}
+                  className="inline-flex items-center justify-center px-4 py-2 rounded-lg text-white bg-black hover:bg-black/90 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  aria-busy={phase === "waking" || phase === "submitting"}
+                >
+                  {phase === "submitting" ? t("form.submitting") : t("form.submit")}
+                </button>
+              </div>
+            </form>
+
+            {(phase === "waking" || phase === "submitting") && (
+              <div className="mt-6 flex items-center gap-3">
+                <span
+                  aria-label={t("status.loading")}
+                  role="status"
+                  className="inline-block w-5 h-5 border-2 border-gray-300 border-t-black rounded-full animate-spin"
+                  style={{ borderRightColor: "transparent", borderBottomColor: "transparent" }}
+                />
+                <p className="text-sm">
+                  {phase === "waking" ? t("status.waking") : t(hasSpeech ? "status.transcribing" : "status.grading")}{" "}
+                  <span className="tabular-nums">{seconds}s</span>
+                </p>
+              </div>
+            )}
+
+            {phase === "submitting" && (progress.length > 0 || liveReasons) && (
+              <div className="mt-3 rounded-lg border bg-gray-50 p-3 text-xs text-gray-700 space-y-1" aria-live="polite">
+                {progress.map((p, i) => <ProgressLine key={i} p={p} />)}
+                {liveReasons && <p className="italic text-gray-800 whitespace-pre-wrap">{liveReasons}</p>}
+              </div>
+            )}
+
+            {phase === "error" && (
+              <div className="mt-6 p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
+                <strong>{t("error.label")}</strong> {say(errMsg)}
+              </div>
+            )}
+
+            {phase === "queued" && (
+              <div className="mt-6 p-3 rounded-lg bg-amber-50 text-amber-900 text-sm">{t("queue.saved")}</div>
+            )}
+
+            {phase === "done" && result && (
+              <div className="mt-6">
+                <h2 className="text-lg font-semibold mb-2">{t("result.title")}</h2>
+                <ResultCard data={result} answers={submitted} onPractice={practice} />
+              </div>
+            )}
+
+            {/* FOOTER INFO */}
+            <footer className="mt-8 text-xs text-gray-500 space-y-1">
+              <div>{t("footer.api")} <code className="bg-gray-100 px-1 py-0.5 rounded">{API_BASE}</code></div>
+              <div>{t("footer.model")} <code className="bg-gray-100 px-1 py-0.5 rounded">{serverModel || t("footer.unknown")}</code></div>
+              <div className="mt-6 text-center text-xs text-gray-500 border-t pt-4">
+                {t("footer.madeWith", {
+                  frontend: <span className="font-medium">React + Vite</span>,
+                  backend: <span className="font-medium">Node.js + Express</span>,
+                })}<br />
+                {t("footer.deployed", {
+                  frontend: <span className="font-medium">Vercel</span>,
+                  backend: <span className="font-medium">Render</span>,
+                })}
+              </div>
+            </footer>
+          </main>
+        </div>
       </div>
-    </div>
+    </I18nContext.Provider>
   );
 }
+
+/* one line of live grading progress */
+function ProgressLine({ p }) {
+  const t = useT();
+  const code = (m) => <code className="bg-gray-100 px-1 rounded">{m}</code>;
+  switch (p.event) {
+    case "checks": {
+      const failed = (p.checks || []).filter(c => !c.passed).length;
+      return <div>{failed ? t("progress.checks", { n: failed }) : t("progress.checksClean")}</div>;
+    }
+    case "attempt":
+      return <div>{t(p.mode === "plain" ? "progress.attemptPlain" : "progress.attempt", { model: code(p.model) })}</div>;
+    case "fallback":
+      return <div className="text-amber-700">{t("progress.fallback", { from: code(p.from), error: p.error, to: code(p.to) })}</div>;
+    case "verdict":
+      return <div>{t(p.sample > 1 ? "progress.verdictSample" : "progress.verdict", { model: code(p.model), n: p.sample, score: p.score })}</div>;
+    case "repair":
+      return (
+        <div className="text-amber-700">
+          {t("progress.repair", { model: p.model, n: p.issues?.length || 0, attempt: p.attempt, of: p.of })}
+        </div>
+      );
+    case "reorder":
+      return <div>{t("progress.reorder", { models: p.models?.join(" → ") })}</div>;
+    case "degraded":
+      return <div className="text-amber-700">{t("progress.degraded", { error: p.error })}</div>;
+    case "cache":
+      return <div>{t("progress.cache", { model: code(p.model) })}</div>;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,110 @@
+import { useEffect, useRef, useState } from "react";
+import { useT } from "./i18n.js";
+
+// First container the browser can record (Safari has no webm)
+const MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+const pickMimeType = () =>
+  typeof MediaRecorder === "undefined" ? "" : MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+
+const clock = (s) => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+
+// Records one spoken answer in the browser. Stops by itself at `maxSeconds`;
+// reports the finished recording (or null after a reset) through onChange.
+export default function AudioRecorder({ id, maxSeconds = 90, onChange, disabled }) {
+  const [state, setState] = useState("idle"); // idle | recording | recorded
+  const [seconds, setSeconds] = useState(0);
+  const [url, setUrl] = useState("");
+  const [errMsg, setErrMsg] = useState("");
+  const recorderRef = useRef(null);
+  const tickerRef = useRef(null);
+  const t = useT();
+
+  const stopTicker = () => { if (tickerRef.current) { clearInterval(tickerRef.current); tickerRef.current = null; } };
+
+  // Release the microphone and the playback URL when the item goes away
+  useEffect(() => () => {
+    stopTicker();
+    const rec = recorderRef.current;
+    if (rec && rec.state !== "inactive") { rec.onstop = null; rec.stop(); }
+    rec?.stream.getTracks().forEach((t) => t.stop());
+  }, []);
+  useEffect(() => () => { if (url) URL.revokeObjectURL(url); }, [url]);
+
+  async function start() {
+    setErrMsg("");
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") {
+      setErrMsg(t("recorder.unsupported"));
+      return;
+    }
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+      setErrMsg(t("recorder.denied"));
+      return;
+    }
+    const mimeType = pickMimeType();
+    const rec = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    rec.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    rec.onstop = () => {
+      stopTicker();
+      stream.getTracks().forEach((t) => t.stop());
+      const blob = new Blob(chunks, { type: rec.mimeType || mimeType || "audio/webm" });
+      setUrl(URL.createObjectURL(blob));
+      setState("recorded");
+      onChange(blob);
+    };
+    recorderRef.current = rec;
+    rec.start();
+    setSeconds(0);
+    setState("recording");
+    const startedAt = Date.now();
+    tickerRef.current = setInterval(() => {
+      const s = Math.min(Math.round((Date.now() - startedAt) / 1000), maxSeconds);
+      setSeconds(s);
+      if (s >= maxSeconds) stop();
+    }, 1000);
+  }
+
+  function stop() {
+    if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+  }
+
+  function reset() {
+    setUrl("");
+    setSeconds(0);
+    setState("idle");
+    onChange(null);
+  }
+
+  const button = "px-3 py-1.5 rounded-lg text-sm disabled:bg-gray-400 disabled:cursor-not-allowed";
+  return (
+    <div id={id} className="rounded-lg border p-3 space-y-2">
+      <div className="flex items-center gap-3">
+        {state === "idle" && (
+          <button type="button" onClick={start} disabled={disabled} className={`${button} text-white bg-black hover:bg-black/90`}>
+            {t("recorder.start")}
+          </button>
+        )}
+        {state === "recording" && (
+          <button type="button" onClick={stop} className={`${button} text-white bg-red-600 hover:bg-red-700`}>
+            {t("recorder.stop")}
+          </button>
+        )}
+        {state === "recorded" && (
+          <button type="button" onClick={reset} disabled={disabled} className={`${button} border bg-white text-gray-700`}>
+            {t("recorder.again")}
+          </button>
+        )}
+        <span className="text-xs text-gray-600 tabular-nums" aria-live="polite">
+          {state === "recording" && <><span className="inline-block w-2 h-2 mr-1 rounded-full bg-red-600 animate-pulse" />{clock(seconds)} / {clock(maxSeconds)}</>}
+          {state === "recorded" && t("recorder.recorded", { time: clock(seconds) })}
+          {state === "idle" && t("recorder.limit", { time: clock(maxSeconds) })}
+        </span>
+      </div>
+      {state === "recorded" && url && <audio controls src={url} className="w-full h-9" />}
+      {errMsg && <p className="text-xs text-red-700">{errMsg}</p>}
+    </div>
+  );
+}
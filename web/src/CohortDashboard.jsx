@@ -0,0 +1,206 @@
+import { useEffect, useState } from "react";
+import { downloadCohortCsv, fetchCohortDashboard } from "./api.js";
+import History from "./History.jsx";
+import { useT } from "./i18n.js";
+
+const LEVELS = ["Beginner", "Intermediate", "Advanced", "Near-native", "Native-like"];
+
+// Aggregate view of one cohort for its coach, with drill-down to a learner
+export default function CohortDashboard({ me, cohort, tests, onBack, onError }) {
+  const [testId, setTestId] = useState("");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [learner, setLearner] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [loadErr, setLoadErr] = useState("");
+  const t = useT();
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true); setLoadErr("");
+    fetchCohortDashboard(cohort.id, testId)
+      .then((j) => { if (mounted) setData(j); })
+      .catch((err) => { if (mounted) setLoadErr(err?.message || t("dashboard.loadFailed")); })
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, [cohort.id, testId, t]);
+
+  async function exportCsv() {
+    setExporting(true);
+    try {
+      await downloadCohortCsv(cohort.id, testId);
+    } catch (err) {
+      onError(err);
+    } finally { setExporting(false); }
+  }
+
+  if (learner) {
+    return (
+      <div className="space-y-4">
+        <button type="button" onClick={() => setLearner(null)} className="text-sm underline text-gray-700">← {cohort.name}</button>
+        <History me={me} learner={learner} />
+      </div>
+    );
+  }
+
+  const peak = Math.max(1, ...(data?.distribution || []).map((b) => b.count));
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <button type="button" onClick={onBack} className="text-sm underline text-gray-700">← {t("dashboard.back")}</button>
+          <h2 className="mt-2 text-lg font-semibold">{cohort.name}</h2>
+          <p className="text-xs text-gray-600 mt-1">
+            {t("cohorts.inviteCode")} <code className="bg-gray-100 px-1 py-0.5 rounded font-mono tracking-widest">{cohort.code}</code>
+            {" · "}{t("dashboard.scope")}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={exportCsv}
+          disabled={exporting || !data?.attempts}
+          className="px-3 py-1.5 rounded-lg text-sm border bg-white text-gray-700 disabled:text-gray-400"
+        >
+          {exporting ? t("dashboard.exporting") : t("dashboard.export")}
+        </button>
+      </div>
+
+      <select
+        value={testId}
+        onChange={(e) => setTestId(e.target.value)}
+        className="w-full border rounded-lg p-2 text-sm bg-white"
+        aria-label={t("dashboard.filter")}
+      >
+        <option value="">{t("dashboard.allTests")}</option>
+        {tests.map((test) => <option key={test.id} value={test.id}>{test.title}</option>)}
+      </select>
+
+      {loading && <p className="text-sm text-gray-600">{t("status.loading")}…</p>}
+
+      {loadErr && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
+          <strong>{t("error.label")}</strong> {loadErr}
+        </div>
+      )}
+
+      {data && !loading && (
+        <>
+          <div className="grid grid-cols-3 gap-3 text-center">
+            {[[t("dashboard.learners"), data.members], [t("dashboard.attempts"), data.attempts], [t("dashboard.mean"), data.meanScore ?? "—"]].map(([label, value]) => (
+              <div key={label} className="rounded-lg border p-3">
+                <div className="text-2xl font-semibold tabular-nums">{value}</div>
+                <div className="text-xs text-gray-600">{label}</div>
+              </div>
+            ))}
+          </div>
+
+          {data.attempts === 0 ? (
+            <p className="text-sm text-gray-600">{t("dashboard.empty")}</p>
+          ) : (
+            <>
+              <section>
+                <h3 className="text-sm font-medium mb-2">{t("dashboard.distributionTitle")}</h3>
+                <div className="flex items-end gap-1 h-28" role="img" aria-label={t("dashboard.distribution")}>
+                  {data.distribution.map((b) => (
+                    <div key={b.band} className="flex-1 flex flex-col items-center justify-end h-full" title={`${b.band}: ${b.count}`}>
+                      <span className="text-[10px] text-gray-600 tabular-nums">{b.count || ""}</span>
+                      <div className="w-full rounded-t bg-black" style={{ height: `${(b.count / peak) * 80}%` }} />
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-1 text-[10px] text-gray-500">
+                  {data.distribution.map((b) => <span key={b.band} className="flex-1 text-center">{b.band.split("–")[0]}</span>)}
+                </div>
+                <ul className="mt-2 flex flex-wrap gap-2 text-xs">
+                  {LEVELS.map((l) => (
+                    <li key={l} className="px-2 py-0.5 rounded bg-gray-100">{t(`level.${l}`)}: <span className="tabular-nums">{data.levels[l] || 0}</span></li>
+                  ))}
+                </ul>
+              </section>
+
+              <section>
+                <h3 className="text-sm font-medium mb-2">{t("dashboard.weakest")}</h3>
+                <table className="w-full text-xs">
+                  <thead className="text-gray-600 text-left">
+                    <tr>
+                      <th className="font-normal">{t("dashboard.part")}</th>
+                      <th className="font-normal">{t("dashboard.test")}</th>
+                      <th className="font-normal text-right">{t("dashboard.partMean")}</th>
+                      <th className="font-normal text-right">{t("dashboard.below5")}</th>
+                      <th className="font-normal text-right">{t("dashboard.attempts")}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="tabular-nums">
+                    {data.weaknesses.slice(0, 8).map((w) => (
+                      <tr key={`${w.testId}:${w.id || w.title}`} className="border-t">
+                        <td className="py-1">{w.title}</td>
+                        <td className="py-1 text-gray-600">{tests.find((test) => test.id === w.testId)?.title || w.testId}</td>
+                        <td className="py-1 text-right font-medium">{w.mean}</td>
+                        <td className="py-1 text-right">{Math.round(w.weakShare * 100)}%</td>
+                        <td className="py-1 text-right">{w.attempts}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+
+              {data.themes.length > 0 && (
+                <section>
+                  <h3 className="text-sm font-medium mb-2">{t("dashboard.themes")}</h3>
+                  <ul className="space-y-1 text-sm">
+                    {data.themes.map((theme) => (
+                      <li key={theme.theme}>
+                        <details>
+                          <summary className="cursor-pointer">
+                            <span className="font-medium">{theme.theme}</span>
+                            <span className="ml-2 text-xs text-gray-600">
+                              {theme.count}× · {t(theme.learners === 1 ? "cohorts.learner" : "cohorts.learners", { n: theme.learners })}
+                            </span>
+                          </summary>
+                          <ul className="mt-1 list-disc pl-5 text-xs text-gray-700">
+                            {theme.examples.map((ex) => <li key={ex}>{ex}</li>)}
+                          </ul>
+                        </details>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              )}
+            </>
+          )}
+
+          <section>
+            <h3 className="text-sm font-medium mb-2">{t("dashboard.learners")}</h3>
+            {data.learners.length === 0 ? (
+              <p className="text-sm text-gray-600">{t("dashboard.noLearners")}</p>
+            ) : (
+              <ul className="divide-y border rounded-xl">
+                {data.learners.map((l) => (
+                  <li key={l.id}>
+                    <button
+                      type="button"
+                      onClick={() => setLearner({ id: l.id, name: l.name || l.email })}
+                      className="w-full p-3 flex items-center justify-between text-left text-sm hover:bg-gray-50"
+                    >
+                      <span>
+                        <span className="font-medium">{l.name || l.email}</span>
+                        {l.name && <span className="ml-2 text-xs text-gray-500">{l.email}</span>}
+                      </span>
+                      <span className="text-xs text-gray-600 tabular-nums">
+                        {l.attempts
+                          ? t(l.attempts === 1 ? "dashboard.learnerOne" : "dashboard.learnerMany", {
+                              n: l.attempts, score: l.latest.score, level: t(`level.${l.latest.level}`), best: l.best,
+                            })
+                          : t("dashboard.learnerNone")}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
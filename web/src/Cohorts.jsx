@@ -0,0 +1,153 @@
+import { useEffect, useState } from "react";
+import { createCohort, fetchCohorts, joinCohort, leaveCohort } from "./api.js";
+import CohortDashboard from "./CohortDashboard.jsx";
+import { useT } from "./i18n.js";
+
+export default function Cohorts({ me, tests, onUnauthorized }) {
+  const staff = me?.role === "coach" || me?.role === "admin";
+  const [coaching, setCoaching] = useState([]);
+  const [member, setMember] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errMsg, setErrMsg] = useState("");
+  const [code, setCode] = useState("");
+  const [name, setName] = useState("");
+  const [openId, setOpenId] = useState(null);
+  const t = useT();
+
+  function fail(err) {
+    if (err?.status === 401) onUnauthorized();
+    else setErrMsg(err?.message || t("error.generic"));
+  }
+
+  async function reload() {
+    try {
+      const j = await fetchCohorts();
+      setCoaching(j.coaching || []);
+      setMember(j.member || []);
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  // Mounted per signed-in user (App keys it), so this runs once per user
+  useEffect(() => {
+    let mounted = true;
+    fetchCohorts()
+      .then((j) => { if (mounted) { setCoaching(j.coaching || []); setMember(j.member || []); } })
+      .catch((err) => { if (mounted) setErrMsg(err?.message || t("cohorts.loadFailed")); })
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, [t]);
+
+  async function join(e) {
+    e.preventDefault();
+    setErrMsg("");
+    try {
+      await joinCohort(code.trim());
+      setCode("");
+      await reload();
+    } catch (err) { fail(err); }
+  }
+
+  async function create(e) {
+    e.preventDefault();
+    setErrMsg("");
+    try {
+      const c = await createCohort(name.trim());
+      setName("");
+      await reload();
+      setOpenId(c.id);
+    } catch (err) { fail(err); }
+  }
+
+  async function leave(id) {
+    setErrMsg("");
+    try {
+      await leaveCohort(id);
+      await reload();
+    } catch (err) { fail(err); }
+  }
+
+  const open = coaching.find((c) => c.id === openId);
+  if (open) {
+    return <CohortDashboard me={me} cohort={open} tests={tests} onBack={() => setOpenId(null)} onError={fail} />;
+  }
+
+  const input = "flex-1 border rounded-lg p-2 text-sm";
+  const button = "px-3 py-1.5 rounded-lg text-sm text-white bg-black hover:bg-black/90 disabled:bg-gray-400";
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold">{t("tab.cohorts")}</h2>
+        <p className="text-xs text-gray-600 mt-1">{staff ? t("cohorts.staffIntro") : t("cohorts.intro")}</p>
+      </div>
+
+      {errMsg && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
+          <strong>{t("error.label")}</strong> {errMsg}
+        </div>
+      )}
+
+      {loading && <p className="text-sm text-gray-600">{t("status.loading")}…</p>}
+
+      {staff && (
+        <section className="space-y-2">
+          <h3 className="text-sm font-medium">{t("cohorts.yours")}</h3>
+          {!loading && coaching.length === 0 && <p className="text-sm text-gray-600">{t("cohorts.none")}</p>}
+          {coaching.length > 0 && (
+            <ul className="divide-y border rounded-xl">
+              {coaching.map((c) => (
+                <li key={c.id}>
+                  <button
+                    type="button"
+                    onClick={() => setOpenId(c.id)}
+                    className="w-full p-3 flex items-center justify-between text-left text-sm hover:bg-gray-50"
+                  >
+                    <span className="font-medium">{c.name}</span>
+                    <span className="text-xs text-gray-600">
+                      {t(c.members === 1 ? "cohorts.learner" : "cohorts.learners", { n: c.members })} · {t("cohorts.code")}{" "}
+                      <code className="bg-gray-100 px-1 py-0.5 rounded">{c.code}</code>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form onSubmit={create} className="flex gap-2">
+            <input value={name} onChange={(e) => setName(e.target.value)} className={input} placeholder={t("cohorts.newName")} aria-label={t("cohorts.newName")} maxLength={80} />
+            <button type="submit" disabled={!name.trim()} className={button}>{t("cohorts.create")}</button>
+          </form>
+        </section>
+      )}
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-medium">{t("cohorts.member")}</h3>
+        {!loading && member.length === 0 && <p className="text-sm text-gray-600">{t("cohorts.notJoined")}</p>}
+        {member.length > 0 && (
+          <ul className="divide-y border rounded-xl">
+            {member.map((c) => (
+              <li key={c.id} className="p-3 flex items-center justify-between text-sm">
+                <span>
+                  <span className="font-medium">{c.name}</span>
+                  {c.coach && <span className="ml-2 text-xs text-gray-600">{t("cohorts.coach", { name: c.coach })}</span>}
+                </span>
+                <button type="button" onClick={() => leave(c.id)} className="text-xs underline text-gray-700">{t("cohorts.leave")}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={join} className="flex gap-2">
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            className={`${input} font-mono tracking-widest`}
+            placeholder={t("cohorts.codePlaceholder")}
+            aria-label={t("cohorts.inviteCode")}
+            maxLength={8}
+          />
+          <button type="submit" disabled={code.trim().length !== 8} className={button}>{t("cohorts.join")}</button>
+        </form>
+      </section>
+    </div>
+  );
+}
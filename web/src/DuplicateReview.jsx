@@ -0,0 +1,186 @@
+import { useEffect, useState } from "react";
+import { fetchFlags, fetchResult, reviewFlag } from "./api.js";
+import { useT } from "./i18n.js";
+
+const PAGE_SIZE = 20;
+const STATUSES = ["open", "confirmed", "dismissed"];
+
+// Coaches see learners outside their cohorts only as "hidden"
+const who = (l, t) => (l?.hidden ? t("review.otherLearner") : l?.name || l?.email || l?.id);
+const shortDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+// Staff queue of submissions whose answers (nearly) match another learner's
+export default function DuplicateReview({ onUnauthorized }) {
+  const [status, setStatus] = useState("open");
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [errMsg, setErrMsg] = useState("");
+  const [openId, setOpenId] = useState(null);
+  const t = useT();
+
+  useEffect(() => {
+    let mounted = true;
+    setLoading(true); setErrMsg("");
+    fetchFlags(status, { limit: PAGE_SIZE })
+      .then((j) => { if (mounted) { setItems(j.items || []); setTotal(j.total || 0); } })
+      .catch((err) => { if (mounted) setErrMsg(err?.message || t("review.loadFailed")); })
+      .finally(() => { if (mounted) setLoading(false); });
+    return () => { mounted = false; };
+  }, [status, t]);
+
+  async function loadMore() {
+    try {
+      const j = await fetchFlags(status, { limit: PAGE_SIZE, offset: items.length });
+      setItems((prev) => [...prev, ...(j.items || [])]);
+      setTotal(j.total || 0);
+    } catch (err) {
+      setErrMsg(err?.message || t("review.loadFailed"));
+    }
+  }
+
+  // The flag leaves this list once it has a different status
+  async function decide(flag, next, note) {
+    setErrMsg("");
+    try {
+      await reviewFlag(flag.id, next, note);
+      setItems((prev) => prev.filter((f) => f.id !== flag.id));
+      setTotal((n) => Math.max(0, n - 1));
+      setOpenId(null);
+    } catch (err) {
+      if (err?.status === 401) onUnauthorized();
+      else setErrMsg(err?.message || t("review.updateFailed"));
+    }
+  }
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <h2 className="text-lg font-semibold">{t("review.title")}</h2>
+        <p className="text-xs text-gray-600 mt-1">{t("review.intro")}</p>
+      </div>
+
+      <div className="flex gap-2 text-xs">
+        {STATUSES.map((key) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => { setStatus(key); setOpenId(null); }}
+            className={`px-2 py-1 rounded border ${status === key ? "bg-black text-white" : "bg-white text-gray-700"}`}
+            aria-pressed={status === key}
+          >
+            {t(`review.${key}`)}
+          </button>
+        ))}
+      </div>
+
+      {errMsg && <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">{errMsg}</div>}
+      {loading ? (
+        <p className="text-sm text-gray-600">{t("status.loading")}…</p>
+      ) : items.length === 0 ? (
+        <p className="text-sm text-gray-600">{t(`review.none.${status}`)}</p>
+      ) : (
+        <ul className="space-y-3">
+          {items.map((f) => (
+            <li key={f.id} className="rounded-xl border p-3 text-sm">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="font-medium">{who(f.learner, t)}</div>
+                  <div className="text-xs text-gray-600">
+                    {f.testId} · {shortDate(f.createdAt)} ·{" "}
+                    {t(f.matches.length === 1 ? "review.match" : "review.matches", {
+                      n: f.matches.length,
+                      similarity: Math.round(Math.max(...f.matches.map((m) => m.similarity)) * 100),
+                    })}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setOpenId(openId === f.id ? null : f.id)}
+                  className="px-2 py-1 rounded border bg-white text-xs text-gray-700 hover:bg-gray-50"
+                >
+                  {openId === f.id ? t("review.hide") : t("review.compare")}
+                </button>
+              </div>
+              {f.note && <p className="mt-1 text-xs text-gray-600">{t("review.note", { note: f.note })}</p>}
+              {openId === f.id && <FlagDetail flag={f} onDecide={(next, note) => decide(f, next, note)} />}
+            </li>
+          ))}
+        </ul>
+      )}
+      {items.length < total && (
+        <button type="button" onClick={loadMore} className="text-sm underline">{t("review.more")}</button>
+      )}
+    </div>
+  );
+}
+
+// The flagged answers next to the answers they match
+function FlagDetail({ flag, onDecide }) {
+  const [results, setResults] = useState(null);
+  const [errMsg, setErrMsg] = useState("");
+  const [note, setNote] = useState(flag.note || "");
+  const t = useT();
+
+  useEffect(() => {
+    let mounted = true;
+    const ids = [flag.resultId, ...new Set(flag.matches.map((m) => m.resultId))];
+    Promise.all(ids.map((id) => fetchResult(id, flag.id).catch(() => null)))
+      .then((list) => { if (mounted) setResults(new Map(ids.map((id, i) => [id, list[i]]))); })
+      .catch((err) => { if (mounted) setErrMsg(err?.message || t("review.answersFailed")); });
+    return () => { mounted = false; };
+  }, [flag, t]);
+
+  if (errMsg) return <p className="mt-3 text-xs text-red-700">{errMsg}</p>;
+  if (!results) return <p className="mt-3 text-xs text-gray-600">{t("review.loadingAnswers")}</p>;
+
+  const own = results.get(flag.resultId);
+  return (
+    <div className="mt-3 space-y-3">
+      {flag.matches.map((m) => {
+        const other = results.get(m.resultId);
+        return (
+          <div key={`${m.resultId}:${m.part}`} className="rounded-lg bg-gray-50 p-2">
+            <div className="text-xs text-gray-600 mb-2">
+              {t("review.similarTo", { part: m.part, similarity: Math.round(m.similarity * 100), name: who(m.learner, t) })}
+              {other ? ` (${shortDate(other.createdAt)})` : ""}
+            </div>
+            <div className="grid gap-2 sm:grid-cols-2 text-xs">
+              <blockquote className="whitespace-pre-wrap bg-white border rounded p-2">
+                {own?.answers?.[m.part - 1] ?? t("review.gone")}
+              </blockquote>
+              <blockquote className="whitespace-pre-wrap bg-white border rounded p-2">
+                {other?.answers?.[m.part - 1] ?? t(m.learner?.hidden ? "review.hiddenAnswers" : "review.gone")}
+              </blockquote>
+            </div>
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          maxLength={500}
+          placeholder={t("review.notePlaceholder")}
+          className="flex-1 min-w-40 border rounded-lg p-1.5 text-xs"
+          aria-label={t("review.noteLabel")}
+        />
+        {flag.status !== "confirmed" && (
+          <button type="button" onClick={() => onDecide("confirmed", note.trim())} className="px-2 py-1 rounded text-xs text-white bg-red-700 hover:bg-red-800">
+            {t("review.confirm")}
+          </button>
+        )}
+        {flag.status !== "dismissed" && (
+          <button type="button" onClick={() => onDecide("dismissed", note.trim())} className="px-2 py-1 rounded border bg-white text-xs text-gray-700 hover:bg-gray-50">
+            {t("review.dismiss")}
+          </button>
+        )}
+        {flag.status !== "open" && (
+          <button type="button" onClick={() => onDecide("open", note.trim())} className="px-2 py-1 rounded border bg-white text-xs text-gray-700 hover:bg-gray-50">
+            {t("review.reopen")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
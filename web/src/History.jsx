@@ -0,0 +1,189 @@
+import { useEffect, useState } from "react";
+import { fetchResults } from "./api.js";
+import { useT } from "./i18n.js";
+import { cacheGet, cacheSet } from "./offline.js";
+import ResultCard from "./ResultCard.jsx";
+
+const PAGE_SIZE = 50;
+
+// `learner` ({ id, name }) pins the view to one learner, e.g. from a cohort dashboard
+export default function History({ me, learner, onPractice }) {
+  const staff = (me?.role === "coach" || me?.role === "admin") && !learner;
+  const [user, setUser] = useState(learner?.id || me.id);
+  const [draftUser, setDraftUser] = useState(user);
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [errMsg, setErrMsg] = useState("");
+  const [openId, setOpenId] = useState(null);
+  const [savedAt, setSavedAt] = useState(null); // set when showing the offline copy
+  const t = useT();
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      setLoading(true); setErrMsg(""); setSavedAt(null);
+      try {
+        const j = await fetchResults(user, { limit: PAGE_SIZE });
+        cacheSet(`results:${user}`, j);
+        if (!mounted) return;
+        setItems(j.items || []);
+        setTotal(j.total || 0);
+      } catch (err) {
+        // Offline or the server is asleep: show the last copy we have
+        const cached = await cacheGet(`results:${user}`);
+        if (!mounted) return;
+        if (cached) {
+          setItems(cached.value.items || []);
+          setTotal(cached.value.items?.length || 0);
+          setSavedAt(cached.savedAt);
+        } else {
+          setErrMsg(err?.message || t("history.loadFailed"));
+        }
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [user, t]);
+
+  async function loadMore() {
+    try {
+      const j = await fetchResults(user, { limit: PAGE_SIZE, offset: items.length });
+      setItems(prev => [...prev, ...(j.items || [])]);
+      setTotal(j.total || 0);
+    } catch (err) {
+      setErrMsg(err?.message || t("history.loadFailed"));
+    }
+  }
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <h2 className="text-lg font-semibold">{learner ? t("history.learnerTitle", { name: learner.name }) : t("tab.history")}</h2>
+        <p className="text-xs text-gray-600 mt-1">
+          {learner ? t("history.learnerIntro") : staff ? t("history.staffIntro") : t("history.intro")}
+        </p>
+      </div>
+
+      {learner ? null : staff ? (
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => { e.preventDefault(); if (draftUser.trim()) setUser(draftUser.trim()); }}
+        >
+          <input
+            value={draftUser}
+            onChange={(e) => setDraftUser(e.target.value)}
+            className="flex-1 border rounded-lg p-2 text-xs font-mono"
+            aria-label={t("history.learnerId")}
+          />
+          <button type="submit" className="px-3 py-1.5 rounded-lg text-sm text-white bg-black hover:bg-black/90">{t("history.load")}</button>
+        </form>
+      ) : (
+        <p className="text-xs text-gray-600">
+          {t("history.yourId")}{" "}
+          <code className="bg-gray-100 px-1 py-0.5 rounded">{me.id}</code>
+        </p>
+      )}
+
+      {loading && <p className="text-sm text-gray-600">{t("status.loading")}…</p>}
+
+      {savedAt && (
+        <p className="p-3 rounded-lg bg-amber-50 text-amber-900 text-sm">
+          {t("history.offline", { time: new Date(savedAt).toLocaleString() })}
+        </p>
+      )}
+
+      {errMsg && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
+          <strong>{t("error.label")}</strong> {errMsg}
+        </div>
+      )}
+
+      {!loading && !errMsg && items.length === 0 && (
+        <p className="text-sm text-gray-600">{t("history.empty")}</p>
+      )}
+
+      {items.length > 1 && <ScoreChart items={items} />}
+
+      {items.length > 0 && (
+        <ul className="divide-y border rounded-xl">
+          {items.map((r) => (
+            <li key={r.id} className="p-3">
+              <button
+                type="button"
+                onClick={() => setOpenId(openId === r.id ? null : r.id)}
+                className="w-full flex items-center justify-between text-left text-sm"
+                aria-expanded={openId === r.id}
+              >
+                <span>
+                  <span className="font-medium">{new Date(r.createdAt).toLocaleString()}</span>
+                  <span className="ml-2 text-xs text-gray-500">{r.testId}{r.degraded ? ` · ${t("history.offlineEstimate")}` : ""}{r.integrity?.flagged ? ` · ${t("history.integrity")}` : ""}</span>
+                </span>
+                <span className="tabular-nums">
+                  <span className="font-semibold">{r.result?.score ?? "—"}</span>/10
+                  <span className="ml-2 text-gray-600">{r.result?.level || ""}</span>
+                </span>
+              </button>
+              {openId === r.id && (
+                <div className="mt-3">
+                  <ResultCard
+                    data={{
+                      ...r.result,
+                      integrity: r.integrity,
+                      _meta: {
+                        model: r.model, degraded: r.degraded, quality: r.quality, defaulted: r.defaulted, ensemble: r.ensemble, variety: r.variety,
+                        // certificates are issued to the learner only
+                        ...(r.user === me.id ? { resultId: r.id, certificateRevokedAt: r.certificateRevokedAt } : {}),
+                      },
+                    }}
+                    answers={r.answers}
+                    onPractice={r.user === me.id ? onPractice : undefined}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {items.length < total && (
+        <button type="button" onClick={loadMore} className="text-sm underline text-gray-700">
+          {t("history.more", { n: total - items.length })}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/* score over time, oldest → newest (items arrive newest first) */
+function ScoreChart({ items }) {
+  const points = items.slice().reverse().filter(r => Number.isFinite(r.result?.score));
+  const t = useT();
+  if (points.length < 2) return null;
+
+  const W = 560, H = 160, PAD = 24;
+  const x = (i) => PAD + (i * (W - 2 * PAD)) / (points.length - 1);
+  const y = (score) => H - PAD - (score / 10) * (H - 2 * PAD);
+  const path = points.map((r, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(r.result.score).toFixed(1)}`).join(" ");
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={t("history.chart")}>
+        {[0, 5, 10].map((g) => (
+          <g key={g}>
+            <line x1={PAD} x2={W - PAD} y1={y(g)} y2={y(g)} stroke="#e5e7eb" />
+            <text x={4} y={y(g) + 4} fontSize="10" fill="#6b7280">{g}</text>
+          </g>
+        ))}
+        <path d={path} fill="none" stroke="black" strokeWidth="2" />
+        {points.map((r, i) => (
+          <circle key={r.id} cx={x(i)} cy={y(r.result.score)} r="3.5" fill={r.degraded ? "#d97706" : "black"}>
+            <title>{`${new Date(r.createdAt).toLocaleDateString()}: ${r.result.score}/10 (${r.result.level})`}</title>
+          </circle>
+        ))}
+      </svg>
+      <figcaption className="text-xs text-gray-500 text-center">{t("history.chartCaption")}</figcaption>
+    </figure>
+  );
+}
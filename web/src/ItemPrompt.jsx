@@ -0,0 +1,31 @@
+import { useT } from "./i18n.js";
+
+/* render `code` spans in helper text */
+function renderHelper(text) {
+  return String(text).split("`").map((chunk, i) =>
+    i % 2 ? <code key={i} className="bg-gray-100 px-1 py-0.5 rounded">{chunk}</code> : chunk
+  );
+}
+
+// Label, sentence template and helper text for one test item
+export default function ItemPrompt({ item, label, htmlFor }) {
+  const t = useT();
+  return (
+    <>
+      <label className="block text-sm font-medium" htmlFor={htmlFor}>{label} — {item.prompt}</label>
+
+      {/* Sentence template and helper text, when the item defines them */}
+      {(item.template || item.helper) && (
+        <p className="text-xs text-gray-600">
+          {item.template && (
+            <>
+              {t("form.template")}{" "}
+              <code className="bg-gray-100 px-1 py-0.5 rounded">{item.template}</code>{" "}
+            </>
+          )}
+          {item.helper && renderHelper(item.helper)}
+        </p>
+      )}
+    </>
+  );
+}
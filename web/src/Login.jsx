@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { authenticate } from "./api.js";
+import { useT } from "./i18n.js";
+
+export default function Login({ onSignedIn }) {
+  const [mode, setMode] = useState("login"); // login | signup
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [errMsg, setErrMsg] = useState("");
+  const t = useT();
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setErrMsg(""); setBusy(true);
+    try {
+      const body = mode === "signup" ? { email, password, name: name || undefined } : { email, password };
+      onSignedIn(await authenticate(mode, body));
+    } catch (err) {
+      setErrMsg(err?.message || t("login.failed"));
+    } finally { setBusy(false); }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-sm">
+      <h2 className="text-lg font-semibold">{mode === "signup" ? t("login.create") : t("login.signIn")}</h2>
+      <p className="text-xs text-gray-600">{t("login.intro")}</p>
+
+      {mode === "signup" && (
+        <div className="space-y-1">
+          <label className="block text-sm font-medium" htmlFor="name">{t("login.name")}</label>
+          <input id="name" value={name} onChange={(e) => setName(e.target.value)} autoComplete="name"
+            className="w-full border rounded-lg p-2 text-sm" />
+        </div>
+      )}
+
+      <div className="space-y-1">
+        <label className="block text-sm font-medium" htmlFor="email">{t("login.email")}</label>
+        <input id="email" type="email" required value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email"
+          className="w-full border rounded-lg p-2 text-sm" />
+      </div>
+
+      <div className="space-y-1">
+        <label className="block text-sm font-medium" htmlFor="password">{t("login.password")}</label>
+        <input id="password" type="password" required minLength={mode === "signup" ? 8 : undefined}
+          value={password} onChange={(e) => setPassword(e.target.value)}
+          autoComplete={mode === "signup" ? "new-password" : "current-password"}
+          className="w-full border rounded-lg p-2 text-sm" />
+        {mode === "signup" && <p className="text-xs text-gray-500">{t("login.passwordHint")}</p>}
+      </div>
+
+      {errMsg && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">
+          <strong>{t("error.label")}</strong> {errMsg}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-3">
+        <button
+          type="button"
+          onClick={() => { setMode(mode === "signup" ? "login" : "signup"); setErrMsg(""); }}
+          className="text-sm underline text-gray-700"
+        >
+          {mode === "signup" ? t("login.haveAccount") : t("login.create")}
+        </button>
+        <button
+          type="submit"
+          disabled={busy}
+          className="inline-flex items-center justify-center px-4 py-2 rounded-lg text-white bg-black hover:bg-black/90 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {busy ? t("login.wait") : mode === "signup" ? t("login.signUp") : t("login.signIn")}
+        </button>
+      </div>
+    </form>
+  );
+}
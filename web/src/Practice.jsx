@@ -0,0 +1,238 @@
+import { useEffect, useRef, useState } from "react";
+import { answerDrill, fetchDrill, fetchMastery, fetchResults, startDrill } from "./api.js";
+import { useT } from "./i18n.js";
+
+// sessionStorage key for resuming a drill after a reload
+const DRILL_KEY = "enc-drill";
+
+// `fromResult`: id of a result to drill right away (from a result's "Practice" button)
+export default function Practice({ me, fromResult, onUnauthorized }) {
+  const [mastery, setMastery] = useState([]);
+  const [drill, setDrill] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [errMsg, setErrMsg] = useState("");
+  const t = useT();
+  // Read by the start-up effect, which must not run again (and start another drill) when the language changes
+  const tRef = useRef(t);
+  useEffect(() => { tRef.current = t; }, [t]);
+
+  function fail(err) {
+    if (err?.status === 401) onUnauthorized();
+    else setErrMsg(err?.message || t("error.generic"));
+  }
+
+  async function start(resultId) {
+    setErrMsg("");
+    setBusy(true);
+    try {
+      const d = await startDrill({ resultId });
+      sessionStorage.setItem(DRILL_KEY, d.id);
+      setDrill(d);
+    } catch (err) {
+      fail(err);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function startFromLatest() {
+    setErrMsg("");
+    try {
+      const { items } = await fetchResults(me.id, { limit: 1 });
+      await start(items[0]?.id);
+    } catch (err) { fail(err); }
+  }
+
+  useEffect(() => {
+    let mounted = true;
+    fetchMastery()
+      .then((j) => { if (mounted) setMastery(j.skills || []); })
+      .catch((err) => { if (mounted) setErrMsg(err?.message || t("practice.masteryFailed")); });
+    return () => { mounted = false; };
+  }, [t]);
+
+  // Drill the result we were sent here for, or pick up the last drill (same tab only)
+  useEffect(() => {
+    let mounted = true;
+    const id = sessionStorage.getItem(DRILL_KEY);
+    if (fromResult) {
+      setBusy(true);
+      startDrill({ resultId: fromResult })
+        .then((d) => { sessionStorage.setItem(DRILL_KEY, d.id); if (mounted) setDrill(d); })
+        .catch((err) => { if (mounted) setErrMsg(err?.message || tRef.current("practice.startFailed")); })
+        .finally(() => { if (mounted) setBusy(false); });
+    } else if (id) {
+      fetchDrill(id)
+        .then((d) => { if (mounted) setDrill(d); })
+        .catch(() => sessionStorage.removeItem(DRILL_KEY));
+    }
+    return () => { mounted = false; };
+  }, [fromResult]);
+
+  // Keeps the drill and the mastery bars in step with a graded answer
+  function graded(exerciseId, answer, res) {
+    setDrill((d) => {
+      const exercises = d.exercises.map((ex) =>
+        ex.id === exerciseId ? { ...ex, answered: ex.answered || { answer, correct: res.correct }, feedback: res } : ex
+      );
+      const answered = exercises.filter((ex) => ex.answered);
+      return {
+        ...d,
+        exercises,
+        progress: { ...d.progress, answered: answered.length, correct: answered.filter((ex) => ex.answered.correct).length },
+        done: answered.length === exercises.length,
+      };
+    });
+    setMastery((list) => list.map((m) => (m.skill === res.mastery.skill ? res.mastery : m)));
+  }
+
+  const button = "px-3 py-1.5 rounded-lg text-sm text-white bg-black hover:bg-black/90 disabled:bg-gray-400";
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold">{t("practice.title")}</h2>
+        <p className="text-xs text-gray-600 mt-1">{t("practice.intro")}</p>
+      </div>
+
+      {errMsg && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm break-words">{errMsg}</div>
+      )}
+
+      <section>
+        <h3 className="text-sm font-medium mb-2">{t("practice.mastery")}</h3>
+        <ul className="space-y-2">
+          {mastery.map((m) => (
+            <li key={m.skill} className="text-sm">
+              <div className="flex justify-between gap-2">
+                <span>{t(`skill.${m.skill}`)}</span>
+                <span className="text-xs text-gray-600">
+                  {m.level === null
+                    ? t("practice.notPracticed")
+                    : m.mastered
+                      ? t("practice.mastered")
+                      : t("practice.level", { level: Math.round(m.level * 100), n: m.attempts })}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded">
+                <div
+                  className={`h-2 rounded ${m.mastered ? "bg-green-600" : "bg-black"}`}
+                  style={{ width: `${Math.round((m.level || 0) * 100)}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" className={button} disabled={busy} onClick={startFromLatest}>{t("practice.fromLatest")}</button>
+        <button type="button" className={button} disabled={busy} onClick={() => start()}>{t("practice.fromMastery")}</button>
+      </div>
+
+      {busy && <p className="text-sm text-gray-600">{t("practice.loading")}</p>}
+
+      {drill && !busy && (
+        <section className="space-y-4">
+          <div className="text-sm">
+            <div className="font-medium">
+              {t("practice.focus", { skills: drill.focus.map((f) => t(`skill.${f.skill}`)).join(", ") })}
+            </div>
+            {drill.focus.some((f) => f.reasons.length) && (
+              <ul className="list-disc pl-5 text-xs text-gray-600 mt-1">
+                {[...new Set(drill.focus.flatMap((f) => f.reasons))].map((r) => <li key={r}>{r}</li>)}
+              </ul>
+            )}
+            {/* drills from before the exercise history have no `unseen` */}
+            {drill.focus.filter((f) => f.repeated || f.unseen === 0).map((f) => (
+              <p key={f.skill} className="mt-2 p-2 rounded bg-amber-50 text-amber-900 text-xs">
+                {t(f.repeated ? "practice.repeats" : "practice.lastNew", { skill: t(`skill.${f.skill}`) })}
+              </p>
+            ))}
+            {(drill.exhausted || []).map((f) => (
+              <p key={f.skill} className="mt-2 p-2 rounded bg-amber-50 text-amber-900 text-xs">
+                {t("practice.exhausted", { skill: t(`skill.${f.skill}`) })}
+              </p>
+            ))}
+          </div>
+          <ol className="space-y-3">
+            {drill.exercises.map((ex, i) => (
+              <Exercise key={ex.id} n={i + 1} ex={ex} drillId={drill.id} onGraded={graded} onError={fail} />
+            ))}
+          </ol>
+          <p className="text-sm font-medium">
+            {drill.done
+              ? t("practice.done", { correct: drill.progress.correct, total: drill.progress.total })
+              : t("practice.progress", { correct: drill.progress.correct, answered: drill.progress.answered, total: drill.progress.total })}
+          </p>
+        </section>
+      )}
+    </div>
+  );
+}
+
+function Exercise({ n, ex, drillId, onGraded, onError }) {
+  const [answer, setAnswer] = useState(ex.answered?.answer || "");
+  const [busy, setBusy] = useState(false);
+  const t = useT();
+  const feedback = ex.feedback || (ex.answered && { correct: ex.answered.correct });
+
+  async function check(value) {
+    if (!value.trim()) return;
+    setBusy(true);
+    try {
+      onGraded(ex.id, value, await answerDrill(drillId, ex.id, value));
+    } catch (err) {
+      onError(err);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <li className="rounded-lg border bg-white p-3 space-y-2 text-sm">
+      <div className="text-xs text-gray-600">{n}. {t(`skill.${ex.skill}`)}</div>
+      <div className="font-medium">{ex.prompt}</div>
+      {ex.source && <div className="italic text-gray-700">{ex.source}</div>}
+      {ex.hint && <div className="text-xs text-gray-600">{t("practice.hint", { hint: ex.hint })}</div>}
+
+      {ex.kind === "choice" ? (
+        <div className="flex flex-wrap gap-2">
+          {ex.options.map((o) => (
+            <button
+              key={o}
+              type="button"
+              disabled={busy}
+              onClick={() => { setAnswer(o); check(o); }}
+              className={`px-3 py-1.5 rounded-lg border ${answer === o ? "bg-black text-white" : "bg-white text-gray-700"}`}
+            >
+              {o}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <form onSubmit={(e) => { e.preventDefault(); check(answer); }} className="flex gap-2">
+          <input
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            aria-label={t("practice.answer")}
+            placeholder={t("practice.answer")}
+            className="flex-1 border rounded-lg p-2 text-sm"
+          />
+          <button type="submit" disabled={busy || !answer.trim()} className="px-3 py-1.5 rounded-lg text-sm border bg-white">
+            {t("practice.check")}
+          </button>
+        </form>
+      )}
+
+      {feedback && (
+        <div className={`p-2 rounded-lg text-sm ${feedback.correct ? "bg-green-50 text-green-800" : "bg-amber-50 text-amber-900"}`}>
+          <div>{feedback.correct ? t("practice.correct") : t("practice.incorrect")}</div>
+          {feedback.expected && !feedback.correct && <div>{t("practice.expected", { expected: feedback.expected })}</div>}
+          {feedback.detail && <div>{feedback.detail}</div>}
+          {feedback.explanation && <div className="text-xs mt-1">{feedback.explanation}</div>}
+          {feedback.counted === false && <div className="text-xs mt-1 text-gray-600">{t("practice.notCounted")}</div>}
+        </div>
+      )}
+    </li>
+  );
+}
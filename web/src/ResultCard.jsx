@@ -0,0 +1,208 @@
+import AnnotatedAnswer from "./AnnotatedAnswer.jsx";
+import ShareCertificate from "./ShareCertificate.jsx";
+import { useT } from "./i18n.js";
+
+// `answers`: the submitted texts, so annotations can be shown in place;
+// `onPractice(resultId)`: offered for stored results when given
+export default function ResultCard({ data, answers, onPractice }) {
+  const { score, level, reasons, suggestions, parts, checks, speech, lowConfidence, integrity, _meta } = data || {};
+  const ensemble = _meta?.ensemble;
+  const allChecks = Array.isArray(checks) ? checks : [];
+  const modelFromBody = _meta?.model;
+  const defaulted = _meta?.defaulted || [];
+  const t = useT();
+  return (
+    <div className="rounded-xl border p-4 bg-gray-50">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm text-gray-600">{t("result.score")}</div>
+          <div className="text-2xl font-semibold">{Number.isFinite(score) ? score : "—"}/10</div>
+        </div>
+        <div className="text-right">
+          <div className="text-sm text-gray-600">{t("result.level")}</div>
+          <div className="text-lg font-medium">{level || "—"}</div>
+        </div>
+      </div>
+
+      {modelFromBody && (
+        <div className="mt-2 text-xs text-gray-600">
+          {t("result.model")} <code className="bg-gray-100 px-1 py-0.5 rounded">{modelFromBody}</code>
+          {_meta?.variety && ` · ${t("result.variety", { variety: t(`variety.${_meta.variety}`) })}`}
+          {_meta?.quality === "repaired" && ` · ${_meta.repairs ? t("result.repairedRetries", { n: _meta.repairs }) : t("result.repaired")}`}
+          {_meta?.cache?.hit && ` · ${t("result.cached")}`}
+        </div>
+      )}
+
+      {_meta?.quality === "defaulted" && (
+        <div className="mt-3 p-2 rounded-lg bg-amber-50 text-amber-800 text-xs">
+          {t("result.defaulted")}
+          {defaulted.length > 0 && ` ${t("result.defaultedMissing", { fields: defaulted.join(", ") })}`}
+          {defaulted.some((f) => f.endsWith(".score")) && ` ${t("result.defaultedScores")}`}
+          {" "}{t("result.caution")}
+        </div>
+      )}
+
+      {_meta?.degraded && (
+        <div className="mt-3 p-2 rounded-lg bg-amber-50 text-amber-800 text-xs">
+          {t("result.degraded")}
+        </div>
+      )}
+
+      {lowConfidence && (
+        <div className="mt-3 p-2 rounded-lg bg-amber-50 text-amber-800 text-xs">
+          {ensemble
+            ? t("result.lowConfidenceSpread", { spread: ensemble.spread, agreement: Math.round(ensemble.agreement * 100) })
+            : t("result.lowConfidence")}
+          {" "}{t("result.roughEstimate")}
+        </div>
+      )}
+
+      {integrity?.flagged && (
+        <div className="mt-3 p-2 rounded-lg bg-amber-50 text-amber-800 text-xs">
+          {t("result.integrity")}
+          <ul className="mt-1 list-disc pl-5 space-y-0.5">
+            {integrity.parts.flatMap((p) => p.signals.map((s, i) => (
+              <li key={`${p.part}-${i}`}>{t("form.part", { n: p.part })}: {s.detail}</li>
+            )))}
+          </ul>
+        </div>
+      )}
+
+      {ensemble?.verdicts?.length > 0 && (
+        <details className="mt-3 text-xs text-gray-700">
+          <summary className="cursor-pointer">
+            {t("result.ensemble", { n: ensemble.verdicts.length, aggregate: ensemble.aggregate, agreement: Math.round(ensemble.agreement * 100) })}
+          </summary>
+          <ul className="mt-1 space-y-0.5">
+            {ensemble.verdicts.map((v, i) => (
+              <li key={i} className="tabular-nums">
+                <code className="bg-gray-100 px-1 py-0.5 rounded">{v.model}</code>
+                {v.sample > 1 ? ` #${v.sample}` : ""}: {v.score}/10 ({v.level}) · parts {v.parts.join(" / ")}
+              </li>
+            ))}
+            {(ensemble.failed || []).map((f, i) => (
+              <li key={`f${i}`} className="text-red-700">
+                <code className="bg-gray-100 px-1 py-0.5 rounded">{f.model}</code> {t("result.failed", { error: f.error })}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {Array.isArray(parts) && parts.length > 0 && (
+        <div className="mt-4">
+          <div className="text-sm font-medium mb-1">{t("result.byPart")}</div>
+          <ul className="space-y-2">
+            {parts.map((p) => (
+              <PartRow
+                key={p.part}
+                part={p}
+                answer={answers?.[p.part - 1]}
+                checks={allChecks.filter(c => c.part === p.part)}
+                speech={Array.isArray(speech) ? speech.find(s => s.part === p.part) : null}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="mt-4">
+        <div className="text-sm font-medium">{t("result.why")}</div>
+        <p className="text-sm text-gray-800 whitespace-pre-wrap">{reasons || "—"}</p>
+      </div>
+
+      <div className="mt-4">
+        <div className="text-sm font-medium mb-1">{t("result.suggestions")}</div>
+        {Array.isArray(suggestions) && suggestions.length ? (
+          <ul className="list-disc pl-5 text-sm text-gray-800 space-y-1">
+            {suggestions.map((s, i) => <li key={i}>{s}</li>)}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-800">
+            {defaulted.includes("suggestions") ? t("result.noSuggestions") : "—"}
+          </p>
+        )}
+      </div>
+
+      {/* Only stored, fully graded results can be certified */}
+      {_meta?.resultId && !_meta.degraded && _meta.quality !== "defaulted" && (
+        <ShareCertificate key={_meta.resultId} resultId={_meta.resultId} withdrawn={Boolean(_meta.certificateRevokedAt)} />
+      )}
+
+      {_meta?.resultId && onPractice && (
+        <button
+          type="button"
+          onClick={() => onPractice(_meta.resultId)}
+          className="mt-3 px-3 py-1.5 rounded-lg text-sm border bg-white hover:bg-gray-100"
+        >
+          {t("practice.fromResult")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function PartRow({ part, answer, checks, speech }) {
+  const { part: n, title, weight, score, reasons, suggestions, annotations } = part || {};
+  const pct = Number.isFinite(score) ? Math.max(0, Math.min(100, score * 10)) : 0;
+  const t = useT();
+  return (
+    <li className="rounded-lg border bg-white p-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-medium">
+          {t("form.part", { n })}{title ? ` — ${title}` : ""}
+          {Number.isFinite(weight) && <span className="ml-1 text-xs text-gray-500">({Math.round(weight * 100)}%)</span>}
+        </span>
+        <span className="tabular-nums font-semibold">{Number.isFinite(score) ? score : "—"}/10</span>
+      </div>
+      <div className="mt-1 h-1.5 rounded-full bg-gray-200">
+        <div className="h-1.5 rounded-full bg-black" style={{ width: `${pct}%` }} />
+      </div>
+      {speech && <FluencyLine speech={speech} />}
+      {typeof answer === "string" && answer && <AnnotatedAnswer text={answer} annotations={annotations} />}
+      {reasons && <p className="mt-2 text-sm text-gray-800">{reasons}</p>}
+      {Array.isArray(suggestions) && suggestions.length > 0 && (
+        <ul className="mt-1 list-disc pl-5 text-xs text-gray-700 space-y-0.5">
+          {suggestions.map((s, i) => <li key={i}>{s}</li>)}
+        </ul>
+      )}
+      {checks.length > 0 && (
+        <ul className="mt-2 flex flex-wrap gap-1 text-xs">
+          {checks.map((c, i) => (
+            <li
+              key={i}
+              title={c.detail}
+              className={`px-1.5 py-0.5 rounded ${c.passed ? "bg-green-50 text-green-800" : "bg-red-50 text-red-700"}`}
+            >
+              {c.passed ? "✓" : "✗"} {c.rule}{!c.passed && c.detail ? `: ${c.detail}` : ""}
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Measured from the transcript timings of a spoken part
+function FluencyLine({ speech }) {
+  const { wordsPerMinute, fillers, fillerWords, longPauses, longestPauseSec, durationSec } = speech;
+  const t = useT();
+  const breakdown = Object.entries(fillerWords || {}).map(([w, n]) => `${w} ×${n}`).join(", ");
+  const items = [
+    Number.isFinite(wordsPerMinute) && t("result.wpm", { n: wordsPerMinute }),
+    `${t("result.fillers", { n: fillers })}${breakdown ? ` (${breakdown})` : ""}`,
+    Number.isFinite(longPauses) &&
+      `${t("result.pauses", { n: longPauses })}${longPauses ? ` (${t("result.longest", { n: longestPauseSec })})` : ""}`,
+    Number.isFinite(durationSec) && t("result.spoken", { n: Math.round(durationSec) }),
+  ].filter(Boolean);
+  return (
+    <>
+      <p className="mt-2 text-xs text-gray-600 tabular-nums">{t("result.fluency")} {items.join(" · ")}</p>
+      {speech.pronunciation?.length > 0 && (
+        <p className="mt-1 text-xs text-gray-600" title={t("result.unclearHint")}>
+          {t("result.unclear")} {speech.pronunciation.map((n) => n.word).join(", ")}
+        </p>
+      )}
+    </>
+  );
+}
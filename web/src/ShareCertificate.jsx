@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { createCertificate, withdrawCertificate } from "./api.js";
+import { useT } from "./i18n.js";
+
+const longDate = (iso) =>
+  new Date(iso).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+
+// Same layout as the server's PDF (so, like it, always in English), drawn on a canvas for a PNG download
+function drawCertificate(c, url) {
+  const W = 1600, H = 1130;
+  const canvas = document.createElement("canvas");
+  canvas.width = W; canvas.height = H;
+  const g = canvas.getContext("2d");
+  g.fillStyle = "#fff"; g.fillRect(0, 0, W, H);
+  g.strokeStyle = "#111827";
+  g.lineWidth = 6; g.strokeRect(40, 40, W - 80, H - 80);
+  g.lineWidth = 2; g.strokeRect(60, 60, W - 120, H - 120);
+  g.fillStyle = "#111827"; g.textAlign = "center";
+  const text = (s, y, font) => { g.font = font; g.fillText(s, W / 2, y, W - 200); };
+  text("ENGLISH NATIVE CHECK", 180, "600 28px system-ui, sans-serif");
+  text("Certificate of English level", 240, "40px system-ui, sans-serif");
+  text(c.name, 390, "600 64px system-ui, sans-serif");
+  text(c.level, 480, "48px system-ui, sans-serif");
+  text(`${c.score}/10`, 600, "700 88px system-ui, sans-serif");
+  text(`${c.test} · ${longDate(c.date)}`, 720, "26px system-ui, sans-serif");
+  text(`Graded by ${c.model || "unknown model"}`, 765, "22px system-ui, sans-serif");
+  g.fillStyle = "#4b5563";
+  text(`Certificate ID ${c.rid}`, 900, "18px system-ui, sans-serif");
+  text("Verify at", 935, "18px system-ui, sans-serif");
+  // Tokens are long; wrap the link rather than cut it
+  for (let i = 0, y = 962; i < url.length; i += 120, y += 20) text(url.slice(i, i + 120), y, "14px ui-monospace, monospace");
+  return canvas;
+}
+
+// Issue (or re-issue: the token is deterministic) a certificate and offer ways to share it.
+// `withdrawn`: the learner already withdrew it, which is final
+export default function ShareCertificate({ resultId, withdrawn: withdrawnBefore = false }) {
+  const [cert, setCert] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [errMsg, setErrMsg] = useState("");
+  const [copied, setCopied] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [withdrawn, setWithdrawn] = useState(withdrawnBefore);
+  const t = useT();
+  const c = cert?.certificate;
+  const shareText = c ? t("cert.shareText", { score: c.score, level: t(`level.${c.level}`) }) : "";
+
+  async function issue() {
+    setBusy(true); setErrMsg("");
+    try {
+      setCert(await createCertificate(resultId));
+    } catch (err) {
+      setErrMsg(err?.message || t("cert.createFailed"));
+    } finally { setBusy(false); }
+  }
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(cert.url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setErrMsg(t("cert.copyFailed"));
+    }
+  }
+
+  async function withdraw() {
+    setBusy(true); setErrMsg("");
+    try {
+      await withdrawCertificate(resultId);
+      setCert(null);
+      setWithdrawn(true);
+    } catch (err) {
+      setErrMsg(err?.message || t("cert.withdrawFailed"));
+    } finally { setBusy(false); setConfirming(false); }
+  }
+
+  function share() {
+    navigator.share({ title: t("cert.shareTitle"), text: shareText, url: cert.url }).catch(() => {});
+  }
+
+  function downloadPng() {
+    drawCertificate(c, cert.url).toBlob((blob) => {
+      const href = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = href;
+      a.download = `certificate-${c.rid.slice(0, 8)}.png`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(href), 1000);
+    }, "image/png");
+  }
+
+  if (withdrawn) {
+    return <p className="mt-4 text-xs text-gray-600">{t("cert.withdrawn")}</p>;
+  }
+
+  if (!cert) {
+    return (
+      <div className="mt-4 flex items-center gap-3">
+        <button
+          type="button"
+          onClick={issue}
+          disabled={busy}
+          className="px-3 py-1.5 rounded-lg text-sm border bg-white text-gray-700 hover:bg-gray-50 disabled:text-gray-400"
+        >
+          {busy ? t("cert.creating") : t("cert.share")}
+        </button>
+        {errMsg && <span className="text-xs text-red-700">{errMsg}</span>}
+      </div>
+    );
+  }
+
+  const link = "px-2 py-1 rounded border bg-white text-gray-700 hover:bg-gray-50";
+  return (
+    <div className="mt-4 rounded-lg border bg-white p-3 space-y-2 text-xs">
+      <div className="font-medium text-sm">{t("cert.title")}</div>
+      <p className="text-gray-600">{t("cert.public")}</p>
+      <input readOnly value={cert.url} onFocus={(e) => e.target.select()} className="w-full border rounded p-1.5 font-mono text-[11px] bg-gray-50" aria-label={t("cert.link")} />
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={copy} className={link}>{copied ? t("cert.copied") : t("cert.copy")}</button>
+        {typeof navigator.share === "function" && <button type="button" onClick={share} className={link}>{t("cert.shareMenu")}</button>}
+        <a className={link} target="_blank" rel="noreferrer" href={`https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(cert.url)}`}>LinkedIn</a>
+        <a className={link} target="_blank" rel="noreferrer" href={`https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(cert.url)}`}>X</a>
+        <a className={link} target="_blank" rel="noreferrer" href={cert.pdfUrl}>PDF</a>
+        <button type="button" onClick={downloadPng} className={link}>PNG</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 pt-1">
+        {confirming ? (
+          <>
+            <span className="text-gray-700">{t("cert.withdrawConfirm")}</span>
+            <button type="button" onClick={withdraw} disabled={busy} className="px-2 py-1 rounded border border-red-300 bg-white text-red-700 hover:bg-red-50">
+              {t("cert.withdraw")}
+            </button>
+            <button type="button" onClick={() => setConfirming(false)} className={link}>{t("cert.keep")}</button>
+          </>
+        ) : (
+          <button type="button" onClick={() => setConfirming(true)} className="text-red-700 hover:underline">{t("cert.withdraw")}</button>
+        )}
+      </div>
+      {errMsg && <p className="text-red-700">{errMsg}</p>}
+    </div>
+  );
+}
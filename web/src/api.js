@@ -0,0 +1,264 @@
+export const API_BASE = import.meta.env.VITE_API_URL || "https://english-native-check.onrender.com";
+
+/* fetch with timeout */
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try { return await fetch(url, { ...options, signal: ac.signal, cache: "no-store" }); }
+  finally { clearTimeout(t); }
+}
+
+/* wake server first (handles Render cold starts) */
+export async function wakeServer({ healthUrl, maxAttempts = 6, startBackoffMs = 500, timeoutMs = 12000 }) {
+  let backoff = startBackoffMs;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const r = await fetchWithTimeout(healthUrl, { method: "HEAD", mode: "cors" }, timeoutMs);
+      if (r.ok || (r.status >= 200 && r.status < 400)) return;
+      const r2 = await fetchWithTimeout(healthUrl, { method: "GET", mode: "cors" }, timeoutMs);
+      if (r2.ok || (r2.status >= 200 && r2.status < 400)) return;
+    } catch {}
+    await new Promise(res => setTimeout(res, backoff));
+    backoff = Math.min(backoff * 2, 7000);
+  }
+  throw new Error("Server did not wake in time");
+}
+
+/* load one test definition (learner-facing view) */
+export async function fetchTest(id) {
+  const r = await fetchWithTimeout(`${API_BASE}/tests/${encodeURIComponent(id)}`, { method: "GET", mode: "cors" }, 15000);
+  if (!r.ok) throw new Error(`API ${r.status}`);
+  return r.json();
+}
+
+/* session token (signed by the server, kept in localStorage) */
+const TOKEN_KEY = "enc-session";
+export const getToken = () => localStorage.getItem(TOKEN_KEY) || "";
+export const setToken = (t) => localStorage.setItem(TOKEN_KEY, t);
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+export function authHeaders(headers = {}) {
+  const t = getToken();
+  return t ? { ...headers, Authorization: `Bearer ${t}` } : headers;
+}
+
+/* POST /auth/login or /auth/signup; stores the token on success */
+export async function authenticate(mode, body) {
+  const r = await fetchWithTimeout(
+    `${API_BASE}/auth/${mode === "signup" ? "signup" : "login"}`,
+    { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body), mode: "cors" },
+    30000
+  );
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(j?.error || `API ${r.status}`);
+  setToken(j.token);
+  return j.user;
+}
+
+/* current user for the stored token, or null */
+export async function fetchMe() {
+  if (!getToken()) return null;
+  const r = await fetchWithTimeout(`${API_BASE}/auth/me`, { method: "GET", headers: authHeaders(), mode: "cors" }, 15000);
+  if (r.status === 401) { clearToken(); return null; }
+  if (!r.ok) throw new Error(`API ${r.status}`);
+  return (await r.json()).user;
+}
+
+/* one page of stored results for a learner (newest first) */
+export async function fetchResults(user, { limit = 50, offset = 0 } = {}) {
+  const qs = new URLSearchParams({ user, limit: String(limit), offset: String(offset) });
+  const r = await fetchWithTimeout(`${API_BASE}/results?${qs}`, { method: "GET", headers: authHeaders(), mode: "cors" }, 15000);
+  if (!r.ok) throw new Error(`API ${r.status}`);
+  return r.json();
+}
+
+/* JSON call that throws with err.status on failure (sessions, cohorts) */
+async function apiCall(path, { method = "POST", body, timeoutMs = 15000 } = {}) {
+  const r = await fetchWithTimeout(
+    `${API_BASE}${path}`,
+    { method, headers: authHeaders({ "Content-Type": "application/json" }), body: body && JSON.stringify(body), mode: "cors" },
+    timeoutMs
+  );
+  if (r.status === 204) return null;
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const err = new Error(j?.error || `API ${r.status}`);
+    err.status = r.status;
+    throw err;
+  }
+  return j;
+}
+
+/* adaptive sessions (POST /sessions, GET /sessions/:id, POST /sessions/:id/answer) */
+export const startSession = (testId, { variety, language } = {}) =>
+  apiCall("/sessions", { body: { testId, variety, language } });
+export const fetchSession = (id) => apiCall(`/sessions/${encodeURIComponent(id)}`, { method: "GET" });
+// grading one item can take as long as a whole /assess call on the free tier
+export const answerSession = (id, itemId, answer, telemetry) =>
+  apiCall(`/sessions/${encodeURIComponent(id)}/answer`, { body: { itemId, answer, telemetry }, timeoutMs: 120000 });
+
+/* practice drills (POST /practice, GET /practice/:id, POST /practice/:id/answer, GET /practice/mastery) */
+export const startDrill = ({ resultId, skills } = {}) => apiCall("/practice", { body: { resultId, skills } });
+export const fetchDrill = (id) => apiCall(`/practice/${encodeURIComponent(id)}`, { method: "GET" });
+export const answerDrill = (id, exerciseId, answer) =>
+  apiCall(`/practice/${encodeURIComponent(id)}/answer`, { body: { exerciseId, answer } });
+export const fetchMastery = () => apiCall("/practice/mastery", { method: "GET" });
+
+/* cohorts (coaches create and watch them, learners join with the invite code) */
+export const fetchCohorts = () => apiCall("/cohorts", { method: "GET" });
+export const createCohort = (name) => apiCall("/cohorts", { body: { name } });
+export const joinCohort = (code) => apiCall("/cohorts/join", { body: { code } });
+export const leaveCohort = (id, userId = "me") =>
+  apiCall(`/cohorts/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`, { method: "DELETE" });
+export function fetchCohortDashboard(id, testId) {
+  const qs = testId ? `?${new URLSearchParams({ testId })}` : "";
+  return apiCall(`/cohorts/${encodeURIComponent(id)}/dashboard${qs}`, { method: "GET", timeoutMs: 30000 });
+}
+
+/* certificate for one of the caller's stored results: { token, certificate, url, pdfUrl, verifyUrl } */
+export const createCertificate = (resultId) =>
+  apiCall(`/results/${encodeURIComponent(resultId)}/certificate`);
+/* withdraw it for good: every shared copy then verifies as revoked */
+export const withdrawCertificate = (resultId) =>
+  apiCall(`/results/${encodeURIComponent(resultId)}/certificate`, { method: "DELETE" });
+
+/* near-duplicate flags for staff review (GET /flags, PATCH /flags/:id) and the results they point at */
+export function fetchFlags(status, { limit = 20, offset = 0 } = {}) {
+  const qs = new URLSearchParams({ limit: String(limit), offset: String(offset), ...(status ? { status } : {}) });
+  return apiCall(`/flags?${qs}`, { method: "GET" });
+}
+export const reviewFlag = (id, status, note) =>
+  apiCall(`/flags/${encodeURIComponent(id)}`, { method: "PATCH", body: { status, ...(note ? { note } : {}) } });
+// `flagId`: the duplicate flag being reviewed, which lets staff open the results it names
+export const fetchResult = (id, flagId) =>
+  apiCall(`/results/${encodeURIComponent(id)}${flagId ? `?${new URLSearchParams({ flag: flagId })}` : ""}`, { method: "GET" });
+
+/* CSV export needs the auth header, so fetch it and hand the browser a blob */
+export async function downloadCohortCsv(id, testId) {
+  const qs = testId ? `?${new URLSearchParams({ testId })}` : "";
+  const r = await fetchWithTimeout(`${API_BASE}/cohorts/${encodeURIComponent(id)}/export.csv${qs}`, { method: "GET", headers: authHeaders(), mode: "cors" }, 30000);
+  if (!r.ok) throw new Error(`API ${r.status}`);
+  const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] || "cohort-results.csv";
+  const url = URL.createObjectURL(await r.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* a failed assessment as an Error with status, kind and requestId; the server
+ * classifies failures (timeout, rate_limited, bad_output, upstream), and the
+ * request id lets a learner quote the exact request when reporting a problem */
+const KIND_MESSAGES = {
+  timeout: "The grading model took too long to answer. Please try again.",
+  rate_limited: "The grading models are busy right now. Please wait a minute and try again.",
+  bad_output: "The grading model's reply could not be used. Please try again.",
+  upstream: "The grading service is unavailable right now. Please try again shortly.",
+};
+function assessError(status, j) {
+  const message = KIND_MESSAGES[j?.kind] || `API ${status}: ${j?.error || "Assessment failed"}`;
+  const err = new Error(j?.requestId ? `${message} (request ${j.requestId})` : message);
+  err.status = status;
+  err.kind = j?.kind;
+  err.requestId = j?.requestId;
+  return err;
+}
+
+/* `submissionId` goes up as the Idempotency-Key header: the server grades
+ * and stores a submission once, however often it is retried */
+const submissionHeaders = (submissionId, headers = {}) =>
+  authHeaders(submissionId ? { ...headers, "Idempotency-Key": submissionId } : headers);
+
+/* POST /assess without the progress stream (queued submissions, see queue.js) */
+export async function assess({ body, query = {}, submissionId, timeoutMs = 180000 }) {
+  const qs = new URLSearchParams(query).toString();
+  const r = await fetchWithTimeout(
+    `${API_BASE}/assess${qs ? `?${qs}` : ""}`,
+    { method: "POST", headers: submissionHeaders(submissionId, { "Content-Type": "application/json" }), body: JSON.stringify(body), mode: "cors" },
+    timeoutMs
+  );
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw assessError(r.status, j);
+  return j;
+}
+
+/* POST /assess/audio: multipart upload for tests with spoken parts.
+ * `recordings[i]` is the Blob for part i+1 (null for written parts); the
+ * server transcribes them and grades in one go, so there is no progress stream. */
+export async function assessAudio({ testId, answers, recordings, telemetry, variety, language, query = {}, submissionId, timeoutMs = 180000 }) {
+  const form = new FormData();
+  form.append("testId", testId);
+  if (variety) form.append("variety", variety);
+  if (language) form.append("language", language);
+  if (telemetry) form.append("telemetry", JSON.stringify(telemetry));
+  form.append("answers", JSON.stringify(answers.map((a, i) => (recordings[i] ? "" : a))));
+  recordings.forEach((blob, i) => {
+    if (blob) form.append(`part${i + 1}`, blob, `part${i + 1}.${(blob.type.split("/")[1] || "webm").split(";")[0]}`);
+  });
+  const qs = new URLSearchParams(query).toString();
+  const r = await fetchWithTimeout(
+    `${API_BASE}/assess/audio${qs ? `?${qs}` : ""}`,
+    { method: "POST", headers: submissionHeaders(submissionId), body: form, mode: "cors" },
+    timeoutMs
+  );
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) throw assessError(r.status, j);
+  return j;
+}
+
+/* POST /assess/stream: parse Server-Sent Events from a fetch body.
+ * Calls onEvent(name, data) for each progress event and resolves with the
+ * final result. Aborts if the stream goes quiet for idleMs (heartbeats count). */
+export async function streamAssess({ body, query = {}, submissionId, onEvent = () => {}, idleMs = 45000 }) {
+  const ac = new AbortController();
+  let idle = setTimeout(() => ac.abort(), idleMs);
+  const touch = () => { clearTimeout(idle); idle = setTimeout(() => ac.abort(), idleMs); };
+
+  try {
+    const qs = new URLSearchParams(query).toString();
+    const res = await fetch(`${API_BASE}/assess/stream${qs ? `?${qs}` : ""}`, {
+      method: "POST",
+      headers: submissionHeaders(submissionId, { "Content-Type": "application/json", Accept: "text/event-stream" }),
+      body: JSON.stringify(body),
+      mode: "cors",
+      cache: "no-store",
+      signal: ac.signal,
+    });
+    if (!res.ok) {
+      const text = await res.text();
+      let j;
+      try { j = JSON.parse(text); } catch { j = { error: text }; }
+      throw assessError(res.status, j);
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      touch();
+      buf += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buf.indexOf("\n\n")) !== -1) {
+        const frame = buf.slice(0, sep);
+        buf = buf.slice(sep + 2);
+        let event = "message", data = "";
+        for (const line of frame.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+        if (!data) continue; // heartbeat comment
+        const payload = JSON.parse(data);
+        if (event === "result") return payload;
+        if (event === "error") throw assessError(payload.status || 500, payload);
+        onEvent(event, payload);
+      }
+    }
+    throw new Error("Stream ended before a result arrived");
+  } catch (err) {
+    if (err?.name === "AbortError") throw new Error(`No progress from the server for ${Math.round(idleMs / 1000)}s`);
+    throw err;
+  } finally { clearTimeout(idle); }
+}
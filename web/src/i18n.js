@@ -0,0 +1,878 @@
+import { Fragment, createContext, createElement, useContext } from "react";
+
+/* ---- UI translations ----
+ * The interface (labels, helper text, errors, result notices) comes in the
+ * languages below; the test tasks themselves always stay in English. `{name}`
+ * placeholders are filled by t(key, vars); when a value is a React element
+ * the result is an array of nodes, so it can be rendered inside JSX.
+ * A key missing from a language falls back to English.
+ */
+
+export const UI_LANGUAGES = { en: "English", es: "Español", hi: "हिन्दी" };
+
+const LANG_KEY = "enc-lang";
+const VARIETY_KEY = "enc-variety";
+
+const MESSAGES = {
+  en: {
+    "app.byline": "AI Lab project by {author}, powered by {provider} (multi-model aggregator).",
+    "app.intro": "Answer {count} questions to assess how close you are to a {target}.",
+    "app.introFew": "a few",
+    "app.target": "Native English Speaker",
+    "app.wakeNote": "First run on the free tier may take a few seconds while the server wakes up.",
+    "app.signedIn": "Signed in as {name}",
+    "app.signOut": "Sign out",
+    "app.signOutPending": "{n} submission(s) on this device have not been sent yet. Signing out deletes them. Sign out anyway?",
+    "app.connecting": "Connecting…",
+    "app.uiLanguage": "Language",
+    "tab.check": "Check",
+    "tab.history": "History",
+    "tab.cohorts": "Cohorts",
+    "tab.review": "Review",
+    "tab.practice": "Practice",
+    "form.test": "Test",
+    "form.loading": "Loading questions…",
+    "form.part": "Part {n}",
+    "form.variety": "English variety",
+    "form.varietyHelp": "Spelling, vocabulary and idiom of this variety count as correct.",
+    "form.feedbackLanguage": "Feedback language",
+    "form.feedbackHelp": "Reasons and suggestions are written in this language; the tasks stay in English.",
+    "form.mock": "Use mock response (server-side)",
+    "form.ensemble": "Grade with several models (slower, more reliable)",
+    "form.submit": "Check",
+    "form.submitting": "Submitting…",
+    "form.template": "Use exactly this sentence template:",
+    "status.loading": "Loading",
+    "status.waking": "Waking up server…",
+    "status.grading": "Grading…",
+    "status.transcribing": "Transcribing and grading…",
+    "status.offline": "You're offline. Your answers are saved on this device and will be sent when you reconnect.",
+    "status.draftRestored": "Restored your unsent answers (saved {time}).",
+    "queue.saved": "The server couldn't be reached, so your answers were saved on this device and will be submitted automatically. The result will appear here, or in History if you leave.",
+    "queue.pending": "Submissions waiting to be sent: {n}. They go out automatically once the server is reachable.",
+    "queue.retry": "Retry now",
+    "queue.failed": "A saved submission was refused: {error}",
+    "queue.dismiss": "Dismiss",
+    "queue.delivered": "A saved submission has been graded; you'll find it in History.",
+    "error.label": "Error:",
+    "error.tests": "Could not load tests ({reason}). Reload to try again.",
+    "error.test": "Could not load test \"{id}\" ({reason}).",
+    "error.network": "network error",
+    "error.expired": "Your session has expired. Please sign in again; your answers are kept.",
+    "error.submit": "Submission failed",
+    "error.request": "{message} (request {id})",
+    "error.timeout": "The grading model took too long to answer. Please try again.",
+    "error.rate_limited": "The grading models are busy right now. Please wait a minute and try again.",
+    "error.bad_output": "The grading model's reply could not be used. Please try again.",
+    "error.upstream": "The grading service is unavailable right now. Please try again shortly.",
+    "error.generic": "Something went wrong",
+    "result.title": "Result",
+    "result.score": "Score",
+    "result.level": "Level",
+    "result.model": "Model:",
+    "result.variety": "Graded as {variety}",
+    "result.repaired": "output repaired",
+    "result.repairedRetries": "output repaired ({n} retries)",
+    "result.cached": "same answers graded earlier, result reused",
+    "result.defaulted": "Incomplete grading: the model's reply was still malformed after repair attempts.",
+    "result.defaultedMissing": "Missing from it: {fields}.",
+    "result.defaultedScores": "Missing part scores were estimated from the rest of the reply.",
+    "result.caution": "Treat this result with caution.",
+    "result.degraded": "Offline estimate: the grading model was unavailable, so this score comes from automated checks only.",
+    "result.lowConfidence": "Low confidence: the grading models disagreed.",
+    "result.lowConfidenceSpread": "Low confidence: the grading models disagreed (scores {spread} points apart, agreement {agreement}%).",
+    "result.roughEstimate": "Treat this score as a rough estimate.",
+    "result.ensemble": "Ensemble of {n} verdicts ({aggregate}), agreement {agreement}%",
+    "result.failed": "failed: {error}",
+    "result.integrity": "Flagged for review: some signs suggest parts of these answers were not written here by the learner. The score is unchanged; a coach may take a look.",
+    "result.byPart": "By part",
+    "result.why": "Why",
+    "result.suggestions": "Suggestions",
+    "result.noSuggestions": "The grader returned no suggestions.",
+    "result.fluency": "Fluency:",
+    "result.wpm": "{n} words/min",
+    "result.fillers": "fillers: {n}",
+    "result.pauses": "long pauses: {n}",
+    "result.longest": "longest {n}s",
+    "result.unclear": "Possibly unclear:",
+    "result.unclearHint": "Words the speech recognizer was least sure of. Often a sound to practise, but noise and names can cause it too.",
+    "result.spoken": "{n}s spoken",
+    "cert.withdraw": "Withdraw certificate",
+    "cert.withdrawConfirm": "Every shared copy will show as revoked, and this result can't be certified again.",
+    "cert.keep": "Keep it",
+    "cert.withdrawn": "You withdrew the certificate for this result.",
+    "cert.withdrawFailed": "Could not withdraw the certificate",
+    "cert.share": "Share as certificate",
+    "cert.creating": "Creating…",
+    "cert.createFailed": "Could not create the certificate",
+    "cert.title": "Certificate",
+    "cert.public": "Anyone with this link can see your name, score, level, date and grading model, and check that the certificate is genuine.",
+    "cert.link": "Certificate link",
+    "cert.copy": "Copy link",
+    "cert.copied": "Copied",
+    "cert.copyFailed": "Copy failed; select the link and copy it manually.",
+    "cert.shareMenu": "Share…",
+    "cert.shareTitle": "My English level",
+    "cert.shareText": "I scored {score}/10 ({level}) on the English Native Check.",
+    "progress.checks": "Automated checks done: {n} issue(s) found.",
+    "progress.checksClean": "Automated checks done: no issues.",
+    "progress.attempt": "Trying {model}…",
+    "progress.attemptPlain": "Trying {model} again without JSON mode…",
+    "progress.fallback": "{from} failed ({error}); switching to {to}.",
+    "progress.verdict": "{model} scored {score}/10.",
+    "progress.verdictSample": "{model} (sample {n}) scored {score}/10.",
+    "progress.repair": "Reply from {model} failed validation ({n} problem(s)); asking it to fix them ({attempt}/{of})…",
+    "progress.reorder": "Some models are failing right now; trying them last ({models}).",
+    "progress.degraded": "All models failed ({error}); using the offline estimate.",
+    "progress.cache": "These answers were graded before by {model}; reusing that result.",
+    "footer.api": "API:",
+    "footer.model": "Model:",
+    "footer.unknown": "unknown",
+    "footer.madeWith": "Made with {frontend} (frontend) and {backend} (backend).",
+    "footer.deployed": "Deployed on {frontend} & {backend}.",
+    "variety.us": "American English (US)",
+    "variety.uk": "British English (UK)",
+    "variety.in": "Indian English",
+    "variety.au": "Australian English",
+    "practice.title": "Practice drills",
+    "practice.intro": "Short exercises aimed at what your assessments found weak. Answers are checked instantly, and your first try at each one counts toward your mastery of that skill.",
+    "practice.mastery": "Your mastery",
+    "practice.notPracticed": "not practiced yet",
+    "practice.level": "{level}% · {n} tried",
+    "practice.mastered": "mastered",
+    "practice.fromLatest": "Drill my latest result",
+    "practice.fromMastery": "Drill what I haven't mastered",
+    "practice.fromResult": "Practice these weak spots",
+    "practice.loading": "Building your drill…",
+    "practice.focus": "Focus: {skills}",
+    "practice.hint": "Hint: {hint}",
+    "practice.answer": "Your answer",
+    "practice.check": "Check",
+    "practice.correct": "Correct!",
+    "practice.incorrect": "Not quite.",
+    "practice.expected": "Answer: {expected}",
+    "practice.notCounted": "Only your first try counts toward mastery.",
+    "practice.progress": "{correct} correct so far ({answered} of {total} answered).",
+    "practice.done": "Drill finished: {correct} of {total} correct.",
+    "practice.lastNew": "These are the last new {skill} exercises. Later drills will repeat the ones you answered longest ago.",
+    "practice.repeats": "You have answered every {skill} exercise, so this drill repeats the ones you answered longest ago.",
+    "practice.exhausted": "You have answered every {skill} exercise, so this drill covers your other skills instead.",
+    "practice.masteryFailed": "Could not load your mastery",
+    "practice.startFailed": "Could not start a drill",
+    "skill.thirdConditional": "Third conditional",
+    "skill.idioms": "Idioms in context",
+    "skill.collocations": "Collocations",
+    "skill.articles": "Articles",
+    "skill.tense": "Tenses",
+    "level.Beginner": "Beginner",
+    "level.Intermediate": "Intermediate",
+    "level.Advanced": "Advanced",
+    "level.Near-native": "Near-native",
+    "level.Native-like": "Native-like",
+    "login.signIn": "Sign in",
+    "login.signUp": "Sign up",
+    "login.create": "Create an account",
+    "login.haveAccount": "I already have an account",
+    "login.intro": "Sign in to take the check and keep a history of your results.",
+    "login.name": "Name (optional)",
+    "login.email": "Email",
+    "login.password": "Password",
+    "login.passwordHint": "At least 8 characters.",
+    "login.wait": "Please wait…",
+    "login.failed": "Sign-in failed",
+    "recorder.start": "Start recording",
+    "recorder.stop": "Stop",
+    "recorder.again": "Record again",
+    "recorder.recorded": "Recorded {time}",
+    "recorder.limit": "Up to {time}",
+    "recorder.unsupported": "This browser cannot record audio.",
+    "recorder.denied": "Microphone access was denied. Allow it in the browser settings and try again.",
+    "annotation.yours": "Your answer",
+    "annotation.corrected": "Corrected answer",
+    "annotation.marked": "{n} marked",
+    "annotation.apply": "Apply fixes",
+    "annotation.showMine": "Show my answer",
+    "annotation.delete": "delete",
+    "annotation.tense": "Tense",
+    "annotation.collocation": "Collocation",
+    "annotation.article": "Article",
+    "annotation.punctuation": "Punctuation",
+    "annotation.idiom": "Idiom",
+    "adaptive.intro": "{n} questions, one at a time. Each answer is graded before the next question is chosen: strong answers lead to harder questions, weaker ones to easier questions.",
+    "adaptive.start": "Start",
+    "adaptive.starting": "Starting…",
+    "adaptive.again": "Take it again",
+    "adaptive.progress": "Question {step} of {n}",
+    "adaptive.question": "Question {step}",
+    "adaptive.estimate": "Running estimate: {score}/10",
+    "adaptive.previous": "Previous answer ({title}): {score}/10.",
+    "adaptive.next": "Next",
+    "adaptive.finish": "Finish",
+    "history.intro": "Your attempts, newest first.",
+    "history.staffIntro": "Your own attempts are shown by default. Paste a learner's ID to view their progress.",
+    "history.learnerTitle": "{name}: attempts",
+    "history.learnerIntro": "All of this learner's attempts, newest first.",
+    "history.learnerId": "Learner ID",
+    "history.load": "Load",
+    "history.yourId": "Your learner ID (share it with your coach):",
+    "history.loadFailed": "Could not load history",
+    "history.offline": "Offline: showing the results saved on this device on {time}.",
+    "history.empty": "No attempts yet.",
+    "history.offlineEstimate": "offline estimate",
+    "history.integrity": "integrity review",
+    "history.more": "Load older attempts ({n} more)",
+    "history.chart": "Score over time",
+    "history.chartCaption": "Score over time (orange = offline estimate)",
+    "cohorts.intro": "Join your coach's group with the invite code they gave you. Your coach will see the attempts you make after joining.",
+    "cohorts.staffIntro": "Create a group, share its invite code with your learners and follow their progress together.",
+    "cohorts.loadFailed": "Could not load cohorts",
+    "cohorts.yours": "Your cohorts",
+    "cohorts.none": "No cohorts yet.",
+    "cohorts.learner": "{n} learner",
+    "cohorts.learners": "{n} learners",
+    "cohorts.code": "code",
+    "cohorts.newName": "New cohort name",
+    "cohorts.create": "Create",
+    "cohorts.member": "Groups you are in",
+    "cohorts.notJoined": "You haven't joined a cohort.",
+    "cohorts.coach": "coach: {name}",
+    "cohorts.leave": "Leave",
+    "cohorts.inviteCode": "Invite code",
+    "cohorts.codePlaceholder": "INVITE CODE",
+    "cohorts.join": "Join",
+    "dashboard.back": "All cohorts",
+    "dashboard.scope": "covers attempts made after each learner joined",
+    "dashboard.loadFailed": "Could not load the dashboard",
+    "dashboard.export": "Export CSV",
+    "dashboard.exporting": "Exporting…",
+    "dashboard.filter": "Filter by test",
+    "dashboard.allTests": "All tests",
+    "dashboard.learners": "Learners",
+    "dashboard.attempts": "Attempts",
+    "dashboard.mean": "Mean latest score",
+    "dashboard.empty": "No attempts yet. Share the invite code to get started.",
+    "dashboard.distributionTitle": "Score distribution (latest attempt per learner)",
+    "dashboard.distribution": "Score distribution",
+    "dashboard.weakest": "Weakest parts",
+    "dashboard.part": "Part",
+    "dashboard.test": "Test",
+    "dashboard.partMean": "Mean",
+    "dashboard.below5": "Below 5",
+    "dashboard.themes": "Common suggestion themes",
+    "dashboard.noLearners": "Nobody has joined yet.",
+    "dashboard.learnerOne": "{n} attempt · latest {score}/10 ({level}) · best {best}",
+    "dashboard.learnerMany": "{n} attempts · latest {score}/10 ({level}) · best {best}",
+    "dashboard.learnerNone": "no attempts yet",
+    "review.title": "Duplicate review",
+    "review.intro": "Submissions with long answers that closely match another learner's answer to the same part. A match can be innocent (a shared class handout), so compare the texts before confirming.",
+    "review.open": "Open",
+    "review.confirmed": "Confirmed",
+    "review.dismissed": "Dismissed",
+    "review.none.open": "No open flags.",
+    "review.none.confirmed": "No confirmed flags.",
+    "review.none.dismissed": "No dismissed flags.",
+    "review.loadFailed": "Could not load flags",
+    "review.updateFailed": "Could not update the flag",
+    "review.match": "{n} match, up to {similarity}% similar",
+    "review.matches": "{n} matches, up to {similarity}% similar",
+    "review.compare": "Compare",
+    "review.hide": "Hide",
+    "review.note": "Note: {note}",
+    "review.more": "Load more",
+    "review.answersFailed": "Could not load the answers",
+    "review.loadingAnswers": "Loading answers…",
+    "review.similarTo": "Part {part} · {similarity}% similar to {name}",
+    "review.gone": "Result no longer available.",
+    "review.otherLearner": "a learner outside your cohorts",
+    "review.hiddenAnswers": "Only coaches of this learner can open their answers.",
+    "review.notePlaceholder": "Note (optional)",
+    "review.noteLabel": "Review note",
+    "review.confirm": "Confirm copying",
+    "review.dismiss": "Dismiss",
+    "review.reopen": "Reopen",
+  },
+  es: {
+    "app.byline": "Proyecto de AI Lab de {author}, con {provider} (agregador de varios modelos).",
+    "app.intro": "Responde {count} preguntas para evaluar lo cerca que estás de un {target}.",
+    "app.introFew": "unas pocas",
+    "app.target": "hablante nativo de inglés",
+    "app.wakeNote": "La primera vez en el plan gratuito puede tardar unos segundos mientras el servidor se activa.",
+    "app.signedIn": "Sesión iniciada como {name}",
+    "app.signOut": "Cerrar sesión",
+    "app.signOutPending": "Hay {n} envío(s) en este dispositivo sin mandar. Al cerrar sesión se borrarán. ¿Cerrar sesión de todos modos?",
+    "app.connecting": "Conectando…",
+    "app.uiLanguage": "Idioma",
+    "tab.check": "Evaluar",
+    "tab.history": "Historial",
+    "tab.cohorts": "Grupos",
+    "tab.review": "Revisión",
+    "tab.practice": "Práctica",
+    "form.test": "Prueba",
+    "form.loading": "Cargando preguntas…",
+    "form.part": "Parte {n}",
+    "form.variety": "Variedad de inglés",
+    "form.varietyHelp": "La ortografía, el vocabulario y las expresiones de esta variedad se consideran correctos.",
+    "form.feedbackLanguage": "Idioma de los comentarios",
+    "form.feedbackHelp": "Las explicaciones y sugerencias se escriben en este idioma; las tareas siguen en inglés.",
+    "form.mock": "Usar respuesta simulada (en el servidor)",
+    "form.ensemble": "Evaluar con varios modelos (más lento, más fiable)",
+    "form.submit": "Evaluar",
+    "form.submitting": "Enviando…",
+    "form.template": "Usa exactamente esta plantilla de frase:",
+    "status.loading": "Cargando",
+    "status.waking": "Activando el servidor…",
+    "status.grading": "Evaluando…",
+    "status.transcribing": "Transcribiendo y evaluando…",
+    "status.offline": "Estás sin conexión. Tus respuestas se guardan en este dispositivo y se enviarán cuando vuelvas a conectarte.",
+    "status.draftRestored": "Se recuperaron tus respuestas sin enviar (guardadas el {time}).",
+    "queue.saved": "No se pudo contactar con el servidor, así que tus respuestas se guardaron en este dispositivo y se enviarán automáticamente. El resultado aparecerá aquí, o en Historial si sales.",
+    "queue.pending": "Envíos pendientes: {n}. Se enviarán automáticamente cuando el servidor esté disponible.",
+    "queue.retry": "Reintentar ahora",
+    "queue.failed": "Se rechazó un envío guardado: {error}",
+    "queue.dismiss": "Descartar",
+    "queue.delivered": "Se evaluó un envío guardado; lo encontrarás en Historial.",
+    "error.label": "Error:",
+    "error.tests": "No se pudieron cargar las pruebas ({reason}). Recarga la página para volver a intentarlo.",
+    "error.test": "No se pudo cargar la prueba \"{id}\" ({reason}).",
+    "error.network": "error de red",
+    "error.expired": "Tu sesión ha caducado. Vuelve a iniciar sesión; tus respuestas se conservan.",
+    "error.submit": "No se pudo enviar",
+    "error.request": "{message} (solicitud {id})",
+    "error.timeout": "El modelo evaluador tardó demasiado en responder. Inténtalo de nuevo.",
+    "error.rate_limited": "Los modelos evaluadores están ocupados. Espera un minuto e inténtalo de nuevo.",
+    "error.bad_output": "No se pudo usar la respuesta del modelo evaluador. Inténtalo de nuevo.",
+    "error.upstream": "El servicio de evaluación no está disponible ahora. Inténtalo de nuevo en breve.",
+    "error.generic": "Algo salió mal",
+    "result.title": "Resultado",
+    "result.score": "Puntuación",
+    "result.level": "Nivel",
+    "result.model": "Modelo:",
+    "result.variety": "Evaluado como {variety}",
+    "result.repaired": "respuesta reparada",
+    "result.repairedRetries": "respuesta reparada ({n} reintentos)",
+    "result.cached": "las mismas respuestas ya se evaluaron; se reutiliza el resultado",
+    "result.defaulted": "Evaluación incompleta: la respuesta del modelo seguía mal formada tras los intentos de reparación.",
+    "result.defaultedMissing": "Faltaba: {fields}.",
+    "result.defaultedScores": "Las puntuaciones de partes que faltaban se estimaron a partir del resto de la respuesta.",
+    "result.caution": "Toma este resultado con cautela.",
+    "result.degraded": "Estimación sin conexión: el modelo evaluador no estaba disponible, así que esta puntuación procede solo de comprobaciones automáticas.",
+    "result.lowConfidence": "Confianza baja: los modelos evaluadores no coincidieron.",
+    "result.lowConfidenceSpread": "Confianza baja: los modelos evaluadores no coincidieron (puntuaciones a {spread} puntos de distancia, acuerdo del {agreement}%).",
+    "result.roughEstimate": "Toma esta puntuación como una estimación aproximada.",
+    "result.ensemble": "Conjunto de {n} veredictos ({aggregate}), acuerdo del {agreement}%",
+    "result.failed": "falló: {error}",
+    "result.integrity": "Marcado para revisión: algunas señales indican que partes de estas respuestas no se escribieron aquí por el estudiante. La puntuación no cambia; un tutor puede revisarla.",
+    "result.byPart": "Por parte",
+    "result.why": "Por qué",
+    "result.suggestions": "Sugerencias",
+    "result.noSuggestions": "El evaluador no devolvió sugerencias.",
+    "result.fluency": "Fluidez:",
+    "result.wpm": "{n} palabras/min",
+    "result.fillers": "muletillas: {n}",
+    "result.pauses": "pausas largas: {n}",
+    "result.longest": "la más larga {n} s",
+    "result.unclear": "Posiblemente poco claras:",
+    "result.unclearHint": "Palabras que el reconocimiento de voz entendió con menos seguridad. Suele ser un sonido que practicar, aunque el ruido y los nombres propios también influyen.",
+    "result.spoken": "{n} s hablados",
+    "cert.withdraw": "Retirar certificado",
+    "cert.withdrawConfirm": "Todas las copias compartidas aparecerán como revocadas y este resultado no podrá certificarse de nuevo.",
+    "cert.keep": "Conservarlo",
+    "cert.withdrawn": "Retiraste el certificado de este resultado.",
+    "cert.withdrawFailed": "No se pudo retirar el certificado",
+    "cert.share": "Compartir como certificado",
+    "cert.creating": "Creando…",
+    "cert.createFailed": "No se pudo crear el certificado",
+    "cert.title": "Certificado",
+    "cert.public": "Cualquiera con este enlace puede ver tu nombre, puntuación, nivel, fecha y modelo evaluador, y comprobar que el certificado es auténtico.",
+    "cert.link": "Enlace del certificado",
+    "cert.copy": "Copiar enlace",
+    "cert.copied": "Copiado",
+    "cert.copyFailed": "No se pudo copiar; selecciona el enlace y cópialo a mano.",
+    "cert.shareMenu": "Compartir…",
+    "cert.shareTitle": "Mi nivel de inglés",
+    "cert.shareText": "Obtuve {score}/10 ({level}) en English Native Check.",
+    "progress.checks": "Comprobaciones automáticas terminadas: {n} problema(s) encontrado(s).",
+    "progress.checksClean": "Comprobaciones automáticas terminadas: sin problemas.",
+    "progress.attempt": "Probando {model}…",
+    "progress.attemptPlain": "Probando {model} de nuevo sin modo JSON…",
+    "progress.fallback": "{from} falló ({error}); cambiando a {to}.",
+    "progress.verdict": "{model} dio {score}/10.",
+    "progress.verdictSample": "{model} (muestra {n}) dio {score}/10.",
+    "progress.repair": "La respuesta de {model} no pasó la validación ({n} problema(s)); pidiéndole que los corrija ({attempt}/{of})…",
+    "progress.reorder": "Algunos modelos están fallando ahora; se probarán al final ({models}).",
+    "progress.degraded": "Todos los modelos fallaron ({error}); se usa la estimación sin conexión.",
+    "progress.cache": "{model} ya evaluó estas respuestas; se reutiliza ese resultado.",
+    "footer.api": "API:",
+    "footer.model": "Modelo:",
+    "footer.unknown": "desconocido",
+    "footer.madeWith": "Hecho con {frontend} (frontend) y {backend} (backend).",
+    "footer.deployed": "Desplegado en {frontend} y {backend}.",
+    "variety.us": "inglés estadounidense (EE. UU.)",
+    "variety.uk": "inglés británico (Reino Unido)",
+    "variety.in": "inglés de la India",
+    "variety.au": "inglés australiano",
+    "practice.title": "Ejercicios de práctica",
+    "practice.intro": "Ejercicios breves centrados en lo que tus evaluaciones señalaron como débil. Las respuestas se corrigen al instante y tu primer intento en cada una cuenta para tu dominio de esa destreza.",
+    "practice.mastery": "Tu dominio",
+    "practice.notPracticed": "aún sin practicar",
+    "practice.level": "{level}% · {n} intentados",
+    "practice.mastered": "dominado",
+    "practice.fromLatest": "Practicar mi último resultado",
+    "practice.fromMastery": "Practicar lo que aún no domino",
+    "practice.fromResult": "Practicar estos puntos débiles",
+    "practice.loading": "Preparando tus ejercicios…",
+    "practice.focus": "Enfoque: {skills}",
+    "practice.hint": "Pista: {hint}",
+    "practice.answer": "Tu respuesta",
+    "practice.check": "Comprobar",
+    "practice.correct": "¡Correcto!",
+    "practice.incorrect": "No del todo.",
+    "practice.expected": "Respuesta: {expected}",
+    "practice.notCounted": "Solo tu primer intento cuenta para el dominio.",
+    "practice.progress": "{correct} correctas por ahora ({answered} de {total} respondidas).",
+    "practice.done": "Ejercicios terminados: {correct} de {total} correctas.",
+    "practice.lastNew": "Estos son los últimos ejercicios nuevos de {skill}. Las próximas tandas repetirán los que respondiste hace más tiempo.",
+    "practice.repeats": "Ya respondiste todos los ejercicios de {skill}, así que esta tanda repite los que respondiste hace más tiempo.",
+    "practice.exhausted": "Ya respondiste todos los ejercicios de {skill}, así que esta tanda se centra en tus otras destrezas.",
+    "practice.masteryFailed": "No se pudo cargar tu dominio",
+    "practice.startFailed": "No se pudo empezar el ejercicio",
+    "skill.thirdConditional": "Tercer condicional",
+    "skill.idioms": "Modismos en contexto",
+    "skill.collocations": "Colocaciones",
+    "skill.articles": "Artículos",
+    "skill.tense": "Tiempos verbales",
+    "level.Beginner": "Principiante",
+    "level.Intermediate": "Intermedio",
+    "level.Advanced": "Avanzado",
+    "level.Near-native": "Casi nativo",
+    "level.Native-like": "Como nativo",
+    "login.signIn": "Iniciar sesión",
+    "login.signUp": "Registrarse",
+    "login.create": "Crear una cuenta",
+    "login.haveAccount": "Ya tengo una cuenta",
+    "login.intro": "Inicia sesión para hacer la prueba y guardar el historial de tus resultados.",
+    "login.name": "Nombre (opcional)",
+    "login.email": "Correo electrónico",
+    "login.password": "Contraseña",
+    "login.passwordHint": "Al menos 8 caracteres.",
+    "login.wait": "Espera…",
+    "login.failed": "No se pudo iniciar sesión",
+    "recorder.start": "Empezar a grabar",
+    "recorder.stop": "Detener",
+    "recorder.again": "Grabar de nuevo",
+    "recorder.recorded": "Grabado {time}",
+    "recorder.limit": "Hasta {time}",
+    "recorder.unsupported": "Este navegador no puede grabar audio.",
+    "recorder.denied": "Se denegó el acceso al micrófono. Permítelo en la configuración del navegador e inténtalo de nuevo.",
+    "annotation.yours": "Tu respuesta",
+    "annotation.corrected": "Respuesta corregida",
+    "annotation.marked": "{n} marcados",
+    "annotation.apply": "Aplicar correcciones",
+    "annotation.showMine": "Ver mi respuesta",
+    "annotation.delete": "eliminar",
+    "annotation.tense": "Tiempo verbal",
+    "annotation.collocation": "Colocación",
+    "annotation.article": "Artículo",
+    "annotation.punctuation": "Puntuación",
+    "annotation.idiom": "Expresión idiomática",
+    "adaptive.intro": "{n} preguntas, una a una. Cada respuesta se evalúa antes de elegir la siguiente pregunta: las respuestas buenas llevan a preguntas más difíciles y las más flojas, a preguntas más fáciles.",
+    "adaptive.start": "Empezar",
+    "adaptive.starting": "Empezando…",
+    "adaptive.again": "Hacerla de nuevo",
+    "adaptive.progress": "Pregunta {step} de {n}",
+    "adaptive.question": "Pregunta {step}",
+    "adaptive.estimate": "Estimación actual: {score}/10",
+    "adaptive.previous": "Respuesta anterior ({title}): {score}/10.",
+    "adaptive.next": "Siguiente",
+    "adaptive.finish": "Terminar",
+    "history.intro": "Tus intentos, del más reciente al más antiguo.",
+    "history.staffIntro": "Por defecto se muestran tus propios intentos. Pega el ID de un estudiante para ver su progreso.",
+    "history.learnerTitle": "{name}: intentos",
+    "history.learnerIntro": "Todos los intentos de este estudiante, del más reciente al más antiguo.",
+    "history.learnerId": "ID del estudiante",
+    "history.load": "Cargar",
+    "history.yourId": "Tu ID de estudiante (compártelo con tu profesor):",
+    "history.loadFailed": "No se pudo cargar el historial",
+    "history.offline": "Sin conexión: se muestran los resultados guardados en este dispositivo el {time}.",
+    "history.empty": "Todavía no hay intentos.",
+    "history.offlineEstimate": "estimación sin conexión",
+    "history.integrity": "revisión de integridad",
+    "history.more": "Cargar intentos anteriores ({n} más)",
+    "history.chart": "Puntuación a lo largo del tiempo",
+    "history.chartCaption": "Puntuación a lo largo del tiempo (naranja = estimación sin conexión)",
+    "cohorts.intro": "Únete al grupo de tu profesor con el código de invitación que te dio. Tu profesor verá los intentos que hagas después de unirte.",
+    "cohorts.staffIntro": "Crea un grupo, comparte su código de invitación con tus estudiantes y sigue su progreso en conjunto.",
+    "cohorts.loadFailed": "No se pudieron cargar los grupos",
+    "cohorts.yours": "Tus grupos",
+    "cohorts.none": "Todavía no hay grupos.",
+    "cohorts.learner": "{n} estudiante",
+    "cohorts.learners": "{n} estudiantes",
+    "cohorts.code": "código",
+    "cohorts.newName": "Nombre del nuevo grupo",
+    "cohorts.create": "Crear",
+    "cohorts.member": "Grupos de los que formas parte",
+    "cohorts.notJoined": "No te has unido a ningún grupo.",
+    "cohorts.coach": "profesor: {name}",
+    "cohorts.leave": "Salir",
+    "cohorts.inviteCode": "Código de invitación",
+    "cohorts.codePlaceholder": "CÓDIGO",
+    "cohorts.join": "Unirse",
+    "dashboard.back": "Todos los grupos",
+    "dashboard.scope": "incluye los intentos hechos después de que cada estudiante se uniera",
+    "dashboard.loadFailed": "No se pudo cargar el panel",
+    "dashboard.export": "Exportar CSV",
+    "dashboard.exporting": "Exportando…",
+    "dashboard.filter": "Filtrar por prueba",
+    "dashboard.allTests": "Todas las pruebas",
+    "dashboard.learners": "Estudiantes",
+    "dashboard.attempts": "Intentos",
+    "dashboard.mean": "Media de la última puntuación",
+    "dashboard.empty": "Todavía no hay intentos. Comparte el código de invitación para empezar.",
+    "dashboard.distributionTitle": "Distribución de puntuaciones (último intento de cada estudiante)",
+    "dashboard.distribution": "Distribución de puntuaciones",
+    "dashboard.weakest": "Partes más flojas",
+    "dashboard.part": "Parte",
+    "dashboard.test": "Prueba",
+    "dashboard.partMean": "Media",
+    "dashboard.below5": "Menos de 5",
+    "dashboard.themes": "Temas de sugerencia frecuentes",
+    "dashboard.noLearners": "Todavía no se ha unido nadie.",
+    "dashboard.learnerOne": "{n} intento · último {score}/10 ({level}) · mejor {best}",
+    "dashboard.learnerMany": "{n} intentos · último {score}/10 ({level}) · mejor {best}",
+    "dashboard.learnerNone": "todavía sin intentos",
+    "review.title": "Revisión de duplicados",
+    "review.intro": "Envíos con respuestas largas muy parecidas a la respuesta de otro estudiante en la misma parte. Una coincidencia puede ser inocente (un material de clase compartido), así que compara los textos antes de confirmar.",
+    "review.open": "Abiertos",
+    "review.confirmed": "Confirmados",
+    "review.dismissed": "Descartados",
+    "review.none.open": "No hay avisos abiertos.",
+    "review.none.confirmed": "No hay avisos confirmados.",
+    "review.none.dismissed": "No hay avisos descartados.",
+    "review.loadFailed": "No se pudieron cargar los avisos",
+    "review.updateFailed": "No se pudo actualizar el aviso",
+    "review.match": "{n} coincidencia, hasta un {similarity}% de similitud",
+    "review.matches": "{n} coincidencias, hasta un {similarity}% de similitud",
+    "review.compare": "Comparar",
+    "review.hide": "Ocultar",
+    "review.note": "Nota: {note}",
+    "review.more": "Cargar más",
+    "review.answersFailed": "No se pudieron cargar las respuestas",
+    "review.loadingAnswers": "Cargando respuestas…",
+    "review.similarTo": "Parte {part} · {similarity}% de similitud con {name}",
+    "review.gone": "El resultado ya no está disponible.",
+    "review.otherLearner": "un estudiante de fuera de tus grupos",
+    "review.hiddenAnswers": "Solo los profesores de este estudiante pueden abrir sus respuestas.",
+    "review.notePlaceholder": "Nota (opcional)",
+    "review.noteLabel": "Nota de revisión",
+    "review.confirm": "Confirmar copia",
+    "review.dismiss": "Descartar",
+    "review.reopen": "Reabrir",
+  },
+  hi: {
+    "app.byline": "{author} का AI Lab प्रोजेक्ट, {provider} (मल्टी-मॉडल एग्रीगेटर) द्वारा संचालित।",
+    "app.intro": "{count} प्रश्नों के उत्तर दें और जानें कि आप एक {target} के कितने करीब हैं।",
+    "app.introFew": "कुछ",
+    "app.target": "मूल अंग्रेज़ी भाषी",
+    "app.wakeNote": "फ़्री टियर पर पहली बार सर्वर चालू होने में कुछ सेकंड लग सकते हैं।",
+    "app.signedIn": "{name} के रूप में साइन इन",
+    "app.signOut": "साइन आउट",
+    "app.signOutPending": "इस डिवाइस पर {n} सबमिशन अभी भेजे नहीं गए हैं। साइन आउट करने पर वे मिट जाएँगे। फिर भी साइन आउट करें?",
+    "app.connecting": "कनेक्ट हो रहा है…",
+    "app.uiLanguage": "भाषा",
+    "tab.check": "जाँच",
+    "tab.history": "इतिहास",
+    "tab.cohorts": "समूह",
+    "tab.review": "समीक्षा",
+    "tab.practice": "अभ्यास",
+    "form.test": "टेस्ट",
+    "form.loading": "प्रश्न लोड हो रहे हैं…",
+    "form.part": "भाग {n}",
+    "form.variety": "अंग्रेज़ी का प्रकार",
+    "form.varietyHelp": "इस प्रकार की वर्तनी, शब्दावली और मुहावरे सही माने जाते हैं।",
+    "form.feedbackLanguage": "फ़ीडबैक की भाषा",
+    "form.feedbackHelp": "कारण और सुझाव इसी भाषा में लिखे जाते हैं; प्रश्न अंग्रेज़ी में ही रहते हैं।",
+    "form.mock": "मॉक उत्तर का उपयोग करें (सर्वर पर)",
+    "form.ensemble": "कई मॉडलों से जाँच करें (धीमा, अधिक भरोसेमंद)",
+    "form.submit": "जाँचें",
+    "form.submitting": "भेजा जा रहा है…",
+    "form.template": "ठीक इसी वाक्य-ढाँचे का उपयोग करें:",
+    "status.loading": "लोड हो रहा है",
+    "status.waking": "सर्वर चालू हो रहा है…",
+    "status.grading": "जाँच हो रही है…",
+    "status.transcribing": "लिप्यंतरण और जाँच हो रही है…",
+    "status.offline": "आप ऑफ़लाइन हैं। आपके उत्तर इसी डिवाइस पर सहेजे गए हैं और दोबारा कनेक्ट होने पर भेज दिए जाएँगे।",
+    "status.draftRestored": "आपके न भेजे गए उत्तर वापस लाए गए ({time} को सहेजे गए)।",
+    "queue.saved": "सर्वर से संपर्क नहीं हो सका, इसलिए आपके उत्तर इसी डिवाइस पर सहेज लिए गए हैं और अपने-आप भेज दिए जाएँगे। परिणाम यहाँ दिखेगा, या पेज छोड़ने पर इतिहास में।",
+    "queue.pending": "भेजे जाने की प्रतीक्षा में सबमिशन: {n}। सर्वर उपलब्ध होते ही ये अपने-आप भेज दिए जाएँगे।",
+    "queue.retry": "अभी फिर कोशिश करें",
+    "queue.failed": "एक सहेजा गया सबमिशन अस्वीकार हुआ: {error}",
+    "queue.dismiss": "हटाएँ",
+    "queue.delivered": "एक सहेजे गए सबमिशन की जाँच हो गई है; यह आपको इतिहास में मिलेगा।",
+    "error.label": "त्रुटि:",
+    "error.tests": "टेस्ट लोड नहीं हो सके ({reason})। दोबारा कोशिश करने के लिए पेज रीलोड करें।",
+    "error.test": "टेस्ट \"{id}\" लोड नहीं हो सका ({reason})।",
+    "error.network": "नेटवर्क त्रुटि",
+    "error.expired": "आपका सत्र समाप्त हो गया है। कृपया फिर से साइन इन करें; आपके उत्तर सुरक्षित हैं।",
+    "error.submit": "भेजना विफल रहा",
+    "error.request": "{message} (अनुरोध {id})",
+    "error.timeout": "जाँच करने वाले मॉडल ने उत्तर देने में बहुत समय लिया। कृपया फिर से कोशिश करें।",
+    "error.rate_limited": "जाँच करने वाले मॉडल अभी व्यस्त हैं। एक मिनट रुककर फिर से कोशिश करें।",
+    "error.bad_output": "जाँच करने वाले मॉडल का उत्तर इस्तेमाल नहीं हो सका। कृपया फिर से कोशिश करें।",
+    "error.upstream": "जाँच सेवा अभी उपलब्ध नहीं है। थोड़ी देर में फिर से कोशिश करें।",
+    "error.generic": "कुछ गड़बड़ हो गई",
+    "result.title": "परिणाम",
+    "result.score": "अंक",
+    "result.level": "स्तर",
+    "result.model": "मॉडल:",
+    "result.variety": "{variety} के अनुसार जाँचा गया",
+    "result.repaired": "उत्तर सुधारा गया",
+    "result.repairedRetries": "उत्तर सुधारा गया ({n} बार दोबारा)",
+    "result.cached": "यही उत्तर पहले जाँचे जा चुके हैं, वही परिणाम दिखाया गया",
+    "result.defaulted": "अधूरी जाँच: सुधार के प्रयासों के बाद भी मॉडल का उत्तर ठीक नहीं था।",
+    "result.defaultedMissing": "इसमें नहीं था: {fields}।",
+    "result.defaultedScores": "छूटे हुए भागों के अंक बाकी उत्तर से अनुमानित किए गए।",
+    "result.caution": "इस परिणाम को सावधानी से लें।",
+    "result.degraded": "ऑफ़लाइन अनुमान: जाँच करने वाला मॉडल उपलब्ध नहीं था, इसलिए ये अंक केवल स्वचालित जाँचों पर आधारित हैं।",
+    "result.lowConfidence": "कम भरोसा: जाँच करने वाले मॉडल सहमत नहीं थे।",
+    "result.lowConfidenceSpread": "कम भरोसा: जाँच करने वाले मॉडल सहमत नहीं थे (अंकों में {spread} का अंतर, {agreement}% सहमति)।",
+    "result.roughEstimate": "इन अंकों को मोटा अनुमान मानें।",
+    "result.ensemble": "{n} निर्णयों का समूह ({aggregate}), {agreement}% सहमति",
+    "result.failed": "विफल: {error}",
+    "result.integrity": "समीक्षा के लिए चिह्नित: कुछ संकेत बताते हैं कि इन उत्तरों के कुछ हिस्से शिक्षार्थी ने यहाँ नहीं लिखे। अंक नहीं बदले गए हैं; कोई कोच इसे देख सकता है।",
+    "result.byPart": "भाग के अनुसार",
+    "result.why": "क्यों",
+    "result.suggestions": "सुझाव",
+    "result.noSuggestions": "जाँचकर्ता ने कोई सुझाव नहीं दिया।",
+    "result.fluency": "प्रवाह:",
+    "result.wpm": "{n} शब्द/मिनट",
+    "result.fillers": "भराव शब्द: {n}",
+    "result.pauses": "लंबे विराम: {n}",
+    "result.longest": "सबसे लंबा {n} सेकंड",
+    "result.unclear": "शायद अस्पष्ट:",
+    "result.unclearHint": "वे शब्द जिन्हें वाक् पहचान सबसे कम भरोसे से समझ पाई। अक्सर यह अभ्यास करने लायक कोई ध्वनि होती है, पर शोर और नाम भी इसका कारण हो सकते हैं।",
+    "result.spoken": "{n} सेकंड बोला गया",
+    "cert.withdraw": "प्रमाणपत्र वापस लें",
+    "cert.withdrawConfirm": "साझा की गई हर प्रति रद्द दिखेगी, और इस परिणाम को दोबारा प्रमाणित नहीं किया जा सकेगा।",
+    "cert.keep": "रहने दें",
+    "cert.withdrawn": "आपने इस परिणाम का प्रमाणपत्र वापस ले लिया है।",
+    "cert.withdrawFailed": "प्रमाणपत्र वापस नहीं लिया जा सका",
+    "cert.share": "प्रमाणपत्र के रूप में साझा करें",
+    "cert.creating": "बनाया जा रहा है…",
+    "cert.createFailed": "प्रमाणपत्र नहीं बन सका",
+    "cert.title": "प्रमाणपत्र",
+    "cert.public": "इस लिंक वाला कोई भी व्यक्ति आपका नाम, अंक, स्तर, तारीख और जाँच करने वाला मॉडल देख सकता है, और जाँच सकता है कि प्रमाणपत्र असली है।",
+    "cert.link": "प्रमाणपत्र का लिंक",
+    "cert.copy": "लिंक कॉपी करें",
+    "cert.copied": "कॉपी हो गया",
+    "cert.copyFailed": "कॉपी नहीं हो सका; लिंक चुनकर खुद कॉपी करें।",
+    "cert.shareMenu": "साझा करें…",
+    "cert.shareTitle": "मेरा अंग्रेज़ी स्तर",
+    "cert.shareText": "English Native Check में मेरे {score}/10 ({level}) अंक आए।",
+    "progress.checks": "स्वचालित जाँच पूरी: {n} समस्या मिली।",
+    "progress.checksClean": "स्वचालित जाँच पूरी: कोई समस्या नहीं।",
+    "progress.attempt": "{model} आज़माया जा रहा है…",
+    "progress.attemptPlain": "{model} को JSON मोड के बिना फिर से आज़माया जा रहा है…",
+    "progress.fallback": "{from} विफल रहा ({error}); {to} पर जा रहे हैं।",
+    "progress.verdict": "{model} ने {score}/10 अंक दिए।",
+    "progress.verdictSample": "{model} (नमूना {n}) ने {score}/10 अंक दिए।",
+    "progress.repair": "{model} का उत्तर सत्यापन में विफल रहा ({n} समस्या); उसे सुधारने को कहा जा रहा है ({attempt}/{of})…",
+    "progress.reorder": "कुछ मॉडल अभी विफल हो रहे हैं; उन्हें अंत में आज़माया जाएगा ({models})।",
+    "progress.degraded": "सभी मॉडल विफल रहे ({error}); ऑफ़लाइन अनुमान का उपयोग हो रहा है।",
+    "progress.cache": "{model} इन उत्तरों को पहले जाँच चुका है; वही परिणाम दिखाया जा रहा है।",
+    "footer.api": "API:",
+    "footer.model": "मॉडल:",
+    "footer.unknown": "अज्ञात",
+    "footer.madeWith": "{frontend} (फ़्रंटएंड) और {backend} (बैकएंड) से बनाया गया।",
+    "footer.deployed": "{frontend} और {backend} पर होस्ट किया गया।",
+    "variety.us": "अमेरिकी अंग्रेज़ी (US)",
+    "variety.uk": "ब्रिटिश अंग्रेज़ी (UK)",
+    "variety.in": "भारतीय अंग्रेज़ी",
+    "variety.au": "ऑस्ट्रेलियाई अंग्रेज़ी",
+    "practice.title": "अभ्यास ड्रिल",
+    "practice.intro": "छोटे अभ्यास, उन बातों पर जिन्हें आपके मूल्यांकनों ने कमज़ोर पाया। उत्तर तुरंत जाँचे जाते हैं, और हर अभ्यास पर आपका पहला प्रयास उस कौशल में आपकी दक्षता में गिना जाता है।",
+    "practice.mastery": "आपकी दक्षता",
+    "practice.notPracticed": "अभी अभ्यास नहीं किया",
+    "practice.level": "{level}% · {n} प्रयास",
+    "practice.mastered": "दक्ष",
+    "practice.fromLatest": "मेरे पिछले परिणाम का अभ्यास",
+    "practice.fromMastery": "जिनमें अभी दक्ष नहीं हूँ उनका अभ्यास",
+    "practice.fromResult": "इन कमज़ोरियों का अभ्यास करें",
+    "practice.loading": "आपका अभ्यास तैयार हो रहा है…",
+    "practice.focus": "केंद्र: {skills}",
+    "practice.hint": "संकेत: {hint}",
+    "practice.answer": "आपका उत्तर",
+    "practice.check": "जाँचें",
+    "practice.correct": "सही!",
+    "practice.incorrect": "पूरी तरह सही नहीं।",
+    "practice.expected": "उत्तर: {expected}",
+    "practice.notCounted": "दक्षता में केवल आपका पहला प्रयास गिना जाता है।",
+    "practice.progress": "अब तक {correct} सही ({total} में से {answered} के उत्तर दिए)।",
+    "practice.done": "अभ्यास पूरा: {total} में से {correct} सही।",
+    "practice.lastNew": "{skill} के ये आख़िरी नए अभ्यास हैं। आगे के अभ्यासों में वे दोहराए जाएँगे जिनके उत्तर आपने सबसे पहले दिए थे।",
+    "practice.repeats": "आप {skill} के सभी अभ्यासों के उत्तर दे चुके हैं, इसलिए इसमें वे दोहराए गए हैं जिनके उत्तर आपने सबसे पहले दिए थे।",
+    "practice.exhausted": "आप {skill} के सभी अभ्यासों के उत्तर दे चुके हैं, इसलिए इस अभ्यास में आपके दूसरे कौशल शामिल हैं।",
+    "practice.masteryFailed": "आपकी महारत लोड नहीं हो सकी",
+    "practice.startFailed": "अभ्यास शुरू नहीं हो सका",
+    "skill.thirdConditional": "थर्ड कंडीशनल",
+    "skill.idioms": "संदर्भ में मुहावरे",
+    "skill.collocations": "कोलोकेशन",
+    "skill.articles": "आर्टिकल",
+    "skill.tense": "काल (टेंस)",
+    "level.Beginner": "शुरुआती",
+    "level.Intermediate": "मध्यम",
+    "level.Advanced": "उन्नत",
+    "level.Near-native": "लगभग मूल वक्ता जैसा",
+    "level.Native-like": "मूल वक्ता जैसा",
+    "login.signIn": "साइन इन करें",
+    "login.signUp": "साइन अप करें",
+    "login.create": "खाता बनाएँ",
+    "login.haveAccount": "मेरा खाता पहले से है",
+    "login.intro": "जाँच देने और अपने परिणामों का इतिहास रखने के लिए साइन इन करें।",
+    "login.name": "नाम (वैकल्पिक)",
+    "login.email": "ईमेल",
+    "login.password": "पासवर्ड",
+    "login.passwordHint": "कम से कम 8 अक्षर।",
+    "login.wait": "कृपया प्रतीक्षा करें…",
+    "login.failed": "साइन इन नहीं हो सका",
+    "recorder.start": "रिकॉर्डिंग शुरू करें",
+    "recorder.stop": "रोकें",
+    "recorder.again": "फिर से रिकॉर्ड करें",
+    "recorder.recorded": "{time} रिकॉर्ड हुआ",
+    "recorder.limit": "अधिकतम {time}",
+    "recorder.unsupported": "यह ब्राउज़र ऑडियो रिकॉर्ड नहीं कर सकता।",
+    "recorder.denied": "माइक्रोफ़ोन की अनुमति नहीं मिली। ब्राउज़र सेटिंग में अनुमति दें और फिर से कोशिश करें।",
+    "annotation.yours": "आपका उत्तर",
+    "annotation.corrected": "सुधारा गया उत्तर",
+    "annotation.marked": "{n} चिह्नित",
+    "annotation.apply": "सुधार लागू करें",
+    "annotation.showMine": "मेरा उत्तर दिखाएँ",
+    "annotation.delete": "हटाएँ",
+    "annotation.tense": "काल (टेंस)",
+    "annotation.collocation": "कोलोकेशन",
+    "annotation.article": "आर्टिकल",
+    "annotation.punctuation": "विराम चिह्न",
+    "annotation.idiom": "मुहावरा",
+    "adaptive.intro": "{n} प्रश्न, एक-एक करके। अगला प्रश्न चुनने से पहले हर उत्तर की जाँच होती है: अच्छे उत्तरों के बाद कठिन प्रश्न आते हैं, कमज़ोर उत्तरों के बाद आसान।",
+    "adaptive.start": "शुरू करें",
+    "adaptive.starting": "शुरू हो रहा है…",
+    "adaptive.again": "फिर से दें",
+    "adaptive.progress": "{n} में से प्रश्न {step}",
+    "adaptive.question": "प्रश्न {step}",
+    "adaptive.estimate": "अब तक का अनुमान: {score}/10",
+    "adaptive.previous": "पिछला उत्तर ({title}): {score}/10।",
+    "adaptive.next": "अगला",
+    "adaptive.finish": "समाप्त करें",
+    "history.intro": "आपके प्रयास, नए पहले।",
+    "history.staffIntro": "डिफ़ॉल्ट रूप से आपके अपने प्रयास दिखाए जाते हैं। किसी शिक्षार्थी की प्रगति देखने के लिए उसकी ID चिपकाएँ।",
+    "history.learnerTitle": "{name}: प्रयास",
+    "history.learnerIntro": "इस शिक्षार्थी के सभी प्रयास, नए पहले।",
+    "history.learnerId": "शिक्षार्थी ID",
+    "history.load": "लोड करें",
+    "history.yourId": "आपकी शिक्षार्थी ID (इसे अपने कोच के साथ साझा करें):",
+    "history.loadFailed": "इतिहास लोड नहीं हो सका",
+    "history.offline": "ऑफ़लाइन: {time} को इस डिवाइस पर सहेजे गए परिणाम दिखाए जा रहे हैं।",
+    "history.empty": "अभी तक कोई प्रयास नहीं।",
+    "history.offlineEstimate": "ऑफ़लाइन अनुमान",
+    "history.integrity": "ईमानदारी समीक्षा",
+    "history.more": "पुराने प्रयास लोड करें ({n} और)",
+    "history.chart": "समय के साथ अंक",
+    "history.chartCaption": "समय के साथ अंक (नारंगी = ऑफ़लाइन अनुमान)",
+    "cohorts.intro": "अपने कोच के दिए आमंत्रण कोड से उनके समूह में शामिल हों। शामिल होने के बाद किए गए आपके प्रयास आपके कोच देख सकेंगे।",
+    "cohorts.staffIntro": "एक समूह बनाएँ, उसका आमंत्रण कोड अपने शिक्षार्थियों के साथ साझा करें और उनकी प्रगति एक साथ देखें।",
+    "cohorts.loadFailed": "समूह लोड नहीं हो सके",
+    "cohorts.yours": "आपके समूह",
+    "cohorts.none": "अभी तक कोई समूह नहीं।",
+    "cohorts.learner": "{n} शिक्षार्थी",
+    "cohorts.learners": "{n} शिक्षार्थी",
+    "cohorts.code": "कोड",
+    "cohorts.newName": "नए समूह का नाम",
+    "cohorts.create": "बनाएँ",
+    "cohorts.member": "आप जिन समूहों में हैं",
+    "cohorts.notJoined": "आप किसी समूह में शामिल नहीं हुए हैं।",
+    "cohorts.coach": "कोच: {name}",
+    "cohorts.leave": "छोड़ें",
+    "cohorts.inviteCode": "आमंत्रण कोड",
+    "cohorts.codePlaceholder": "आमंत्रण कोड",
+    "cohorts.join": "शामिल हों",
+    "dashboard.back": "सभी समूह",
+    "dashboard.scope": "हर शिक्षार्थी के शामिल होने के बाद के प्रयास शामिल हैं",
+    "dashboard.loadFailed": "डैशबोर्ड लोड नहीं हो सका",
+    "dashboard.export": "CSV निर्यात करें",
+    "dashboard.exporting": "निर्यात हो रहा है…",
+    "dashboard.filter": "टेस्ट के अनुसार छाँटें",
+    "dashboard.allTests": "सभी टेस्ट",
+    "dashboard.learners": "शिक्षार्थी",
+    "dashboard.attempts": "प्रयास",
+    "dashboard.mean": "नवीनतम अंकों का औसत",
+    "dashboard.empty": "अभी तक कोई प्रयास नहीं। शुरू करने के लिए आमंत्रण कोड साझा करें।",
+    "dashboard.distributionTitle": "अंकों का वितरण (हर शिक्षार्थी का नवीनतम प्रयास)",
+    "dashboard.distribution": "अंकों का वितरण",
+    "dashboard.weakest": "सबसे कमज़ोर भाग",
+    "dashboard.part": "भाग",
+    "dashboard.test": "टेस्ट",
+    "dashboard.partMean": "औसत",
+    "dashboard.below5": "5 से कम",
+    "dashboard.themes": "सुझावों के आम विषय",
+    "dashboard.noLearners": "अभी तक कोई शामिल नहीं हुआ।",
+    "dashboard.learnerOne": "{n} प्रयास · नवीनतम {score}/10 ({level}) · सर्वश्रेष्ठ {best}",
+    "dashboard.learnerMany": "{n} प्रयास · नवीनतम {score}/10 ({level}) · सर्वश्रेष्ठ {best}",
+    "dashboard.learnerNone": "अभी तक कोई प्रयास नहीं",
+    "review.title": "डुप्लिकेट समीक्षा",
+    "review.intro": "ऐसे लंबे उत्तरों वाले सबमिशन जो उसी भाग में किसी दूसरे शिक्षार्थी के उत्तर से बहुत मिलते हैं। मिलान निर्दोष भी हो सकता है (जैसे कक्षा का साझा हैंडआउट), इसलिए पुष्टि से पहले पाठ की तुलना करें।",
+    "review.open": "खुले",
+    "review.confirmed": "पुष्टि किए गए",
+    "review.dismissed": "खारिज किए गए",
+    "review.none.open": "कोई खुला फ़्लैग नहीं।",
+    "review.none.confirmed": "कोई पुष्टि किया गया फ़्लैग नहीं।",
+    "review.none.dismissed": "कोई खारिज किया गया फ़्लैग नहीं।",
+    "review.loadFailed": "फ़्लैग लोड नहीं हो सके",
+    "review.updateFailed": "फ़्लैग अपडेट नहीं हो सका",
+    "review.match": "{n} मिलान, {similarity}% तक समान",
+    "review.matches": "{n} मिलान, {similarity}% तक समान",
+    "review.compare": "तुलना करें",
+    "review.hide": "छिपाएँ",
+    "review.note": "टिप्पणी: {note}",
+    "review.more": "और लोड करें",
+    "review.answersFailed": "उत्तर लोड नहीं हो सके",
+    "review.loadingAnswers": "उत्तर लोड हो रहे हैं…",
+    "review.similarTo": "भाग {part} · {name} से {similarity}% समान",
+    "review.gone": "परिणाम अब उपलब्ध नहीं है।",
+    "review.otherLearner": "आपके समूहों से बाहर का एक शिक्षार्थी",
+    "review.hiddenAnswers": "इस शिक्षार्थी के उत्तर केवल उसके कोच खोल सकते हैं।",
+    "review.notePlaceholder": "टिप्पणी (वैकल्पिक)",
+    "review.noteLabel": "समीक्षा टिप्पणी",
+    "review.confirm": "नकल की पुष्टि करें",
+    "review.dismiss": "खारिज करें",
+    "review.reopen": "फिर से खोलें",
+  },
+};
+
+// Saved choice, else the browser's first supported language, else English
+export function detectLanguage() {
+  const saved = localStorage.getItem(LANG_KEY);
+  if (UI_LANGUAGES[saved]) return saved;
+  const preferred = (navigator.languages || [navigator.language]).map((l) => String(l).slice(0, 2).toLowerCase());
+  return preferred.find((l) => UI_LANGUAGES[l]) || "en";
+}
+export const saveLanguage = (lang) => localStorage.setItem(LANG_KEY, lang);
+
+export const savedVariety = () => localStorage.getItem(VARIETY_KEY) || "";
+export const saveVariety = (id) => localStorage.setItem(VARIETY_KEY, id);
+
+function format(template, vars) {
+  const chunks = template.split(/\{(\w+)\}/);
+  const nodes = chunks.map((c, i) => (i % 2 ? vars[c] ?? `{${c}}` : c));
+  if (!nodes.some((n) => typeof n === "object")) return nodes.join("");
+  return nodes.map((n, i) => createElement(Fragment, { key: i }, n));
+}
+
+// t(key, vars) for one language; t.has(key) tells whether the key exists
+export function translator(lang) {
+  const table = MESSAGES[lang] || MESSAGES.en;
+  const t = (key, vars = {}) => format(table[key] ?? MESSAGES.en[key] ?? key, vars);
+  t.has = (key) => key in MESSAGES.en;
+  return t;
+}
+
+export const I18nContext = createContext(translator("en"));
+export const useT = () => useContext(I18nContext);
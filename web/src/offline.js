@@ -0,0 +1,83 @@
+/* ---- Offline storage (IndexedDB) ----
+ * Three stores, so a cold or unreachable server never costs a learner work:
+ *   drafts  answers as they are typed, per user and test (or adaptive item)
+ *   queue   submissions that could not be delivered, retried by queue.js
+ *   cache   last good copies of what the app fetched: the signed-in user,
+ *           tests and result history, for reading while offline
+ * Every call resolves (to null / [] when IndexedDB is unavailable, e.g. in
+ * some private windows), so callers never need their own fallbacks.
+ * Signing out clears all three, so the next person on a shared device
+ * finds none of it.
+ */
+const DB_NAME = "enc-offline";
+const DB_VERSION = 1;
+
+let opening = null;
+function db() {
+  opening ||= new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const d = req.result;
+      d.createObjectStore("drafts");
+      d.createObjectStore("queue", { keyPath: "id", autoIncrement: true });
+      d.createObjectStore("cache");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+  return opening;
+}
+
+// Runs `fn(store)` in one transaction; resolves with the request's result (or `fallback`)
+async function run(storeName, mode, fn, fallback = null) {
+  const d = await db();
+  if (!d) return fallback;
+  return new Promise((resolve) => {
+    let result = fallback;
+    const tx = d.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    if (req) req.onsuccess = () => { result = req.result ?? fallback; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => resolve(fallback);
+    tx.onabort = () => resolve(fallback);
+  });
+}
+
+/* ---- Drafts ---- */
+export const draftKey = (userId, testId, itemId) => [userId, testId, itemId].filter(Boolean).join(":");
+
+// `draft`: { answers } for a fixed test, { answer } for one adaptive item
+export const saveDraft = (key, draft) =>
+  run("drafts", "readwrite", (s) => s.put({ ...draft, savedAt: new Date().toISOString() }, key));
+export const loadDraft = (key) => run("drafts", "readonly", (s) => s.get(key));
+export const clearDraft = (key) => run("drafts", "readwrite", (s) => s.delete(key));
+
+/* ---- Submission queue ----
+ * Entry: { id, user, testId, kind: "json" | "audio", payload, attempts,
+ * nextAt (ms), createdAt, error? }. Audio payloads keep their recordings as
+ * Blobs, which IndexedDB stores as they are. Payloads carry the submission's
+ * idempotency key, so a retry of something the server already graded gets
+ * that result back instead of a second grading.
+ */
+// crypto.randomUUID needs a secure context; plain-http dev servers get the fallback
+export const newSubmissionId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+export const enqueue = (entry) =>
+  run("queue", "readwrite", (s) => s.add({ attempts: 0, nextAt: Date.now(), createdAt: new Date().toISOString(), ...entry }));
+export const listQueue = (user) =>
+  run("queue", "readonly", (s) => s.getAll(), []).then((all) => all.filter((e) => !user || e.user === user));
+export const updateQueued = (entry) => run("queue", "readwrite", (s) => s.put(entry));
+export const removeQueued = (id) => run("queue", "readwrite", (s) => s.delete(id));
+
+/* ---- Read cache ---- */
+export const cacheSet = (key, value) => run("cache", "readwrite", (s) => s.put({ value, savedAt: new Date().toISOString() }, key));
+export const cacheGet = (key) => run("cache", "readonly", (s) => s.get(key)); // { value, savedAt } | null
+
+export const clearOfflineData = () =>
+  Promise.all(["drafts", "queue", "cache"].map((name) => run(name, "readwrite", (s) => s.clear())));
+
+// Failures worth retrying later: no response at all (offline, cold start, timeouts) or a server-side problem
+export const isRetryable = (err) => !err?.status || err.status >= 500 || err.status === 408 || err.status === 429;
@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { API_BASE, assess, assessAudio, wakeServer } from "./api.js";
+import { enqueue, isRetryable, listQueue, removeQueued, updateQueued } from "./offline.js";
+
+/* ---- Submission queue ----
+ * Submissions that failed for want of a server (offline, cold start, 5xx)
+ * wait in IndexedDB (offline.js) and are sent again: when the browser comes
+ * back online, when the tab becomes visible, and on a timer with exponential
+ * backoff (5s doubling up to 10 min, ±20% jitter). Entries the server
+ * refuses outright (4xx) stay in the queue with their error until dismissed;
+ * a 401 pauses delivery until the learner signs in again.
+ */
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 10 * 60_000;
+
+export const retryDelay = (attempts) => Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempts) * (0.8 + Math.random() * 0.4);
+
+const deliver = (entry) => (entry.kind === "audio" ? assessAudio(entry.payload) : assess(entry.payload));
+
+// `me`: the signed-in user, whose entries are sent; `onDelivered(entry, result)` after each success
+export function useSubmissionQueue(me, { onDelivered, onUnauthorized }) {
+  const [entries, setEntries] = useState([]);
+  const busy = useRef(false);
+  const timer = useRef(null);
+  const callbacks = useRef({ onDelivered, onUnauthorized });
+  useEffect(() => { callbacks.current = { onDelivered, onUnauthorized }; });
+  const userId = me?.id;
+
+  const refresh = useCallback(async () => {
+    const list = userId ? await listQueue(userId) : [];
+    setEntries(list);
+    return list;
+  }, [userId]);
+
+  const flush = useCallback(async ({ all = false } = {}) => {
+    if (!userId || busy.current) return;
+    busy.current = true;
+    clearTimeout(timer.current);
+    try {
+      const due = (await listQueue(userId)).filter((e) => !e.error && (all || e.nextAt <= Date.now()));
+      let awake = due.length > 0;
+      if (awake) {
+        try { await wakeServer({ healthUrl: `${API_BASE}/`, maxAttempts: 2 }); } catch { awake = false; }
+      }
+      for (const entry of due) {
+        try {
+          if (!awake) throw new Error("Server unreachable");
+          const result = await deliver(entry);
+          await removeQueued(entry.id);
+          callbacks.current.onDelivered?.(entry, result);
+        } catch (err) {
+          if (err?.status === 401) { callbacks.current.onUnauthorized?.(); break; }
+          await updateQueued(isRetryable(err)
+            ? { ...entry, attempts: entry.attempts + 1, nextAt: Date.now() + retryDelay(entry.attempts + 1), lastError: err?.message }
+            : { ...entry, error: err?.message || "Rejected by the server" });
+        }
+      }
+      const pending = (await refresh()).filter((e) => !e.error);
+      if (pending.length) {
+        const wait = Math.max(1000, Math.min(...pending.map((e) => e.nextAt)) - Date.now());
+        timer.current = setTimeout(() => flush(), wait);
+      }
+    } finally {
+      busy.current = false;
+    }
+  }, [userId, refresh]);
+
+  useEffect(() => {
+    flush();
+    const online = () => flush({ all: true });
+    const visible = () => { if (document.visibilityState === "visible") flush(); };
+    window.addEventListener("online", online);
+    document.addEventListener("visibilitychange", visible);
+    return () => {
+      clearTimeout(timer.current);
+      window.removeEventListener("online", online);
+      document.removeEventListener("visibilitychange", visible);
+    };
+  }, [flush]);
+
+  return {
+    entries,
+    pending: entries.filter((e) => !e.error),
+    failed: entries.filter((e) => e.error),
+    // `entry`: { testId, kind, payload, answers }; resolves with its id. First retry after the base delay
+    async add(entry) {
+      const id = await enqueue({ ...entry, user: userId, nextAt: Date.now() + retryDelay(0) });
+      await refresh();
+      clearTimeout(timer.current);
+      timer.current = setTimeout(() => flush(), BASE_DELAY_MS);
+      return id;
+    },
+    retry: () => flush({ all: true }),
+    async dismiss(id) {
+      await removeQueued(id);
+      await refresh();
+    },
+  };
+}
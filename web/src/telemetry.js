@@ -0,0 +1,46 @@
+import { useRef } from "react";
+
+/* ---- Answer telemetry ----
+ * Per answer field: time it had focus, key presses, pastes (and drops) with
+ * the number of characters they inserted, and how often the page lost focus
+ * while the field was active. Kept in a ref, so typing causes no re-renders,
+ * and sent with the answers for the server's integrity report
+ * (server/integrity.js). Nothing about the content of what was typed is kept.
+ */
+const empty = () => ({ ms: 0, keystrokes: 0, pastes: 0, pastedChars: 0, blurs: 0 });
+
+export function useAnswerTelemetry() {
+  const state = useRef({ parts: [], active: null }); // active: { index, since }
+
+  const entry = (i) => (state.current.parts[i] ||= empty());
+  const inserted = (i, text) => { const e = entry(i); e.pastes++; e.pastedChars += (text || "").length; };
+
+  return {
+    // Props for the answer field of part i
+    handlers: (i) => ({
+      onFocus: () => { state.current.active = { index: i, since: Date.now() }; },
+      onBlur: () => {
+        const { active } = state.current;
+        if (active?.index === i) entry(i).ms += Date.now() - active.since;
+        state.current.active = null;
+        // The field also blurs when the window does (another tab, another app)
+        if (!document.hasFocus() || document.hidden) entry(i).blurs++;
+      },
+      onKeyDown: () => { entry(i).keystrokes++; },
+      onPaste: (e) => inserted(i, e.clipboardData?.getData("text")),
+      onDrop: (e) => inserted(i, e.dataTransfer?.getData("text")),
+    }),
+    // One entry per part (null where nothing was recorded), including the current focus time
+    snapshot(count) {
+      const { parts, active } = state.current;
+      return Array.from({ length: count }, (_, i) => {
+        if (!parts[i]) return null;
+        const open = active?.index === i ? Date.now() - active.since : 0;
+        return { ...parts[i], ms: Math.round(parts[i].ms + open) };
+      });
+    },
+    reset() {
+      state.current = { parts: [], active: null };
+    },
+  };
+}